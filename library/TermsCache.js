@@ -173,7 +173,8 @@ class TermsCache
      * If `doCache` is true, the method will check if it can find the term in
      * the cache, if the term cannot be found, the method will query the
      * database. If the term was found, it will be stripped of all top level
-     * properties, except `_key`, `_data` and `_rule`, and the method will check
+     * properties, except `_key`, `_data`, `_rule` and the lifecycle status and
+     * replacement properties, `_status` and `_replaced_by`, and the method will check
      * if an edge documentExists with the term as the `_from` property and the
      * `_predicate_enum-of` as the predicate: in that case the `_path` property
      * of the edge will be added to the term's top level. This is the record
@@ -215,7 +216,9 @@ class TermsCache
               RETURN KEEP(doc,
                 '_key',
                 ${module.context.configuration.sectionData},
-                ${module.context.configuration.sectionRule}
+                ${module.context.configuration.sectionRule},
+                ${module.context.configuration.termStatus},
+                ${module.context.configuration.termReplacedBy}
               )
             )
             
@@ -28,10 +28,22 @@
  *              the status is idle, if there is an error the status will be
  *              replaced, but this is not an issue, since these changes are
  *              meant for correct values.
+ * - `warnings`: Values that are correct, but that should be checked, such as
+ *               references to deprecated terms, are logged in this field: it
+ *               is an object whose values are reports, ValidationReport
+ *               instances, describing the warning. As with `changes`, the
+ *               field is only relevant when the status is idle.
+ * - `location`: The RFC 6901 JSON Pointer to the offending value, relative
+ *               to the validated value: it is set in error reports, in
+ *               warnings and in `changes` entries.
+ * - `issues`: When collecting all errors, this field contains the list of
+ *             error reports.
  * - Other members providing information on the eventual errors.
  *
  * A report whose `status.code` is `0` means that there was no error; the
- * presence of the `changes` member indicates that some data was corrected.
+ * presence of the `changes` member indicates that some data was corrected and
+ * the presence of the `warnings` member indicates that some data should be
+ * checked.
  * Any `status.code` value other than `0` is considered an error.
  */
 class ValidationReport
@@ -503,6 +515,192 @@ class ValidationStatus
 			"statusMessage": {
 				"iso_639_3_eng": "Tuple elements count not an object."
 			}
+		},
+		"kDEPRECATED_TERM": {
+			"statusCode": 53,
+			"statusMessage": {
+				"iso_639_3_eng": "The value references a deprecated term."
+			}
+		},
+		"kOBSOLETE_TERM": {
+			"statusCode": 54,
+			"statusMessage": {
+				"iso_639_3_eng": "The value references an obsolete term."
+			}
+		},
+		"kDUPLICATE_TERM": {
+			"statusCode": 55,
+			"statusMessage": {
+				"iso_639_3_eng": "The term already exists."
+			}
+		},
+		"kCOMPUTED_PROPERTY": {
+			"statusCode": 56,
+			"statusMessage": {
+				"iso_639_3_eng": "Computed properties cannot be provided."
+			}
+		},
+		"kCOMPUTED_VALUE_ERROR": {
+			"statusCode": 57,
+			"statusMessage": {
+				"iso_639_3_eng": "Unable to compute the property value."
+			}
+		},
+		"kRECOMMENDED_PROPERTY": {
+			"statusCode": 58,
+			"statusMessage": {
+				"iso_639_3_eng": "The object does not have the recommended properties."
+			}
+		},
+		"kVALIDATION_ISSUES": {
+			"statusCode": 59,
+			"statusMessage": {
+				"iso_639_3_eng": "The value has errors, see the list of issues."
+			}
+		},
+		"kGEOJSON_INVALID_TYPE": {
+			"statusCode": 60,
+			"statusMessage": {
+				"iso_639_3_eng": "Invalid GeoJSON object type."
+			}
+		},
+		"kGEOJSON_INVALID_POSITION": {
+			"statusCode": 61,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON positions must be arrays of two or three numbers."
+			}
+		},
+		"kGEOJSON_INVALID_DEPTH": {
+			"statusCode": 62,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON 'coordinates' nesting depth does not match the geometry type."
+			}
+		},
+		"kGEOJSON_LONGITUDE_RANGE": {
+			"statusCode": 63,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON longitude must be between -180 and 180."
+			}
+		},
+		"kGEOJSON_LATITUDE_RANGE": {
+			"statusCode": 64,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON latitude must be between -90 and 90."
+			}
+		},
+		"kGEOJSON_LINE_POSITIONS": {
+			"statusCode": 65,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON line strings must have at least two positions."
+			}
+		},
+		"kGEOJSON_RING_POSITIONS": {
+			"statusCode": 66,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON linear rings must have at least four positions."
+			}
+		},
+		"kGEOJSON_RING_NOT_CLOSED": {
+			"statusCode": 67,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON linear rings must end with their first position."
+			}
+		},
+		"kGEOJSON_RING_WINDING": {
+			"statusCode": 68,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON exterior rings should be counterclockwise and holes clockwise."
+			}
+		},
+		"kGEOJSON_INVALID_BBOX": {
+			"statusCode": 69,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON 'bbox' must be an array of minimum and maximum coordinates."
+			}
+		},
+		"kGEOJSON_OUTSIDE_BBOX": {
+			"statusCode": 70,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON position is outside of the bounding box."
+			}
+		},
+		"kGEOJSON_MISSING_GEOMETRY": {
+			"statusCode": 71,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON feature is missing its 'geometry' property."
+			}
+		},
+		"kGEOJSON_INVALID_PROPERTIES": {
+			"statusCode": 72,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON feature 'properties' should be an object or null."
+			}
+		},
+		"kGEOJSON_INVALID_FEATURES": {
+			"statusCode": 73,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON feature collection 'features' should be an array of features."
+			}
+		},
+		"kGEOJSON_INVALID_GEOMETRIES": {
+			"statusCode": 74,
+			"statusMessage": {
+				"iso_639_3_eng": "GeoJSON geometry collection 'geometries' should be an array of geometries."
+			}
+		},
+		"kINVALID_DATE_MONTH": {
+			"statusCode": 75,
+			"statusMessage": {
+				"iso_639_3_eng": "The date has an invalid month: months range from 01 to 12."
+			}
+		},
+		"kINVALID_DATE_DAY": {
+			"statusCode": 76,
+			"statusMessage": {
+				"iso_639_3_eng": "The date has an invalid day for its month and year."
+			}
+		},
+		"kINVALID_DATE_RANGE": {
+			"statusCode": 77,
+			"statusMessage": {
+				"iso_639_3_eng": "The years range ends before it starts."
+			}
+		},
+		"kTIMESTAMP_INVALID_FORMAT": {
+			"statusCode": 78,
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp is not an ISO 8601 date, YYYY-MM-DD, or date and time, YYYY-MM-DDThh:mm:ss.sss followed by Z or ±hh:mm."
+			}
+		},
+		"kTIMESTAMP_INVALID_VALUE": {
+			"statusCode": 79,
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp has an invalid date, time or timezone offset."
+			}
+		},
+		"kTIMESTAMP_MISSING_TIMEZONE": {
+			"statusCode": 80,
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp has no timezone and the descriptor has no default timezone."
+			}
+		},
+		"kTIMESTAMP_FORMAT_NOT_ALLOWED": {
+			"statusCode": 81,
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp format is not accepted by the descriptor."
+			}
+		},
+		"kDUPLICATE_BATCH_TERM": {
+			"statusCode": 82,
+			"statusMessage": {
+				"iso_639_3_eng": "The term key is repeated in the provided list."
+			}
+		},
+		"kTIMESTAMP_INVALID_PRECISION": {
+			"statusCode": 83,
+			"statusMessage": {
+				"iso_639_3_eng": "The timestamp has a fraction of the unit in which it is stored."
+			}
 		}
 	}
 
@@ -104,6 +104,10 @@ class Validator
 	 *                  the local identifier, `_lid`, is searched, but this
 	 *                  field allows you to search others, such as official
 	 *                  identifiers, `_aid`.
+	 * - `doAllErrors`: If set, validation will not stop at the first error:
+	 *                  all object properties and array elements will be
+	 *                  validated and the errors will be collected in the
+	 *                  `issues` list of the status report.
 	 *
 	 * The provided parameters will be checked and set in the object that will
 	 * feature the following members:
@@ -115,6 +119,9 @@ class Validator
 	 * - `zip`: Will receive the `doZip` flag.
 	 * - `resolve`: Will receive the `doResolve` flag.
 	 * - `resolver`: Will receive the `resolveCode` value.
+	 * - `allErrors`: Will receive the `doAllErrors` flag.
+	 * - `path`: Will hold the location of the current value, as a list of
+	 *           property names and array indexes.
 	 * - `useCache`: Will receive the `doCache` flag.
 	 * - `cacheMissing`: Will receive the `doMissing` flag.
 	 * - `expectTerms`: Will receive thw `doOnlyTerms` flag.
@@ -164,6 +171,8 @@ class Validator
 	 *                              section property name where to match codes,
 	 *                              defaults to the local identifier code,
 	 *                              `_lid`.
+	 * @param doAllErrors {Boolean}: If true, collect all errors, defaults to
+	 *                               false.
 	 */
 	constructor(
 		theValue,
@@ -175,7 +184,8 @@ class Validator
 		doDataType = false,
 		doResolve = false,
 		doDefaultNamespace = false,
-		resolveCode = module.context.configuration.localIdentifier
+		resolveCode = module.context.configuration.localIdentifier,
+		doAllErrors = false
 	){
 		///
 		// Init value.
@@ -199,6 +209,8 @@ class Validator
 		this.expectType = Boolean(doDataType)
 		this.defNamespace = Boolean(doDefaultNamespace)
 		this.resolver = resolveCode
+		this.allErrors = Boolean(doAllErrors)
+		this.path = []
 
 		///
 		// Init counters.
@@ -432,7 +444,8 @@ class Validator
 			// Update counters.
 			///
 			if(this.report[index].status.code === 0) {
-				if(this.report[index].hasOwnProperty('changes')) {
+				if(this.report[index].hasOwnProperty('changes') ||
+				   this.report[index].hasOwnProperty('warnings')) {
 					this.warnings++
 				} else {
 					this.valid++
@@ -491,7 +504,8 @@ class Validator
 					status = false
 					this.errors++
 				} else {
-					if(this.report[index].hasOwnProperty('changes')) {
+					if(this.report[index].hasOwnProperty('changes') ||
+					   this.report[index].hasOwnProperty('warnings')) {
 						this.warnings++
 					} else {
 						this.valid++
@@ -1046,12 +1060,16 @@ class Validator
 			///
 			// Iterate elements.
 			///
-			for(let i = 0; i < value.length; i++) {
-				if(!this.doValidateDataSection(
-					value, i, theSection, theReportIndex
-				)) {
-					return false                                        // ==>
-				}
+			const issues = []
+			if(!this.doValidateElements(
+				[...value.keys()], theReportIndex, issues,
+				(index) => this.doValidateDataSection(
+					value, index, theSection, theReportIndex
+				)
+			)) {
+				return this.setIssuesReport(
+					issues, theKey, value, theReportIndex
+				)                                                       // ==>
 			}
 
 			return true                                                 // ==>
@@ -1110,12 +1128,16 @@ class Validator
 			///
 			// Iterate elements.
 			///
-			for(let i = 0; i < value.length; i++) {
-				if(!this.doValidateSetSection(
-					value, i, theSection, theReportIndex
-				)) {
-					return false                                        // ==>
-				}
+			const issues = []
+			if(!this.doValidateElements(
+				[...value.keys()], theReportIndex, issues,
+				(index) => this.doValidateSetSection(
+					value, index, theSection, theReportIndex
+				)
+			)) {
+				return this.setIssuesReport(
+					issues, theKey, value, theReportIndex
+				)                                                       // ==>
 			}
 			
 			///
@@ -1219,11 +1241,11 @@ class Validator
 						{ section: theSection}
 					)                                                   // ==>
 				}
-				if(!this.doValidateDataSection(
+				if(!this.atLocation(i, () => this.doValidateDataSection(
 					value,
 					i,
 					term[module.context.configuration.sectionData],
-					theReportIndex)
+					theReportIndex))
 				) {
 					return false                                        // ==>
 				}
@@ -1714,7 +1736,7 @@ class Validator
 		///
 		// Init local storage.
 		///
-		let status = true
+		const issues = []
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
@@ -1722,18 +1744,18 @@ class Validator
 		///
 		// Iterate dictionary object keys.
 		///
-		Object.keys(value).some( (key) => {
-			if(!this.doValidateDataSection(
+		if(!this.doValidateElements(
+			Object.keys(value), theReportIndex, issues,
+			(key) => this.doValidateDataSection(
 				value, key, theSection, theReportIndex
-			)) {
-				status = false
-				return true
-			}
-
-			return false
-		})
+			)
+		)) {
+			return this.setIssuesReport(
+				issues, theKey, value, theReportIndex
+			)                                                           // ==>
+		}
 
-		return status                                                   // ==>
+		return true                                                     // ==>
 
 	} // doValidateDictValues()
 
@@ -1893,9 +1915,22 @@ class Validator
 	 *
 	 * This method will validate the provided timestamp value.
 	 *
-	 * If the value is a number, the function will assume it is a unix time,
-	 * if the value is a string, the function will try to interpret it as a
-	 * date.
+	 * If the value is a number, the function will assume it is a unix time
+	 * in the stored unit, if the value is a string, the function will parse it
+	 * as an ISO 8601 date, `YYYY-MM-DD`, or date and time,
+	 * `YYYY-MM-DDThh:mm[:ss[.sss]]` followed by `Z` or the `±hh:mm` offset.
+	 * Dates and times without a timezone are only accepted if the descriptor
+	 * provides a default timezone, dates use it or UTC.
+	 *
+	 * The scalar section `_format` may define the accepted input formats, the
+	 * stored unit and the default timezone, see `getTimeStampFormat()`; if
+	 * missing, all formats are accepted, the timezone is mandatory and
+	 * timestamps are stored in milliseconds.
+	 *
+	 * Timestamps stored in seconds cannot have a fraction of second.
+	 *
+	 * Parsed strings will replace the original value and the change will be
+	 * logged.
 	 *
 	 * If there is a range, the method will check the range: note that the
 	 * method expects a numeric range.
@@ -1926,11 +1961,29 @@ class Validator
 		const value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
+		const format = this.getTimeStampFormat(theKey, theSection)
 
 		///
 		// Check if UNIX timestamp.
 		///
-		if(Validator.IsNumber(value)) {
+		if(Validator.IsNumber(value))
+		{
+			if(!format.input.includes(K.timestamp.formats.unix)) {
+				return this.setStatusReport(
+					'kTIMESTAMP_FORMAT_NOT_ALLOWED',
+					theKey, value, theReportIndex,
+					{ "section": theSection }
+				)                                                       // ==>
+			}
+
+			if(format.unit === K.timestamp.units.seconds && !Number.isInteger(value)) {
+				return this.setStatusReport(
+					'kTIMESTAMP_INVALID_PRECISION',
+					theKey, value, theReportIndex,
+					{ "section": theSection }
+				)                                                       // ==>
+			}
+
 			return this.checkNumericRange(
 				theContainer, theKey, theSection, theReportIndex
 			)                                                           // ==>
@@ -1942,40 +1995,64 @@ class Validator
 		if(Validator.IsString(value))
 		{
 			///
-			// Convert to timestamp.
+			// Parse string.
 			///
-			const timestamp = new Date(value)
-			if(!isNaN(timestamp.valueOf()))
-			{
-				///
-				// Log resolved value.
-				///
-				this.logResolvedValues(
-					theKey, value, timestamp.valueOf(), theReportIndex
-				)
-
-				///
-				// Update original value.
-				///
-				if(theKey !== null) {
-					theContainer[theKey] = timestamp.valueOf()
-				} else {
-					theContainer = timestamp.valueOf()
-				}
+			const parsed = Validator.ParseTimeStamp(value, format.timezone)
+			if(parsed.hasOwnProperty('status')) {
+				return this.setStatusReport(
+					parsed.status,
+					theKey, value, theReportIndex,
+					{ "section": theSection }
+				)                                                       // ==>
+			}
 
-				///
-				// Update status report.
-				// TODO: Replace status, in report, with kMODIFIED_VALUE.
-				///
+			///
+			// Check format.
+			///
+			if(!format.input.includes(parsed.format)) {
+				return this.setStatusReport(
+					'kTIMESTAMP_FORMAT_NOT_ALLOWED',
+					theKey, value, theReportIndex,
+					{ "section": theSection }
+				)                                                       // ==>
+			}
 
-				///
-				// Check timestamp valid range.
-				///
-				return this.checkNumericRange(
-					theContainer, theKey, theSection, theReportIndex
+			///
+			// Convert to stored unit.
+			///
+			if(format.unit === K.timestamp.units.seconds && parsed.value % 1000 !== 0) {
+				return this.setStatusReport(
+					'kTIMESTAMP_INVALID_PRECISION',
+					theKey, value, theReportIndex,
+					{ "section": theSection }
 				)                                                       // ==>
+			}
+			const timestamp = (format.unit === K.timestamp.units.seconds)
+				? parsed.value / 1000
+				: parsed.value
+
+			///
+			// Log resolved value.
+			///
+			this.logResolvedValues(
+				theKey, value, timestamp, theReportIndex
+			)
+
+			///
+			// Update original value.
+			///
+			if(theKey !== null) {
+				theContainer[theKey] = timestamp
+			} else {
+				theContainer = timestamp
+			}
 
-			} // Converted to timestamp.
+			///
+			// Check timestamp valid range.
+			///
+			return this.checkNumericRange(
+				theContainer, theKey, theSection, theReportIndex
+			)                                                           // ==>
 
 		} // Value is string.
 
@@ -2451,7 +2528,7 @@ class Validator
 		///
 		// Get term.
 		///
-		const term = this.cache.getTerm(
+		let term = this.cache.getTerm(
 			value, this.useCache, this.cacheMissing
 		)
 
@@ -2470,6 +2547,17 @@ class Validator
 			)                                                           // ==>
 		}
 
+		///
+		// Check term lifecycle.
+		// Deprecated terms may have been replaced.
+		///
+		term = this.doValidateTermLifecycle(
+			theContainer, theKey, term, theReportIndex
+		)
+		if(term === false) {
+			return false                                                // ==>
+		}
+
 		///
 		// Check if it is an enumeration element.
 		///
@@ -2533,16 +2621,24 @@ class Validator
 	 *
 	 * This method will validate the provided string date.
 	 *
-	 * The method will not validate the actual date, it will only ensure the
-	 * value is in the correct format.
+	 * Dates are stored in the compact `YYYYMMDD`, `YYYYMM` or `YYYY` forms, or
+	 * as the `YYYY-YYYY` years range. The method will ensure the value is in
+	 * the correct format, that months and days are valid calendar values,
+	 * considering leap years, and that years ranges are ordered.
+	 *
+	 * If the resolve flag is set, the ISO `YYYY-MM-DD` and `YYYY-MM` forms,
+	 * also with slashes as separators, will be converted to the compact form
+	 * and the change will be logged.
 	 *
 	 * Validation workflow:
 	 *
 	 * - Assert value is a string.
+	 * - Resolve ISO dates.
 	 * - Check string format.
+	 * - Check calendar values.
 	 * - Check date range.
 	 *
-	 * The method will return `true` if enum, or `false` if not.
+	 * The method will return `true` if valid, or `false` if not.
 	 *
 	 * @param theContainer {Object}: The value container.
 	 * @param theKey {String|Number|null}: The key to the value in the container.
@@ -2560,26 +2656,87 @@ class Validator
 		///
 		// Init local storage.
 		///
-		const value = (theKey !== null)
+		let value = (theKey !== null)
 			? theContainer[theKey]
 			: theContainer
 
 		///
 		// Handle string.
 		///
-		if(Validator.IsString(value)) {
+		if(Validator.IsString(value))
+		{
+			///
+			// Resolve ISO dates.
+			///
+			if(this.resolve) {
+				const iso = value.match(/^([0-9]{4})([-\/])([0-9]{2})(?:\2([0-9]{2}))?$/)
+				if(iso !== null) {
+					const resolved = iso[1] + iso[3] + (iso[4] || '')
+					if(theKey !== null) {
+						theContainer[theKey] = resolved
+					} else {
+						theContainer = resolved
+					}
+
+					this.logResolvedValues(
+						theKey, value, resolved, theReportIndex
+					)
+
+					value = resolved
+				}
+			}
+
 			///
 			// Validate string format.
 			///
-			const regexp = new RegExp("^[0-9]{4}$|^[0-9]{6}$|^[0-9]{8}$|^[0-9]{4}-[0-9]{4}$")
-			if (value.match(regexp)) {
-				return this.checkDateRange(
-					theContainer, theKey, theSection, theReportIndex
+			const match = value.match(
+				/^([0-9]{4})(?:([0-9]{2})([0-9]{2})?)?$|^([0-9]{4})-([0-9]{4})$/
+			)
+			if(match === null) {
+				return this.setStatusReport(
+					'kINVALID_DATE_FORMAT', theKey, value, theReportIndex
 				)                                                       // ==>
 			}
 
-			return this.setStatusReport(
-				'kINVALID_DATE_FORMAT', theKey, value, theReportIndex
+			///
+			// Validate years range.
+			///
+			if(match[4] !== undefined) {
+				if(parseInt(match[5]) < parseInt(match[4])) {
+					return this.setStatusReport(
+						'kINVALID_DATE_RANGE', theKey, value, theReportIndex
+					)                                                   // ==>
+				}
+			}
+
+			///
+			// Validate month.
+			///
+			else if(match[2] !== undefined)
+			{
+				const year = parseInt(match[1])
+				const month = parseInt(match[2])
+				if(month < 1 || month > 12) {
+					return this.setStatusReport(
+						'kINVALID_DATE_MONTH', theKey, value, theReportIndex
+					)                                                   // ==>
+				}
+
+				///
+				// Validate day.
+				///
+				if(match[3] !== undefined) {
+					const day = parseInt(match[3])
+					if(day < 1 || day > Validator.DaysInMonth(year, month)) {
+						return this.setStatusReport(
+							'kINVALID_DATE_DAY', theKey, value, theReportIndex
+						)                                               // ==>
+					}
+				}
+			}
+
+			return this.checkDateRange(
+				theContainer, theKey, theSection, theReportIndex
 			)                                                           // ==>
 		}
 
@@ -2718,76 +2875,90 @@ class Validator
 				
 			} // Provided container key.
 			
+			///
+			// Init issues.
+			// Errors are collected here in all errors mode.
+			///
+			const issues = []
+
 			///
 			// Validate object structure.
 			///
+			const match = {}
 			if(theSection !== null) {
 				if(!this.doValidateObjectStructure(
-					theContainer, theKey, theSection, theReportIndex)
+					theContainer, theKey, theSection, theReportIndex, match)
 				){
-					return this.setStatusReport(
-						'kINVALID_OBJECT_STRUCTURE',
+					if(!this.setIssueReport(
+						issues, 'kINVALID_OBJECT_STRUCTURE',
 						theKey, value, theReportIndex,
 						{"section": theSection}
-					)                                                   // ==>
+					)) {
+						return false                                    // ==>
+					}
+				}
+			}
+
+			///
+			// Handle provided computed properties.
+			// Rejected, or removed if resolving.
+			///
+			const supplied = {}
+			const computed = (match.hasOwnProperty('kind'))
+				? this.getObjectRuleComputed(match.kind)
+				: {}
+			for(const property of Object.keys(computed)) {
+				if(value.hasOwnProperty(property)) {
+					if(!this.resolve) {
+						if(!this.atLocation(property, () => this.setIssueReport(
+							issues, 'kCOMPUTED_PROPERTY',
+							property, value[property], theReportIndex
+						))) {
+							return false                                // ==>
+						}
+						continue
+					}
+					supplied[property] = value[property]
+					delete value[property]
 				}
 			}
 			
 			///
 			// Validate object properties.
 			///
-			let status = true
-			Object.keys(value).some( (property) =>
-			{
-				///
-				// Resolve property.
-				///
-				const term =
-					this.cache.getTerm(
-						property, this.useCache, this.cacheMissing
-					)
-				
-				///
-				// Term not found.
-				///
-				if(term === false) {
-					if(this.expectTerms) {
-						status = this.setStatusReport(
-							'kUNKNOWN_PROPERTY',
-							property, value, theReportIndex
-						)
-
-						return true                                 // =>
-					}
-
-					return false                                    // =>
-				}
+			let status = this.doValidateElements(
+				Object.keys(value), theReportIndex, issues,
+				(property) => this.doValidateObjectProperty(
+					value, property, theReportIndex
+				)
+			)
 
-				///
-				// Assert term is a descriptor.
-				///
-				if(!Validator.IsDescriptor(term)) {
-					status = this.setStatusReport(
-						'kPROPERTY_NOT_DESCRIPTOR',
-						property, value, theReportIndex
-					)
+			///
+			// Handle collected errors.
+			///
+			if(issues.length > 0) {
+				return this.setIssuesReport(
+					issues, theKey, value, theReportIndex
+				)                                                       // ==>
+			}
 
-					return true                                     // =>
-				}
-				
-				///
-				// Validate property/value pair.
-				///
-				if(!this.doValidateDataSection(
-					value, property, term[module.context.configuration.sectionData],
-					theReportIndex
-				)) {
-					status = false
-					return true                                     // =>
-				}
+			///
+			// Set computed properties.
+			///
+			if(status && Object.keys(computed).length > 0) {
+				status = this.doValidateObjectComputed(
+					value, computed, supplied, theReportIndex
+				)
+			}
 
-				return false                                        // =>
-			})
+			///
+			// Check recommended properties.
+			///
+			if(status && match.hasOwnProperty('kind')) {
+				this.doValidateObjectRuleRecommended(
+					theContainer, theKey, theReportIndex, match.kind
+				)
+			}
 
 			return status                                               // ==>
 		
@@ -2801,96 +2972,807 @@ class Validator
 	} // doValidateObject()
 
 	/**
-	 * doValidateGeoJSON
-	 *
-	 * This method will validate the provided GeoJSON object value.
-	 *
-	 * TODO: Need to find a suitable library for checking GeoJSON objects.
-	 *
-	 * Validation workflow:
+	 * doValidateObjectProperty
 	 *
-	 * - Assert value is an object.
-	 * - Assert value has "type" property.
-	 * - Assert value has "coordinates" property.
-	 * - Assert the "coordinates" property is an array.
-	 *
-	 * Note that the value will correspond to the "geometry" property, but
-	 * may have another name.
+	 * This method will validate the provided object property.
 	 *
-	 * Note that this method may be called directly from the top level, so
-	 * both the descriptor and the section may be missing (null): be attentive
-	 * when setting status reports.
+	 * The method will resolve the property descriptor, check its lifecycle,
+	 * assert it is a descriptor and validate the property value against the
+	 * descriptor data section. Unknown properties are an error only if the
+	 * `expectTerms` flag is set.
 	 *
 	 * The method will return `true` if there were no errors, or `false`.
 	 *
-	 * @param theContainer {Object}: The value container.
-	 * @param theKey {String|Number|null}: The key to the value in the container.
-	 * @param theSection {Object|null}: Data or array term section, or null.
+	 * @param theObject {Object}: The object value.
+	 * @param theProperty {String}: The property name.
 	 * @param theReportIndex {Number}: Container key for value, defaults to null.
 	 *
 	 * @return {Boolean}: `true` if valid, `false` if not.
 	 */
-	doValidateGeoJSON(
-		theContainer,
-		theKey,
-		theSection,
+	doValidateObjectProperty(
+		theObject,
+		theProperty,
 		theReportIndex)
 	{
 		///
-		// Init local storage.
+		// Resolve property.
 		///
-		const value = (theKey !== null)
-			? theContainer[theKey]
-			: theContainer
+		let term =
+			this.cache.getTerm(
+				theProperty, this.useCache, this.cacheMissing
+			)
 
 		///
-		// Check if object.
+		// Term not found.
 		///
-		if(Validator.IsObject(value))
-		{
-			///
-			// Assert object has type property.
-			///
-			if(!value.hasOwnProperty('type')) {
-				return this.setStatusReport(
-					'kGEOJSON_MISSING_TYPE',
-					theKey, value, theReportIndex,
-					{ "section": theSection }
-				)                                                       // ==>
-			}
-
-			///
-			// Assert object has coordinates property.
-			///
-			if(!value.hasOwnProperty('coordinates')) {
-				return this.setStatusReport(
-					'kGEOJSON_MISSING_COORDINATES',
-					theKey, value, theReportIndex,
-					{ "section": theSection }
-				)                                                       // ==>
-			}
-
-			///
-			// Assert coordinates is an array.
-			///
-			if(!Validator.IsArray(value['coordinates'])) {
+		if(term === false) {
+			if(this.expectTerms) {
 				return this.setStatusReport(
-					'kGEOJSON_INVALID_COORDINATES',
-					theKey, value, theReportIndex,
-					{ "section": theSection }
+					'kUNKNOWN_PROPERTY',
+					theProperty, theObject, theReportIndex
 				)                                                       // ==>
 			}
 
 			return true                                                 // ==>
 		}
 
-		return this.setStatusReport(
-			'kNOT_AN_OBJECT',
-			theKey, value, theReportIndex,
-			{ "section": theSection }
-		)                                                               // ==>
-
-	} // doValidateGeoJSON()
+		///
+		// Check descriptor lifecycle.
+		// Deprecated descriptors may have been replaced.
+		///
+		term = this.doValidateTermLifecycle(
+			theObject, theProperty, term, theReportIndex, true
+		)
+		if(term === false) {
+			return false                                                // ==>
+		}
+
+		///
+		// Assert term is a descriptor.
+		///
+		if(!Validator.IsDescriptor(term)) {
+			return this.setStatusReport(
+				'kPROPERTY_NOT_DESCRIPTOR',
+				term._key, theObject, theReportIndex
+			)                                                           // ==>
+		}
+
+		///
+		// Validate property/value pair.
+		///
+		return this.doValidateDataSection(
+			theObject, term._key, term[module.context.configuration.sectionData],
+			theReportIndex
+		)                                                               // ==>
+
+	} // doValidateObjectProperty()
+
+	/**
+	 * doValidateElements
+	 *
+	 * This method will call the provided validation callback for each of the
+	 * provided elements, that are either object property names or array
+	 * indexes, setting the current location accordingly.
+	 *
+	 * By default the method stops at the first failing element. In all errors
+	 * mode, the error report of each failing element is collected in the
+	 * provided issues list, the previous report, including the changes logged
+	 * before the element, is restored and the iteration continues.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theElements {Array<String|Number>}: Property names or indexes.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theIssues {Array<ValidationReport>}: Collected errors.
+	 * @param theCallback {Function}: Validates the provided element.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateElements(
+		theElements,
+		theReportIndex,
+		theIssues,
+		theCallback)
+	{
+		///
+		// Iterate elements.
+		///
+		let status = true
+		theElements.some( (element) =>
+		{
+			const previous = this.getStatusReport(theReportIndex)
+			const changes = (previous.hasOwnProperty('changes'))
+				? { ...previous.changes }
+				: null
+			if(!this.atLocation(element, () => theCallback(element))) {
+				status = false
+				if(this.allErrors) {
+					this.collectIssues(theIssues, previous, theReportIndex)
+					if(changes !== null) {
+						previous.changes = changes
+					} else {
+						delete previous.changes
+					}
+					return false                                        // =>
+				}
+
+				return true                                             // =>
+			}
+
+			return false                                                // =>
+		})
+
+		return status                                                   // ==>
+
+	} // doValidateElements()
+
+	/**
+	 * doValidateObjectComputed
+	 *
+	 * This method will set the computed properties of the provided object.
+	 *
+	 * The provided computed properties are a dictionary having the descriptor
+	 * global identifier as the key and the expression that computes its value
+	 * as the value, properties are computed in order, so that an expression
+	 * may refer to a previously computed property. See `computeExpression()`
+	 * for the expression syntax.
+	 *
+	 * Each computed value is set in the object, logged in the report changes,
+	 * along with the eventual value provided by the client, and validated
+	 * against the descriptor data section. If any of the expression operands
+	 * is missing, the property will not be computed and the eventual provided
+	 * value will be dropped, logging the removal in the report changes: a
+	 * computed property cannot hold a value that was not computed. Malformed
+	 * expressions and computation errors set a `kCOMPUTED_VALUE_ERROR` status.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theObject {Object}: The object value.
+	 * @param theComputed {Object}: The computed properties expressions.
+	 * @param theSupplied {Object}: The computed properties provided values.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateObjectComputed(
+		theObject,
+		theComputed,
+		theSupplied,
+		theReportIndex)
+	{
+		///
+		// Iterate computed properties.
+		///
+		let status = true
+		Object.entries(theComputed).some( ([property, expression]) => this.atLocation(property, () =>
+		{
+			///
+			// Resolve descriptor.
+			// TODO: we throw an exception on a data kind error: we need to
+			//       rationalise data kind errors by returning a meaningful error.
+			//       If this exception is thrown, it means the data dictionary
+			//       is corrupted.
+			///
+			const term = this.cache.getTerm(
+				property, this.useCache, this.cacheMissing
+			)
+			if(term === false || !Validator.IsDescriptor(term)) {
+				throw new Error(
+					`Invalid term reference ${property}, was used as a computed property.`
+				)                                                       // ==>
+			}
+
+			///
+			// Compute value.
+			///
+			const result = this.computeExpression(theObject, expression)
+
+			///
+			// Handle missing operands.
+			///
+			if(result === undefined) {
+				if(theSupplied.hasOwnProperty(property)) {
+					this.logResolvedValues(
+						property, theSupplied[property], null, theReportIndex
+					)
+				}
+
+				return false                                            // =>
+			}
+
+			///
+			// Handle computation errors.
+			///
+			else if(result === null) {
+				status = this.setStatusReport(
+					'kCOMPUTED_VALUE_ERROR',
+					property, theObject, theReportIndex,
+					{"expression": expression}
+				)
+
+				return true                                             // =>
+			}
+
+			///
+			// Set and log computed value.
+			///
+			else {
+				theObject[property] = result
+				if(!theSupplied.hasOwnProperty(property) ||
+				   JSON.stringify(theSupplied[property]) !== JSON.stringify(result))
+				{
+					this.logResolvedValues(
+						property,
+						(theSupplied.hasOwnProperty(property)) ? theSupplied[property] : null,
+						result,
+						theReportIndex
+					)
+				}
+			}
+
+			///
+			// Validate value.
+			///
+			if(!this.doValidateDataSection(
+				theObject, property, term[module.context.configuration.sectionData],
+				theReportIndex
+			)) {
+				status = false
+				return true                                             // =>
+			}
+
+			return false                                                // =>
+		}))
+
+		return status                                                   // ==>
+
+	} // doValidateObjectComputed()
+
+	/**
+	 * doValidateGeoJSON
+	 *
+	 * This method will validate the provided GeoJSON object value.
+	 *
+	 * Validation workflow:
+	 *
+	 * - Assert value is an object.
+	 * - Validate the GeoJSON object according to RFC 7946.
+	 *
+	 * Note that the value will usually correspond to a geometry, but it may
+	 * also be a feature or a collection: see `doValidateGeoJSONObject()`.
+	 *
+	 * Note that this method may be called directly from the top level, so
+	 * both the descriptor and the section may be missing (null): be attentive
+	 * when setting status reports.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theContainer {Object}: The value container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object|null}: Data or array term section, or null.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateGeoJSON(
+		theContainer,
+		theKey,
+		theSection,
+		theReportIndex)
+	{
+		///
+		// Init local storage.
+		///
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Check if object.
+		///
+		if(Validator.IsObject(value)) {
+			return this.doValidateGeoJSONObject(
+				value, theKey, theSection, theReportIndex, false
+			)                                                           // ==>
+		}
+
+		return this.setStatusReport(
+			'kNOT_AN_OBJECT',
+			theKey, value, theReportIndex,
+			{ "section": theSection }
+		)                                                               // ==>
+
+	} // doValidateGeoJSON()
+
+	/**
+	 * doValidateGeoJSONObject
+	 *
+	 * This method will validate the provided GeoJSON object according to
+	 * RFC 7946.
+	 *
+	 * The object can be any of the geometry types, a `GeometryCollection`, a
+	 * `Feature` or a `FeatureCollection`; if the `doGeometry` flag is set, only
+	 * geometries and geometry collections are allowed.
+	 *
+	 * The method will check:
+	 *
+	 * - The `coordinates` nesting depth matching the geometry type.
+	 * - That positions have two or three numbers, with longitude and latitude
+	 *   in range.
+	 * - That line strings have at least two positions.
+	 * - That linear rings have at least four positions and are closed.
+	 * - The linear rings winding order: exterior rings should be
+	 *   counterclockwise and holes clockwise. Since RFC 7946 asks parsers not
+	 *   to reject such polygons, this is not an error: if resolving values the
+	 *   ring will be reversed and the change logged, if not, a warning will be
+	 *   logged.
+	 * - The members of features and collections.
+	 * - That bounding boxes are well formed and contain all positions.
+	 *
+	 * Status reports are set at the location of the offending element, the
+	 * descriptor is always the GeoJSON value descriptor.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 * @param theKey {String|Number|null}: The GeoJSON value key.
+	 * @param theSection {Object|null}: Data or array term section, or null.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param doGeometry {Boolean}: Only allow geometries.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateGeoJSONObject(
+		theValue,
+		theKey,
+		theSection,
+		theReportIndex,
+		doGeometry)
+	{
+		///
+		// Init local storage.
+		///
+		const geojson = K.geojson
+		const fail = (theStatus, theOffending) =>
+			this.setStatusReport(
+				theStatus, theKey, theOffending, theReportIndex,
+				{ "section": theSection }
+			)
+
+		///
+		// Assert object.
+		///
+		if(!Validator.IsObject(theValue)) {
+			return fail('kNOT_AN_OBJECT', theValue)                     // ==>
+		}
+
+		///
+		// Assert object has type property.
+		///
+		if(!theValue.hasOwnProperty('type')) {
+			return fail('kGEOJSON_MISSING_TYPE', theValue)              // ==>
+		}
+
+		///
+		// Parse type.
+		///
+		let status = true
+		const type = theValue.type
+		switch(type)
+		{
+			///
+			// Feature.
+			///
+			case geojson.feature:
+				if(doGeometry) {
+					return fail('kGEOJSON_INVALID_TYPE', theValue)      // ==>
+				}
+				if(!theValue.hasOwnProperty('geometry')) {
+					return fail('kGEOJSON_MISSING_GEOMETRY', theValue)  // ==>
+				}
+				if(!theValue.hasOwnProperty('properties') ||
+				   !(theValue.properties === null || Validator.IsObject(theValue.properties))) {
+					return this.atLocation('properties', () =>
+						fail('kGEOJSON_INVALID_PROPERTIES', theValue.properties)
+					)                                                   // ==>
+				}
+				if(theValue.geometry !== null) {
+					status = this.atLocation('geometry', () =>
+						this.doValidateGeoJSONObject(
+							theValue.geometry, theKey, theSection, theReportIndex, true
+						)
+					)
+				}
+				break
+
+			///
+			// Feature collection.
+			///
+			case geojson.features:
+				if(doGeometry) {
+					return fail('kGEOJSON_INVALID_TYPE', theValue)      // ==>
+				}
+				if(!Validator.IsArray(theValue.features)) {
+					return fail('kGEOJSON_INVALID_FEATURES', theValue)  // ==>
+				}
+				status = this.atLocation('features', () =>
+					theValue.features.every( (item, index) =>
+						this.atLocation(index, () =>
+							(Validator.IsObject(item) && item.type === geojson.feature)
+								? this.doValidateGeoJSONObject(
+									item, theKey, theSection, theReportIndex, false
+								)
+								: fail('kGEOJSON_INVALID_FEATURES', item)
+						)
+					)
+				)
+				break
+
+			///
+			// Geometry collection.
+			///
+			case geojson.collection:
+				if(!Validator.IsArray(theValue.geometries)) {
+					return fail('kGEOJSON_INVALID_GEOMETRIES', theValue) // ==>
+				}
+				status = this.atLocation('geometries', () =>
+					theValue.geometries.every( (item, index) =>
+						this.atLocation(index, () =>
+							(Validator.IsObject(item) &&
+							 [geojson.feature, geojson.features].includes(item.type))
+								? fail('kGEOJSON_INVALID_GEOMETRIES', item)
+								: this.doValidateGeoJSONObject(
+									item, theKey, theSection, theReportIndex, true
+								)
+						)
+					)
+				)
+				break
+
+			///
+			// Geometries.
+			///
+			default:
+				if(!geojson.geometries.hasOwnProperty(type)) {
+					return fail('kGEOJSON_INVALID_TYPE', theValue)      // ==>
+				}
+				if(!theValue.hasOwnProperty('coordinates')) {
+					return fail('kGEOJSON_MISSING_COORDINATES', theValue) // ==>
+				}
+				if(!Validator.IsArray(theValue.coordinates)) {
+					return fail('kGEOJSON_INVALID_COORDINATES', theValue) // ==>
+				}
+				status = this.atLocation('coordinates', () =>
+					this.doValidateGeoJSONGeometry(
+						theValue, theKey, theSection, theReportIndex
+					)
+				)
+				break
+		}
+
+		///
+		// Check bounding box.
+		///
+		if(status && theValue.hasOwnProperty('bbox')) {
+			status = this.atLocation('bbox', () =>
+				this.doValidateGeoJSONBBox(
+					theValue, theKey, theSection, theReportIndex
+				)
+			)
+		}
+
+		return status                                                   // ==>
+
+	} // doValidateGeoJSONObject()
+
+	/**
+	 * doValidateGeoJSONGeometry
+	 *
+	 * This method will validate the coordinates of the provided GeoJSON
+	 * geometry: the caller is expected to have asserted that the geometry type
+	 * is valid and that the coordinates are an array, and to have set the
+	 * current location to the coordinates.
+	 *
+	 * Empty coordinates are allowed, except for points.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theValue {Object}: The GeoJSON geometry.
+	 * @param theKey {String|Number|null}: The GeoJSON value key.
+	 * @param theSection {Object|null}: Data or array term section, or null.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateGeoJSONGeometry(
+		theValue,
+		theKey,
+		theSection,
+		theReportIndex)
+	{
+		///
+		// Init local storage.
+		///
+		const coordinates = theValue.coordinates
+		const fail = (theStatus, theOffending) =>
+			this.setStatusReport(
+				theStatus, theKey, theOffending, theReportIndex,
+				{ "section": theSection }
+			)
+
+		///
+		// Check nesting depth and positions.
+		///
+		const check = (theCoordinates, theDepth) => {
+			if(theDepth === 0) {
+				if(!Validator.IsArray(theCoordinates) ||
+				   theCoordinates.some( (item) => Validator.IsArray(item) )) {
+					return fail('kGEOJSON_INVALID_DEPTH', theCoordinates)   // ==>
+				}
+				if(theCoordinates.length < 2 || theCoordinates.length > 3 ||
+				   theCoordinates.some( (item) => !Number.isFinite(item) )) {
+					return fail('kGEOJSON_INVALID_POSITION', theCoordinates) // ==>
+				}
+				if(theCoordinates[0] < -180 || theCoordinates[0] > 180) {
+					return fail('kGEOJSON_LONGITUDE_RANGE', theCoordinates) // ==>
+				}
+				if(theCoordinates[1] < -90 || theCoordinates[1] > 90) {
+					return fail('kGEOJSON_LATITUDE_RANGE', theCoordinates)  // ==>
+				}
+				return true                                                 // ==>
+			}
+			if(!Validator.IsArray(theCoordinates)) {
+				return fail('kGEOJSON_INVALID_DEPTH', theCoordinates)       // ==>
+			}
+			return theCoordinates.every( (item, index) =>
+				this.atLocation(index, () => check(item, theDepth - 1))
+			)                                                               // ==>
+		}
+
+		///
+		// Check line string.
+		///
+		const line = (theLine) =>
+			(theLine.length === 1)
+				? fail('kGEOJSON_LINE_POSITIONS', theLine)
+				: true
+
+		///
+		// Check polygon.
+		///
+		const polygon = (thePolygon) =>
+			thePolygon.every( (ring, index) =>
+				this.atLocation(index, () =>
+					this.doValidateGeoJSONRing(
+						ring, (index === 0), theKey, theSection, theReportIndex
+					)
+				)
+			)
+
+		///
+		// Validate coordinates.
+		///
+		const depth = K.geojson.geometries[theValue.type]
+		if(!check(coordinates, depth)) {
+			return false                                                // ==>
+		}
+
+		///
+		// Validate geometry.
+		///
+		switch(theValue.type)
+		{
+			case 'LineString':
+				return line(coordinates)                                // ==>
+
+			case 'MultiLineString':
+				return coordinates.every( (item, index) =>
+					this.atLocation(index, () => line(item))
+				)                                                       // ==>
+
+			case 'Polygon':
+				return polygon(coordinates)                             // ==>
+
+			case 'MultiPolygon':
+				return coordinates.every( (item, index) =>
+					this.atLocation(index, () => polygon(item))
+				)                                                       // ==>
+		}
+
+		return true                                                     // ==>
+
+	} // doValidateGeoJSONGeometry()
+
+	/**
+	 * doValidateGeoJSONRing
+	 *
+	 * This method will validate the provided GeoJSON linear ring, the caller is
+	 * expected to have validated its positions and to have set the current
+	 * location to the ring.
+	 *
+	 * The ring must have at least four positions and the last position must be
+	 * equal to the first. Exterior rings should be counterclockwise and holes
+	 * clockwise: if that is not the case and values are resolved, the ring will
+	 * be reversed and the change logged, if not, a warning will be logged.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theRing {Array}: The linear ring positions.
+	 * @param isExterior {Boolean}: `true` for the exterior ring.
+	 * @param theKey {String|Number|null}: The GeoJSON value key.
+	 * @param theSection {Object|null}: Data or array term section, or null.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateGeoJSONRing(
+		theRing,
+		isExterior,
+		theKey,
+		theSection,
+		theReportIndex)
+	{
+		///
+		// Assert number of positions.
+		///
+		if(theRing.length < 4) {
+			return this.setStatusReport(
+				'kGEOJSON_RING_POSITIONS',
+				theKey, theRing, theReportIndex,
+				{ "section": theSection }
+			)                                                           // ==>
+		}
+
+		///
+		// Assert ring is closed.
+		///
+		const first = theRing[0]
+		const last = theRing[theRing.length - 1]
+		if(first.length !== last.length ||
+		   first.some( (item, index) => item !== last[index] )) {
+			return this.setStatusReport(
+				'kGEOJSON_RING_NOT_CLOSED',
+				theKey, theRing, theReportIndex,
+				{ "section": theSection }
+			)                                                           // ==>
+		}
+
+		///
+		// Check winding order.
+		// Positive signed area means counterclockwise.
+		///
+		let area = 0
+		for(let i = 0; i < theRing.length - 1; i++) {
+			area += (theRing[i][0] * theRing[i + 1][1]) - (theRing[i + 1][0] * theRing[i][1])
+		}
+		if(area !== 0 && (area > 0) !== isExterior)
+		{
+			if(this.resolve) {
+				const original = Validator.DeepClone(theRing)
+				theRing.reverse()
+				this.logResolvedValues(
+					theKey, original, theRing, theReportIndex
+				)
+			} else {
+				this.logWarning(
+					'kGEOJSON_RING_WINDING',
+					theKey, theRing, theReportIndex,
+					{ "exterior": isExterior }
+				)
+			}
+		}
+
+		return true                                                     // ==>
+
+	} // doValidateGeoJSONRing()
+
+	/**
+	 * doValidateGeoJSONBBox
+	 *
+	 * This method will validate the bounding box of the provided GeoJSON
+	 * object, the caller is expected to have validated the object and to have
+	 * set the current location to the bounding box.
+	 *
+	 * The bounding box must have two or three minimum values followed by the
+	 * same number of maximum values, longitudes and latitudes must be in range
+	 * and the minimum latitude and elevation must not exceed the maximum. The
+	 * minimum longitude may exceed the maximum if the box crosses the
+	 * antimeridian. All positions of the object must be in the box.
+	 *
+	 * The method will return `true` if there were no errors, or `false`.
+	 *
+	 * @param theValue {Object}: The GeoJSON object.
+	 * @param theKey {String|Number|null}: The GeoJSON value key.
+	 * @param theSection {Object|null}: Data or array term section, or null.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 *
+	 * @return {Boolean}: `true` if valid, `false` if not.
+	 */
+	doValidateGeoJSONBBox(
+		theValue,
+		theKey,
+		theSection,
+		theReportIndex)
+	{
+		///
+		// Init local storage.
+		///
+		const bbox = theValue.bbox
+
+		///
+		// Assert bounding box structure.
+		///
+		if(!Validator.IsArray(bbox) ||
+		   ![4, 6].includes(bbox.length) ||
+		   bbox.some( (item) => !Number.isFinite(item) ))
+		{
+			return this.setStatusReport(
+				'kGEOJSON_INVALID_BBOX',
+				theKey, bbox, theReportIndex,
+				{ "section": theSection }
+			)                                                           // ==>
+		}
+
+		///
+		// Assert bounding box ranges.
+		///
+		const dimensions = bbox.length / 2
+		const [west, south] = bbox
+		const [east, north] = bbox.slice(dimensions)
+		if(west < -180 || west > 180 || east < -180 || east > 180 ||
+		   south < -90 || north > 90 || south > north ||
+		   (dimensions === 3 && bbox[2] > bbox[5]))
+		{
+			return this.setStatusReport(
+				'kGEOJSON_INVALID_BBOX',
+				theKey, bbox, theReportIndex,
+				{ "section": theSection }
+			)                                                           // ==>
+		}
+
+		///
+		// Collect positions.
+		///
+		const positions = []
+		const collect = (theObject) => {
+			if(Validator.IsArray(theObject)) {
+				if(theObject.length > 0 && !Validator.IsArray(theObject[0])) {
+					positions.push(theObject)
+				} else {
+					theObject.forEach(collect)
+				}
+			} else if(Validator.IsObject(theObject)) {
+				['coordinates', 'geometry', 'geometries', 'features'].forEach( (member) => {
+					if(theObject.hasOwnProperty(member)) {
+						collect(theObject[member])
+					}
+				})
+			}
+		}
+		collect(theValue)
+
+		///
+		// Assert positions are in bounding box.
+		///
+		const outside = positions.find( (position) =>
+			position[1] < south || position[1] > north ||
+			((west <= east)
+				? (position[0] < west || position[0] > east)
+				: (position[0] < west && position[0] > east)) ||
+			(dimensions === 3 && position.length === 3 &&
+				(position[2] < bbox[2] || position[2] > bbox[5]))
+		)
+		if(outside !== undefined) {
+			return this.setStatusReport(
+				'kGEOJSON_OUTSIDE_BBOX',
+				theKey, outside, theReportIndex,
+				{ "section": theSection, "bbox": bbox }
+			)                                                           // ==>
+		}
+
+		return true                                                     // ==>
+
+	} // doValidateGeoJSONBBox()
 
 
 	/**
@@ -2948,56 +3830,205 @@ class Validator
 		///
 		// Check the resolve flag.
 		///
-		if(!this.resolve) {
-			return this.setStatusReport(
-				'kVALUE_NOT_TERM', theKey, value, theReportIndex
-			)                                                           // ==>
+		if(!this.resolve) {
+			return this.setStatusReport(
+				'kVALUE_NOT_TERM', theKey, value, theReportIndex
+			)                                                           // ==>
+		}
+
+		///
+		// Iterate data kinds.
+		///
+		let resolved = null
+		theSection[module.context.configuration.dataKind].some( (type) => {
+			const terms = this.cache.queryEnumIdentifierByCode(
+				this.resolver, value, type
+			)
+
+			if(terms.length === 1) {
+				resolved = terms[0]
+				return true
+			}
+		})
+
+		///
+		// Found a match.
+		///
+		if(resolved !== null)
+		{
+			///
+			// Replace value.
+			///
+			if(theKey !== null) {
+				theContainer[theKey] = resolved
+			} else {
+				theContainer = resolved
+			}
+
+			///
+			// Log changes.
+			///
+			this.logResolvedValues(
+				theKey, value, resolved, theReportIndex
+			)
+
+			return true                                                 // ==>
+		}
+
+		return this.setStatusReport(
+			'kVALUE_NOT_TERM', theKey, value, theReportIndex
+		)                                                               // ==>
+
+	} // doResolveEnum()
+
+	/**
+	 * doValidateTermLifecycle
+	 *
+	 * This method will check the lifecycle status of the provided term, that
+	 * is either referenced by the current value, or that represents the
+	 * descriptor of the current property.
+	 *
+	 * Terms can be in the following lifecycle states:
+	 *
+	 * - `draft`: The term is being defined.
+	 * - `active`: The term is in use, this is the default.
+	 * - `deprecated`: The term should no longer be used, but it is still
+	 *                 valid: the term may feature a replacement.
+	 * - `obsolete`: The term is no longer valid: the term may feature a
+	 *               replacement.
+	 *
+	 * If the term is deprecated or obsolete and the `resolve` flag is set,
+	 * the method will follow the chain of replacements until it finds a term
+	 * that is neither deprecated nor obsolete: the value, or the property name
+	 * if `doProperty` is set, will be replaced with the replacement global
+	 * identifier and the change will be logged. Note that a property will not
+	 * be replaced if the container already has the replacement property.
+	 *
+	 * If the resulting term is deprecated, the method will log a warning for
+	 * the validated property, with the deprecated term global identifier in
+	 * the `term` field; if the resulting term is obsolete, the method will set
+	 * an error.
+	 *
+	 * The method will return the resulting term record, or `false` if the
+	 * term is obsolete.
+	 *
+	 * @param theContainer {Object}: The value container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theTerm {Object}: The term record.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param doProperty {Boolean}: `true` if the term is the property
+	 *                              descriptor, defaults to `false`.
+	 *
+	 * @return {Object|Boolean}: The resulting term, or `false` if obsolete.
+	 */
+	doValidateTermLifecycle(
+		theContainer,
+		theKey,
+		theTerm,
+		theReportIndex,
+		doProperty = false)
+	{
+		///
+		// Init local storage.
+		///
+		const value = (doProperty)
+			? theKey
+			: (theKey !== null) ? theContainer[theKey]
+								: theContainer
+		const status = module.context.configuration.termStatus
+		const replacedBy = module.context.configuration.termReplacedBy
+		const retired = [K.lifecycle.deprecated, K.lifecycle.obsolete]
+
+		///
+		// Handle current terms.
+		///
+		if(!retired.includes(theTerm[status])) {
+			return theTerm                                              // ==>
 		}
 
 		///
-		// Iterate data kinds.
+		// Follow replacements.
 		///
-		let resolved = null
-		theSection[module.context.configuration.dataKind].some( (type) => {
-			const terms = this.cache.queryEnumIdentifierByCode(
-				this.resolver, value, type
-			)
+		let term = theTerm
+		if(this.resolve)
+		{
+			const visited = [term._key]
+			while(retired.includes(term[status]) &&
+				  term.hasOwnProperty(replacedBy) &&
+				  !visited.includes(term[replacedBy]))
+			{
+				const replacement = this.cache.getTerm(
+					term[replacedBy], this.useCache, this.cacheMissing
+				)
+				if(replacement === false) {
+					break
+				}
 
-			if(terms.length === 1) {
-				resolved = terms[0]
-				return true
+				visited.push(replacement._key)
+				term = replacement
 			}
-		})
 
-		///
-		// Found a match.
-		///
-		if(resolved !== null)
-		{
 			///
 			// Replace value.
 			///
-			if(theKey !== null) {
-				theContainer[theKey] = resolved
-			} else {
-				theContainer = resolved
+			if(term._key !== theTerm._key)
+			{
+				if(doProperty) {
+					if(theContainer.hasOwnProperty(term._key)) {
+						term = theTerm
+					} else {
+						theContainer[term._key] = theContainer[theKey]
+						delete theContainer[theKey]
+					}
+				} else if(theKey !== null) {
+					theContainer[theKey] = term._key
+				} else {
+					// Value cannot be replaced without its key.
+					term = theTerm
+				}
+
+				///
+				// Log changes.
+				///
+				if(term._key !== theTerm._key) {
+					this.logResolvedValues(
+						(doProperty) ? value : theKey,
+						value, term._key, theReportIndex
+					)
+				}
 			}
 
-			///
-			// Log changes.
-			///
-			this.logResolvedValues(
-				theKey, value, resolved, theReportIndex
-			)
+		} // Resolve replacements.
 
-			return true                                                 // ==>
+		///
+		// Handle obsolete term.
+		///
+		if(term[status] === K.lifecycle.obsolete) {
+			return this.setStatusReport(
+				'kOBSOLETE_TERM', theKey, term._key, theReportIndex,
+				(term.hasOwnProperty(replacedBy)) ? { [replacedBy]: term[replacedBy] } : {}
+			)                                                           // ==>
 		}
 
-		return this.setStatusReport(
-			'kVALUE_NOT_TERM', theKey, value, theReportIndex
-		)                                                               // ==>
+		///
+		// Handle deprecated term.
+		///
+		if(term[status] === K.lifecycle.deprecated) {
+			this.logWarning(
+				'kDEPRECATED_TERM',
+				(doProperty) ? term._key : theKey,
+				(doProperty) ? theContainer[term._key] : term._key,
+				theReportIndex,
+				{
+					"term": term._key,
+					...((term.hasOwnProperty(replacedBy)) ? { [replacedBy]: term[replacedBy] } : {})
+				}
+			)
+		}
 
-	} // doResolveEnum()
+		return term                                                     // ==>
+
+	} // doValidateTermLifecycle()
 
 	/**
 	 * doValidateObjectStructure
@@ -3019,10 +4050,14 @@ class Validator
 	 *
 	 * The method will return `true` if valid, or `false` if not.
 	 *
+	 * If the provided match object is not null, the data kind term satisfied
+	 * by the object will be set in its `kind` property.
+	 *
 	 * @param theContainer {Object}: The object container.
 	 * @param theKey {String|Number|null}: The key to the value in the container.
 	 * @param theSection {Object}: Data or array term section.
 	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theMatch {Object|null}: Receives matched data kind, defaults to null.
 	 *
 	 * @return {Boolean}: `true` if valid, `false` if not.
 	 */
@@ -3030,7 +4065,8 @@ class Validator
 		theContainer,
 		theKey,
 		theSection,
-		theReportIndex)
+		theReportIndex,
+		theMatch = null)
 	{
 		///
 		// Check if the descriptor has a data kind.
@@ -3087,6 +4123,9 @@ class Validator
 					if(this.doValidateObjectRule(
 						theContainer, theKey, theSection, theReportIndex, term )
 					){
+						if(theMatch !== null) {
+							theMatch.kind = term
+						}
 						status = true
 						return true
 					}
@@ -3117,6 +4156,10 @@ class Validator
 	 * The method expects the rule section to be there and to be an object, it
 	 * will check if the rules section is empty.
 	 *
+	 * If resolving values, missing properties featuring a default value will
+	 * be set in the object only after the required and banned rules are
+	 * satisfied by the provided object, and logged in the report changes.
+	 *
 	 * Note that any error triggered from this method will not set a status
 	 * report: this should be done by the caller.
 	 *
@@ -3170,6 +4213,27 @@ class Validator
 				}
 			}
 
+			///
+			// Set default values.
+			// Only once the provided object satisfies the rules,
+			// the object properties validation will check them.
+			///
+			if(this.resolve &&
+			   rules.hasOwnProperty(module.context.configuration.sectionRuleDefault))
+			{
+				const value = (theKey !== null)
+					? theContainer[theKey]
+					: theContainer
+				const defaults = this.getObjectRuleDefaults(theContainer, theKey, rules)
+				Object.entries(defaults).forEach( ([property, item]) =>
+				{
+					value[property] = Validator.DeepClone(item)
+					this.atLocation(property, () => this.logResolvedValues(
+						property, null, item, theReportIndex
+					))
+				})
+			}
+
 		} // Rules section not empty.
 
 		return true                                                     // ==>
@@ -3218,11 +4282,36 @@ class Validator
 			: theContainer
 
 		///
-		// Handle required.
+		// Check selection.
+		///
+		return (
+			this.checkObjectRuleSelection(required, Object.keys(value)) === null
+		)                                                               // ==>
+
+	} // doValidateObjectRuleRequired()
+
+	/**
+	 * checkObjectRuleSelection
+	 *
+	 * This method will check the provided list of object properties against
+	 * the provided rule selection, that is the required or recommended
+	 * properties clause of a rules section.
+	 *
+	 * The method will return `null` if the properties satisfy all selection
+	 * clauses, or the name of the first clause that is not satisfied.
+	 *
+	 * @param theSelection {Object}: Required or recommended selection.
+	 * @param theProperties {Array<String>}: The object property names.
+	 *
+	 * @return {String|null}: Unsatisfied selection clause, or `null`.
+	 */
+	checkObjectRuleSelection(theSelection, theProperties)
+	{
+		///
+		// Check selection.
 		///
 		let selector = null
-		const properties = Object.keys(value)
-		if(Object.keys(required).length > 0)
+		if(Object.keys(theSelection).length > 0)
 		{
 			///
 			// Require one in set.
@@ -3232,14 +4321,14 @@ class Validator
 			//       is corrupted.
 			///
 			selector = module.context.configuration.selectionDescriptorsOne
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
+			if(theSelection.hasOwnProperty(selector)) {
+				if(!Validator.IsArray(theSelection[selector])) {
 					throw new Error(
 						`Rule section (${selector}) should be an array.`
 					)                                                   // ==>
 				}
-				if(required[selector].filter(item => properties.includes(item)).length !== 1) {
-					return false                                        // ==>
+				if(theSelection[selector].filter(item => theProperties.includes(item)).length !== 1) {
+					return selector                                     // ==>
 				}
 			}
 
@@ -3251,15 +4340,15 @@ class Validator
 			//       is corrupted.
 			///
 			selector = module.context.configuration.selectionDescriptorsOneNone
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
+			if(theSelection.hasOwnProperty(selector)) {
+				if(!Validator.IsArray(theSelection[selector])) {
 					throw new Error(
 						`Rule section (${selector}) should be an array.`
 					)                                                   // ==>
 				}
-				const intersection = required[selector].filter(item => properties.includes(item))
+				const intersection = theSelection[selector].filter(item => theProperties.includes(item))
 				if(!(intersection.length === 0 || intersection.length === 1)) {
-					return false                                        // ==>
+					return selector                                     // ==>
 				}
 			}
 
@@ -3271,15 +4360,15 @@ class Validator
 			//       is corrupted.
 			///
 			selector = module.context.configuration.selectionDescriptorsAny
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
+			if(theSelection.hasOwnProperty(selector)) {
+				if(!Validator.IsArray(theSelection[selector])) {
 					throw new Error(
 						`Rule section (${selector}) should be an array.`
 					)                                                   // ==>
 				}
-				const intersection = required[selector].filter(item => properties.includes(item))
+				const intersection = theSelection[selector].filter(item => theProperties.includes(item))
 				if(intersection.length === 0) {
-					return false                                        // ==>
+					return selector                                     // ==>
 				}
 			}
 
@@ -3291,21 +4380,21 @@ class Validator
 			//       is corrupted.
 			///
 			selector = module.context.configuration.selectionDescriptorsOneNoneSet
-			if(required.hasOwnProperty(selector)) {
+			if(theSelection.hasOwnProperty(selector)) {
 				let status = true
-				if(!Validator.IsArray(required[selector])) {
+				if(!Validator.IsArray(theSelection[selector])) {
 					throw new Error(
 						`Rule section (${selector}) should be an array.`
 					)                                                   // ==>
 				}
 
-				required[selector].some( (choice) => {
+				theSelection[selector].some( (choice) => {
 					if(!Validator.IsArray(choice)) {
 						throw new Error(
 							`Rule section (${selector}) should be an array of arrays.`
 						)                                               // ==>
 					}
-					const intersection = choice.filter(item => properties.includes(item))
+					const intersection = choice.filter(item => theProperties.includes(item))
 					if(intersection.length > 1) {
 						status = false
 						return true
@@ -3313,7 +4402,7 @@ class Validator
 				})
 
 				if(!status) {
-					return false                                        // ==>
+					return selector                                     // ==>
 				}
 			}
 
@@ -3325,23 +4414,85 @@ class Validator
 			//       is corrupted.
 			///
 			selector = module.context.configuration.selectionDescriptorsAll
-			if(required.hasOwnProperty(selector)) {
-				if(!Validator.IsArray(required[selector])) {
+			if(theSelection.hasOwnProperty(selector)) {
+				if(!Validator.IsArray(theSelection[selector])) {
 					throw new Error(
 						`Rule section (${selector}) should be an array.`
 					)                                                   // ==>
 				}
-				const intersection = required[selector].filter(item => properties.includes(item))
-				if(intersection.length !== required[selector].length) {
-					return false                                        // ==>
+				const intersection = theSelection[selector].filter(item => theProperties.includes(item))
+				if(intersection.length !== theSelection[selector].length) {
+					return selector                                     // ==>
 				}
 			}
 
-		} // Has required.
+		} // Has selection.
 
-		return true                                                     // ==>
+		return null                                                     // ==>
 
-	} // doValidateObjectRuleRequired()
+	} // checkObjectRuleSelection()
+
+	/**
+	 * doValidateObjectRuleRecommended
+	 *
+	 * This method will check the provided object against the recommended
+	 * properties in the rules section of the provided data kind.
+	 *
+	 * The recommended properties clause has the same structure as the required
+	 * properties clause, but unmet recommendations will not invalidate the
+	 * object: the method will log a warning in the status report indicating
+	 * the unsatisfied selection clause and its descriptors.
+	 *
+	 * @param theContainer {Object}: The object container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theReportIndex {Number}: Container key for value, defaults to null.
+	 * @param theObjectType {Object}: The current data kind object.
+	 */
+	doValidateObjectRuleRecommended(
+		theContainer,
+		theKey,
+		theReportIndex,
+		theObjectType)
+	{
+		///
+		// Init local storage.
+		///
+		const section = module.context.configuration.sectionRuleRecommended
+		const rules = theObjectType[module.context.configuration.sectionRule]
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Handle recommended properties.
+		///
+		if(Validator.IsObject(rules) && rules.hasOwnProperty(section))
+		{
+			///
+			// Check selection.
+			///
+			const selector = this.checkObjectRuleSelection(
+				rules[section], Object.keys(value)
+			)
+
+			///
+			// Log unmet recommendation.
+			///
+			if(selector !== null) {
+				this.logWarning(
+					'kRECOMMENDED_PROPERTY',
+					(theKey !== null) ? theKey : '',
+					value, theReportIndex,
+					{
+						"kind": theObjectType._key,
+						"selection": selector,
+						"recommended": rules[section][selector]
+					}
+				)
+			}
+		}
+
+	} // doValidateObjectRuleRecommended()
 
 	/**
 	 * doValidateObjectRuleBanned
@@ -3405,9 +4556,267 @@ class Validator
 			return false                                                // ==>
 		}
 
-		return true                                                     // ==>
+		return true                                                     // ==>
+
+	} // doValidateObjectRuleBanned()
+
+	/**
+	 * getObjectRuleDefaults
+	 *
+	 * This method will return the default values, from the rules section of
+	 * the current data kind, of the properties missing from the provided
+	 * object. Banned properties and `null` defaults are skipped, since they
+	 * would set a banned or an empty value.
+	 *
+	 * The method expects the rule section to be there and to be an object, and
+	 * to contain the default values section: this is a dictionary having the
+	 * descriptor global identifier as the key and the default as the value.
+	 *
+	 * The method will not change the object, it is the responsibility of the
+	 * caller to set the returned values once the object structure is valid.
+	 *
+	 * @param theContainer {Object}: The object container.
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theObjectRules {Object}: The current data kind rules section.
+	 *
+	 * @return {Object}: The missing properties default values.
+	 */
+	getObjectRuleDefaults(
+		theContainer,
+		theKey,
+		theObjectRules)
+	{
+		///
+		// Init local storage.
+		///
+		const section = module.context.configuration.sectionRuleDefault
+		const defaults = theObjectRules[section]
+		const banned = theObjectRules[module.context.configuration.sectionRuleBanned] || []
+		const value = (theKey !== null)
+			? theContainer[theKey]
+			: theContainer
+
+		///
+		// Assert defaults is an object.
+		// TODO: we throw an exception on a data kind error: we need to
+		//       rationalise data kind errors by returning a meaningful error.
+		//       If this exception is thrown, it means the data dictionary
+		//       is corrupted.
+		///
+		if(!Validator.IsObject(defaults)) {
+			throw new Error(
+				`Rule section (${section}) should be an object.`
+			)                                                           // ==>
+		}
+
+		///
+		// Select missing properties.
+		///
+		const missing = {}
+		Object.entries(defaults).forEach( ([property, item]) => {
+			if(item !== null &&
+			   !value.hasOwnProperty(property) &&
+			   !banned.includes(property)) {
+				missing[property] = item
+			}
+		})
+
+		return missing                                                  // ==>
+
+	} // getObjectRuleDefaults()
+
+	/**
+	 * getObjectRuleComputed
+	 *
+	 * This method will return the computed properties section of the provided
+	 * data kind rules, or an empty object if there are no computed properties.
+	 *
+	 * The computed properties section is a dictionary having the descriptor
+	 * global identifier as the key and the expression that computes its value
+	 * as the value.
+	 *
+	 * @param theObjectType {Object}: The current data kind object.
+	 *
+	 * @return {Object}: The computed properties expressions.
+	 */
+	getObjectRuleComputed(theObjectType)
+	{
+		///
+		// Init local storage.
+		///
+		const section = module.context.configuration.sectionRuleComputed
+		const rules = theObjectType[module.context.configuration.sectionRule]
+
+		///
+		// Handle missing section.
+		///
+		if(!Validator.IsObject(rules) || !rules.hasOwnProperty(section)) {
+			return {}                                                   // ==>
+		}
+
+		///
+		// Assert computed is an object.
+		// TODO: we throw an exception on a data kind error: we need to
+		//       rationalise data kind errors by returning a meaningful error.
+		//       If this exception is thrown, it means the data dictionary
+		//       is corrupted.
+		///
+		if(!Validator.IsObject(rules[section])) {
+			throw new Error(
+				`Rule section (${section}) should be an object.`
+			)                                                           // ==>
+		}
+
+		return rules[section]                                           // ==>
+
+	} // getObjectRuleComputed()
+
+	/**
+	 * computeExpression
+	 *
+	 * This method will evaluate the provided computed property expression
+	 * against the provided object.
+	 *
+	 * An expression can be:
+	 *
+	 * - A string: the value of the object property with that descriptor.
+	 * - A number: the number itself.
+	 * - `{_value: literal}`: the literal value.
+	 * - `{_concat: [operands], _separator: string}`: the operands joined as
+	 *   strings, using the optional separator.
+	 * - `{_add|_sub|_mul|_div: [operands]}`: the result of the arithmetic
+	 *   operation applied from left to right to the numeric operands.
+	 * - `{_lookup: operand, _enum: type, _field: code}`: the global identifier
+	 *   of the element of the `_enum` enumeration whose `_field` code, which
+	 *   defaults to the resolver code, matches the operand.
+	 *
+	 * Operands are expressions themselves.
+	 *
+	 * The method will return `undefined` if any of the referenced properties
+	 * is missing, `null` if the value cannot be computed, such as with non
+	 * numeric arithmetic operands, a division by zero, an unmatched lookup or
+	 * a malformed expression, like an unknown operator, or the computed value.
+	 *
+	 * @param theObject {Object}: The object value.
+	 * @param theExpression {String|Number|Object}: The expression.
+	 *
+	 * @return {*}: The computed value, `undefined` or `null`.
+	 */
+	computeExpression(theObject, theExpression)
+	{
+		///
+		// Init local storage.
+		///
+		const op = K.computed
+		const arithmetic = {
+			[op.add]: (a, b) => a + b,
+			[op.sub]: (a, b) => a - b,
+			[op.mul]: (a, b) => a * b,
+			[op.div]: (a, b) => (b === 0) ? NaN : a / b
+		}
+		const operands = (theList) => {
+			if(!Validator.IsArray(theList)) {
+				return null                                             // ==>
+			}
+			const values = theList.map( (item) => this.computeExpression(theObject, item) )
+			if(values.includes(undefined)) {
+				return undefined                                        // ==>
+			}
+			if(values.includes(null)) {
+				return null                                             // ==>
+			}
+			return values                                               // ==>
+		}
+
+		///
+		// Handle property reference and number.
+		///
+		if(typeof theExpression === 'string') {
+			return theObject[theExpression]                             // ==>
+		}
+		if(typeof theExpression === 'number') {
+			return theExpression                                        // ==>
+		}
+
+		///
+		// Assert expression is an object.
+		///
+		if(!Validator.IsObject(theExpression)) {
+			return null                                                 // ==>
+		}
+
+		///
+		// Handle literal.
+		///
+		if(theExpression.hasOwnProperty(op.value)) {
+			return theExpression[op.value]                              // ==>
+		}
+
+		///
+		// Handle concatenation.
+		///
+		if(theExpression.hasOwnProperty(op.concat)) {
+			const values = operands(theExpression[op.concat])
+			if(!Validator.IsArray(values)) {
+				return values                                           // ==>
+			}
+			if(values.some( (item) => typeof item === 'object' )) {
+				return null                                             // ==>
+			}
+			const separator = (theExpression.hasOwnProperty(op.separator))
+				? theExpression[op.separator]
+				: ''
+			return values.join(separator)                               // ==>
+		}
+
+		///
+		// Handle arithmetic.
+		///
+		const operator = Object.keys(arithmetic)
+			.find( (item) => theExpression.hasOwnProperty(item) )
+		if(operator !== undefined) {
+			const values = operands(theExpression[operator])
+			if(!Validator.IsArray(values)) {
+				return values                                           // ==>
+			}
+			if(values.length === 0 ||
+			   values.some( (item) => typeof item !== 'number' )) {
+				return null                                             // ==>
+			}
+			const result = values.reduce(arithmetic[operator])
+			return (Number.isFinite(result)) ? result : null            // ==>
+		}
+
+		///
+		// Handle enumeration lookup.
+		///
+		if(theExpression.hasOwnProperty(op.lookup)) {
+			if(typeof theExpression[op.enum] !== 'string') {
+				return null                                             // ==>
+			}
+			const code = this.computeExpression(theObject, theExpression[op.lookup])
+			if(code === undefined || code === null) {
+				return code                                             // ==>
+			}
+			if(typeof code !== 'string') {
+				return null                                             // ==>
+			}
+			const terms = this.cache.queryEnumIdentifierByCode(
+				(theExpression.hasOwnProperty(op.field))
+					? theExpression[op.field]
+					: this.resolver,
+				code,
+				theExpression[op.enum]
+			)
+			return (terms.length === 1) ? terms[0] : null               // ==>
+		}
+
+		///
+		// Handle unknown operator.
+		///
+		return null                                                     // ==>
 
-	} // doValidateObjectRuleBanned()
+	} // computeExpression()
 
 
 	/**
@@ -3702,6 +5111,83 @@ class Validator
 		return true                                                     // ==>
 
 	} // checkDateRange()
+
+	/**
+	 * getTimeStampFormat
+	 *
+	 * This method will return the timestamp format options of the provided
+	 * section, filling missing options with their defaults:
+	 *
+	 * - `input`: The accepted input formats, defaults to all formats.
+	 * - `unit`: The stored unit, defaults to milliseconds.
+	 * - `timezone`: The default timezone offset, defaults to `null`.
+	 *
+	 * The options are read from the `_format` scalar field, a string of space
+	 * separated tokens: input formats, such as `_date` or `_datetime`, a unit,
+	 * `_s` or `_ms`, and a timezone offset, `Z` or `±hh:mm`; for instance
+	 * `"_datetime _s +01:00"`.
+	 *
+	 * The method will raise an exception if the format is not a string, if a
+	 * token is unknown, or if the unit or timezone are repeated.
+	 *
+	 * @param theKey {String|Number|null}: The key to the value in the container.
+	 * @param theSection {Object}: Data or array term section.
+	 *
+	 * @return {Object}: The format options.
+	 */
+	getTimeStampFormat(theKey, theSection)
+	{
+		///
+		// Init local storage.
+		///
+		const options = K.timestamp
+		const field = module.context.configuration.termScalarFormat
+		const input = []
+		const format = {
+			input: Object.values(options.formats),
+			unit: null,
+			timezone: null
+		}
+
+		///
+		// Parse format tokens.
+		///
+		if(theSection.hasOwnProperty(field))
+		{
+			if(!Validator.IsString(theSection[field])) {
+				throw new Error(
+					`Invalid timestamp format, in ${theKey}.`
+				)                                                       // ==>
+			}
+
+			theSection[field].split(' ').filter( (token) => token.length > 0 ).forEach( (token) => {
+				if(Object.values(options.formats).includes(token)) {
+					input.push(token)
+				} else if(Object.values(options.units).includes(token) && format.unit === null) {
+					format.unit = token
+				} else if(Validator.ParseTimeZone(token) !== null && format.timezone === null) {
+					format.timezone = token
+				} else {
+					throw new Error(
+						`Invalid timestamp format token, ${token}, in ${theKey}.`
+					)                                                   // ==>
+				}
+			})
+		}
+
+		///
+		// Set defaults.
+		///
+		if(input.length > 0) {
+			format.input = input
+		}
+		if(format.unit === null) {
+			format.unit = options.units.milliseconds
+		}
+
+		return format                                                   // ==>
+
+	} // getTimeStampFormat()
 	
 	/**
 	 * checkArrayElements
@@ -4205,6 +5691,13 @@ class Validator
 			report[key] = value
 		})
 
+		///
+		// Set error location.
+		///
+		if(report.status.code !== 0) {
+			report.location = this.getLocation()
+		}
+
 		///
 		// Store report.
 		///
@@ -4218,6 +5711,178 @@ class Validator
 
 	} // setStatusReport()
 
+	/**
+	 * getStatusReport
+	 * This method will return the current status report.
+	 *
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 *
+	 * @return {ValidationReport}: The current status report.
+	 */
+	getStatusReport(theReportIndex = null)
+	{
+		return (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report                                               // ==>
+
+	} // getStatusReport()
+
+	/**
+	 * setIssueReport
+	 * This method will set an error status report, in all errors mode the
+	 * report will be moved to the provided issues list and the previous
+	 * report will be restored.
+	 *
+	 * The method will return `true` if validation can continue, that is, in
+	 * all errors mode, or `false` if validation should stop.
+	 *
+	 * @param theIssues {Array<ValidationReport>}: Collected errors.
+	 * @param theStatus {String}: The status code.
+	 * @param theDescriptor {String}: The descriptor global identifier.
+	 * @param theValue {String|Number|Object|Array}: The value.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 * @param theCustomFields {Object}: Custom fields to add to the report.
+	 *
+	 * @return {Boolean}: `true` to continue, `false` to stop.
+	 */
+	setIssueReport(
+		theIssues,
+		theStatus,
+		theDescriptor,
+		theValue,
+		theReportIndex = null,
+		theCustomFields = {})
+	{
+		///
+		// Set report.
+		///
+		const previous = this.getStatusReport(theReportIndex)
+		this.setStatusReport(
+			theStatus, theDescriptor, theValue, theReportIndex, theCustomFields
+		)
+
+		///
+		// Collect issue.
+		///
+		if(this.allErrors) {
+			this.collectIssues(theIssues, previous, theReportIndex)
+			return true                                                 // ==>
+		}
+
+		return false                                                    // ==>
+
+	} // setIssueReport()
+
+	/**
+	 * setIssuesReport
+	 * This method will set the status report summarising the provided list of
+	 * collected errors, if the list is empty, the current error report will
+	 * be left untouched.
+	 *
+	 * The method will always return `false`.
+	 *
+	 * @param theIssues {Array<ValidationReport>}: Collected errors.
+	 * @param theDescriptor {String|Number|null}: The value key.
+	 * @param theValue {String|Number|Object|Array}: The value.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 *
+	 * @return {Boolean}: `false`.
+	 */
+	setIssuesReport(
+		theIssues,
+		theDescriptor,
+		theValue,
+		theReportIndex = null)
+	{
+		if(theIssues.length > 0) {
+			return this.setStatusReport(
+				'kVALIDATION_ISSUES',
+				(typeof theDescriptor === 'string') ? theDescriptor : '',
+				theValue, theReportIndex,
+				{ "issues": theIssues }
+			)                                                           // ==>
+		}
+
+		return false                                                    // ==>
+
+	} // setIssuesReport()
+
+	/**
+	 * collectIssues
+	 * This method will move the current error report to the provided issues
+	 * list and restore the provided previous report. If the current report
+	 * summarises a list of issues, these will be moved instead.
+	 *
+	 * @param theIssues {Array<ValidationReport>}: Collected errors.
+	 * @param thePrevious {ValidationReport}: Report to restore.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 */
+	collectIssues(theIssues, thePrevious, theReportIndex = null)
+	{
+		///
+		// Collect issues.
+		///
+		const report = this.getStatusReport(theReportIndex)
+		if(report.hasOwnProperty('issues')) {
+			theIssues.push(...report.issues)
+		} else {
+			theIssues.push(report)
+		}
+
+		///
+		// Restore report.
+		///
+		if(theReportIndex !== null) {
+			this.report[theReportIndex] = thePrevious
+		} else {
+			this.report = thePrevious
+		}
+
+	} // collectIssues()
+
+	/**
+	 * atLocation
+	 * This method will call the provided callback after appending the provided
+	 * property name or array index to the current location, the location is
+	 * restored before returning the callback result.
+	 *
+	 * @param theStep {String|Number}: Property name or array index.
+	 * @param theCallback {Function}: The callback.
+	 *
+	 * @return {*}: The callback result.
+	 */
+	atLocation(theStep, theCallback)
+	{
+		this.path.push(theStep)
+		try {
+			return theCallback()                                        // ==>
+		} finally {
+			this.path.pop()
+		}
+
+	} // atLocation()
+
+	/**
+	 * getLocation
+	 * This method will return the current location as an RFC 6901 JSON
+	 * Pointer relative to the validated value, as in `/property/0/property`.
+	 *
+	 * When validating descriptor values, the value is wrapped in an object
+	 * whose property is the descriptor: this level is not part of the
+	 * location.
+	 *
+	 * @return {String}: The current location.
+	 */
+	getLocation()
+	{
+		return Validator.JsonPointer(
+			(this.hasOwnProperty('term'))
+				? this.path.slice(1)
+				: this.path
+		)                                                               // ==>
+
+	} // getLocation()
+
 	/**
 	 * logResolvedValues
 	 * This method can be used to log resolved values to the current status
@@ -4228,12 +5893,12 @@ class Validator
 	 * changes will be lost, but since the value is not correct, this does not
 	 * matte.
 	 *
-	 * Since we are only interested in the descriptor and its value, making the
-	 * same change to several instances of the same descriptor/value pair should
-	 * result in a single log entry. The `changes` member of the status report
-	 * is a key/value dictionary in which the key is the hash of the key/value
-	 * combination between descriptor and value, and the value is the log
-	 * entry.
+	 * Each log entry records the descriptor, the original and resolved values
+	 * and the `location` of the value, as a JSON Pointer. The `changes` member
+	 * of the status report is a key/value dictionary in which the key is the
+	 * hash of the descriptor, value and location combination, and the value
+	 * is the log entry: making the same change to the same value should result
+	 * in a single log entry.
 	 *
 	 * @param theDescriptor {String}: The descriptor global identifier.
 	 * @param theOldValue  {String|Number|Object|Array}:
@@ -4250,14 +5915,15 @@ class Validator
 		///
 		let hash
 		const record = {}
+		const location = this.getLocation()
 
 		///
 		// Create log key.
 		///
-		if(Validator.IsObject(theOldValue)) {
-			hash = crypto.md5(theDescriptor + "\t" + JSON.stringify(theNewValue))
+		if(Validator.IsObject(theOldValue) || Validator.IsObject(theNewValue)) {
+			hash = crypto.md5(theDescriptor + "\t" + JSON.stringify(theNewValue) + "\t" + location)
 		} else {
-			hash = crypto.md5(theDescriptor + "\t" + theNewValue.toString())
+			hash = crypto.md5(theDescriptor + "\t" + String(theNewValue) + "\t" + location)
 		}
 
 		///
@@ -4266,7 +5932,8 @@ class Validator
 		record[hash] = {
 			"field": theDescriptor,
 			"original": theOldValue,
-			"resolved": theNewValue
+			"resolved": theNewValue,
+			"location": location
 		}
 
 		///
@@ -4294,17 +5961,87 @@ class Validator
 
 	} // logResolvedValues()
 
+	/**
+	 * logWarning
+	 * This method can be used to log warnings to the current status report.
+	 * The method expects the status report to have been initialised and the
+	 * current status should be idle.
+	 *
+	 * Warnings signal values that are correct, but that should be checked: the
+	 * `warnings` member of the status report is a key/value dictionary in
+	 * which the key is the hash of the status, descriptor, value and location
+	 * combination, and the value is a status report describing the warning,
+	 * featuring the `location` of the value as a JSON Pointer.
+	 *
+	 * @param theStatus {String}: The warning status code.
+	 * @param theDescriptor {String}: The descriptor global identifier.
+	 * @param theValue {String|Number|Object|Array}: The value.
+	 * @param theReportIndex {Number}: Report index, defaults to null.
+	 * @param theCustomFields {Object}: Custom fields to add to the warning.
+	 */
+	logWarning(theStatus,
+	           theDescriptor,
+	           theValue,
+	           theReportIndex = null,
+	           theCustomFields = {})
+	{
+		///
+		// Init local storage.
+		///
+		const record = {}
+		const location = this.getLocation()
+		const hash = crypto.md5(
+			theStatus + "\t" + theDescriptor + "\t" + JSON.stringify(theValue) +
+			"\t" + location
+		)
+
+		///
+		// Create warning.
+		///
+		const warning =
+			new ValidationReport(
+				theStatus,
+				theDescriptor,
+				theValue,
+				this.language
+			)
+		Object.entries(theCustomFields).forEach(([key, value]) => {
+			warning[key] = value
+		})
+		warning.location = location
+		record[hash] = warning
+
+		///
+		// Set in report.
+		///
+		const report = (theReportIndex !== null)
+			? this.report[theReportIndex]
+			: this.report
+		if(report.hasOwnProperty('warnings')) {
+			report.warnings = {
+				...report.warnings,
+				...record
+			}
+		} else {
+			report.warnings = record
+		}
+
+	} // logWarning()
+
 	/**
 	 * reportStatus
 	 *
 	 * This method will return `-1` if the current report contains an error,
-	 * `0` if the current report does not contain errors or resolved values and
-	 * `1` if the current report indicates resolved values, but no error.
+	 * `0` if the current report does not contain errors, resolved values or
+	 * warnings and `1` if the current report indicates resolved values or
+	 * warnings, but no error.
 	 *
 	 * When parsing multiple reports, any error will trigger `-1` and any
-	 * updated value will trigger `1`. The parsing will exit on first error.
+	 * updated value or warning will trigger `1`. The parsing will exit on
+	 * first error.
 	 *
-	 * @return {Number}: `-1` error, `0` valid and `1` valid but updated values.
+	 * @return {Number}: `-1` error, `0` valid and `1` valid but updated values
+	 *                   or warnings.
 	 */
 	reportStatus()
 	{
@@ -4325,7 +6062,8 @@ class Validator
 				if(report.status.code !== 0) {
 					status = -1
 					return true
-				} else if(report.hasOwnProperty('changes')) {
+				} else if(report.hasOwnProperty('changes') ||
+						  report.hasOwnProperty('warnings')) {
 					status = 1
 					return false
 				}
@@ -4343,9 +6081,10 @@ class Validator
 		}
 
 		///
-		// Handle updated values.
+		// Handle updated values and warnings.
 		///
-		if(this.report.hasOwnProperty('changes')) {
+		if(this.report.hasOwnProperty('changes') ||
+		   this.report.hasOwnProperty('warnings')) {
 			return 1                                                    // ==>
 		}
 
@@ -6484,6 +8223,13 @@ class Validator
 		if(Object.keys(theObject) === 0) {
 			return { "path": thePath }                                  // ==>
 		}
+
+		///
+		// Handle JSON Pointer.
+		///
+		if(thePath.startsWith('/')) {
+			return Validator.GetValueByPointer(theObject, thePath)      // ==>
+		}
 		
 		///
 		// Get path components.
@@ -6536,6 +8282,89 @@ class Validator
 		return { value, keys }                                          // ==>
 		
 	} // Validator::GetValueByPath()
+
+	/**
+	 * GetValueByPointer
+	 *
+	 * The method will return the value in the provided object referenced by the
+	 * provided RFC 6901 JSON Pointer.
+	 *
+	 * Example: `/level0/level1/0/property`.
+	 *
+	 * The method returns the same structure as `GetValueByPath()`: reference
+	 * tokens matching array elements will be integers in the `keys` array, all
+	 * other elements will be strings. The `~1` and `~0` escape sequences are
+	 * decoded into `/` and `~`, and the `-` array token is not supported.
+	 *
+	 * @param theObject {Object}: The object containing the value.
+	 * @param thePointer {String}: The JSON Pointer to the value.
+	 *
+	 * @return {Object}: The matched value and path components, or invalid path.
+	 */
+	static GetValueByPointer(theObject, thePointer)
+	{
+		///
+		// Get reference tokens.
+		///
+		const elements = thePointer
+			.split('/')
+			.slice(1)
+			.map( (token) => token.replace(/~1/g, '/').replace(/~0/g, '~') )
+
+		///
+		// Handle empty pointer.
+		///
+		if(!thePointer.startsWith('/') || elements.length === 0) {
+			return { "path": thePointer }                               // ==>
+		}
+
+		///
+		// Iterate reference tokens.
+		///
+		const keys = []
+		let value = theObject
+		for(let key of elements)
+		{
+			if(Validator.IsArray(value)) {
+				if(!/^(0|[1-9]\d*)$/.test(key)) {
+					return { "path": thePointer }                       // ==>
+				}
+				const ref = parseInt(key)
+				keys.push(ref)
+				value = value[ref]
+			} else if(Validator.IsObject(value)) {
+				keys.push(key)
+				value = value[key]
+			} else {
+				return { "path": thePointer }                           // ==>
+			}
+		}
+
+		return { value, keys }                                          // ==>
+
+	} // Validator::GetValueByPointer()
+
+	/**
+	 * JsonPointer
+	 *
+	 * The method will return the RFC 6901 JSON Pointer corresponding to the
+	 * provided list of property names and array indexes, escaping `~` and `/`
+	 * in property names. An empty list returns the empty string, which points
+	 * to the whole value.
+	 *
+	 * Example: `["level0", 0, "a/b"]` becomes `/level0/0/a~1b`.
+	 *
+	 * @param theKeys {Array<String|Number>}: Property names and array indexes.
+	 *
+	 * @return {String}: The JSON Pointer.
+	 */
+	static JsonPointer(theKeys)
+	{
+		return theKeys
+			.map( (key) => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1') )
+			.join('')                                                   // ==>
+
+	} // Validator::JsonPointer()
 	
 	/**
 	 * GetEdgeKey
@@ -6634,6 +8463,146 @@ class Validator
 
 	} // Validator::TraverseTermDataSection()
 
+	/**
+	 * ParseTimeStamp
+	 *
+	 * This method will parse the provided ISO 8601 string and return an object
+	 * with the following properties:
+	 *
+	 * - `format`: The matched format, `_date` or `_datetime`.
+	 * - `value`: The unix time in milliseconds.
+	 *
+	 * Dates, `YYYY-MM-DD`, and date and times, `YYYY-MM-DDThh:mm[:ss[.sss]]`,
+	 * are accepted; only date and times can be followed by `Z` or the `±hh:mm`
+	 * offset: if missing, the provided timezone will be used, dates fall back
+	 * to UTC.
+	 *
+	 * If the string cannot be parsed, the method will return an object with
+	 * the `status` property set to the validation status.
+	 *
+	 * @param theValue {String}: The timestamp string.
+	 * @param theTimeZone {String|null}: The default timezone offset.
+	 *
+	 * @return {Object}: The parsed timestamp or the error status.
+	 */
+	static ParseTimeStamp(theValue, theTimeZone = null)
+	{
+		///
+		// Match format.
+		///
+		const match = theValue.match(
+			/^([0-9]{4})-([0-9]{2})-([0-9]{2})(?:T([0-9]{2}):([0-9]{2})(?::([0-9]{2})(?:\.([0-9]+))?)?(Z|[+-][0-9]{2}:[0-9]{2})?)?$/
+		)
+		if(match === null) {
+			return { status: 'kTIMESTAMP_INVALID_FORMAT' }              // ==>
+		}
+
+		///
+		// Parse components.
+		///
+		const [year, month, day, hours, minutes, seconds] = match
+			.slice(1, 7)
+			.map( (item) => (item === undefined) ? 0 : parseInt(item) )
+		const millis = (match[7] === undefined)
+			? 0
+			: parseInt(match[7].padEnd(3, '0').substring(0, 3))
+		if(month < 1 || month > 12 ||
+		   day < 1 || day > Validator.DaysInMonth(year, month) ||
+		   hours > 23 || minutes > 59 || seconds > 59) {
+			return { status: 'kTIMESTAMP_INVALID_VALUE' }               // ==>
+		}
+
+		///
+		// Resolve timezone.
+		// Dates without a default timezone are in UTC.
+		///
+		const zone = (match[8] !== undefined)
+			? match[8]
+			: (theTimeZone === null && match[4] === undefined)
+				? 'Z'
+				: theTimeZone
+		const offset = Validator.ParseTimeZone(zone)
+		if(offset === null) {
+			return {
+				status: (zone !== null)
+					? 'kTIMESTAMP_INVALID_VALUE'
+					: 'kTIMESTAMP_MISSING_TIMEZONE'
+			}                                                           // ==>
+		}
+
+		///
+		// Compute time.
+		// Set the full year separately, since `Date.UTC()` maps years
+		// below 100 to the twentieth century.
+		///
+		const date = new Date(0)
+		date.setUTCFullYear(year, month - 1, day)
+		date.setUTCHours(hours, minutes, seconds, millis)
+
+		return {
+			format: (match[4] === undefined)
+				? K.timestamp.formats.date
+				: K.timestamp.formats.datetime,
+			value: date.valueOf() - (offset * 60000)
+		}                                                               // ==>
+
+	} // ParseTimeStamp()
+
+	/**
+	 * ParseTimeZone
+	 *
+	 * This method will return the number of minutes of the provided timezone
+	 * offset, `Z` or `±hh:mm`, or `null` if the offset is invalid.
+	 *
+	 * @param theTimeZone {String}: The timezone offset.
+	 *
+	 * @return {Number|null}: The offset in minutes.
+	 */
+	static ParseTimeZone(theTimeZone)
+	{
+		if(theTimeZone === 'Z') {
+			return 0                                                    // ==>
+		}
+
+		const match = Validator.IsString(theTimeZone)
+			? theTimeZone.match(/^([+-])([0-9]{2}):([0-9]{2})$/)
+			: null
+		if(match === null) {
+			return null                                                 // ==>
+		}
+
+		const hours = parseInt(match[2])
+		const minutes = parseInt(match[3])
+		if(hours > 23 || minutes > 59) {
+			return null                                                 // ==>
+		}
+
+		return ((match[1] === '-') ? -1 : 1) * ((hours * 60) + minutes) // ==>
+
+	} // ParseTimeZone()
+
+	/**
+	 * DaysInMonth
+	 *
+	 * This method will return the number of days of the provided month,
+	 * considering leap years.
+	 *
+	 * @param theYear {Number}: The year.
+	 * @param theMonth {Number}: The month, from 1 to 12.
+	 *
+	 * @return {Number}: The number of days.
+	 */
+	static DaysInMonth(theYear, theMonth)
+	{
+		if(theMonth === 2) {
+			const leap = (theYear % 4 === 0 && theYear % 100 !== 0) || theYear % 400 === 0
+			return (leap) ? 29 : 28                                     // ==>
+		}
+
+		return ([4, 6, 9, 11].includes(theMonth)) ? 30 : 31             // ==>
+
+	} // DaysInMonth()
+
 	/**
 	 * DeepClone
 	 *
@@ -15,6 +15,7 @@ module.context.use('/edge', require('./routes/edges'), 'edges')
 module.context.use('/link', require('./routes/links'), 'link')
 module.context.use('/descr', require('./routes/descriptors'), 'descr')
 module.context.use('/check', require('./routes/validation'), 'check')
+module.context.use('/namespaces', require('./routes/namespaces'), 'namespaces')
 
 //
 // Sessions.
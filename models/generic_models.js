@@ -29,7 +29,9 @@ const TermModel = joi.object({
 		_provider: joi.string()
 	}).required(),
 	_data: joi.object(),
-	_rule: joi.object()
+	_rule: joi.object(),
+	_status: joi.string().valid('draft', 'active', 'deprecated', 'obsolete'),
+	_replaced_by: joi.string()
 }).unknown()
 
 // Term model that was saved.
@@ -54,7 +56,9 @@ const TermInsertedModel = joi.object({
 		_provider: joi.string()
 	}).required(),
 	_data: joi.object(),
-	_rule: joi.object()
+	_rule: joi.object(),
+	_status: joi.string().valid('draft', 'active', 'deprecated', 'obsolete'),
+	_replaced_by: joi.string()
 }).unknown()
 
 // Array of terms to be inserted model.
@@ -81,6 +85,14 @@ const DefaultLanguageTokenModel = joi.string()
 		module.context.configuration.language
 	)
 
+// Language fallback chain.
+const LanguageChainModel = joi.string()
+	.description(
+		"Comma delimited list of language codes in order of preference, " +
+		"or `@` for all languages. If omitted, the `Accept-Language` header " +
+		"is used, or the default language."
+	)
+
 
 ///
 // Report models.
@@ -93,7 +105,8 @@ const ReportChanges =
 			"<hash>": joi.object({
 				field: joi.string().required(),
 				original: joi.any().required(),
-				resolved: joi.any().required()
+				resolved: joi.any().required(),
+				location: joi.string()
 			}).required()
 		})
 	})
@@ -175,6 +188,12 @@ const TreeModel = joi.array()
 		})
 	)
 
+// Expected edge revisions: edge key and revision read by the client.
+const EdgeRevisions = joi.object().pattern(
+	joi.string(),
+	joi.string()
+)
+
 // Graph insertion and deletion elements.
 const SetDelEnums = joi.object({
 	children: joi.object().pattern(
@@ -190,7 +209,8 @@ const SetDelEnums = joi.object({
 			module.context.configuration.predicateSection,
 			module.context.configuration.predicateBridge
 		])
-		.required()
+		.required(),
+	revisions: EdgeRevisions
 })
 
 // Bridge edge deletion.
@@ -204,7 +224,8 @@ const DelBridge = joi.object({
 		.required(),
 	data: joi.object()
 		.allow(null)
-		.required()
+		.required(),
+	revisions: EdgeRevisions
 })
 
 // Graph update elements.
@@ -235,12 +256,19 @@ const SetLinks = joi.object({
 			joi.object(),
 			joi.valid(null)
 		)
-	).required()
+	).required(),
+	revisions: EdgeRevisions
 })
 
-// Links deletion.
-const DelLinks = joi.array()
-	.items(joi.string())
+// Links deletion: list of children, or children and expected revisions.
+const DelLinks = joi.alternatives()
+	.try(
+		joi.array().items(joi.string()),
+		joi.object({
+			children: joi.array().items(joi.string()).required(),
+			revisions: EdgeRevisions
+		})
+	)
 	.required()
 
 // Add elements to graph response.
@@ -323,6 +351,7 @@ module.exports = {
 	
 	GraphPathsModel,
 	DefaultLanguageTokenModel,
+	LanguageChainModel,
 	
 	ReportChanges,
 	ReportStatus,
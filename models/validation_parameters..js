@@ -74,6 +74,17 @@ const ParamSaveTerm = joi.boolean()
 		dictionary."
 	)
 
+const ParamAtomic = joi.boolean()
+	.default(true)
+	.description(
+		"**Flag to determine whether to save all terms or none**.\n" +
+		"This option can be used when inserting a list of terms: if the flag is \
+		set, the terms will only be inserted if all of them pass validation. \
+		If the flag is not set, all the terms that pass validation will be \
+		inserted and the invalid ones will be skipped: the response will \
+		contain the validation counters and the report of each term."
+	)
+
 const ParamResolve = joi.boolean()
 	.default(false)
 	.description(
@@ -105,6 +116,19 @@ const ParamResolveField = joi.string()
 	    of official identifiers* in order to have a larger choice."
 	)
 
+const ParamAllErrors = joi.boolean()
+	.default(false)
+	.description(
+		"**Collect all errors**.\n" +
+		"By default validation stops at the first error found in an object. If \
+		this flag is set, validation will continue with the remaining object \
+		properties and array elements, and the status report will feature a \
+		property named *issues* containing the list of all errors: each issue \
+		contains the status code and message, the descriptor, the offending \
+		value and the *location* of the value in the object, as a JSON \
+		Pointer such as */property/0/property*."
+	)
+
 ///
 // Status reports.
 ///
@@ -119,6 +143,8 @@ module.exports = {
 	ParamExpectTypes,
 	ParamDefNamespace,
 	ParamSaveTerm,
+	ParamAtomic,
 	ParamResolve,
-	ParamResolveField
+	ParamResolveField,
+	ParamAllErrors
 }
@@ -22,6 +22,7 @@ const HTTP_CONFLICT = status('conflict')
 // Application constants.
 //
 const K = require('../utils/constants')
+const Utils = require('../utils/utils')
 const Session = require('../utils/sessions')
 const Dictionary = require("../utils/dictionary");
 
@@ -226,12 +227,19 @@ router.get(
         Provide \`_predicate_enum-of\`  as the functional predicate: this will \
         select all valid data types.
         
+        The descriptions of the returned terms are selected according to the \
+        \`lang\` parameter: provide a comma delimited list of language codes in \
+        order of preference, such as \`fra,eng\`, or \`@\` for all languages. \
+        If omitted, the \`Accept-Language\` header is used, or the default language. \
+        When the fallback chain has more than one language, the language served for each description is returned in the \`_lang\` property.
+        
         *Note: this service will return all the functional nodes of the graph, this means \
         that large graphs may block the service, so use this service with caution.*
     `)
 	.queryParam('root', RootModel)
 	.queryParam('predicate', PredicateModel)
 	.queryParam('direction', DirectionModel)
+	.queryParam('lang', Models.LanguageChainModel)
 	.response(200, Models.ObjectArrayModel, dd`
         **List of functional node records**
         
@@ -921,6 +929,14 @@ function getFunctionalNodeDocuments(request, response)
             RETURN DOCUMENT(${handle})
         `).toArray()
 	
+	///
+	// Select language.
+	///
+	const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+	if(chain !== null) {
+		result.forEach( (term) => Utils.termLanguage(term, chain) )
+	}
+	
 	response.send(result)                                               // ==>
 	
 } // getFunctionalNodeDocuments()
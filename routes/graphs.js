@@ -265,6 +265,10 @@ router.post(
           will not have the function of the main predicate. The provided default values indicate \
           sections, that represent display or category nodes used for subdividing child nodes, \
           and bridges, which allow one node to connect to another node through a bridge node.
+        - \`revisions\`: An optional key/value dictionary in which the key is the \
+          *edge key* and the value is the *edge revision* the client read earlier: \
+          if any of these edges was modified or deleted since then, the service will \
+          fail with a \`412\` status.
         
         The values of the \`children\` dictionary can be the following:
         
@@ -319,6 +323,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Delete edges.
@@ -403,6 +417,10 @@ router.post(
           will not have the function of the main predicate. The provided default values indicate \
           sections, that represent display or category nodes used for subdividing child nodes, \
           and bridges, which allow one node to connect to another node through a bridge node.
+        - \`revisions\`: An optional key/value dictionary in which the key is the \
+          *edge key* and the value is the *edge revision* the client read earlier: \
+          if any of these edges was modified or deleted since then, the service will \
+          fail with a \`412\` status.
         
         The values of the \`children\` dictionary can be the following:
         
@@ -456,6 +474,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Set containers.
@@ -535,6 +563,10 @@ router.post(
               indicate sections, that represent display or category nodes used for subdividing \
               child nodes, and bridges, which allow one node to connect to another node through \
               a bridge node.
+            - \`revisions\`: An optional key/value dictionary in which the key is the \
+              *edge key* and the value is the *edge revision* the client read earlier: \
+              if any of these edges was modified or deleted since then, the service will \
+              fail with a \`412\` status.
             
               The values of the \`children\` dictionary can be the following:
             
@@ -588,6 +620,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Delete containers.
@@ -678,6 +720,10 @@ router.post(
           will not have the function of the main predicate. The provided default values indicate \
           sections, that represent display or category nodes used for subdividing child nodes, \
           and bridges, which allow one node to connect to another node through a bridge node.
+        - \`revisions\`: An optional key/value dictionary in which the key is the \
+          *edge key* and the value is the *edge revision* the client read earlier: \
+          if any of these edges was modified or deleted since then, the service will \
+          fail with a \`412\` status.
         
         The values of the \`children\` dictionary can be the following:
         
@@ -731,6 +777,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Set bridges.
@@ -781,6 +837,14 @@ router.post(
               custom data.
         `
 	)
+	.header('if-match', joi.string(), dd
+		`
+            **Expected revision**
+            
+            The revision of the bridge edge read by the client: the service will \
+            fail if the edge was modified or deleted since then.
+        `
+	)
 	.queryParam('root', RootModel)
 	.queryParam('bridged', BridgedModel)
 	.queryParam('bridge', BridgeModel)
@@ -843,6 +907,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Delete bridges.
@@ -906,7 +980,7 @@ router.post(
 		`
             **Custom data and sections**
             
-            The body contains two properties:
+            The body contains the following properties:
             
             - \`sections\`: Graphs have predicates that indicate the type of graph: enumeration, \
               field, etc. There are other predicates, however, whose goal is to link nodes which \
@@ -915,6 +989,10 @@ router.post(
               child nodes, and bridges, which allow one node to connect to another node through \
               a bridge node.
             - \`data\`: An object containing the custom data for the current edge.
+            - \`revisions\`: An optional key/value dictionary in which the key is the \
+              *edge key* and the value is the *edge revision* the client read earlier: \
+              if the edge was modified or deleted since then, the service will fail with \
+              a \`412\` status.
             
             The body \`data\` property take the following values:
            
@@ -957,6 +1035,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Set links.
@@ -1006,6 +1094,10 @@ router.post(
             - \`children\`: A key/value dictionary in which the key represents the *child node \
               document handle*, which represents the linked node, and the value represents \
               *custom data* associated with the corresponding *link*.
+            - \`revisions\`: An optional key/value dictionary in which the key is the \
+              *link key* and the value is the *link revision* the client read earlier: \
+              if any of these links was modified or deleted since then, the service will \
+              fail with a \`412\` status.
         `
 	)
 	.response(200, Models.SetEnumsResponse, dd
@@ -1047,6 +1139,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Edge modified**
+            
+            The service will return this code if an edge was modified by another \
+            operation after it was read, or if the revision of an edge the client \
+            read earlier no longer matches: no edges were updated, read the edges \
+            again and repeat the operation.
+        `
+	)
 
 /**
  * Delete linkxs.
@@ -1091,6 +1193,12 @@ router.post(
         The request body is an array containing the child node document handles. \
         If a link exists between the parent, the current child and the predicate, \
         the service will delete the link.
+        
+        To guard against concurrent changes, provide instead an object with the \
+        child node document handles in \`children\` and, in \`revisions\`, a \
+        key/value dictionary in which the key is the *link key* and the value is the \
+        *link revision* the client read earlier: if any of these links was modified \
+        or deleted since then, the service will fail with a \`412\` status.
 	`)
 	.response(200, Models.DelEnumsResponse, dd
 		`
@@ -1128,6 +1236,16 @@ router.post(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(412, ErrorModel, dd
+		`
+            **Link modified**
+            
+            The service will return this code if a link was modified by another \
+            operation after it was read, or if the revision of a link the client \
+            read earlier no longer matches: no links were deleted, read the links \
+            again and repeat the operation.
+        `
+	)
 
 
 //
@@ -1160,6 +1278,8 @@ router.post(
  * - `sections`: A list of predicates representing the sections and bridges that
  *               could be encountered while traversing the graph: this will allow
  *               traversals that span from root to leaves.
+ * - `revisions`: An optional dictionary of edge keys and the revisions read by
+ *                the client, edges modified since then will fail the operation.
  *
  * Edge custom data can be an object, in which case it will be merged with the
  * existing data. To delete object properties, provide the property with a
@@ -1208,6 +1328,14 @@ function doSetEdges(theRequest, theResponse, theSection = null)
 		return                                                          // ==>
 	}
 	
+	//
+	// Check expected edge revisions.
+	//
+	const revisions = body.revisions || {}
+	if(!checkEdgeRevisions(theResponse, collection_edge, revisions)) {
+		return                                                          // ==>
+	}
+	
 	///
 	// Init local storage.
 	///
@@ -1284,7 +1412,7 @@ function doSetEdges(theRequest, theResponse, theSection = null)
 			// Get edge.
 			///
 			let modified = false
-			const found = collection_edge.document(key)
+			const found = expectEdgeRevision(revisions, collection_edge.document(key))
 			
 			///
 			// Add root to edge paths.
@@ -1374,6 +1502,23 @@ function doSetEdges(theRequest, theResponse, theSection = null)
 	///
 	if(theRequest.queryParams.save)
 	{
+		//
+		// Update existing edges.
+		// Fail if edges were modified after they were read.
+		//
+		try {
+			updated = K.db._query( aql`
+				FOR item in ${updates}
+				    REPLACE item
+				    IN ${collection_edge}
+				    OPTIONS { keepNull: false, ignoreRevs: false }
+				RETURN NEW
+			`).toArray()
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
+		
 		//
 		// Insert new edges.
 		//
@@ -1384,17 +1529,6 @@ function doSetEdges(theRequest, theResponse, theSection = null)
 			    OPTIONS { keepNull: false, overwriteMode: "conflict" }
 			RETURN NEW
 		`).toArray()
-		
-		//
-		// Update existing edges.
-		//
-		updated = K.db._query( aql`
-			FOR item in ${updates}
-			    REPLACE item
-			    IN ${collection_edge}
-			    OPTIONS { keepNull: false }
-			RETURN NEW
-		`).toArray()
 	}
 	
 	///
@@ -1447,6 +1581,8 @@ function doSetEdges(theRequest, theResponse, theSection = null)
  * - `sections`: A list of predicates representing the sections and bridges that
  *               could be encountered while traversing the graph: this will allow
  *               traversals that span from root to leaves.
+ * - `revisions`: An optional dictionary of edge keys and the revisions read by
+ *                the client, edges modified since then will fail the operation.
  *
  * The function will first remove the relationships between the parent and its
  * children: if no other root paths pass through the edge, this will be deleted;
@@ -1501,6 +1637,14 @@ function doDelEdges(theRequest, theResponse, theSection = null)
 		return                                                          // ==>
 	}
 	
+	//
+	// Check expected edge revisions.
+	//
+	const revisions = body.revisions || {}
+	if(!checkEdgeRevisions(theResponse, collection_edge, revisions)) {
+		return                                                          // ==>
+	}
+	
 	///
 	// Init local storage.
 	///
@@ -1580,7 +1724,7 @@ function doDelEdges(theRequest, theResponse, theSection = null)
 			///
 			// Get edge.
 			///
-			const found = collection_edge.document(key)
+			const found = expectEdgeRevision(revisions, collection_edge.document(key))
 			
 			///
 			// Edge does not have root.
@@ -1732,21 +1876,37 @@ function doDelEdges(theRequest, theResponse, theSection = null)
 	{
 		//
 		// Perform updates.
+		// Fail if edges were modified after they were read.
 		//
-		K.db._query( aql`
-			FOR item in ${Object.values(updates)}
-		    REPLACE item
-		    IN ${collection_edge}
-		    OPTIONS { keepNull: false }
-		`)
+		try {
+			K.db._query( aql`
+				FOR item in ${Object.values(updates)}
+			    REPLACE item
+			    IN ${collection_edge}
+			    OPTIONS { keepNull: false, ignoreRevs: false }
+			`)
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
 		
 		//
 		// Perform removals.
 		//
-		K.db._query( aql`
-	        FOR item in ${deletes}
-	        REMOVE item IN ${collection_edge}
-	    `)
+		try {
+			K.db._query( aql`
+				FOR item in ${deletes}
+				    LET expected = HAS(${revisions}, item)
+				        ? { _key: item, _rev: ${revisions}[item] }
+				        : item
+				    REMOVE expected
+				    IN ${collection_edge}
+				    OPTIONS { ignoreRevs: false }
+			`)
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
 	}
 	
 	///
@@ -1788,6 +1948,7 @@ function doDelEdges(theRequest, theResponse, theSection = null)
  * - `existing`: Return list of existing, actual or planned, edge records.
  *
  * The request body must contain an object representing the edge custom data.
+ * The expected revision of the edge can be provided in the `If-Match` header.
  *
  * Edge custom data can be an object, in which case it will be merged with the
  * existing data. To delete object properties, provide the property with a
@@ -1861,6 +2022,17 @@ function doSetBridge(theRequest, theResponse)
 	const edge = {}
 	const key = Utils.getEdgeKey(src, bridge, dst)
 	
+	//
+	// Check expected edge revision.
+	//
+	const expected = theRequest.headers['if-match']
+	const revisions = (expected === undefined || expected === '*')
+		? {}
+		: { [key]: expected.replace(/^W\//, '').replace(/"/g, '') }
+	if(!checkEdgeRevisions(theResponse, collection_edge, revisions)) {
+		return                                                          // ==>
+	}
+	
 	//
 	// Check if it exists.
 	//
@@ -1870,7 +2042,7 @@ function doSetBridge(theRequest, theResponse)
 		// Get edge.
 		///
 		let modified = false
-		const found = collection_edge.document(key)
+		const found = expectEdgeRevision(revisions, collection_edge.document(key))
 		
 		///
 		// Add root to edge paths.
@@ -1959,6 +2131,23 @@ function doSetBridge(theRequest, theResponse)
 	///
 	if(theRequest.queryParams.save)
 	{
+		//
+		// Update existing edges.
+		// Fail if edges were modified after they were read.
+		//
+		try {
+			updated = K.db._query( aql`
+				FOR item in ${updates}
+				    REPLACE item
+				    IN ${collection_edge}
+				    OPTIONS { keepNull: false, ignoreRevs: false }
+				RETURN NEW
+			`).toArray()
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
+		
 		//
 		// Insert new edges.
 		//
@@ -1969,17 +2158,6 @@ function doSetBridge(theRequest, theResponse)
 			    OPTIONS { keepNull: false, overwriteMode: "conflict" }
 			RETURN NEW
 		`).toArray()
-		
-		//
-		// Update existing edges.
-		//
-		updated = K.db._query( aql`
-			FOR item in ${updates}
-			    REPLACE item
-			    IN ${collection_edge}
-			    OPTIONS { keepNull: false }
-			RETURN NEW
-		`).toArray()
 	}
 	
 	///
@@ -2067,6 +2245,14 @@ function doDelBridge(theRequest, theResponse)
 		return                                                          // ==>
 	}
 	
+	//
+	// Check expected edge revisions.
+	//
+	const revisions = body.revisions || {}
+	if(!checkEdgeRevisions(theResponse, collection_edge, revisions)) {
+		return                                                          // ==>
+	}
+	
 	///
 	// Init local storage.
 	///
@@ -2108,7 +2294,7 @@ function doDelBridge(theRequest, theResponse)
 		///
 		// Get edge.
 		///
-		const found = collection_edge.document(key)
+		const found = expectEdgeRevision(revisions, collection_edge.document(key))
 		
 		///
 		// Edge does not have root.
@@ -2250,21 +2436,37 @@ function doDelBridge(theRequest, theResponse)
 	{
 		//
 		// Perform updates.
+		// Fail if edges were modified after they were read.
 		//
-		K.db._query( aql`
-			FOR item in ${Object.values(updates)}
-		    REPLACE item
-		    IN ${collection_edge}
-		    OPTIONS { keepNull: false }
-		`)
+		try {
+			K.db._query( aql`
+				FOR item in ${Object.values(updates)}
+			    REPLACE item
+			    IN ${collection_edge}
+			    OPTIONS { keepNull: false, ignoreRevs: false }
+			`)
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
 		
 		//
 		// Perform removals.
 		//
-		K.db._query( aql`
-	        FOR item in ${deletes}
-	        REMOVE item IN ${collection_edge}
-	    `)
+		try {
+			K.db._query( aql`
+				FOR item in ${deletes}
+				    LET expected = HAS(${revisions}, item)
+				        ? { _key: item, _rev: ${revisions}[item] }
+				        : item
+				    REMOVE expected
+				    IN ${collection_edge}
+				    OPTIONS { ignoreRevs: false }
+			`)
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
 	}
 	
 	///
@@ -2310,6 +2512,8 @@ function doDelBridge(theRequest, theResponse)
  * - `children`: A key/value dictionary in which the keys are the document
  *               handles of the nodes pointing to the parent, and the values are
  *               the corresponding custom edge data associated to the relationship.
+ * - `revisions`: An optional dictionary of link keys and the revisions read by
+ *                the client, links modified since then will fail the operation.
  *
  * Link custom data can be an object, in which case it will be merged with the
  * existing data. To delete object properties, provide the property with a
@@ -2353,6 +2557,14 @@ function doSetLinks(theRequest, theResponse)
 		return                                                          // ==>
 	}
 	
+	//
+	// Check expected edge revisions.
+	//
+	const revisions = body.revisions || {}
+	if(!checkEdgeRevisions(theResponse, collection_link, revisions)) {
+		return                                                          // ==>
+	}
+	
 	///
 	// Assert all nodes are descriptor terms.
 	///
@@ -2422,7 +2634,7 @@ function doSetLinks(theRequest, theResponse)
 			// Get edge.
 			///
 			let modified = false
-			const found = collection_link.document(key)
+			const found = expectEdgeRevision(revisions, collection_link.document(key))
 			
 			///
 			// Reset custom data.
@@ -2503,6 +2715,23 @@ function doSetLinks(theRequest, theResponse)
 	///
 	if(theRequest.queryParams.save)
 	{
+		//
+		// Update existing edges.
+		// Fail if edges were modified after they were read.
+		//
+		try {
+			updated = K.db._query( aql`
+				FOR item in ${updates}
+				    REPLACE item
+				    IN ${collection_link}
+				    OPTIONS { keepNull: false, ignoreRevs: false }
+				RETURN NEW
+			`).toArray()
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
+		
 		//
 		// Insert new edges.
 		//
@@ -2513,17 +2742,6 @@ function doSetLinks(theRequest, theResponse)
 			    OPTIONS { keepNull: false, overwriteMode: "conflict" }
 			RETURN NEW
 		`).toArray()
-		
-		//
-		// Update existing edges.
-		//
-		updated = K.db._query( aql`
-			FOR item in ${updates}
-			    REPLACE item
-			    IN ${collection_link}
-			    OPTIONS { keepNull: false }
-			RETURN NEW
-		`).toArray()
 	}
 	
 	///
@@ -2567,9 +2785,13 @@ function doSetLinks(theRequest, theResponse)
  * - `updated`: Return list of updated, actual or planned, edge records.
  * - `existing`: Return list of existing, actual or planned, edge records.
  *
- * The request body must contain the following elements:
+ * The request body must contain either the array of document handles
+ * representing the nodes connected to the parent, or an object with the
+ * following elements:
  * - `children`: An array of document handles representing the nodes connected
  *   to the parent.
+ * - `revisions`: An optional dictionary of link keys and the revisions read by
+ *                the client, links modified since then will fail the operation.
  *
  * @param theRequest {Object}: The request object.
  * @param theResponse {Object}: The response object.
@@ -2585,6 +2807,15 @@ function doDelLinks(theRequest, theResponse)
 	const parent = theRequest.queryParams.parent
 	const direction = theRequest.queryParams.direction
 	const predicate = theRequest.queryParams.predicate
+	const children = (Array.isArray(body)) ? body : body.children
+	
+	//
+	// Check expected edge revisions.
+	//
+	const revisions = (Array.isArray(body)) ? {} : (body.revisions || {})
+	if(!checkEdgeRevisions(theResponse, collection_link, revisions)) {
+		return                                                          // ==>
+	}
 	
 	//
 	// Create list of operations.
@@ -2597,7 +2828,7 @@ function doDelLinks(theRequest, theResponse)
 	const deleted = []
 	const ignored = []
 	const result = { deleted: 0, ignored: 0 }
-	body.forEach( (item) => {
+	children.forEach( (item) => {
 		
 		//
 		// Init local identifiers.
@@ -2614,7 +2845,7 @@ function doDelLinks(theRequest, theResponse)
 			///
 			// Get link.
 			///
-			const found = collection_link.document(key)
+			const found = expectEdgeRevision(revisions, collection_link.document(key))
 			
 			///
 			// Delete link.
@@ -2664,10 +2895,20 @@ function doDelLinks(theRequest, theResponse)
 		//
 		// Perform removals.
 		//
-		K.db._query( aql`
-	        FOR item in ${deletes}
-	        REMOVE item IN ${collection_link}
-	    `)
+		try {
+			K.db._query( aql`
+				FOR item in ${deletes}
+				    LET expected = HAS(${revisions}, item)
+				        ? { _key: item, _rev: ${revisions}[item] }
+				        : item
+				    REMOVE expected
+				    IN ${collection_link}
+				    OPTIONS { ignoreRevs: false }
+			`)
+		} catch (error) {
+			handleEdgeConflict(theResponse, error)
+			return                                                      // ==>
+		}
 	}
 	
 	///
@@ -2821,6 +3062,91 @@ function getLinkOrphanHandles(theParent, theBody,theCollections = null)
 	
 } // getLinkOrphanHandles()
 
+/**
+ * Check expected edge revisions.
+ * This function will compare the edge revisions the client read earlier with
+ * the current ones and respond with a 412 status listing the mismatching
+ * edges if any of them was modified or deleted in the meantime.
+ * @param theResponse {Object}: The response object.
+ * @param theCollection {Object}: The edges or links collection.
+ * @param theRevisions {Object}: Dictionary of edge keys and expected revisions.
+ * @return {Boolean}: `true` if all revisions match.
+ */
+function checkEdgeRevisions(theResponse, theCollection, theRevisions)
+{
+	const keys = Object.keys(theRevisions)
+	if(keys.length === 0) {
+		return true                                                     // ==>
+	}
+	
+	///
+	// Collect current revisions.
+	///
+	const current = {}
+	K.db._query( aql`
+		FOR edge IN ${theCollection}
+		    FILTER edge._key IN ${keys}
+		RETURN [ edge._key, edge._rev ]
+	`).toArray()
+		.forEach( ([key, rev]) => { current[key] = rev })
+	
+	///
+	// Collect mismatches.
+	///
+	const conflicts = keys.filter(key => current[key] !== theRevisions[key])
+	if(conflicts.length > 0) {
+		theResponse.throw(
+			412,
+			K.error.kMSG_ERROR_CONFLICT.message[module.context.configuration.language] +
+			` [${conflicts.join(", ")}]`
+		)
+		return false                                                    // ==>
+	}
+	
+	return true                                                         // ==>
+
+} // checkEdgeRevisions()
+
+/**
+ * Set expected edge revision.
+ * This function will replace the revision of the provided edge with the one
+ * the client read earlier, if provided, so that writing the edge with
+ * `ignoreRevs: false` will fail if the edge was modified since then.
+ * @param theRevisions {Object}: Dictionary of edge keys and expected revisions.
+ * @param theEdge {Object}: The edge read from the database.
+ * @return {Object}: The edge.
+ */
+function expectEdgeRevision(theRevisions, theEdge)
+{
+	if(theRevisions.hasOwnProperty(theEdge._key)) {
+		theEdge._rev = theRevisions[theEdge._key]
+	}
+	
+	return theEdge                                                      // ==>
+
+} // expectEdgeRevision()
+
+/**
+ * Handle edge write errors.
+ * This function will respond with a 412 status if the provided error is a
+ * revision conflict, meaning that an edge was modified after it was read,
+ * or with a 500 status for all other errors.
+ * @param theResponse {Object}: The response object.
+ * @param theError {Object}: The error.
+ */
+function handleEdgeConflict(theResponse, theError)
+{
+	if(theError.isArangoError && theError.errorNum === ARANGO_CONFLICT) {
+		theResponse.throw(
+			412,
+			K.error.kMSG_ERROR_CONFLICT.message[module.context.configuration.language]
+		)                                                                   // ==>
+	}
+
+	theResponse.throw(500, theError.message)                               // ==>
+
+} // handleEdgeConflict()
+
 /**
  * Return edge matching keys.
  * This function will return the list of edge documents that match the provided list of keys.
@@ -0,0 +1,537 @@
+'use strict';
+
+//
+// Imports.
+//
+const dd = require('dedent');
+const joi = require('joi');
+const aql = require('@arangodb').aql
+const status = require('statuses')
+
+//
+// Error codes.
+//
+const HTTP_NOT_FOUND = status('not found');
+
+//
+// Application constants.
+//
+const K = require('../utils/constants')
+const Utils = require('../utils/utils')
+const Session = require('../utils/sessions')
+const TermsCache = require('../library/TermsCache')
+
+//
+// Models.
+//
+const Models = require('../models/generic_models')
+const ErrorModel = require("../models/error_generic");
+const NamespaceModel = joi.string()
+	.required()
+	.description(
+		"Namespace global identifier, provide `" + TermsCache.DefaultNamespaceKey() +
+		"` for the default namespace."
+	)
+const NamespaceTreeModel = joi.object({
+	_key: joi.string(),
+	children: joi.array().items(joi.object())
+})
+	.description(
+		"Namespace tree node: `_key` is the namespace global identifier, " +
+		"`children` the list of child namespace nodes with the same structure."
+	)
+const NamespaceStatsModel = joi.object({
+	terms: joi.number().integer(),
+	descriptors: joi.number().integer(),
+	structures: joi.number().integer(),
+	enumerations: joi.number().integer()
+})
+
+//
+// Collections.
+//
+const collection_term = K.db._collection(module.context.configuration.collectionTerm)
+const collection_edge = K.db._collection(module.context.configuration.collectionEdge)
+
+
+//
+// Instantiate router.
+//
+const createRouter = require('@arangodb/foxx/router');
+const router = createRouter();
+module.exports = router;
+router.tag('Namespaces');
+
+
+//
+// NAMESPACE SERVICES
+//
+
+/**
+ * Return list of namespaces.
+ * The service will return all namespaces and their number of members.
+ */
+router.get(
+	'list',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doListNamespaces(request, response)
+		}
+	},
+	'namespace-list'
+)
+	.summary('List namespaces')
+	.description(dd
+		`
+        **Return list of namespaces**
+
+        ***To use this service, the current user must have the \`read\` role.***
+
+        The service will return all namespaces, that is, all terms used as \
+        namespace by at least one other term, along with the default namespace, \
+        whose key is \`${TermsCache.DefaultNamespaceKey()}\`.
+
+        Each namespace is returned with its global identifier, its title in \
+        the languages selected by the \`lang\` parameter and its number of members.
+    `
+	)
+	.queryParam('lang', Models.LanguageChainModel)
+	.response(200, joi.array().items(
+		joi.object({
+			_key: joi.string(),
+			title: joi.any(),
+			members: joi.number().integer()
+		})
+	), dd
+		`
+            **Namespaces**
+
+            The service will return the list of namespaces sorted by key.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No user registered**
+
+            There is no active session.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **User unauthorised**
+
+            The current user is not authorised to perform the operation.
+        `
+	)
+
+/**
+ * Return namespaces hierarchy.
+ * The service will return the tree of namespaces.
+ */
+router.get(
+	'tree',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetNamespaceTree(request, response)
+		}
+	},
+	'namespace-tree'
+)
+	.summary('Get namespaces hierarchy')
+	.description(dd
+		`
+        **Return namespaces tree**
+
+        ***To use this service, the current user must have the \`read\` role.***
+
+        Namespaces are themselves terms, so they also belong to a namespace: \
+        this service will return the tree of namespaces starting from the \
+        default namespace.
+
+        Each node of the tree has the namespace global identifier, \`_key\`, \
+        and the list of child namespaces, \`children\`.
+    `
+	)
+	.response(200, NamespaceTreeModel, dd
+		`
+            **Namespaces tree**
+
+            The service will return the tree of namespaces, the root is the \
+            default namespace.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No user registered**
+
+            There is no active session.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **User unauthorised**
+
+            The current user is not authorised to perform the operation.
+        `
+	)
+
+/**
+ * Return namespaces statistics.
+ * The service will return the number of terms by type for each namespace.
+ */
+router.get(
+	'stats',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetNamespaceStats(request, response)
+		}
+	},
+	'namespace-stats'
+)
+	.summary('Get namespaces statistics')
+	.description(dd
+		`
+        **Return namespaces statistics**
+
+        ***To use this service, the current user must have the \`read\` role.***
+
+        The service will return, for each namespace, the number of member \
+        terms, descriptors, structure types and enumeration types. \
+        Enumeration types are the terms that are the root of an enumeration graph.
+
+        Provide a namespace global identifier in the \`key\` parameter to get \
+        the statistics of that namespace only.
+    `
+	)
+	.queryParam('key', NamespaceModel.optional())
+	.response(200, joi.object().pattern(joi.string(), NamespaceStatsModel), dd
+		`
+            **Namespaces statistics**
+
+            The service will return an object with the namespace global identifiers \
+            as keys and the following counts as values:
+            - \`terms\`: Number of member terms.
+            - \`descriptors\`: Number of member descriptors.
+            - \`structures\`: Number of member structure types.
+            - \`enumerations\`: Number of member enumeration types.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No user registered**
+
+            There is no active session.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **User unauthorised**
+
+            The current user is not authorised to perform the operation.
+        `
+	)
+
+/**
+ * Return namespace members.
+ * The service will return a page of the terms belonging to a namespace.
+ */
+router.get(
+	'members',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetNamespaceMembers(request, response)
+		}
+	},
+	'namespace-members'
+)
+	.summary('Get namespace members')
+	.description(dd
+		`
+        **Return namespace members**
+
+        ***To use this service, the current user must have the \`read\` role.***
+
+        The service will return the terms belonging to the namespace provided \
+        in the \`key\` parameter, sorted by global identifier. Use \`start\` \
+        and \`limit\` to page the results.
+
+        The term descriptions are returned in the languages selected by the \
+        \`lang\` parameter.
+    `
+	)
+	.queryParam('key', NamespaceModel)
+	.queryParam('start', joi.number().integer().min(0).default(0), "Start position in results")
+	.queryParam('limit', joi.number().integer().min(1).default(25), "Number of elements to be returned")
+	.queryParam('lang', Models.LanguageChainModel)
+	.response(200, joi.object({
+		total: joi.number().integer(),
+		data: joi.array().items(joi.object())
+	}), dd
+		`
+            **Namespace members**
+
+            The service will return the \`total\` number of members and the \
+            requested page of member terms in \`data\`: namespaces without \
+            members return an empty page.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No user registered**
+
+            There is no active session.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **User unauthorised**
+
+            The current user is not authorised to perform the operation.
+        `
+	)
+	.response(404, ErrorModel, dd
+		`
+            **Namespace not found**
+
+            The provided key does not correspond to any term or to the \
+            default namespace.
+        `
+	)
+
+
+//
+// Functions.
+//
+
+/**
+ * List namespaces.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doListNamespaces(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const info = module.context.configuration.sectionInfo
+	const title = module.context.configuration.titleInfoField
+
+	//
+	// Query namespaces.
+	//
+	const result = K.db._query( aql`
+		FOR term IN ${collection_term}
+			COLLECT namespace = ${namespaceKey(aql`term`)} WITH COUNT INTO members
+			LET record = DOCUMENT(CONCAT(${collection_term.name()}, "/", namespace))
+			SORT namespace ASC
+		RETURN {
+			_key: namespace,
+			title: record.${info}.${title},
+			members: members
+		}
+	`).toArray()
+
+	///
+	// Select language.
+	///
+	const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+	if(chain !== null) {
+		result.forEach( (item) => {
+			const term = { [info]: { [title]: item.title } }
+			Utils.termLanguage(term, chain)
+			item.title = term[info][title]
+		})
+	}
+
+	response.send(result)                                               // ==>
+
+} // doListNamespaces()
+
+/**
+ * Get namespaces tree.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doGetNamespaceTree(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const root = TermsCache.DefaultNamespaceKey()
+
+	//
+	// Query namespaces and their parent namespace.
+	//
+	const namespaces = K.db._query( aql`
+		LET namespaces = (
+			FOR term IN ${collection_term}
+				COLLECT namespace = ${namespaceKey(aql`term`)}
+			RETURN namespace
+		)
+
+		FOR namespace IN namespaces
+			FILTER namespace != ${root}
+			LET record = DOCUMENT(CONCAT(${collection_term.name()}, "/", namespace))
+		RETURN {
+			_key: namespace,
+			parent: (record == null) ? ${root} : ${namespaceKey(aql`record`)}
+		}
+	`).toArray()
+
+	///
+	// Build tree.
+	// Namespaces are linked to their parent,
+	// guarding against namespaces being their own ancestors.
+	///
+	const nodes = { [root]: { _key: root, children: [] } }
+	namespaces.forEach( (item) => { nodes[item._key] = { _key: item._key, children: [] } } )
+	namespaces.forEach( (item) => {
+		let parent = (nodes.hasOwnProperty(item.parent)) ? item.parent : root
+		let ancestor = parent
+		const visited = new Set([item._key])
+		while(ancestor !== root) {
+			if(visited.has(ancestor)) {
+				parent = root
+				break
+			}
+			visited.add(ancestor)
+			const found = namespaces.find( (element) => element._key === ancestor )
+			ancestor = (found !== undefined && nodes.hasOwnProperty(found.parent)) ? found.parent : root
+		}
+		nodes[parent].children.push(nodes[item._key])
+	})
+
+	response.send(nodes[root])                                          // ==>
+
+} // doGetNamespaceTree()
+
+/**
+ * Get namespaces statistics.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doGetNamespaceStats(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const data = module.context.configuration.sectionData
+	const rule = module.context.configuration.sectionRule
+	const filter = (request.queryParams.key !== undefined)
+		? aql`FILTER ${namespaceKey(aql`term`)} == ${request.queryParams.key}`
+		: aql``
+
+	//
+	// Query statistics.
+	//
+	const result = K.db._query( aql`
+		LET roots = (
+			FOR edge IN ${collection_edge}
+				FILTER edge.${module.context.configuration.predicate} == ${module.context.configuration.predicateEnumeration}
+				FOR root IN edge.${module.context.configuration.sectionPath}
+					COLLECT handle = root
+			RETURN handle
+		)
+
+		FOR term IN ${collection_term}
+			${filter}
+			COLLECT namespace = ${namespaceKey(aql`term`)}
+			AGGREGATE
+				terms = COUNT(1),
+				descriptors = SUM(HAS(term, ${data}) ? 1 : 0),
+				structures = SUM(HAS(term, ${rule}) ? 1 : 0),
+				enumerations = SUM(term._id IN roots ? 1 : 0)
+		RETURN {
+			[namespace]: {
+				terms: terms,
+				descriptors: descriptors,
+				structures: structures,
+				enumerations: enumerations
+			}
+		}
+	`).toArray()
+
+	response.send(Object.assign({}, ...result))                          // ==>
+
+} // doGetNamespaceStats()
+
+/**
+ * Get namespace members.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doGetNamespaceMembers(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const key = request.queryParams.key
+
+	//
+	// Query members.
+	//
+	const cursor = K.db._query( aql`
+		FOR term IN ${collection_term}
+			FILTER ${namespaceKey(aql`term`)} == ${key}
+			SORT term._key ASC
+			LIMIT ${request.queryParams.start}, ${request.queryParams.limit}
+		RETURN term
+	`, {}, { fullCount: true })
+	const result = cursor.toArray()
+	const total = cursor.getExtra().stats.fullCount
+
+	//
+	// Handle unknown namespace.
+	// Existing namespaces without members return an empty page.
+	//
+	if(total === 0 &&
+	   key !== TermsCache.DefaultNamespaceKey() &&
+	   !collection_term.exists(key)) {
+		response.throw(
+			HTTP_NOT_FOUND,
+			K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language] +
+			` [${key}]`
+		)                                                                   // ==>
+	}
+
+	///
+	// Select language.
+	///
+	const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+	if(chain !== null) {
+		result.forEach( (term) => Utils.termLanguage(term, chain) )
+	}
+
+	response.send({ total: total, data: result })                       // ==>
+
+} // doGetNamespaceMembers()
+
+
+//
+// Utility functions.
+//
+
+/**
+ * Return namespace key expression.
+ * The function will return the AQL expression returning the namespace key of
+ * the provided term variable: terms without a namespace, or with an empty
+ * namespace, belong to the default namespace.
+ * @param theTerm {Aql}: The term variable.
+ * @return {Aql}: The namespace key expression.
+ */
+function namespaceKey(theTerm)
+{
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+
+	return aql`
+		(${theTerm}.${code}.${nid} == null OR ${theTerm}.${code}.${nid} == "")
+			? ${TermsCache.DefaultNamespaceKey()}
+			: ${theTerm}.${code}.${nid}
+	`                                                                   // ==>
+
+} // namespaceKey()
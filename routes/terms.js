@@ -3,6 +3,7 @@
 //
 // Includes.
 //
+const _ = require('lodash')
 const joi = require('joi')
 const dd = require('dedent')
 const status = require('statuses')
@@ -16,8 +17,10 @@ const createRouter = require('@arangodb/foxx/router')
 //
 const K = require("../utils/constants")
 const Utils = require('../utils/utils')
+const Dictionary = require('../utils/dictionary')
 const Session = require('../utils/sessions')
 const Validator = require("../library/Validator")
+const ValidationReport = require("../library/ValidationReport")
 
 //
 // Models.
@@ -31,11 +34,82 @@ const keySchema =
 	joi.string().required()
 		.description('Term document key and global identifier.')
 
+// Term deletion mode.
+const deleteModeSchema =
+	joi.string().valid('restrict', 'cascade', 'dry-run').default('restrict')
+		.description(
+			"**Deletion mode**.\n" +
+			"`restrict` refuses to delete referenced terms, " +
+			"`cascade` also removes dependent edges and links, " +
+			"`dry-run` only returns the references report."
+		)
+
+// Term references report.
+const TermReferences = joi.object({
+	edges: joi.array().items(joi.object()).required(),
+	links: joi.array().items(joi.object()).required(),
+	terms: joi.array().items(
+		joi.object({
+			_key: joi.string(),
+			fields: joi.array().items(joi.string())
+		})
+	).required()
+})
+
+// Merged edge or link data conflict.
+const RecordConflict = joi.object({
+	_key: joi.string(),
+	merged: joi.string(),
+	fields: joi.array().items(joi.string()),
+	_path_data: joi.object()
+})
+
+// Term usage.
+const TermUsageReferences = joi.array().items(
+	joi.object({
+		_key: joi.string(),
+		fields: joi.array().items(joi.string())
+	})
+)
+const TermUsage = joi.object({
+	edges: joi.object({
+		from: joi.array().items(joi.object()),
+		to: joi.array().items(joi.object()),
+		path: joi.array().items(joi.object()),
+		predicate: joi.array().items(joi.object())
+	}),
+	links: joi.object({
+		from: joi.array().items(joi.object()),
+		to: joi.array().items(joi.object()),
+		predicate: joi.array().items(joi.object())
+	}),
+	structures: TermUsageReferences,
+	descriptors: TermUsageReferences,
+	members: joi.array().items(joi.string()),
+	replaced: joi.array().items(joi.string())
+})
+
+// Term revision.
+const TermRevision = joi.object({
+	term: joi.string(),
+	rev: joi.string(),
+	operation: joi.string().valid('update', 'rollback', 'delete'),
+	user: joi.string().allow(null),
+	timestamp: joi.string(),
+	data: joi.object()
+})
+
 // Terms selection query.
 const TermSelection = joi.object({
 	start: joi.number().integer().min(0).default(0).required(),
 	limit: joi.number().integer().min(0).default(25).required(),
+	cursor: joi.string(),
+	sort: joi.string().valid('_key', '_gid', 'title', 'relevance'),
 	term_type: joi.string().valid('descriptor', 'structure'),
+	lang: joi.alternatives().try(
+		joi.string(),
+		joi.array().items(joi.string())
+	),
 	_nid: joi.string(),
 	_lid: joi.string(),
 	_gid: joi.string(),
@@ -50,6 +124,21 @@ const TermSelection = joi.object({
 	_provider: joi.string()
 })
 
+// Terms selection page.
+const TermSelectionPage = (theItems) => joi.object({
+	total: joi.number().integer(),
+	cursor: joi.string().allow(null),
+	data: joi.array().items(theItems)
+})
+
+// Facet buckets.
+const FacetBuckets = joi.array().items(
+	joi.object({
+		value: joi.any(),
+		count: joi.number().integer()
+	})
+)
+
 // Valid term service response.
 const ValidTerm =
 	joi.alternatives().try(
@@ -70,6 +159,17 @@ const ValidTerms =
 		})
 	).required()
 
+// Response for partially inserted terms.
+const PartialTerms =
+	joi.object({
+		status: joi.number().valid(-1, 0, 1).required(),
+		valid: joi.number().integer().required(),
+		warnings: joi.number().integer().required(),
+		errors: joi.number().integer().required(),
+		reports: joi.array().items(joi.object()).required(),
+		values: joi.array().items(joi.object()).required()
+	})
+
 // Response for a term with resolved values.
 const ResolvedTerm =
 	joi.object({
@@ -151,6 +251,9 @@ const IncorrectTerms =
 //
 const view_object = K.db._view(K.view.term.name)
 const collection = K.db._collection(K.collection.term.name)
+const collection_edge = K.db._collection(K.collection.schema.name)
+const collection_link = K.db._collection(K.collection.links.name)
+const collection_revision = K.db._collection(K.collection.revision.name)
 const view_reference = {
 	isArangoCollection: true,
 	name: () => view_object.name()
@@ -346,6 +449,23 @@ router.post(
             You provide an array of term objects in the request body, the service will validate \
             the elements of the list and, if all are correct, it will insert all the the records. \
             This means that if there is at least one error, no terms will be inserted.
+            
+            If you clear the \`atomic\` parameter, the service will insert all the terms \
+            that pass validation and skip the others. In that case the service will \
+            return an object with the following properties:
+            - \`status\`: The validation status: zero if all terms were inserted, \
+                          one if some were resolved or have warnings, minus one if \
+                          some were skipped.
+            - \`valid\`: The number of valid terms.
+            - \`warnings\`: The number of terms that had resolved values or warnings.
+            - \`errors\`: The number of skipped terms.
+            - \`reports\`: An *array* of status reports, one for each provided term.
+            - \`values\`: An *array* with the provided terms, inserted terms will \
+                         feature the document \`_id\` and \`_rev\` properties.
+            
+            The HTTP status will be \`200\` if all terms were inserted without changes, \
+            or \`202\` in all other cases. Terms that already exist, and terms repeating \
+            the key of a previous element of the list, will be reported as errors.
         `
 	)
 	.queryParam('terms', TermValidation.ParamExpectTerms)
@@ -354,6 +474,7 @@ router.post(
 	.queryParam('resolve', TermValidation.ParamResolve)
 	.queryParam('resfld', TermValidation.ParamResolveField)
 	.queryParam('save', TermValidation.ParamSaveTerm)
+	.queryParam('atomic', TermValidation.ParamAtomic)
 	.body(Models.TermsinsertArrayModel, dd
 		`
             **Service parameters**
@@ -379,7 +500,7 @@ router.post(
             The document key will be automatically set, and overwritten, by the service.
        `
 	)
-	.response(200, ValidTerms, dd
+	.response(200, joi.alternatives().try(ValidTerms, PartialTerms), dd
 		`
             **Inserted terms**
             
@@ -392,9 +513,13 @@ router.post(
             - \`status\`: The validation status *applying to all entries*, which will be zero.
             - \`terms\`: The provided terms list with the updated code section global \
                         identifiers and the document keys.
+            
+            If the \`atomic\` parameter is cleared, the service will return the \
+            \`status\`, the \`valid\`, \`warnings\` and \`errors\` counters, \
+            the \`reports\` and the \`values\` described above.
        `
 	)
-	.response(202, ResolvedTerms, dd
+	.response(202, joi.alternatives().try(ResolvedTerms, PartialTerms), dd
 		`
             **Inserted resolved terms**
             
@@ -416,6 +541,11 @@ router.post(
             - \`values\`: An *array* with the provided terms featuring the resolved \
                          fields, and the document \`_id\` and \`_rev\` properties if the \
                          \`save\` parameter was *set*.
+            
+            If the \`atomic\` parameter is cleared, this status is returned if not \
+            all terms were inserted without changes, the response contains the \
+            \`status\`, the \`valid\`, \`warnings\` and \`errors\` counters, \
+            the \`reports\` and the \`values\` described above.
         `
 	)
 	.response(400, IncorrectTerms, dd
@@ -459,6 +589,121 @@ router.post(
         `
 	)
 
+/**
+ * Upsert terms.
+ * This service will insert or update the terms provided in the body.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.post(
+	'upsert/many',
+	(request, response) => {
+		const roles = [K.environment.role.dict]
+		if(Session.hasPermission(request, response, roles)) {
+			doUpsertTerms(request, response)
+		}
+	},
+	'terms-upsert'
+)
+	.summary('Insert or update terms')
+	.description(dd
+		`
+            **Insert or update a list of terms**
+             
+            ***In order to use this service, the current user must have the \`dict\` role.***
+             
+            This service can be used to synchronise the dictionary with a list of terms: \
+            new terms will be inserted and existing terms will be updated.
+            
+            You provide an array of term objects in the request body, the service will \
+            set the global identifiers and document keys as in the insert service: terms \
+            that do not exist will be inserted, terms that exist will be merged with \
+            the provided values.
+            
+            When merging, each property of the provided term sections replaces the \
+            corresponding property of the existing term, properties not provided will be \
+            left untouched. Information section texts are merged by language. \
+            A \`null\` value removes the property from the existing term. \
+            The merged term is checked to ensure the changes do not render existing \
+            data incorrect.
+            
+            Each term is handled independently: invalid terms will be rejected \
+            and the others will be inserted or updated. Terms repeating the key of a \
+            previous element of the list will be rejected. All writes are performed \
+            in a single transaction.
+        `
+	)
+	.queryParam('terms', TermValidation.ParamExpectTerms)
+	.queryParam('types', TermValidation.ParamExpectTypes)
+	.queryParam('defns', TermValidation.ParamDefNamespace)
+	.queryParam('resolve', TermValidation.ParamResolve)
+	.queryParam('resfld', TermValidation.ParamResolveField)
+	.queryParam('save', TermValidation.ParamSaveTerm)
+	.body(Models.TermsArrayModel, dd
+		`
+            **Service parameters**
+            
+            The service body expects an array of term objects.
+            
+            Each provided term is required to have at least the \`_code\` block with \
+            the \`_lid\` property. The global identifiers and document keys will be set, and \
+            overwritten by the service.
+       `
+	)
+	.response(200, joi.object({
+		inserted: joi.number().required(),
+		updated: joi.number().required(),
+		unchanged: joi.number().required(),
+		rejected: joi.number().required(),
+		outcomes: joi.array().items(joi.object({
+			_key: joi.string(),
+			outcome: joi.string().valid('inserted', 'updated', 'unchanged', 'rejected'),
+			report: joi.object(),
+			value: joi.object()
+		})).required()
+	}), dd
+		`
+            **Upsert outcome**
+            
+            The service will return the number of inserted, updated, unchanged and \
+            rejected terms and the \`outcomes\` array, with one element for each \
+            provided term, in the same order, structured as follows:
+            
+            - \`_key\`: The term global identifier.
+            - \`outcome\`: The operation outcome: \`inserted\`, \`updated\`, \
+                          \`unchanged\` or \`rejected\`.
+            - \`report\`: The term validation report: for rejected terms it \
+                         will describe the error, for the others it may contain \
+                         the resolved values.
+            - \`value\`: The resulting term, if the \`save\` parameter was set, \
+                        it will include the \`_id\` and \`_rev\` properties.
+            
+            Terms are only inserted or updated if the \`save\` parameter was set.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+	.response(409, ErrorModel, dd
+		`
+            **Conflict**
+            
+            The service will return this code if any of the terms was inserted or \
+            modified by others while the service was running: no terms will be written.
+        `
+	)
+
 /**
  * Delete term.
  * This service will delete the term matching the provided key.
@@ -492,15 +737,33 @@ router.delete(
             if you know what you are doing and you are absolutely sure you want to do it.**
             
             **One safe way to try the service is to create a new term and then delete it.**
+            
+            The \`mode\` query parameter determines how references to the term \
+            are handled:
+            
+            - \`restrict\`: if the term is referenced by edges, links or other terms, \
+            the service will fail and return the list of references.
+            - \`cascade\`: dependent edges and links will be removed along with the \
+            term in a single transaction. Edges referencing the term only in their \
+            \`_path\` will have the term removed from the path. References from other \
+            terms cannot be cascaded, so these will make the service fail.
+            - \`dry-run\`: the service will not delete anything and return the \
+            references report.
         `
 	)
 	.queryParam('key', keySchema)
-	.response(200, joi.object(), dd
+	.queryParam('mode', deleteModeSchema)
+	.response(200, joi.alternatives().try(joi.object(), TermReferences), dd
 		`
             **Deleted term identifiers**
             
             The service will return the attributes \`_id\`, \`_key\` and \`_rev\` \
-            of the deleted record.
+            of the deleted record. In \`cascade\` mode the \`edges\` and \`links\` \
+            properties will contain the statistics of the dependent records.
+            
+            In \`dry-run\` mode the service will return the references report: \
+            \`edges\` and \`links\` contain the referencing records, \`terms\` \
+            contains the referencing term keys and the list of referencing fields.
         `
 	)
 	.response(401, ErrorModel, dd
@@ -524,6 +787,17 @@ router.delete(
             The provided \`key\` does not correspond to any existing terms.
         `
 	)
+	.response(409, joi.object({
+		message: joi.string(),
+		references: TermReferences
+	}), dd
+		`
+            **Term is referenced**
+            
+            The term is referenced by other records: the service will return \
+            the references report in the \`references\` property.
+        `
+	)
 
 /**
  * Delete terms.
@@ -559,8 +833,22 @@ router.delete(
             if you know what you are doing and you are absolutely sure you want to do it.**
             
             **One safe way to try the service is to create a new term and then delete it.**
+            
+            The \`mode\` query parameter determines how references to the terms \
+            are handled:
+            
+            - \`restrict\`: if any of the terms is referenced by edges, links or \
+            terms not included in the list, the service will fail and return \
+            the list of references.
+            - \`cascade\`: dependent edges and links will be removed along with the \
+            terms in a single transaction. Edges referencing the terms only in their \
+            \`_path\` will have the terms removed from the path. References from other \
+            terms cannot be cascaded, so these will make the service fail.
+            - \`dry-run\`: the service will not delete anything and return the \
+            references report.
         `
 	)
+	.queryParam('mode', deleteModeSchema)
 	.body(joi.array().items(joi.string()).required(), dd
 		`
             **Service parameters**
@@ -568,15 +856,266 @@ router.delete(
             The service body expects an array of term global identifiers.
        `
 	)
+	.response(200, joi.alternatives().try(
+		joi.object({
+			removed: joi.number(),
+			ignored: joi.number(),
+			edges: joi.object(),
+			links: joi.object()
+		}),
+		TermReferences
+	), dd
+		`
+            **Operation statistics**
+            
+            The service will return the number of deleted records, \`removed\`, \
+            and the number of ignored keys, \`ignored\`. In \`cascade\` mode the \`edges\` \
+            and \`links\` properties will contain the statistics of the dependent records.
+            
+            In \`dry-run\` mode the service will return the references report: \
+            \`edges\` and \`links\` contain the referencing records, \`terms\` \
+            contains the referencing term keys and the list of referencing fields.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+
+/**
+ * Rekey term.
+ * This service will change the global identifier of a term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.post(
+	'rekey',
+	(request, response) => {
+		const roles = [K.environment.role.dict]
+		if(Session.hasPermission(request, response, roles)) {
+			doRekeyTerm(request, response)
+		}
+	},
+	'term-rekey'
+)
+	.summary('Rekey term')
+	.description(dd
+		`
+            **Change the global identifier of a term**
+             
+            ***In order to use this service, the current user must have the \`dict\` role.***
+             
+            This service can be used to rename a term, for instance to fix a typo in \
+            its local identifier, without breaking the integrity of the dictionary.
+            
+            Provide the current global identifier in the \`from\` path query parameter \
+            and the new global identifier in the \`to\` path query parameter. The new \
+            global identifier must start with the term namespace, the rest will become \
+            the new local identifier, that will also replace the old one in the official \
+            identifiers list.
+            
+            In a single transaction, the service will rename the term, regenerate the keys \
+            of all edges and links referencing the term, rewrite their \`_from\`, \`_to\`, \
+            predicate and \`_path\` references, and update the references to the term in \
+            the data and rule sections of other terms and of the term itself. All records \
+            are read in the same transaction, if any of them is modified concurrently the \
+            operation will fail without changes.
+            
+            Terms used as namespace by other terms cannot be rekeyed, since that would \
+            change the global identifier of all their members.
+            
+            **Note that if the term is a descriptor, data using the descriptor as a \
+            property name will not be updated.**
+        `
+	)
+	.queryParam('from', keySchema)
+	.queryParam('to', keySchema)
 	.response(200, joi.object({
-		deleted: joi.number(),
-		ignored: joi.number()
+		_id: joi.string(),
+		_key: joi.string(),
+		_rev: joi.string(),
+		edges: joi.object({
+			rekeyed: joi.number(),
+			updated: joi.number(),
+			conflicts: joi.array().items(RecordConflict)
+		}),
+		links: joi.object({
+			rekeyed: joi.number(),
+			conflicts: joi.array().items(RecordConflict)
+		}),
+		terms: joi.array().items(joi.string())
 	}), dd
 		`
-            **Operation statistics**
+            **Rekeyed term**
+            
+            The service will return the attributes \`_id\`, \`_key\` and \`_rev\` \
+            of the renamed term, the number of rekeyed and updated edges, \
+            the number of rekeyed links and the list of updated terms. Edges and \
+            links that become duplicates are merged, \`conflicts\` lists the merged \
+            records whose \`_path_data\` differs from the kept record.
+        `
+	)
+	.response(400, ErrorModel, dd
+		`
+            **Invalid key**
+            
+            The new global identifier does not start with the term namespace.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+	.response(404, ErrorModel, dd
+		`
+            **Term not found**
+            
+            The provided \`from\` key does not correspond to any existing terms.
+        `
+	)
+	.response(409, ErrorModel, dd
+		`
+            **Conflict**
+            
+            The new global identifier already exists, the term is used \
+            as namespace by other terms, or the records were modified concurrently.
+        `
+	)
+
+/**
+ * Merge terms.
+ * This service will merge a list of duplicate terms into a surviving term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.post(
+	'merge',
+	(request, response) => {
+		const roles = [K.environment.role.dict]
+		if(Session.hasPermission(request, response, roles)) {
+			doMergeTerms(request, response)
+		}
+	},
+	'term-merge'
+)
+	.summary('Merge terms')
+	.description(dd
+		`
+            **Merge duplicate terms into a surviving term**
+            
+            ***In order to use this service, the current user must have the \`dict\` role.***
+            
+            This service can be used to consolidate synonymous terms, for instance \
+            terms created by different imports in different namespaces.
+            
+            Provide the global identifier of the term that should remain in the \
+            \`survivor\` query parameter and the comma separated list of global \
+            identifiers of the terms to be merged into it in the \`victims\` query \
+            parameter.
+            
+            In a single transaction, the service will:
+            - Move the official and provider identifiers of the victims to the survivor: \
+              deprecated victims keep their local identifier as official identifier.
+            - Point all edges and links referencing the victims to the survivor, \
+              merging the paths and data of edges that become duplicates and dropping \
+              edges and links that would connect the survivor to itself.
+            - Replace the references to the victims in the data and rule sections, \
+              and in the replacement field, of all other terms.
+            - Delete the victims, or, if the \`deprecate\` query parameter is set, \
+              mark them as deprecated and replaced by the survivor.
+            
+            Terms used as namespace by other terms cannot be merged, since that would \
+            change the global identifier of all their members.
+            
+            **Note that if a victim is a descriptor, data using the descriptor as a \
+            property name will not be updated.**
+        `
+	)
+	.queryParam('survivor', keySchema)
+	.queryParam('victims', joi.string().required(), dd
+		`
+            **Victims**
+            
+            Comma separated list of global identifiers of the terms to be merged \
+            into the survivor.
+        `
+	)
+	.queryParam('deprecate', joi.boolean().default(false), dd
+		`
+            **Deprecate victims**
+            
+            If set, the victims will be kept and marked as deprecated and replaced \
+            by the survivor, if not set, the default, they will be deleted.
+        `
+	)
+	.response(200, joi.object({
+		survivor: joi.object({
+			_id: joi.string(),
+			_key: joi.string(),
+			_rev: joi.string(),
+			codes: joi.object().pattern(joi.string(), joi.array().items(joi.string()))
+		}),
+		victims: joi.object({
+			deleted: joi.array().items(joi.string()),
+			deprecated: joi.array().items(joi.string())
+		}),
+		edges: joi.object({
+			rekeyed: joi.number(),
+			merged: joi.number(),
+			dropped: joi.number(),
+			updated: joi.number(),
+			conflicts: joi.array().items(RecordConflict)
+		}),
+		links: joi.object({
+			rekeyed: joi.number(),
+			merged: joi.number(),
+			dropped: joi.number(),
+			conflicts: joi.array().items(RecordConflict)
+		}),
+		terms: joi.array().items(joi.string())
+	}), dd
+		`
+            **Merged terms**
+            
+            The service will return the following change report:
+            - \`survivor\`: The \`_id\`, \`_key\` and \`_rev\` of the survivor, and \
+              in \`codes\` the identifiers added to each code field.
+            - \`victims\`: The list of \`deleted\` and \`deprecated\` victims.
+            - \`edges\`: The number of rekeyed edges, of edges merged into \
+              existing ones, of dropped edges and of updated edges. In \`conflicts\` \
+              the merged edges whose \`_path_data\` properties differ from the ones of \
+              the kept edge: the kept edge \`_key\`, the \`merged\` edge key, the \
+              conflicting \`fields\` and the discarded \`_path_data\`.
+            - \`links\`: The number of rekeyed, merged and dropped links, \
+              and the merged links \`conflicts\`.
+            - \`terms\`: The list of terms whose references were updated.
+        `
+	)
+	.response(400, ErrorModel, dd
+		`
+            **Invalid victims**
             
-            The service will return the number of deleted records \
-            and the number of ignored keys.
+            The survivor is among the victims.
         `
 	)
 	.response(401, ErrorModel, dd
@@ -593,6 +1132,21 @@ router.delete(
             The service will return this code if the current user is not a dictionary user.
         `
 	)
+	.response(404, ErrorModel, dd
+		`
+            **Term not found**
+            
+            The survivor or one of the victims does not correspond to any existing terms.
+        `
+	)
+	.response(409, ErrorModel, dd
+		`
+            **Conflict**
+            
+            One of the victims is used as namespace by other terms, \
+            or the records were modified concurrently.
+        `
+	)
 
 /**
  * Get term by key
@@ -624,6 +1178,12 @@ router.get(
              the field will be set with the default language, or pass \`@\` to get the result \
              in all languages.
              
+             The *lang* parameter can also be a comma delimited list of language codes \
+             in order of preference, such as \`fra,eng\`: each description will be returned \
+             in the first available language, falling back to the default language and then \
+             to any available language. If omitted, the \`Accept-Language\` header is used. \
+             When the fallback chain has more than one language, the language served for each description is returned in the \`_lang\` property.
+             
              Try providing \`iso_639_3_eng\` in the *key* parameter: you will get the \
              English language ISO entry with names in English.
              Try providing \`iso_639_3_eng\` in the *key* parameter and \`@\` in the language parameter: \
@@ -631,7 +1191,7 @@ router.get(
         `
 	)
 	.queryParam('key', keySchema)
-	.queryParam('lang', Models.DefaultLanguageTokenModel, "Language code, or @ for all languages.")
+	.queryParam('lang', Models.LanguageChainModel)
 	.response(200, Models.TermModel, dd
 		`
             **Term record**
@@ -692,9 +1252,15 @@ router.post(
              
              The service expects a parameter, \`lang\`, which represents the language code in which \
              you want the term descriptions returned. To return all available languages pass \`@\`.
+             
+             The *lang* parameter can also be a comma delimited list of language codes \
+             in order of preference, such as \`fra,eng\`: each description will be returned \
+             in the first available language, falling back to the default language and then \
+             to any available language. If omitted, the \`Accept-Language\` header is used. \
+             When the fallback chain has more than one language, the language served for each description is returned in the \`_lang\` property.
         `
 	)
-	.queryParam('lang', Models.DefaultLanguageTokenModel, "Language code, or @ for all languages.")
+	.queryParam('lang', Models.LanguageChainModel)
 	.body(joi.array().items(joi.string()).required(), dd
 		`
             **Service parameters**
@@ -755,7 +1321,10 @@ router.post(
             The request body contains an object that can be used to select from a set of properties:
             - \`start\`: Start position in results.
             - \`limit\`: Number of elements to be returned.
+            - \`cursor\`: Continuation cursor returned by the previous page.
+            - \`sort\`: Sort order of the results.
             - \`term_type\`: Select descriptors or structure types.
+            - \`lang\`: Restrict text matching to languages.
             - \`_nid\`: Term namespace.
             - \`_lid\`: Term local identifier.
             - \`_gid\`: Term global identifier.
@@ -782,6 +1351,7 @@ router.post(
             \`{"start": 0, "limit": 10, "_definition": "republic"}\`
         `
 	)
+	.queryParam('lang', Models.DefaultLanguageTokenModel, "Language code used to sort by title")
 	.body(TermSelection, dd
 		`
             **Service parameters**
@@ -789,7 +1359,14 @@ router.post(
             The service body expects an object with the following properties:
             - \`start\`: Start position in results, provide an integer greater or equal to 0.
             - \`limit\`: Number of elements to be returned, provide an integer.
+            - \`cursor\`: The \`cursor\` returned by the previous page, it replaces \`start\`.
+            - \`sort\`: Sort by \`_key\`, \`_gid\`, \`title\` in the requested language, \
+              or \`relevance\` score, defaults to \`_key\`.
             - \`term_type\`: Set \`descriptor\` or \`structure\`, omit for any term type.
+            - \`lang\`: Language code, or list of language codes, to which the \
+              text selectors matching is restricted. If omitted, only the \
+              languages of the \`searchLanguages\` setting are matched: text \
+              in other languages is only matched if its language is listed here.
             - \`_nid\`: The namespace global identifier, wildcard match.
             - \`_lid\`: The term local ientifier, wildcard match.
             - \`_gid\`: The term global ientifier, wildcard match.
@@ -810,13 +1387,37 @@ router.post(
             For all *token match* fields provide a string with space delimited tokens.
             
             Any selector can be omitted, except \`start\` and \`limit\`.
+            
+            Deep offsets are slow and, while terms are edited, may skip or repeat \
+            results: to browse all results use the \`cursor\` returned by each page \
+            to request the next one, keeping the same selectors and sort order.
+            
+            Relevance scores are computed at each call and may change between \
+            calls, so a \`relevance\` cursor may skip or repeat results, and since \
+            all matching terms must be scored before the cursor is applied, it \
+            does not make deep pages faster: use another sort order to browse \
+            all results.
         `
 	)
-	.response(200, Models.StringArrayModel, dd
+	.response(200, joi.alternatives().try(Models.StringArrayModel, TermSelectionPage(joi.string())), dd
 		`
             **List of term keys**
             
-            The service will return the list of matching terms.
+            The service will return the list of matching term keys. If the \
+            request body contains \`cursor\` or \`sort\`, the service will \
+            return instead an object with the following properties:
+            - \`total\`: The total number of matching terms, regardless of \
+              the \`cursor\` position.
+            - \`cursor\`: The continuation cursor to get the next page, \
+              or \`null\` if there are no more results.
+            - \`data\`: The list of matching term keys.
+        `
+	)
+	.response(400, ErrorModel, dd
+		`
+            **Invalid cursor**
+            
+            The provided cursor is invalid or does not match the sort order.
         `
 	)
 	.response(401, ErrorModel, dd
@@ -863,12 +1464,24 @@ router.post(
             
             You should pass the desired language in the path parameter: the titles and descriptions \
             of the terms will be returned in that language, or they will be returned unaltered if \
-            the language code doesn't match any entry, or if you provide \`@\`.
+            you provide \`@\`. You can also provide a comma delimited list of language codes \
+            in order of preference, such as \`fra,eng\`: each description will be returned in \
+            the first available language, falling back to the default language and then to any \
+            available language. If omitted, the \`Accept-Language\` header is used. When the \
+            fallback chain has more than one language, the language served for each \
+            description is returned in the \`_lang\` property.
             
             The service body expects an object with the following properties:
             - \`start\`: Start position in results, provide an integer greater or equal to 0.
             - \`limit\`: Number of elements to be returned, provide an integer.
+            - \`cursor\`: The \`cursor\` returned by the previous page, it replaces \`start\`.
+            - \`sort\`: Sort by \`_key\`, \`_gid\`, \`title\` in the requested language, \
+              or \`relevance\` score, defaults to \`_key\`.
             - \`term_type\`: Set \`descriptor\` or \`structure\`, omit for any term type.
+            - \`lang\`: Language code, or list of language codes, to which the \
+              text selectors matching is restricted. If omitted, only the \
+              languages of the \`searchLanguages\` setting are matched: text \
+              in other languages is only matched if its language is listed here.
             - \`_nid\`: The namespace global ientifier, wildcard match.
             - \`_lid\`: The term local ientifier, wildcard match.
             - \`_gid\`: The term global ientifier, wildcard match.
@@ -895,7 +1508,7 @@ router.post(
             \`{"start": 0, "limit": 10, "_definition": "republic"}\`
         `
 	)
-	.queryParam('lang', Models.DefaultLanguageTokenModel, "Language code, @ for all languages")
+	.queryParam('lang', Models.LanguageChainModel)
 	.body(TermSelection, dd
 		`
             **Service parameters**
@@ -903,7 +1516,14 @@ router.post(
             The service body expects an object with the following properties:
             - \`start\`: Start position in results, provide an integer greater or equal to 0.
             - \`limit\`: Number of elements to be returned, provide an integer.
+            - \`cursor\`: The \`cursor\` returned by the previous page, it replaces \`start\`.
+            - \`sort\`: Sort by \`_key\`, \`_gid\`, \`title\` in the requested language, \
+              or \`relevance\` score, defaults to \`_key\`.
             - \`term_type\`: Set \`descriptor\` or \`structure\`, omit for any term type.
+            - \`lang\`: Language code, or list of language codes, to which the \
+              text selectors matching is restricted. If omitted, only the \
+              languages of the \`searchLanguages\` setting are matched: text \
+              in other languages is only matched if its language is listed here.
             - \`_nid\`: The namespace global identifier, wildcard match.
             - \`_lid\`: The term local ientifier, wildcard match.
             - \`_gid\`: The term global ientifier, wildcard match.
@@ -924,13 +1544,37 @@ router.post(
             For all *token match* fields provide a string with space delimited tokens.
             
             Any selector can be omitted, except \`start\` and \`limit\`.
+            
+            Deep offsets are slow and, while terms are edited, may skip or repeat \
+            results: to browse all results use the \`cursor\` returned by each page \
+            to request the next one, keeping the same selectors and sort order.
+            
+            Relevance scores are computed at each call and may change between \
+            calls, so a \`relevance\` cursor may skip or repeat results, and since \
+            all matching terms must be scored before the cursor is applied, it \
+            does not make deep pages faster: use another sort order to browse \
+            all results.
         `
 	)
-	.response(200, Models.TermsinsertArrayModel, dd
+	.response(200, joi.alternatives().try(Models.TermsArrayModel, TermSelectionPage(joi.object())), dd
 		`
             **List of terms**
             
-            The service will return the list of matching terms.
+            The service will return the list of matching terms. If the request \
+            body contains \`cursor\` or \`sort\`, the service will return \
+            instead an object with the following properties:
+            - \`total\`: The total number of matching terms, regardless of \
+              the \`cursor\` position.
+            - \`cursor\`: The continuation cursor to get the next page, \
+              or \`null\` if there are no more results.
+            - \`data\`: The list of matching terms.
+        `
+	)
+	.response(400, ErrorModel, dd
+		`
+            **Invalid cursor**
+            
+            The provided cursor is invalid or does not match the sort order.
         `
 	)
 	.response(401, ErrorModel, dd
@@ -949,14 +1593,278 @@ router.post(
 	)
 
 /**
- * Update term
- * This service can be used to update a term.
+ * Query faceted terms
+ * This service can be used to get a selected list of terms and facet counts.
  * @param request: API request.
  * @param response: API response.
  */
-router.patch(
+router.post(
+	'query/facets',
 	(request, response) => {
-		const roles = [K.environment.role.dict]
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doSelectTermFacets(request, response)
+		}
+	},
+	'term-facets'
+)
+	.summary('Query terms with facets')
+	.description(dd
+		`
+            **Get a list of terms and facet counts**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            This service can be used to browse the dictionary: it expects the same \
+            selection criteria as the *Query term objects* service and returns the \
+            same page of matching terms, along with the number of matching terms \
+            for each value of the following facets:
+            - \`_subject\`: Data section subject.
+            - \`_class\`: Data section class.
+            - \`_domain\`: Data section domain.
+            - \`_tag\`: Data section tags.
+            - \`_list\`: Data section lists.
+            - \`term_type\`: \`descriptor\`, \`structure\` or \`term\`.
+            - \`data_type\`: The scalar data type, or the data section container \
+              type, for descriptors.
+            - \`namespace\`: The term namespace, \`null\` for the default namespace.
+            
+            Facet counts are computed on all matching terms, not only on the returned page.
+        `
+	)
+	.queryParam('lang', Models.LanguageChainModel)
+	.body(TermSelection, dd
+		`
+            **Service parameters**
+            
+            The service body expects the same object as the *Query term objects* service.
+        `
+	)
+	.response(200, joi.object({
+		total: joi.number().integer(),
+		cursor: joi.string().allow(null),
+		data: joi.array().items(joi.object()),
+		facets: joi.object({
+			_subject: FacetBuckets,
+			_class: FacetBuckets,
+			_domain: FacetBuckets,
+			_tag: FacetBuckets,
+			_list: FacetBuckets,
+			term_type: FacetBuckets,
+			data_type: FacetBuckets,
+			namespace: FacetBuckets
+		})
+	}), dd
+		`
+            **List of terms and facets**
+            
+            The service will return an object with the following properties:
+            - \`total\`: The total number of matching terms, regardless of \
+              the \`cursor\` position.
+            - \`cursor\`: The continuation cursor to get the next page, \
+              or \`null\` if there are no more results.
+            - \`data\`: The list of matching terms.
+            - \`facets\`: An object with a property for each facet containing \
+              the list of facet values, \`value\`, and their matching terms \
+              count, \`count\`, sorted by descending count.
+        `
+	)
+	.response(400, ErrorModel, dd
+		`
+            **Invalid cursor**
+            
+            The provided cursor is invalid or does not match the sort order.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+
+/**
+ * Resolve codes
+ * This service can be used to resolve codes into term global identifiers.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.post(
+	'resolve',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doResolveCodes(request, response)
+		}
+	},
+	'term-resolve'
+)
+	.summary('Resolve codes')
+	.description(dd
+		`
+            **Resolve codes into term global identifiers**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            Data often references terms by their local, official or provider \
+            identifiers, or by their name, rather than by their global identifier: \
+            this service can be used to find the terms matching a list of such codes.
+            
+            The service will match each code against the code section field provided \
+            in \`field\`, or against all identifier fields if omitted. Matches can be \
+            restricted to the namespace provided in \`namespace\`, and to the elements \
+            of the enumeration provided in \`enum\`.
+            
+            For each code the service returns the matching term global identifiers, \
+            the list of their namespaces and whether the match is ambiguous, which \
+            happens when matching terms belong to different namespaces.
+        `
+	)
+	.body(joi.object({
+		codes: joi.array().items(joi.string()).min(1).required(),
+		field: joi.string().valid('_lid', '_gid', '_aid', '_pid', '_name'),
+		namespace: joi.string().allow(''),
+		enum: joi.string()
+	}), dd
+		`
+            **Service parameters**
+            
+            - \`codes\`: The list of codes to resolve.
+            - \`field\`: The code section field to match: \`_lid\`, \`_gid\`, \
+              \`_aid\`, \`_pid\` or \`_name\`, omit to match all of them.
+            - \`namespace\`: The namespace global identifier, provide an empty \
+              string for the default namespace, omit to match any namespace.
+            - \`enum\`: The global identifier of an enumeration, if provided only \
+              elements of that enumeration will match.
+        `
+	)
+	.response(200, joi.object().pattern(
+		joi.string(),
+		joi.object({
+			keys: joi.array().items(joi.string()),
+			namespaces: joi.array().items(joi.string().allow(null)),
+			ambiguous: joi.boolean()
+		})
+	), dd
+		`
+            **Resolved codes**
+            
+            The service will return an object with the provided codes as keys \
+            and the following object as value:
+            - \`keys\`: The list of matching term global identifiers, \
+              empty if the code has no match.
+            - \`namespaces\`: The namespaces of the matching terms, \
+              \`null\` is the default namespace.
+            - \`ambiguous\`: \`true\` if the matching terms belong \
+              to different namespaces.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+
+/**
+ * Suggest terms
+ * This service can be used to autocomplete term names.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.get(
+	'suggest',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doSuggestTerms(request, response)
+		}
+	},
+	'term-suggest'
+)
+	.summary('Suggest terms')
+	.description(dd
+		`
+            **Get term suggestions**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            This service can be used to provide instant suggestions while typing \
+            partial term names. The text provided in the \`q\` path query parameter \
+            is split into words and each word is matched against the term local \
+            identifier, the term name and the term title in the requested language: \
+            words match both as prefixes and as fuzzy matches within the provided \
+            number of edits.
+            
+            The service returns the best matching terms ranked by relevance, \
+            with the title in the requested language and the same title with the \
+            matched words enclosed in \`<em>\` tags.
+        `
+	)
+	.queryParam('q', joi.string().required(), "Partial term name")
+	.queryParam('lang', Models.DefaultLanguageTokenModel, "Title language code")
+	.queryParam('type', joi.string().valid('descriptor', 'structure'), "Term type, omit for any type")
+	.queryParam('fuzzy', joi.number().integer().min(0).max(2).default(1), "Maximum number of edits per word")
+	.queryParam('limit', joi.number().integer().min(1).max(100).default(10), "Number of suggestions")
+	.response(200, joi.array().items(
+		joi.object({
+			_key: joi.string(),
+			title: joi.string().allow(null),
+			highlight: joi.string().allow(null),
+			score: joi.number()
+		})
+	), dd
+		`
+            **Term suggestions**
+            
+            The service will return the list of suggestions sorted by descending \
+            relevance, each suggestion has the following properties:
+            - \`_key\`: The term global identifier.
+            - \`title\`: The term title in the requested language.
+            - \`highlight\`: The title with the matched words enclosed in \`<em>\` tags.
+            - \`score\`: The relevance score.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+
+/**
+ * Update term
+ * This service can be used to update a term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.patch(
+	(request, response) => {
+		const roles = [K.environment.role.dict]
 		if(Session.hasPermission(request, response, roles)) {
 			doUpdateTerm(request, response)
 		}
@@ -973,6 +1881,20 @@ router.patch(
             This service can be used to update a term. You provide the term global identifier \
             in the path query parameter \`key\`. In the request body you provide an object that \
             that contains the update values and the list pf paths to the values to be updated.
+            
+            To prevent overwriting changes made by other users, provide the revision of the \
+            term you read either in the \`If-Match\` header or in the \`_rev\` body field: \
+            if the stored term has a different revision the service will fail with a \
+            *412* status, returning the current revision. The current revision is also \
+            returned in the \`ETag\` header of all responses.
+        `
+	)
+	.header('if-match', joi.string(), dd
+		`
+            **Expected revision**
+            
+            The revision of the term read by the client, the update will fail \
+            if the stored term has a different revision.
         `
 	)
 	.queryParam('key', keySchema)
@@ -988,7 +1910,8 @@ router.patch(
 			"references": joi.array()
 				.items(
 					joi.string()
-				).required()
+				).required(),
+			"_rev": joi.string()
 		}), dd
 		`
             **Service parameters**
@@ -1000,9 +1923,12 @@ router.patch(
             - \`references\`: An array of object paths referencing the elements of \
                               the provided term that will replace the \
                               original term values.
+            - \`_rev\`: The optional expected revision of the term, \
+                        it is an alternative to the \`If-Match\` header.
             
-            The \`references\` array is a list of *dot delimited* strings corresponding \
-            to the properties, in the \`updates\` field, that should replace the \
+            The \`references\` array is a list of *dot delimited* strings, or of \
+            RFC 6901 *JSON Pointers* such as the \`location\` of validation reports, \
+            corresponding to the properties, in the \`updates\` field, that should replace the \
             corresponding elements of the original term, or that should be inserted in the \
             original term. This is necessary in order to identify at what level should \
             the replacements or insertions begin: in order to update a deeply nested \
@@ -1019,7 +1945,7 @@ router.patch(
             For instance you could set
             *{ "_data": { "_array": { "_scalar": decimals: 2 } } }*
             as the updated value and
-            *"_data._array._scalar.decimals"*
+            *"_data._array._scalar.decimals"*, or *"/_data/_array/_scalar/decimals"*,
             as the corresponding reference element. This way the service will replace the \
             *decimals* value and not replace the whole *_data*.
         `
@@ -1115,56 +2041,2163 @@ router.patch(
             The service will return this code if the provided identifier has no match.
         `
 )
+	.response(412, joi.object({
+		message: joi.string(),
+		_rev: joi.string()
+	}), dd
+	`
+            **Revision mismatch**
+            
+            The service will return this code if the provided revision does not match \
+            the revision of the stored term: the term was modified after it was read. \
+            The response contains the current revision of the term in \`_rev\`.
+        `
+)
 
-
-//
-// Functions.
-//
+/**
+ * Get term usage.
+ * This service will return all references to the provided term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.get(
+	'usage',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetTermUsage(request, response)
+		}
+	},
+	'term-usage'
+)
+	.summary('Get term usage')
+	.description(dd
+		`
+            **Get term references**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            This service can be used to find everything that depends on the term \
+            matching the provided path query parameter \`key\`, for instance before \
+            changing a descriptor or an enumeration.
+            
+            The references are grouped by kind:
+            - \`edges\`: The edges in which the term is the source, \`from\`, \
+              the destination, \`to\`, a root in the path, \`path\`, or the \
+              predicate, \`predicate\`.
+            - \`links\`: The links in which the term is the source, \`from\`, \
+              the destination, \`to\`, or the predicate, \`predicate\`.
+            - \`structures\`: The terms referencing the term in the required, \
+              banned or recommended selections of their rule section, in the \
+              descriptors of their default values or computed properties, or \
+              in the computed properties expressions.
+            - \`descriptors\`: The terms referencing the term in the \`_kind\` or \
+              \`_tuple_types\` properties of their data section, including \
+              dictionary key and value sections.
+            - \`members\`: The keys of the terms using the term as namespace.
+            - \`replaced\`: The keys of the terms replaced by the term.
+            
+            Structures and descriptors are returned as an object with the term \
+            \`_key\` and the list of referencing property paths in \`fields\`.
+        `
+	)
+	.queryParam('key', keySchema)
+	.response(200, TermUsage, dd
+		`
+            **Term references**
+            
+            The service will return the references to the term grouped by kind.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+	.response(404, ErrorModel, dd
+		`
+            **Term not found**
+            
+            The service will return this code if the provided identifier has no match.
+        `
+	)
 
 /**
- * Insert term.
- * @param request {Object}: API request.
- * @param response {Object}: API response.
- * @return {Object}: Object with `status` = HTTP status and `value` = response.
+ * Get translations coverage.
+ * This service will return the languages of the term descriptions.
+ * @param request: API request.
+ * @param response: API response.
  */
-function doInsertTerm(request, response)
-{
-	///
-	// Init local storage.
-	///
-	const result = {}
-	
-	//
-	// Init local storage.
-	//
-	const term = request.body
-	const validator =
-		new Validator(
-			term,
-			module.context.configuration.termObjectDefinition,
-			false,
-			true,
-			true,
-			request.queryParams.terms,
-			request.queryParams.types,
-			request.queryParams.resolve,
-			request.queryParams.defns,
-			request.queryParams.resfld
+router.get(
+	'translations/coverage',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetTranslationsCoverage(request, response)
+		}
+	},
+	'term-translations-coverage'
+)
+	.summary('Get translations coverage')
+	.description(dd
+		`
+            **Get the languages of term descriptions**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            This service can be used to find which term descriptions are missing \
+            translations. For each term it lists, per information section field \
+            (\`_title\`, \`_definition\`, \`_description\`, \`_examples\` and \
+            \`_notes\`), the languages in which the field is available and the \
+            languages in which it is missing.
+            
+            Provide the languages to check in the \`lang\` path query parameter, \
+            as a comma delimited list of language codes: the default language is \
+            always checked. If omitted, all languages found in the selected terms \
+            will be checked.
+            
+            Provide the global identifier of an enumeration in the \`root\` path \
+            query parameter to restrict the report to the elements of that \
+            enumeration, or omit it to check all terms.
+        `
+	)
+	.queryParam('lang', joi.string(), "Comma delimited list of language codes")
+	.queryParam('root', joi.string(), "Enumeration global identifier")
+	.response(200, joi.object({
+		languages: joi.array().items(joi.string()),
+		complete: joi.object().pattern(joi.string(), joi.number().integer()),
+		terms: joi.array().items(
+			joi.object({
+				_key: joi.string(),
+				fields: joi.object().pattern(
+					joi.string(),
+					joi.object({
+						present: joi.array().items(joi.string()),
+						missing: joi.array().items(joi.string())
+					})
+				)
+			})
 		)
-
-	//
-	// Init code section.
-	//
-	Validator.SetDefaultTermCodes(term)
-	
-	///
+	}), dd
+		`
+            **Translations coverage**
+            
+            The service will return an object with the following properties:
+            - \`languages\`: The checked languages.
+            - \`complete\`: The number of terms having all their descriptions \
+              translated, for each checked language.
+            - \`terms\`: The list of terms, each with its \`_key\` and, for \
+              each information field it features, the \`present\` and \
+              \`missing\` languages.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+
+/**
+ * Set translations.
+ * This service can be used to set the descriptions of many terms in one language.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.patch(
+	'translations',
+	(request, response) => {
+		const roles = [K.environment.role.dict]
+		if(Session.hasPermission(request, response, roles)) {
+			doSetTranslations(request, response)
+		}
+	},
+	'term-translations'
+)
+	.summary('Set translations')
+	.description(dd
+		`
+            **Set term descriptions in one language**
+             
+            ***In order to use this service, the current user must have the \`dict\` role.***
+             
+            This service can be used to translate the descriptions of many terms at once. \
+            Only the texts in the provided language are changed, all other term \
+            properties are left untouched.
+            
+            Provide the language code in \`lang\` and the texts in \`translations\`: \
+            an object with the term global identifiers as keys and, as values, objects \
+            with the information field names as keys and the texts as values. \
+            A \`null\` text removes the translation.
+            
+            Translations are rejected if they would leave a description without \
+            the default language text: the default language text cannot be removed, \
+            and other languages can only be set for descriptions having the default \
+            language text.
+            
+            To prevent overwriting changes made by other users, provide the revisions \
+            of the terms you read in \`revisions\`: if any of these terms has a \
+            different revision the service will fail with a *412* status, returning \
+            the current revisions. The previous version of each updated term is \
+            stored in the term history.
+        `
+	)
+	.body(joi.object({
+		lang: joi.string().required(),
+		revisions: joi.object().pattern(joi.string(), joi.string()),
+		translations: joi.object().pattern(
+			joi.string(),
+			joi.object().pattern(
+				joi.string().valid(
+					module.context.configuration.titleInfoField,
+					module.context.configuration.definitionInfoField,
+					module.context.configuration.descriptionInfoField,
+					module.context.configuration.examplesInfoField,
+					module.context.configuration.notesInfoField
+				),
+				joi.string().allow(null)
+			)
+		).required()
+	}), dd
+		`
+            **Service parameters**
+            
+            - \`lang\`: The language code of the texts, either the language term \
+              global identifier, such as \`iso_639_3_fra\`, or the ISO 639-3 \
+              code, such as \`fra\`. It must be an element of the language enumeration.
+            - \`translations\`: Term global identifiers as keys, and objects \
+              with information field names and texts as values.
+            - \`revisions\`: Optional term global identifiers as keys, and the \
+              expected term revisions as values.
+        `
+	)
+	.response(200, joi.object({
+		updated: joi.number().integer(),
+		rejected: joi.number().integer(),
+		missing: joi.number().integer(),
+		reports: joi.object().pattern(joi.string(), joi.object())
+	}), dd
+		`
+            **Translations set**
+            
+            The service will return the number of \`updated\` terms, the number of \
+            \`rejected\` terms, the number of \`missing\` terms and, in \`reports\`, \
+            the status report of each rejected or missing term.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+	.response(400, ErrorModel, dd
+		`
+            **Invalid language**
+            
+            The service will return this code if the language is not an element \
+            of the language enumeration.
+        `
+	)
+	.response(409, ErrorModel, dd
+		`
+            **Concurrent modification**
+            
+            The service will return this code if a term was modified by another \
+            operation while the translations were set: nothing was changed, \
+            repeat the operation.
+        `
+	)
+	.response(412, joi.object({
+		message: joi.string(),
+		revisions: joi.object().pattern(joi.string(), joi.string().allow(null))
+	}), dd
+		`
+            **Revision mismatch**
+            
+            The service will return this code if any of the provided revisions \
+            does not match the stored term: \`revisions\` contains the current \
+            revision of the mismatching terms, \`null\` for missing terms, and \
+            nothing was changed.
+        `
+	)
+
+/**
+ * Get term history.
+ * This service will return the list of revisions of the provided term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.get(
+	'history',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetTermHistory(request, response)
+		}
+	},
+	'term-history'
+)
+	.summary('Get term history')
+	.description(dd
+		`
+            **Get term revisions**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            This service can be used to retrieve the list of revisions of the term \
+            matching the provided path query parameter \`key\`.
+            
+            Each time a term is updated, rolled back or deleted, the version of the term \
+            before the change is stored in the revisions collection along with the user \
+            who made the change and the time of the change. The current version of the \
+            term is the term itself.
+        `
+	)
+	.queryParam('key', keySchema)
+	.response(200, joi.array().items(TermRevision), dd
+		`
+            **Term revisions**
+            
+            The service will return the list of revisions ordered by time, \
+            each element is structured as follows:
+            
+            - \`term\`: The term global identifier.
+            - \`rev\`: The term revision, \`_rev\`.
+            - \`operation\`: The operation that replaced the version: \`update\`, \`rollback\` or \`delete\`.
+            - \`user\`: The user who performed the operation.
+            - \`timestamp\`: The operation time.
+            - \`data\`: The term version.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+
+/**
+ * Get term revisions difference.
+ * This service will return the differences between two revisions of a term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.get(
+	'diff',
+	(request, response) => {
+		const roles = [K.environment.role.read]
+		if(Session.hasPermission(request, response, roles)) {
+			doGetTermDiff(request, response)
+		}
+	},
+	'term-diff'
+)
+	.summary('Get term revisions difference')
+	.description(dd
+		`
+            **Compare term revisions**
+             
+            ***In order to use this service, the current user must have the \`read\` role.***
+             
+            This service can be used to compare two revisions of the term matching \
+            the provided path query parameter \`key\`. Provide the source revision \
+            in \`from\` and the destination revision in \`to\`: if you omit \`to\`, \
+            the current version of the term will be used.
+        `
+	)
+	.queryParam('key', keySchema)
+	.queryParam('from', joi.string().required(), 'Source revision.')
+	.queryParam('to', joi.string(), 'Destination revision, omit for current version.')
+	.response(200, joi.array().items(joi.object({
+		field: joi.string(),
+		old: joi.any(),
+		new: joi.any()
+	})), dd
+		`
+            **Term differences**
+            
+            The service will return the list of changed properties, each element \
+            contains the dot delimited property path in \`field\`, the source \
+            revision value in \`old\` and the destination revision value in \`new\`. \
+            Missing values are returned as \`null\`.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+	.response(404, ErrorModel, dd
+		`
+            **Revision not found**
+            
+            The service will return this code if any of the provided revisions has no match.
+        `
+	)
+
+/**
+ * Rollback term.
+ * This service will restore a previous revision of a term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+router.post(
+	'rollback',
+	(request, response) => {
+		const roles = [K.environment.role.dict]
+		if(Session.hasPermission(request, response, roles)) {
+			doRollbackTerm(request, response)
+		}
+	},
+	'term-rollback'
+)
+	.summary('Rollback term')
+	.description(dd
+		`
+            **Restore a term revision**
+             
+            ***In order to use this service, the current user must have the \`dict\` role.***
+             
+            This service can be used to restore a previous revision of an existing term. \
+            You provide the term global identifier and the revision in the request body.
+            
+            The restored term is checked as if it were an update of the current term: \
+            if the restored version changes the validation rules and would render \
+            existing data incorrect, the rollback will be refused.
+        `
+	)
+	.queryParam('terms', TermValidation.ParamExpectTerms)
+	.queryParam('types', TermValidation.ParamExpectTypes)
+	.queryParam('defns', TermValidation.ParamDefNamespace)
+	.queryParam('resolve', TermValidation.ParamResolve)
+	.queryParam('resfld', TermValidation.ParamResolveField)
+	.queryParam('save', TermValidation.ParamSaveTerm)
+	.body(joi.object({
+			"key": joi.string().required(),
+			"rev": joi.string().required()
+		}), dd
+		`
+            **Service parameters**
+            
+            - \`key\`: The term global identifier.
+            - \`rev\`: The term revision, \`_rev\`, to be restored.
+        `
+	)
+	.response(200, ValidTerm, dd
+		`
+            **Restored term**
+            
+            This response will be returned if the validation did not return any \
+            errors or warnings.
+            
+            If the \`save\` parameter was set, the service will return the restored \
+            term, including the \`_id\` and \`_rev\` properties.
+        `
+	)
+	.response(202, ResolvedTerm, dd
+		`
+            **Restored resolved term**
+            
+            This HTTP status is returned if the service has the \`resolve\` \
+            parameter *set* and there were resolved fields.
+        `
+	)
+	.response(400, IncorrectTerm, dd
+		`
+            **Invalid parameter**
+            
+            The service will return this status if the restored term did not \
+            pass validation, or if the restored version would render existing \
+            data incorrect. The response is structured as in the update service.
+        `
+	)
+	.response(401, ErrorModel, dd
+		`
+            **No current user**
+            
+            The service will return this code if no user is currently logged in.
+        `
+	)
+	.response(403, ErrorModel, dd
+		`
+            **Unauthorised user**
+            
+            The service will return this code if the current user is not a dictionary user.
+        `
+	)
+	.response(404, ErrorModel, dd
+		`
+            **Term or revision not found**
+            
+            The service will return this code if the provided term or revision has no match.
+        `
+	)
+
+
+//
+// Functions.
+//
+
+/**
+ * Insert term.
+ * @param request {Object}: API request.
+ * @param response {Object}: API response.
+ * @return {Object}: Object with `status` = HTTP status and `value` = response.
+ */
+function doInsertTerm(request, response)
+{
+	///
+	// Init local storage.
+	///
+	const result = {}
+	
+	//
+	// Init local storage.
+	//
+	const term = request.body
+	const validator =
+		new Validator(
+			term,
+			module.context.configuration.termObjectDefinition,
+			false,
+			true,
+			true,
+			request.queryParams.terms,
+			request.queryParams.types,
+			request.queryParams.resolve,
+			request.queryParams.defns,
+			request.queryParams.resfld
+		)
+
+	//
+	// Init code section.
+	//
+	Validator.SetDefaultTermCodes(term)
+	
+	///
 	// Copy document key to current object.
 	///
-	validator['_key'] = term._key
+	validator['_key'] = term._key
+
+	///
+	// Validate term.
+	///
+	const status = validator.validate()
+	switch(status)
+	{
+		case 0:
+			if(!request.queryParams.save) {
+				response.status(200)
+				response.send({
+					status: status,
+					term: validator.value
+				})
+				return                                                  // ==>
+			}
+			break
+		
+		case 1:
+			if(!request.queryParams.save) {
+				response.status(202)
+				response.send({
+					status: status,
+					report: validator.report,
+					value: validator.value
+				})
+				return                                                  // ==>
+			}
+			break
+			
+		case -1:
+			response.status(400)
+			response.send({
+				status: status,
+				report: validator.report,
+				value: validator.value
+			})
+			return                                                      // ==>
+		
+		default:
+			throw new Error(`Unknown validation status: ${status}`)     // ==>
+	}
+
+	///
+	// Insert term.
+	///
+	try
+	{
+		//
+		// Insert.
+		//
+		const meta = collection.save(term)
+		
+		///
+		// Handle no errors or resolved values.
+		///
+		if(status === 0) {
+			response.status(200)
+			response.send(
+				Object.assign(meta, term)
+			)
+		} else {
+			response.status(202)
+			response.send({
+				status: status,
+				report: validator.report,
+				value: Object.assign(meta, term)
+			})
+		}
+	}
+	catch (error)
+	{
+		//
+		// Duplicate record
+		if(error.isArangoError && error.errorNum === ARANGO_DUPLICATE) {
+			response.throw(
+				409,
+				K.error.kMSG_ERROR_DUPLICATE.message[module.context.configuration.language]
+			)                                                           // ==>
+		}
+		else {
+			response.throw(500, error.message)                      // ==>
+		}
+	}
+
+} // doInsertTerm()
+
+/**
+ * Delete term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doDeleteTerm(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const key = request.queryParams.key
+	const mode = request.queryParams.mode
+
+	///
+	// Assert term exists.
+	///
+	if(!collection.exists(key)) {
+		response.throw(
+			404,
+			K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
+		)                                                                       // ==>
+	}
+
+	///
+	// Handle dry run.
+	///
+	if(mode === 'dry-run') {
+		response.send(getTermReferences([key]))
+		return                                                                  // ==>
+	}
+
+	///
+	// Delete the record.
+	// References are checked in the transaction,
+	// so that none can be added in the meantime.
+	///
+	try {
+		const result = executeTermsTransaction( () => {
+			const references = getTermReferences([key])
+			if(!checkTermReferences(references, mode, response)) {
+				return null                                                     // =>
+			}
+
+			if(mode === 'cascade') {
+				return deleteTermsCascade([key], references, request)           // =>
+			}
+
+			const removed = collection.remove(key, { returnOld: true }).old
+			saveTermRevisions([removed], 'delete', request)
+
+			return { terms: [removed] }                                         // =>
+		})
+
+		if(result !== null) {
+			const meta = {
+				_id: result.terms[0]._id,
+				_key: result.terms[0]._key,
+				_rev: result.terms[0]._rev
+			}
+			response.send((mode === 'cascade')
+				? Object.assign(meta, { edges: result.edges, links: result.links })
+				: meta
+			)                                                                   // ==>
+		}
+
+	} catch (error) {
+		if(error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+			response.throw(
+				404,
+				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
+			)                                                                   // ==>
+		} else {
+			response.throw(500, error.message)                               // ==>
+		}
+	}
+
+} // doDeleteTerm()
+
+/**
+ * Delete terms.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doDeleteTerms(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const keys = request.body
+	const mode = request.queryParams.mode
+
+	///
+	// Handle dry run.
+	///
+	if(mode === 'dry-run') {
+		response.send(getTermReferences(keys))
+		return                                                                  // ==>
+	}
+
+	///
+	// Delete the records.
+	// References are checked in the transaction,
+	// so that none can be added in the meantime.
+	///
+	try {
+		const result = executeTermsTransaction( () => {
+			const references = getTermReferences(keys)
+			if(!checkTermReferences(references, mode, response)) {
+				return null                                                     // =>
+			}
+
+			if(mode === 'cascade') {
+				return deleteTermsCascade(keys, references, request)            // =>
+			}
+
+			const removed = K.db._query( aql`
+				FOR key IN ${keys}
+					REMOVE key IN ${collection}
+					OPTIONS { ignoreErrors: true }
+				RETURN OLD
+			`).toArray()
+			saveTermRevisions(removed, 'delete', request)
+
+			return { terms: removed }                                           // =>
+		})
+
+		if(result !== null) {
+			const stats = {
+				removed: result.terms.length,
+				ignored: keys.length - result.terms.length
+			}
+			response.send((mode === 'cascade')
+				? Object.assign(stats, { edges: result.edges, links: result.links })
+				: stats
+			)                                                                   // ==>
+		}
+
+	} catch (error) {
+		response.throw(500, error.message)                                  // ==>
+	}
+
+} // doDeleteTerms()
+
+/**
+ * Rekey term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doRekeyTerm(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const from = request.queryParams.from
+	const to = request.queryParams.to
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+	const lid = module.context.configuration.localIdentifier
+	const gid = module.context.configuration.globalIdentifier
+	const aid = module.context.configuration.officialIdentifiers
+	const language = module.context.configuration.language
+
+	///
+	// Rekey in transaction.
+	// Records are read in the transaction,
+	// so that changes made in the meantime cannot be lost.
+	///
+	let result = {}
+	try
+	{
+		result = executeTermsTransaction( () =>
+		{
+			//
+			// Load term.
+			//
+			const original = K.db._query( aql`
+				RETURN DOCUMENT(${collection}, ${from})
+			`).toArray()[0]
+			if(original === null) {
+				return {
+					error: HTTP_NOT_FOUND,
+					message: K.error.kMSG_TERM_NOT_FOUND.message[language] + ` [${from}]`
+				}                                                               // =>
+			}
+
+			//
+			// Assert new key is available.
+			//
+			if(collection.exists(to)) {
+				return {
+					error: HTTP_CONFLICT,
+					message: K.error.kMSG_ERROR_DUPLICATE.message[language] + ` [${to}]`
+				}                                                               // =>
+			}
+
+			//
+			// Assert new key matches namespace.
+			//
+			const prefix = (original[code].hasOwnProperty(nid))
+				? `${original[code][nid]}${K.token.ns}`
+				: ''
+			if(!to.startsWith(prefix) || to.length === prefix.length) {
+				return {
+					error: 400,
+					message: K.error.kMSG_ERROR_BAD_REKEY.message[language].replace('@@@', prefix)
+				}                                                               // =>
+			}
+
+			///
+			// Collect references.
+			///
+			const references = getTermReferences([from])
+
+			//
+			// Assert term is not a namespace.
+			//
+			const members = references.terms
+				.filter( (item) => item.fields.includes(`${code}.${nid}`) )
+				.map( (item) => item._key )
+			if(members.length > 0) {
+				return {
+					error: HTTP_CONFLICT,
+					message: K.error.kMSG_ERROR_NAMESPACE_MEMBERS.message[language]
+						.replace('@@@', members.join(", "))
+				}                                                               // =>
+			}
+
+			///
+			// Create renamed term.
+			// References to itself are also renamed.
+			///
+			const oldLid = original[code][lid]
+			const newLid = to.substring(prefix.length)
+			const term = Validator.DeepClone(original)
+			delete term._id
+			delete term._rev
+			term._key = to
+			term[code][gid] = to
+			term[code][lid] = newLid
+			if(Validator.IsArray(term[code][aid])) {
+				term[code][aid] = [...new Set(
+					term[code][aid].map( (item) => (item === oldLid) ? newLid : item )
+				)]
+			}
+			visitTermReferences(term, [from], (field, value, replace) => replace(to))
+
+			///
+			// Rewrite edges and links.
+			///
+			const edges = rewriteReferenceRecords(
+				collection_edge, references.edges.map( (edge) => edge._key ), { [from]: to }
+			)
+			const links = rewriteReferenceRecords(
+				collection_link, references.links.map( (link) => link._key ), { [from]: to }
+			)
+			writeReferenceRecords(collection_edge, edges)
+			writeReferenceRecords(collection_link, links)
+
+			///
+			// Rewrite term references.
+			///
+			const terms = K.db._query( aql`
+				FOR term IN ${collection}
+					FILTER term._key IN ${references.terms.map( (item) => item._key )}
+				RETURN term
+			`).toArray()
+			terms.forEach( (item) => {
+				visitTermReferences(item, [from], (field, value, replace) => replace(to))
+			})
+			const updated = K.db._query( aql`
+				FOR item IN ${terms}
+					REPLACE item IN ${collection}
+					OPTIONS { ignoreRevs: false }
+				RETURN OLD
+			`).toArray()
+
+			///
+			// Replace term.
+			///
+			const removed = K.db._query( aql`
+				REMOVE ${original} IN ${collection}
+				OPTIONS { ignoreRevs: false }
+				RETURN OLD
+			`).toArray()
+			const inserted = collection.save(term, { returnNew: true }).new
+
+			///
+			// Save revisions.
+			///
+			saveTermRevisions(removed, 'delete', request)
+			saveTermRevisions(updated, 'update', request)
+
+			return {
+				term: inserted,
+				edges: edges,
+				links: links,
+				terms: updated.map( (item) => item._key )
+			}                                                                   // =>
+		})
+	}
+	catch (error)
+	{
+		if(error.isArangoError && error.errorNum === ARANGO_CONFLICT) {
+			response.throw(
+				HTTP_CONFLICT,
+				K.error.kMSG_ERROR_CONFLICT.message[language]
+			)                                                                   // ==>
+		}
+		response.throw(500, error.message)                                  // ==>
+	}
+
+	//
+	// Handle failed checks.
+	//
+	if(result.hasOwnProperty('error')) {
+		response.throw(result.error, result.message)                        // ==>
+	}
+
+	response.send({
+		_id: result.term._id,
+		_key: result.term._key,
+		_rev: result.term._rev,
+		edges: {
+			rekeyed: result.edges.inserts.length,
+			updated: result.edges.updates.length,
+			conflicts: result.edges.conflicts
+		},
+		links: {
+			rekeyed: result.links.inserts.length,
+			conflicts: result.links.conflicts
+		},
+		terms: result.terms
+	})                                                                          // ==>
+
+} // doRekeyTerm()
+
+/**
+ * Merge terms.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doMergeTerms(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+	const lid = module.context.configuration.localIdentifier
+	const status = module.context.configuration.termStatus
+	const replacedBy = module.context.configuration.termReplacedBy
+	const fields = [
+		module.context.configuration.officialIdentifiers,
+		module.context.configuration.providerIdentifiers
+	]
+	const key = request.queryParams.survivor
+	const language = module.context.configuration.language
+	const victims = [...new Set(
+		request.queryParams.victims
+			.split(',')
+			.map( (item) => item.trim() )
+			.filter( (item) => item.length > 0 )
+	)]
+
+	//
+	// Assert survivor is not a victim.
+	//
+	if(victims.length === 0 || victims.includes(key)) {
+		response.throw(
+			400,
+			K.error.kMSG_ERROR_BAD_MERGE.message[language]
+				.replace('@@@', key)
+		)                                                                       // ==>
+	}
+
+	///
+	// Merge in transaction.
+	// Records are read in the transaction,
+	// so that changes made in the meantime cannot be lost.
+	///
+	let result = {}
+	try
+	{
+		result = executeTermsTransaction( () =>
+		{
+			//
+			// Load terms.
+			//
+			const terms = K.db._query( aql`
+				FOR term IN ${collection}
+					FILTER term._key IN ${[key, ...victims]}
+				RETURN term
+			`).toArray()
+			const missing = [key, ...victims]
+				.filter( (item) => !terms.some( (term) => term._key === item ) )
+			if(missing.length > 0) {
+				return {
+					error: HTTP_NOT_FOUND,
+					message: K.error.kMSG_TERM_NOT_FOUND.message[language] +
+						` [${missing.join(", ")}]`
+				}                                                               // =>
+			}
+			const survivor = terms.find( (term) => term._key === key )
+			const deprecated = terms.filter( (term) => term._key !== key )
+
+			///
+			// Collect references.
+			///
+			const references = getTermReferences(victims)
+
+			//
+			// Assert victims are not namespaces.
+			//
+			const members = references.terms
+				.filter( (item) => item.fields.includes(`${code}.${nid}`) )
+				.map( (item) => item._key )
+			if(members.length > 0) {
+				return {
+					error: HTTP_CONFLICT,
+					message: K.error.kMSG_ERROR_NAMESPACE_MEMBERS.message[language]
+						.replace('@@@', members.join(", "))
+				}                                                               // =>
+			}
+
+			///
+			// Move codes into survivor.
+			// Codes are removed from the victims,
+			// so that deprecated victims do not share them with the survivor;
+			// deprecated victims keep their local identifier as official code,
+			// so that they remain valid terms.
+			///
+			const codes = {}
+			const kept = (term, field) => (
+				request.queryParams.deprecate &&
+				field === module.context.configuration.officialIdentifiers &&
+				term[code].hasOwnProperty(lid)
+			) ? [term[code][lid]] : []
+			if(!survivor.hasOwnProperty(code)) {
+				survivor[code] = {}
+			}
+			fields.forEach( (field) => {
+				const current = Validator.IsArray(survivor[code][field])
+					? survivor[code][field]
+					: []
+				const added = [...new Set(
+					deprecated
+						.filter( (term) => term.hasOwnProperty(code) && Validator.IsArray(term[code][field]) )
+						.reduce( (list, term) => list.concat(
+							term[code][field].filter( (item) => !kept(term, field).includes(item) )
+						), [] )
+						.filter( (item) => !current.includes(item) )
+				)]
+				if(added.length > 0) {
+					survivor[code][field] = current.concat(added)
+					codes[field] = added
+				}
+				deprecated.forEach( (term) => {
+					if(term.hasOwnProperty(code)) {
+						if(kept(term, field).length > 0) {
+							term[code][field] = kept(term, field)
+						} else {
+							delete term[code][field]
+						}
+					}
+				})
+			})
+
+			///
+			// Rewrite edges and links.
+			///
+			const mapping = victims.reduce( (map, item) => ({ ...map, [item]: key }), {} )
+			const edges = rewriteReferenceRecords(
+				collection_edge, references.edges.map( (edge) => edge._key ), mapping
+			)
+			const links = rewriteReferenceRecords(
+				collection_link, references.links.map( (link) => link._key ), mapping
+			)
+			writeReferenceRecords(collection_edge, edges)
+			writeReferenceRecords(collection_link, links)
+
+			///
+			// Rewrite term references.
+			// The survivor is updated in any case,
+			// deprecated victims are updated along with it.
+			///
+			const referencing = K.db._query( aql`
+				FOR term IN ${collection}
+					FILTER term._key IN ${references.terms.map( (item) => item._key )}
+					FILTER term._key != ${key}
+				RETURN term
+			`).toArray()
+			deprecated.forEach( (term) => {
+				term[status] = K.lifecycle.deprecated
+				term[replacedBy] = key
+			})
+			const updates = [
+				survivor,
+				...((request.queryParams.deprecate) ? deprecated : []),
+				...referencing
+			]
+			updates.forEach( (item) => {
+				visitTermReferences(item, victims, (field, value, replace) => {
+					replace(mapping[value])
+				})
+			})
+			if(survivor[replacedBy] === key) {
+				delete survivor[replacedBy]
+			}
+
+			///
+			// Write terms.
+			///
+			const removed = (request.queryParams.deprecate)
+				? []
+				: K.db._query( aql`
+					FOR item IN ${deprecated}
+						REMOVE item IN ${collection}
+						OPTIONS { ignoreRevs: false }
+					RETURN OLD
+				`).toArray()
+			const replaced = K.db._query( aql`
+				FOR item IN ${updates}
+					REPLACE item IN ${collection}
+					OPTIONS { ignoreRevs: false }
+				RETURN { old: OLD, new: NEW }
+			`).toArray()
+
+			///
+			// Save revisions.
+			///
+			saveTermRevisions(removed, 'delete', request)
+			saveTermRevisions(replaced.map( (item) => item.old ), 'update', request)
+
+			return {
+				survivor: replaced[0].new,
+				codes: codes,
+				deleted: removed.map( (item) => item._key ),
+				deprecated: (request.queryParams.deprecate)
+					? deprecated.map( (item) => item._key )
+					: [],
+				edges: edges,
+				links: links,
+				terms: referencing.map( (item) => item._key )
+			}                                                                   // =>
+		})
+	}
+	catch (error)
+	{
+		if(error.isArangoError && error.errorNum === ARANGO_CONFLICT) {
+			response.throw(
+				HTTP_CONFLICT,
+				K.error.kMSG_ERROR_CONFLICT.message[language]
+			)                                                                   // ==>
+		}
+		response.throw(500, error.message)                                  // ==>
+	}
+
+	//
+	// Handle failed checks.
+	//
+	if(result.hasOwnProperty('error')) {
+		response.throw(result.error, result.message)                        // ==>
+	}
+
+	response.send({
+		survivor: {
+			_id: result.survivor._id,
+			_key: result.survivor._key,
+			_rev: result.survivor._rev,
+			codes: result.codes
+		},
+		victims: {
+			deleted: result.deleted,
+			deprecated: result.deprecated
+		},
+		edges: {
+			rekeyed: result.edges.inserts.length,
+			merged: result.edges.merged,
+			dropped: result.edges.dropped,
+			updated: result.edges.updates.length,
+			conflicts: result.edges.conflicts
+		},
+		links: {
+			rekeyed: result.links.inserts.length,
+			merged: result.links.merged,
+			dropped: result.links.dropped,
+			conflicts: result.links.conflicts
+		},
+		terms: result.terms
+	})                                                                          // ==>
+
+} // doMergeTerms()
+
+/**
+ * Insert terms.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doInsertTerms(request, response)
+{
+	///
+	// Init local storage.
+	///
+	const terms = request.body
+
+	//
+	// Init local storage.
+	//
+	const validator =
+		new Validator(
+			terms,
+			module.context.configuration.termObjectDefinition,
+			true,
+			true,
+			true,
+			request.queryParams.terms,
+			request.queryParams.types,
+			request.queryParams.resolve,
+			request.queryParams.defns,
+			request.queryParams.resfld
+		)
+
+	//
+	// Prepare code sections.
+	//
+	terms.forEach( (term) =>
+	{
+		//
+		// Init code section.
+		//
+		Validator.SetDefaultTermCodes(term)
+	})
+
+	//
+	// Validate terms.
+	//
+	const status = validator.validate()
+
+	///
+	// Handle partial insertion.
+	///
+	if(!request.queryParams.atomic) {
+		doInsertValidTerms(request, response, validator, status)
+		return                                                          // ==>
+	}
+
+	switch(status)
+	{
+		case 0:
+			if(!request.queryParams.save) {
+				response.status(200)
+				response.send({
+					status: status,
+					terms: validator.value
+				})
+				return                                                  // ==>
+			}
+			break
+		
+		case 1:
+			if(!request.queryParams.save) {
+				response.status(202)
+				response.send({
+					status: status,
+					reports: validator.report,
+					values: validator.value
+				})
+				return                                                  // ==>
+			}
+			break
+		
+		case -1:
+			response.status(400)
+			response.send({
+				status: status,
+				reports: validator.report,
+				values: validator.value
+			})
+			return                                                      // ==>
+		
+		default:
+			throw new Error(`Unknown validation status: ${status}`)     // ==>
+	}
+
+	//
+	// Save terms.
+	//
+	try
+	{
+		//
+		// Insert in transaction.
+		//
+		const result =
+			K.db._query( aql`
+            FOR term IN ${terms}
+                INSERT term INTO ${collection}
+                OPTIONS {
+                    keepNull: false,
+                    overwriteMode: "conflict"
+                }
+            RETURN NEW
+        `).toArray()
+		
+		///
+		// Handle no errors or resolved values.
+		///
+		if(status === 0) {
+			response.status(200)
+			response.send(result)
+		} else {
+			response.status(202)
+			response.send({
+				status: status,
+				reports: validator.report,
+				values: result
+			})
+		}
+	}
+	catch (error)
+	{
+		response.throw(500, error.message)                          // ==>
+	}
+
+} // doInsertTerms()
+
+/**
+ * Insert valid terms.
+ * This function is used by doInsertTerms() when the `atomic` flag is off: it
+ * will insert all terms that passed validation and skip the others.
+ * Terms that already exist, and terms whose key was already used by a
+ * previous element of the list, will be reported as errors.
+ * @param request: API request.
+ * @param response: API response.
+ * @param validator {Validator}: The validator holding the validated terms.
+ * @param status {Number}: The validation status.
+ */
+function doInsertValidTerms(request, response, validator, status)
+{
+	///
+	// Init local storage.
+	///
+	const values = validator.value.slice()
+	const indexes = []
+	const keys = new Set()
+	const reject = (index, theStatus) => {
+		if(validator.report[index].hasOwnProperty('changes') ||
+		   validator.report[index].hasOwnProperty('warnings')) {
+			validator.warnings--
+		} else {
+			validator.valid--
+		}
+		validator.errors++
+		validator.setStatusReport(theStatus, '_key', values[index]._key, index)
+		status = -1
+	}
+
+	///
+	// Select valid terms.
+	// Only the first occurrence of a key is inserted.
+	///
+	validator.report.forEach( (report, index) => {
+		if(report.status.code === 0) {
+			if(keys.has(values[index]._key)) {
+				reject(index, 'kDUPLICATE_BATCH_TERM')
+			} else {
+				keys.add(values[index]._key)
+				indexes.push(index)
+			}
+		}
+	})
+
+	///
+	// Save valid terms.
+	///
+	if(request.queryParams.save && indexes.length > 0)
+	{
+		try
+		{
+			//
+			// Insert, skipping existing terms.
+			//
+			const inserted = {}
+			K.db._query( aql`
+				FOR term IN ${indexes.map( (index) => values[index] )}
+					INSERT term INTO ${collection}
+					OPTIONS {
+						keepNull: false,
+						overwriteMode: "conflict",
+						ignoreErrors: true
+					}
+				RETURN NEW
+			`).toArray()
+				.forEach( (term) => {
+					inserted[term._key] = term
+				})
+
+			//
+			// Update values and reports.
+			//
+			indexes.forEach( (index) => {
+				const key = values[index]._key
+				if(inserted.hasOwnProperty(key)) {
+					values[index] = inserted[key]
+				} else {
+					reject(index, 'kDUPLICATE_TERM')
+				}
+			})
+		}
+		catch (error)
+		{
+			response.throw(500, error.message)                          // ==>
+		}
+	}
+
+	///
+	// Send response.
+	///
+	response.status((status === 0) ? 200 : 202)
+	response.send({
+		status: status,
+		valid: validator.valid,
+		warnings: validator.warnings,
+		errors: validator.errors,
+		reports: validator.report,
+		values: values
+	})
+
+} // doInsertValidTerms()
+
+/**
+ * Upsert terms.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doUpsertTerms(request, response)
+{
+	///
+	// Init local storage.
+	///
+	const terms = request.body
+	const result = { inserted: 0, updated: 0, unchanged: 0, rejected: 0 }
+
+	//
+	// Prepare code sections.
+	//
+	terms.forEach( (term) =>
+	{
+		//
+		// Init code section.
+		//
+		Validator.SetDefaultTermCodes(term)
+	})
+
+	//
+	// Load existing terms.
+	//
+	const existing = {}
+	K.db._query( aql`
+		FOR term IN ${collection}
+			FILTER term._key IN ${terms.map( (term) => term._key )}
+		RETURN term
+	`).toArray()
+		.forEach( (term) => {
+			existing[term._key] = term
+		})
+
+	///
+	// Merge existing terms.
+	///
+	const outcomes = []
+	const candidates = []
+	const keys = new Set()
+	terms.forEach( (term, index) =>
+	{
+		//
+		// Reject repeated keys.
+		// Only the first occurrence of a key is handled.
+		//
+		if(keys.has(term._key)) {
+			outcomes.push({
+				_key: term._key,
+				outcome: 'rejected',
+				report: new ValidationReport('kDUPLICATE_BATCH_TERM', '_key', term._key),
+				value: term
+			})
+			return                                                      // =>
+		}
+		keys.add(term._key)
+
+		//
+		// Handle new term.
+		//
+		if(!existing.hasOwnProperty(term._key)) {
+			outcomes.push({ _key: term._key, outcome: 'inserted' })
+			candidates.push({ index: index, value: term })
+			return                                                      // =>
+		}
+
+		//
+		// Merge updates.
+		//
+		const original = existing[term._key]
+		let updated
+		try {
+			updated =
+				Validator.MergeObjectUpdates(
+					original,
+					term,
+					getTermUpdatePaths(term)
+				)
+		} catch (error) {
+			outcomes.push({
+				_key: term._key,
+				outcome: 'rejected',
+				report: { message: error.message },
+				value: term
+			})
+			return                                                      // =>
+		}
+
+		//
+		// Handle unchanged term.
+		//
+		if(_.isEqual(original, updated)) {
+			outcomes.push({ _key: term._key, outcome: 'unchanged', value: original })
+			return                                                      // =>
+		}
+
+		//
+		// Validate changes.
+		//
+		const report = Validator.ValidateTermUpdates(original, updated)
+		if(Object.keys(report).length > 0) {
+			outcomes.push({
+				_key: term._key,
+				outcome: 'rejected',
+				report: {
+					message: K.error.kMSG_BAD_TERM_UPDATE.message[module.context.configuration.language],
+					...report
+				},
+				value: updated
+			})
+			return                                                      // =>
+		}
+
+		outcomes.push({ _key: term._key, outcome: 'updated' })
+		candidates.push({ index: index, value: updated })
+	})
+
+	///
+	// Validate candidates.
+	///
+	if(candidates.length > 0)
+	{
+		const validator =
+			new Validator(
+				candidates.map( (item) => item.value ),
+				module.context.configuration.termObjectDefinition,
+				true,
+				true,
+				true,
+				request.queryParams.terms,
+				request.queryParams.types,
+				request.queryParams.resolve,
+				request.queryParams.defns,
+				request.queryParams.resfld
+			)
+		validator.validate()
+
+		//
+		// Set outcomes.
+		//
+		candidates.forEach( (item, index) => {
+			const outcome = outcomes[item.index]
+			item.value = validator.value[index]
+			outcome.report = validator.report[index]
+			outcome.value = item.value
+			if(validator.report[index].status.code !== 0) {
+				outcome.outcome = 'rejected'
+			}
+		})
+	}
+
+	///
+	// Save terms.
+	///
+	if(request.queryParams.save)
+	{
+		try
+		{
+			//
+			// Collect operations.
+			//
+			const inserts = candidates.filter( (item) => outcomes[item.index].outcome === 'inserted' )
+			const updates = candidates.filter( (item) => outcomes[item.index].outcome === 'updated' )
+
+			//
+			// Write in transaction.
+			// Existing terms are replaced only if unchanged since they were read.
+			//
+			const written = executeTermsTransaction( () => {
+				const inserted = K.db._query( aql`
+					FOR term IN ${inserts.map( (item) => item.value )}
+						INSERT term INTO ${collection}
+						OPTIONS {
+							keepNull: false,
+							overwriteMode: "conflict"
+						}
+					RETURN NEW
+				`).toArray()
+				const updated = K.db._query( aql`
+					FOR term IN ${updates.map( (item) => item.value )}
+						REPLACE term IN ${collection}
+						OPTIONS { ignoreRevs: false }
+					RETURN { old: OLD, new: NEW }
+				`).toArray()
+				saveTermRevisions(updated.map( (item) => item.old ), 'update', request)
+
+				return {
+					inserted: inserted,
+					updated: updated.map( (item) => item.new )
+				}                                                           // =>
+			})
+
+			//
+			// Set values.
+			//
+			written.inserted.forEach( (term, index) => {
+				outcomes[inserts[index].index].value = term
+			})
+			written.updated.forEach( (term, index) => {
+				outcomes[updates[index].index].value = term
+			})
+		}
+		catch (error)
+		{
+			//
+			// Duplicate or modified record.
+			if(error.isArangoError &&
+			   [ARANGO_DUPLICATE, ARANGO_CONFLICT].includes(error.errorNum)) {
+				response.throw(
+					409,
+					K.error.kMSG_ERROR_CONFLICT.message[module.context.configuration.language]
+				)                                                       // ==>
+			}
+			else {
+				response.throw(500, error.message)                  // ==>
+			}
+		}
+	}
+
+	///
+	// Count outcomes.
+	///
+	outcomes.forEach( (item) => {
+		result[item.outcome] += 1
+	})
+
+	response.send({ ...result, outcomes: outcomes })                           // ==>
+
+} // doUpsertTerms()
+
+/**
+ * Get term by key.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doGetTermByKey(request, response)
+{
+	//
+	// Try query.
+	//
+	try
+	{
+		//
+		// Get term.
+		//
+		const term = collection.document(request.queryParams.key)
+
+		//
+		// Select language.
+		//
+		const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+		if(chain !== null) {
+			Utils.termLanguage(term, chain)
+		}
+
+		response.send(term)                                                     // ==>
+	}
+	catch (error)
+	{
+		if(error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+			response.throw(
+				404,
+				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
+			)                                                                   // ==>
+		} else {
+			response.throw(500, error.message)                               // ==>
+		}
+	}
+
+} // doGetTermByKey()
+
+/**
+ * Get term by key.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doDictionaryTerms(request, response)
+{
+	//
+	// Try query.
+	//
+	try
+	{
+		//
+		// Get term.
+		//
+		const terms = collection.documents(request.body)
+
+		//
+		// Select language.
+		//
+		const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+		if(chain !== null) {
+			for(let i = 0; i < terms.documents.length; i++) {
+				Utils.termLanguage(terms.documents[i], chain)
+			}
+		}
+
+		//
+		// Build dictionary.
+		//
+		let result = {}
+		request.body.forEach(key => { result[key] = null })
+		terms.documents.forEach(term => { result[term._key] = term})
+
+		response.send(result)                                                   // ==>
+	}
+	catch (error)
+	{
+		if(error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+			response.throw(
+				404,
+				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
+			)                                                                   // ==>
+		} else {
+			response.throw(500, error.message)                               // ==>
+		}
+	}
+
+} // doDictionaryTerms()
+
+/**
+ * Get terms list.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doSelectTerms(request, response)
+{
+	//
+	// Perform query.
+	//
+	const result = termsSelectionPage(request, response, aql`item`)
+
+	//
+	// Handle output language.
+	// Note that
+	//
+	const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+	if(chain !== null) {
+		for(let i = 0; i < result.data.length; i++) {
+			Utils.termLanguage(result.data[i], chain)
+		}
+	}
+
+	response.send(
+		(isSelectionPaged(request)) ? result : result.data
+	)                                                                           // ==>
+
+} // doSelectTerms()
+
+/**
+ * Get terms list with facets.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doSelectTermFacets(request, response)
+{
+	//
+	// Perform query.
+	//
+	const result = termsSelectionPage(request, response, aql`item`)
+
+	//
+	// Handle output language.
+	//
+	const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+	if(chain !== null) {
+		for(let i = 0; i < result.data.length; i++) {
+			Utils.termLanguage(result.data[i], chain)
+		}
+	}
+
+	//
+	// Add facets.
+	//
+	result.facets = termsSelectionFacets(request, response)
+
+	response.send(result)                                                       // ==>
+
+} // doSelectTermFacets()
+
+/**
+ * Resolve codes.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doResolveCodes(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const codes = request.body.codes
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+	const fields = (request.body.hasOwnProperty('field'))
+		? [request.body.field]
+		: [
+			module.context.configuration.localIdentifier,
+			module.context.configuration.globalIdentifier,
+			module.context.configuration.officialIdentifiers,
+			module.context.configuration.providerIdentifiers,
+			module.context.configuration.nameIdentifier
+		]
+
+	///
+	// Select matching terms.
+	///
+	const query = [
+		aql`FOR term IN ${view_reference}`,
+		aql`SEARCH`,
+		aql.join(fields.map( (field) => aql`term.${code}.${field} IN ${codes}` ), ' OR ')
+	]
+
+	///
+	// Restrict namespace.
+	///
+	if(request.body.hasOwnProperty('namespace')) {
+		query.push(
+			(request.body.namespace.length === 0)
+				? aql`FILTER term.${code}.${nid} == null`
+				: aql`FILTER term.${code}.${nid} == ${request.body.namespace}`
+		)
+	}
+
+	///
+	// Restrict to enumeration elements.
+	///
+	if(request.body.hasOwnProperty('enum')) {
+		query.push(aql`
+			FILTER LENGTH(
+				FOR edge IN ${collection_edge}
+					FILTER edge._from == term._id
+					FILTER edge.${module.context.configuration.predicate} == ${module.context.configuration.predicateEnumeration}
+					FILTER ${`${collection.name()}/${request.body.enum}`} IN edge.${module.context.configuration.sectionPath}
+					LIMIT 1
+				RETURN true
+			) > 0
+		`)
+	}
+	query.push(aql`RETURN KEEP(term, '_key', ${code})`)
+
+	//
+	// Perform query.
+	//
+	const terms = K.db._query(aql.join(query)).toArray()
+
+	///
+	// Group matches by code.
+	///
+	const result = {}
+	codes.forEach( (item) => {
+		const matches = terms.filter( (term) =>
+			fields.some( (field) => [].concat(term[code][field]).includes(item) )
+		)
+		const namespaces = [...new Set(
+			matches.map( (term) =>
+				(term[code].hasOwnProperty(nid)) ? term[code][nid] : null )
+		)]
+
+		result[item] = {
+			keys: matches.map( (term) => term._key ),
+			namespaces: namespaces,
+			ambiguous: (namespaces.length > 1)
+		}
+	})
+
+	response.send(result)                                                       // ==>
+
+} // doResolveCodes()
+
+/**
+ * Suggest terms.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doSuggestTerms(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const lang = request.queryParams.lang
+	const code = module.context.configuration.sectionCode
+	const generic = K.analyzer.generic.name
+	const suggest = K.analyzer.suggest.name
+	const fields = [
+		aql`item.${code}.${module.context.configuration.localIdentifier}`,
+		aql`item.${code}.${module.context.configuration.nameIdentifier}`,
+		aql`item.${module.context.configuration.sectionInfo}.${module.context.configuration.titleInfoField}.${lang}`
+	]
+
+	//
+	// Tokenise query.
+	//
+	const tokens = K.db._query( aql`
+		RETURN TOKENS(${request.queryParams.q}, ${generic})
+	`).toArray()[0]
+	if(tokens.length === 0) {
+		response.send([])
+		return                                                          // ==>
+	}
+
+	///
+	// Match words as prefixes or within allowed edits.
+	// Short words are only matched as prefixes.
+	///
+	const distances = tokens.map( (token) =>
+		(token.length < 3) ? 0 : Math.min(request.queryParams.fuzzy, token.length - 2)
+	)
+	const clauses = []
+	tokens.forEach( (token, index) => {
+		fields.forEach( (field) => {
+			clauses.push(aql`ANALYZER(${field} == ${token}, ${suggest})`)
+			if(distances[index] > 0) {
+				clauses.push(aql`ANALYZER(LEVENSHTEIN_MATCH(${field}, ${token}, ${distances[index]}), ${generic})`)
+			}
+		})
+	})
+
+	///
+	// Select type.
+	///
+	let search = aql`(${aql.join(clauses, ' OR ')})`
+	switch(request.queryParams.type) {
+		case 'descriptor':
+			search = aql`${search} AND EXISTS(item._data)`
+			break
+		case 'structure':
+			search = aql`${search} AND EXISTS(item._rule)`
+			break
+	}
+
+	//
+	// Perform query.
+	//
+	const result = K.db._query( aql`
+		FOR item IN ${view_reference}
+			SEARCH ${search}
+			LET score = BM25(item)
+			SORT score DESC, item._key ASC
+			LIMIT ${request.queryParams.limit}
+		RETURN {
+			_key: item._key,
+			title: ${fields[2]},
+			score: score
+		}
+	`).toArray()
+
+	//
+	// Highlight titles.
+	//
+	result.forEach( (item) => {
+		item.highlight = highlightSuggestion(item.title, tokens, distances)
+	})
+
+	response.send(result)                                                       // ==>
+
+} // doSuggestTerms()
+
+/**
+ * Get term keys list.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doSelectTermKeys(request, response)
+{
+	//
+	// Perform query.
+	//
+	const result = termsSelectionPage(request, response, aql`item._key`)
+
+	response.send(
+		(isSelectionPaged(request)) ? result : result.data
+	)                                                                           // ==>
+
+} // doSelectTermKeys()
+
+/**
+ * Update term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doUpdateTerm(request, response)
+{
+	//
+	// Init local storage.
+	//
+	let original = {}
+
+	//
+	// Load old record.
+	//
+	try {
+		original = JSON.parse(JSON.stringify(collection.document(request.queryParams.key)))
+
+	} catch (error) {
+		if (error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+			response.throw(
+				HTTP_NOT_FOUND,
+				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language] +
+				` [${request.queryParams.key}]`
+			)                                                                   // ==>
+		}
+		else {
+			response.throw(500, error.message)                               // ==>
+		}
+	}
+
+	//
+	// Check revision.
+	//
+	response.set('ETag', original._rev)
+	if(!checkTermRevision(request, response, original._rev)) {
+		return                                                          // ==>
+	}
+
+	//
+	// Create updated object.
+	//
+	const updated =
+		Validator.MergeObjectUpdates(
+			original,
+			request.body.updates,
+			request.body.references
+		)
 
 	///
-	// Validate term.
+	// Init validator object with options.
 	///
+	const validator =
+		new Validator(
+			updated,
+			'',
+			false,
+			true,
+			true,
+			request.queryParams.terms,
+			request.queryParams.types,
+			request.queryParams.resolve,
+			request.queryParams.defns,
+			request.queryParams.resfld
+		)
+
+	//
+	// Validate changes.
+	//
+	const result = Validator.ValidateTermUpdates(original, updated)
+	if(Object.keys(result).length > 0) {
+		response.status(400)
+		response.send({
+			status: K.error.kMSG_BAD_TERM_UPDATE.message[module.context.configuration.language],
+			report: result
+		})
+		return                                                          // ==>
+	}
+
+	//
+	// Validate object.
+	//
 	const status = validator.validate()
 	switch(status)
 	{
@@ -1173,7 +4206,7 @@ function doInsertTerm(request, response)
 				response.status(200)
 				response.send({
 					status: status,
-					term: validator.value
+					value: validator.value
 				})
 				return                                                  // ==>
 			}
@@ -1190,7 +4223,7 @@ function doInsertTerm(request, response)
 				return                                                  // ==>
 			}
 			break
-			
+		
 		case -1:
 			response.status(400)
 			response.send({
@@ -1199,35 +4232,40 @@ function doInsertTerm(request, response)
 				value: validator.value
 			})
 			return                                                      // ==>
-		
-		default:
-			throw new Error(`Unknown validation status: ${status}`)     // ==>
 	}
 
-	///
-	// Insert term.
-	///
+	//
+	// Replace term.
+	//
 	try
 	{
 		//
-		// Insert.
+		// Replace term.
 		//
-		const meta = collection.save(term)
+		const result = executeTermsTransaction( () => {
+			const result = K.db._query( aql`
+				REPLACE ${updated} IN ${collection}
+				OPTIONS { ignoreRevs: false }
+				RETURN { old: OLD, new: NEW }
+			`).toArray()[0]
+			saveTermRevisions([result.old], 'update', request)
+
+			return result.new                                                   // =>
+		})
+		response.set('ETag', result._rev)
 		
 		///
 		// Handle no errors or resolved values.
 		///
 		if(status === 0) {
 			response.status(200)
-			response.send(
-				Object.assign(meta, term)
-			)
+			response.send(result)
 		} else {
 			response.status(202)
 			response.send({
 				status: status,
 				report: validator.report,
-				value: Object.assign(meta, term)
+				value: result
 			})
 		}
 	}
@@ -1238,7 +4276,15 @@ function doInsertTerm(request, response)
 		if(error.isArangoError && error.errorNum === ARANGO_DUPLICATE) {
 			response.throw(
 				409,
-				K.error.kMSG_ERROR_DUPLICATE.message[module.context.configuration.language]
+				K.error.kMSG_ERROR_CONFLICT.message[module.context.configuration.language]
+			)                                                           // ==>
+		}
+		//
+		// Modified after read.
+		else if(error.isArangoError && error.errorNum === ARANGO_CONFLICT) {
+			sendRevisionConflict(
+				response,
+				collection.document(request.queryParams.key)._rev
 			)                                                           // ==>
 		}
 		else {
@@ -1246,85 +4292,478 @@ function doInsertTerm(request, response)
 		}
 	}
 
-} // doInsertTerm()
+} // doUpdateTerm()
 
 /**
- * Delete term.
+ * Get term usage.
  * @param request: API request.
  * @param response: API response.
  */
-function doDeleteTerm(request, response)
+function doGetTermUsage(request, response)
 {
 	//
 	// Init local storage.
 	//
 	const key = request.queryParams.key
+	const handle = `${collection.name()}/${key}`
+	const pred = module.context.configuration.predicate
+	const path = module.context.configuration.sectionPath
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+	const data = module.context.configuration.sectionData
+	const rule = module.context.configuration.sectionRule
+	const replacedBy = module.context.configuration.termReplacedBy
+
+	//
+	// Assert term exists.
+	//
+	if(!collection.exists(key)) {
+		response.throw(
+			HTTP_NOT_FOUND,
+			K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language] +
+			` [${key}]`
+		)                                                                       // ==>
+	}
 
 	///
-	// Delete the record.
+	// Collect references.
 	///
-	try {
-		const meta = collection.remove(key)
-		response.send(meta)                                                    // ==>
+	const references = getTermReferences([key])
 
-	} catch (error) {
-		if(error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
-			response.throw(
-				404,
-				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
-			)                                                                   // ==>
-		} else {
-			response.throw(500, error.message)                               // ==>
-		}
+	///
+	// Group edges and links.
+	///
+	const edges = {
+		from: references.edges.filter( (edge) => edge._from === handle ),
+		to: references.edges.filter( (edge) => edge._to === handle ),
+		path: references.edges.filter( (edge) =>
+			Array.isArray(edge[path]) && edge[path].includes(handle) ),
+		predicate: references.edges.filter( (edge) => edge[pred] === key )
+	}
+	const links = {
+		from: references.links.filter( (link) => link._from === handle ),
+		to: references.links.filter( (link) => link._to === handle ),
+		predicate: references.links.filter( (link) => link[pred] === key )
 	}
 
-} // doDeleteTerm()
+	///
+	// Group terms.
+	///
+	const select = (prefix) =>
+		references.terms
+			.map( (item) => ({
+				_key: item._key,
+				fields: item.fields.filter( (field) => field.startsWith(prefix) )
+			}))
+			.filter( (item) => item.fields.length > 0 )
+
+	response.send({
+		edges: edges,
+		links: links,
+		structures: select(`${rule}.`),
+		descriptors: select(`${data}.`),
+		members: references.terms
+			.filter( (item) => item.fields.includes(`${code}.${nid}`) )
+			.map( (item) => item._key ),
+		replaced: references.terms
+			.filter( (item) => item.fields.includes(replacedBy) )
+			.map( (item) => item._key )
+	})                                                                          // ==>
+
+} // doGetTermUsage()
 
 /**
- * Delete terms.
+ * Get translations coverage.
  * @param request: API request.
  * @param response: API response.
  */
-function doDeleteTerms(request, response)
+function doGetTranslationsCoverage(request, response)
 {
 	//
 	// Init local storage.
 	//
-	const keys = request.body
+	const info = module.context.configuration.sectionInfo
+	const fields = [
+		module.context.configuration.titleInfoField,
+		module.context.configuration.definitionInfoField,
+		module.context.configuration.descriptionInfoField,
+		module.context.configuration.examplesInfoField,
+		module.context.configuration.notesInfoField
+	]
 
 	///
-	// Delete the record.
+	// Select terms.
 	///
-	try {
-		const meta = collection.removeByKeys(keys)
-		response.send(meta)                                                    // ==>
+	const selection = (request.queryParams.hasOwnProperty('root'))
+		? aql`
+			FOR edge IN ${collection_edge}
+				FILTER ${`${collection.name()}/${request.queryParams.root}`} IN edge.${module.context.configuration.sectionPath}
+				FILTER edge.${module.context.configuration.predicate} == ${module.context.configuration.predicateEnumeration}
+				LET term = DOCUMENT(edge._from)
+				FILTER term != null
+		`
+		: aql`
+			FOR term IN ${collection}
+		`
 
-	} catch (error) {
+	//
+	// Collect field languages.
+	//
+	const terms = K.db._query( aql`
+		${selection}
+			SORT term._key ASC
+		RETURN {
+			_key: term._key,
+			fields: MERGE(
+				FOR field IN ${fields}
+					FILTER IS_OBJECT(term.${info}[field])
+				RETURN { [field]: ATTRIBUTES(term.${info}[field]) }
+			)
+		}
+	`).toArray()
+
+	///
+	// Set checked languages.
+	///
+	const languages = (request.queryParams.hasOwnProperty('lang'))
+		? Utils.languageChain(request.queryParams.lang)
+		: _.uniq([module.context.configuration.language].concat(
+			...terms.map( (term) => [].concat(...Object.values(term.fields)) )
+		)).sort()
+
+	///
+	// Compute coverage.
+	///
+	const complete = {}
+	languages.forEach( (language) => { complete[language] = 0 } )
+	terms.forEach( (term) => {
+		const missing = new Set()
+		Object.keys(term.fields).forEach( (field) => {
+			const present = term.fields[field]
+			term.fields[field] = {
+				present: present,
+				missing: languages.filter( (language) => !present.includes(language) )
+			}
+			term.fields[field].missing.forEach( (language) => missing.add(language) )
+		})
+		languages.forEach( (language) => {
+			if(!missing.has(language)) {
+				complete[language] += 1
+			}
+		})
+	})
+
+	response.send({
+		languages: languages,
+		complete: complete,
+		terms: terms
+	})                                                                          // ==>
+
+} // doGetTranslationsCoverage()
+
+/**
+ * Set translations.
+ * The language is normalised to the language term key, so that both `fra` and
+ * `iso_639_3_fra` are accepted, and must belong to the language enumeration.
+ * Terms are read, checked against the expected revisions and updated in the
+ * same transaction, which also stores their previous versions.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doSetTranslations(request, response)
+{
+	//
+	// Init local storage.
+	//
+	const info = module.context.configuration.sectionInfo
+	const language = module.context.configuration.language
+	const translations = request.body.translations
+	const revisions = request.body.revisions || {}
+
+	//
+	// Normalise language.
+	//
+	const code = request.body.lang.trim().toLowerCase()
+	const lang = (code.startsWith('iso_')) ? code : `iso_639_3_${code}`
+
+	//
+	// Assert language is in the language enumeration.
+	//
+	const languages = Dictionary.checkEnumsByKeys(
+		[lang],
+		module.context.configuration.languageEnumeration
+	)
+	if(languages[lang] === false) {
+		response.throw(
+			400,
+			K.error.kMSG_ERROR_BAD_LANGUAGE.message[language].replace('@@@', request.body.lang)
+		)                                                                       // ==>
+	}
+
+	//
+	// Read, check and update terms in the same transaction.
+	//
+	let result = {}
+	try
+	{
+		result = executeTermsTransaction( () =>
+		{
+			const reports = {}
+			const updates = []
+			let rejected = 0
+			let missing = 0
+
+			//
+			// Load term descriptions.
+			//
+			const terms = {}
+			K.db._query( aql`
+				FOR term IN ${collection}
+					FILTER term._key IN ${Object.keys(translations)}
+				RETURN KEEP(term, '_key', '_rev', ${info})
+			`).toArray()
+				.forEach( (term) => { terms[term._key] = term } )
+
+			//
+			// Assert expected revisions.
+			//
+			const conflicts = {}
+			Object.entries(revisions).forEach( ([key, rev]) => {
+				const current = (terms.hasOwnProperty(key)) ? terms[key]._rev : null
+				if(current !== rev) {
+					conflicts[key] = current
+				}
+			})
+			if(Object.keys(conflicts).length > 0) {
+				return { error: 412, revisions: conflicts }                     // =>
+			}
+
+			///
+			// Check translations.
+			///
+			Object.entries(translations).forEach( ([key, texts]) => {
+
+				//
+				// Handle missing term.
+				//
+				if(!terms.hasOwnProperty(key)) {
+					missing += 1
+					reports[key] = new ValidationReport('kUNKNOWN_TERM', '_key', key)
+					return                                                  // =>
+				}
+
+				//
+				// Assert default language is kept.
+				//
+				const section = terms[key][info] || {}
+				for(const [field, text] of Object.entries(texts)) {
+					const orphan = (lang === language)
+						? (text === null)
+						: (text !== null && !(Validator.IsObject(section[field]) && section[field].hasOwnProperty(language)))
+					if(orphan) {
+						rejected += 1
+						reports[key] = new ValidationReport('kNO_REFERENCE_DEFAULT_LANGUAGE', field, text)
+						return                                              // =>
+					}
+				}
+
+				//
+				// Add update.
+				// Only the provided language elements are updated.
+				//
+				const patch = {}
+				Object.entries(texts).forEach( ([field, text]) => {
+					patch[field] = { [lang]: text }
+				})
+				updates.push({ _key: key, _rev: terms[key]._rev, [info]: patch })
+			})
+
+			//
+			// Update terms and save previous versions.
+			//
+			const changes = K.db._query( aql`
+				FOR item IN ${updates}
+					UPDATE item IN ${collection}
+					OPTIONS { mergeObjects: true, keepNull: false, ignoreRevs: false }
+				RETURN { old: OLD, new: NEW }
+			`).toArray()
+			saveTermRevisions(changes.map( (change) => change.old ), 'update', request)
+
+			return {
+				updated: changes.length,
+				rejected: rejected,
+				missing: missing,
+				reports: reports
+			}                                                                   // =>
+		})
+	}
+	catch (error)
+	{
+		if(error.isArangoError && error.errorNum === ARANGO_CONFLICT) {
+			response.throw(
+				HTTP_CONFLICT,
+				K.error.kMSG_ERROR_CONFLICT.message[language]
+			)                                                                   // ==>
+		}
 		response.throw(500, error.message)                                  // ==>
 	}
 
-} // doDeleteTerms()
+	//
+	// Handle revision mismatches.
+	//
+	if(result.hasOwnProperty('error')) {
+		response.status(result.error)
+		response.send({
+			message: K.error.kMSG_ERROR_CONFLICT.message[language],
+			revisions: result.revisions
+		})
+		return                                                              // ==>
+	}
+
+	response.send(result)                                                       // ==>
+
+} // doSetTranslations()
 
 /**
- * Insert terms.
+ * Get term history.
  * @param request: API request.
  * @param response: API response.
  */
-function doInsertTerms(request, response)
+function doGetTermHistory(request, response)
 {
-	///
+	//
+	// Query revisions.
+	//
+	const result = K.db._query( aql`
+		FOR item IN ${collection_revision}
+			FILTER item.term == ${request.queryParams.key}
+			SORT item.timestamp ASC
+		RETURN UNSET(item, '_id', '_key', '_rev')
+	`).toArray()
+
+	response.send(result)                                                       // ==>
+
+} // doGetTermHistory()
+
+/**
+ * Get term revisions difference.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doGetTermDiff(request, response)
+{
+	//
 	// Init local storage.
-	///
-	const terms = request.body
+	//
+	const key = request.queryParams.key
+
+	//
+	// Get source revision.
+	//
+	const source = getTermRevision(key, request.queryParams.from)
+	if(source === null) {
+		response.throw(
+			HTTP_NOT_FOUND,
+			K.error.kMSG_REVISION_NOT_FOUND.message[module.context.configuration.language] +
+			` [${request.queryParams.from}]`
+		)                                                                       // ==>
+	}
+
+	//
+	// Get destination revision.
+	//
+	let destination = null
+	if(request.queryParams.to !== undefined) {
+		destination = getTermRevision(key, request.queryParams.to)
+		if(destination === null) {
+			response.throw(
+				HTTP_NOT_FOUND,
+				K.error.kMSG_REVISION_NOT_FOUND.message[module.context.configuration.language] +
+				` [${request.queryParams.to}]`
+			)                                                                   // ==>
+		}
+	} else {
+		try {
+			destination = collection.document(key)
+
+		} catch (error) {
+			if (error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+				response.throw(
+					HTTP_NOT_FOUND,
+					K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language] +
+					` [${key}]`
+				)                                                               // ==>
+			}
+			else {
+				response.throw(500, error.message)                           // ==>
+			}
+		}
+	}
+
+	response.send(Utils.diffObjects(source, destination))                      // ==>
 
+} // doGetTermDiff()
+
+/**
+ * Rollback term.
+ * @param request: API request.
+ * @param response: API response.
+ */
+function doRollbackTerm(request, response)
+{
 	//
 	// Init local storage.
 	//
+	let original = {}
+	const key = request.body.key
+
+	//
+	// Load current record.
+	//
+	try {
+		original = JSON.parse(JSON.stringify(collection.document(key)))
+
+	} catch (error) {
+		if (error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+			response.throw(
+				HTTP_NOT_FOUND,
+				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language] +
+				` [${key}]`
+			)                                                                   // ==>
+		}
+		else {
+			response.throw(500, error.message)                               // ==>
+		}
+	}
+
+	//
+	// Load revision.
+	//
+	const revision = getTermRevision(key, request.body.rev)
+	if(revision === null) {
+		response.throw(
+			HTTP_NOT_FOUND,
+			K.error.kMSG_REVISION_NOT_FOUND.message[module.context.configuration.language] +
+			` [${request.body.rev}]`
+		)                                                                       // ==>
+	}
+
+	//
+	// Create restored object.
+	// We keep the current revision so that concurrent changes are detected.
+	//
+	const updated = Validator.DeepClone(revision)
+	updated._id = original._id
+	updated._rev = original._rev
+
+	///
+	// Init validator object with options.
+	///
 	const validator =
-		new Validator(
-			terms,
-			module.context.configuration.termObjectDefinition,
-			true,
+		new Validator(
+			updated,
+			'',
+			false,
 			true,
 			true,
 			request.queryParams.terms,
@@ -1335,18 +4774,20 @@ function doInsertTerms(request, response)
 		)
 
 	//
-	// Prepare code sections.
+	// Validate changes.
 	//
-	terms.forEach( (term) =>
-	{
-		//
-		// Init code section.
-		//
-		Validator.SetDefaultTermCodes(term)
-	})
+	const result = Validator.ValidateTermUpdates(original, updated)
+	if(Object.keys(result).length > 0) {
+		response.status(400)
+		response.send({
+			status: K.error.kMSG_BAD_TERM_UPDATE.message[module.context.configuration.language],
+			report: result
+		})
+		return                                                          // ==>
+	}
 
 	//
-	// Validate terms.
+	// Validate object.
 	//
 	const status = validator.validate()
 	switch(status)
@@ -1356,7 +4797,7 @@ function doInsertTerms(request, response)
 				response.status(200)
 				response.send({
 					status: status,
-					terms: validator.value
+					value: validator.value
 				})
 				return                                                  // ==>
 			}
@@ -1367,8 +4808,8 @@ function doInsertTerms(request, response)
 				response.status(202)
 				response.send({
 					status: status,
-					reports: validator.report,
-					values: validator.value
+					report: validator.report,
+					value: validator.value
 				})
 				return                                                  // ==>
 			}
@@ -1378,33 +4819,30 @@ function doInsertTerms(request, response)
 			response.status(400)
 			response.send({
 				status: status,
-				reports: validator.report,
-				values: validator.value
+				report: validator.report,
+				value: validator.value
 			})
 			return                                                      // ==>
-		
-		default:
-			throw new Error(`Unknown validation status: ${status}`)     // ==>
 	}
 
 	//
-	// Save terms.
+	// Replace term.
 	//
 	try
 	{
 		//
-		// Insert in transaction.
+		// Replace term.
 		//
-		const result =
-			K.db._query( aql`
-            FOR term IN ${terms}
-                INSERT term INTO ${collection}
-                OPTIONS {
-                    keepNull: false,
-                    overwriteMode: "conflict"
-                }
-            RETURN NEW
-        `).toArray()
+		const result = executeTermsTransaction( () => {
+			const result = K.db._query( aql`
+				REPLACE ${updated} IN ${collection}
+				OPTIONS { ignoreRevs: false }
+				RETURN { old: OLD, new: NEW }
+			`).toArray()[0]
+			saveTermRevisions([result.old], 'rollback', request)
+
+			return result.new                                                   // =>
+		})
 		
 		///
 		// Handle no errors or resolved values.
@@ -1416,542 +4854,1319 @@ function doInsertTerms(request, response)
 			response.status(202)
 			response.send({
 				status: status,
-				reports: validator.report,
-				values: result
+				report: validator.report,
+				value: result
 			})
 		}
 	}
 	catch (error)
 	{
-		response.throw(500, error.message)                          // ==>
+		//
+		// Modified after read.
+		if(error.isArangoError && error.errorNum === ARANGO_CONFLICT) {
+			sendRevisionConflict(
+				response,
+				collection.document(key)._rev
+			)                                                           // ==>
+		}
+		else {
+			response.throw(500, error.message)                      // ==>
+		}
 	}
 
-} // doInsertTerms()
+} // doRollbackTerm()
+
+
+//
+// Utility functions.
+//
 
 /**
- * Get term by key.
+ * Prepare terms selection query.
  * @param request: API request.
  * @param response: API response.
+ * @return {Array<Aql>}: Query elements.
+ *
+ * >>>>> TODO: Here and in all services change all queries so use views.
  */
-function doGetTermByKey(request, response)
+function termsSelectionQuery(request, response)
 {
 	//
-	// Try query.
+	// Init local storage.
 	//
-	try
-	{
-		//
-		// Get term.
-		//
-		const term = collection.document(request.queryParams.key)
+	const query = []
+	const clauses = []
 
-		//
-		// Select language.
-		//
-		if(request.queryParams.lang !== '@') {
-			Utils.termLanguage(term, request.queryParams.lang)
+	//
+	// Term type.
+	//
+	if(request.body.hasOwnProperty('term_type')) {
+		switch(request.body.term_type) {
+			case 'descriptor':
+				clauses.push(aql`EXISTS(item._data)`)
+				break;
+			case 'structure':
+				clauses.push(aql`EXISTS(item._rule)`)
+				break;
 		}
+	}
 
-		response.send(term)                                                     // ==>
+	//
+	// Term scalar codes.
+	//
+	for(const tok of ['_nid', '_lid', '_gid', '_name', '_pid']) {
+		if(request.body.hasOwnProperty(tok)) {
+			clauses.push(
+				aql`ANALYZER(
+					LIKE(item._code.${tok},
+					LOWER(${request.body[tok]})
+				), "text_en")`)
+		}
 	}
-	catch (error)
-	{
-		if(error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
+
+	//
+	// List of official codes.
+	//
+	if(request.body.hasOwnProperty('_aid')) {
+		clauses.push(aql`item._code._aid IN ${request.body._aid}`)
+	}
+
+	//
+	// Term descriptions.
+	// Match the selected languages, or all languages featuring an analyzer,
+	// each language uses its own analyzer.
+	// The view cannot match unnamed language properties,
+	// so languages without an analyzer must be selected.
+	//
+	const languages = (request.body.hasOwnProperty('lang'))
+		? [].concat(request.body.lang)
+		: Object.keys(K.analyzer.language)
+	for(const tok of ['_title', '_definition', '_description', '_examples', '_notes']) {
+		if(request.body.hasOwnProperty(tok)) {
+			const value = request.body[tok]
+			const matches = languages.map( (lang) => {
+				const analyzer = (K.analyzer.language.hasOwnProperty(lang))
+					? K.analyzer.language[lang].name
+					: K.analyzer.generic.name
+				return aql`ANALYZER(item._info.${tok}.${lang} IN TOKENS(${value}, ${analyzer}), ${analyzer})`
+			})
+			clauses.push(aql`(${aql.join(matches, ' OR ')})`)
+		}
+	}
+
+	///
+	// Term provider.
+	///
+	if(request.body.hasOwnProperty('_provider')) {
+		clauses.push(aql`ANALYZER(item._info._provider IN TOKENS(${request.body._provider}, "text_en"), "text_en")`)
+	}
+
+	///
+	// Add query FOR.
+	///
+	query.push(aql`FOR item IN ${view_reference}`)
+
+	///
+	// Put AND between query clauses.
+	///
+	if(clauses.length > 0) {
+		query.push(aql`SEARCH`)
+		query.push(aql.join(clauses, ' AND '))
+	}
+
+	return query                                                                // ==>
+
+} // termsSelectionQuery()
+
+/**
+ * Get terms selection page.
+ * The function will select the terms matching the request body selectors,
+ * sort them according to the `sort` body property and return the page
+ * starting at the provided continuation cursor, or at the `start` position.
+ * Sorting always ends with the term key, so that the order is stable and the
+ * cursor can encode the sort value and key of the last returned term: the next
+ * page will start after that term regardless of the terms inserted or deleted
+ * in the meantime. This does not hold for the relevance order, whose scores
+ * may change between calls.
+ * The total is the count of all matching terms, it is taken from the full count
+ * of the query if there is no cursor, or else by a separate query without the
+ * cursor filter.
+ * @param request: API request.
+ * @param response: API response.
+ * @param selector {Aql}: Returned value, `item` is the term.
+ * @return {Object}: `total` count of matching terms, next `cursor` and page
+ *                   `data`.
+ */
+function termsSelectionPage(request, response, selector)
+{
+	//
+	// Init local storage.
+	//
+	const sort = request.body.sort || '_key'
+	const limit = request.body.limit
+	const chain = Utils.languageChain(request.queryParams.lang, request.headers['accept-language'])
+	const language = (chain !== null)
+		? chain[0]
+		: module.context.configuration.language
+
+	//
+	// Select sort value.
+	//
+	let value = aql`item._key`
+	let order = aql`ASC`
+	switch(sort) {
+		case '_gid':
+			value = aql`item._code._gid`
+			break
+		case 'title':
+			value = aql`item._info._title.${language}`
+			break
+		case 'relevance':
+			value = aql`BM25(item)`
+			order = aql`DESC`
+			break
+	}
+
+	//
+	// Init query.
+	//
+	const paged = request.body.hasOwnProperty('cursor')
+	const query = termsSelectionQuery(request, response)
+	query.push(aql`LET sort_value = ${value}`)
+
+	//
+	// Continue from cursor.
+	//
+	if(paged) {
+		const cursor = decodeSelectionCursor(request.body.cursor)
+		if(cursor === null || cursor.sort !== sort) {
 			response.throw(
-				404,
-				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
+				400,
+				K.error.kMSG_ERROR_BAD_CURSOR.message[module.context.configuration.language]
 			)                                                                   // ==>
-		} else {
-			response.throw(500, error.message)                               // ==>
 		}
+		const after = (sort === 'relevance')
+			? aql`sort_value < ${cursor.value}`
+			: aql`sort_value > ${cursor.value}`
+		query.push(aql`FILTER ${after} OR (sort_value == ${cursor.value} AND item._key > ${cursor.key})`)
 	}
 
-} // doGetTermByKey()
+	//
+	// Close query.
+	// Fetch one more element to know if there is a next page.
+	//
+	query.push(aql`SORT sort_value ${order}, item._key ASC`)
+	query.push(
+		(paged)
+			? aql`LIMIT ${limit + 1}`
+			: aql`LIMIT ${request.body.start}, ${limit + 1}`
+	)
+	query.push(aql`RETURN { key: item._key, sort: sort_value, data: ${selector} }`)
+
+	//
+	// Perform query.
+	// The full count ignores the limit, but it would include the cursor filter.
+	//
+	const selection = K.db._query(aql.join(query), {}, { fullCount: !paged })
+	const result = selection.toArray()
+	const total = (paged)
+		? K.db._query(aql.join([
+			...termsSelectionQuery(request, response),
+			aql`COLLECT WITH COUNT INTO count`,
+			aql`RETURN count`
+		])).toArray()[0]
+		: selection.getExtra().stats.fullCount
+
+	//
+	// Set next cursor.
+	//
+	let cursor = null
+	if(result.length > limit) {
+		result.pop()
+		if(result.length > 0) {
+			const last = result[result.length - 1]
+			cursor = encodeSelectionCursor({ sort: sort, value: last.sort, key: last.key })
+		}
+	}
+
+	return {
+		total: total,
+		cursor: cursor,
+		data: result.map( (item) => item.data )
+	}                                                                           // ==>
+
+} // termsSelectionPage()
 
 /**
- * Get term by key.
+ * Check if selection is paged.
+ * Selection services return the plain list of results, unless the request
+ * body contains a continuation cursor or sort order: in that case they
+ * return the page object with `total`, `cursor` and `data`.
+ * @param request: API request.
+ * @return {Boolean}: `true` if the page object should be returned.
+ */
+function isSelectionPaged(request)
+{
+	return (
+		request.body.hasOwnProperty('cursor') ||
+		request.body.hasOwnProperty('sort')
+	)                                                                           // ==>
+
+} // isSelectionPaged()
+
+/**
+ * Get terms selection facets.
+ * The function will return the facet counts of all the terms matching the
+ * request body selectors: for each facet it returns the list of values and
+ * the number of matching terms featuring them. Facets holding arrays count
+ * each element.
  * @param request: API request.
  * @param response: API response.
+ * @return {Object}: Facet name as key and list of `value`, `count` as value.
  */
-function doDictionaryTerms(request, response)
+function termsSelectionFacets(request, response)
 {
 	//
-	// Try query.
+	// Init local storage.
 	//
-	try
-	{
-		//
-		// Get term.
-		//
-		const terms = collection.documents(request.body)
+	const data = module.context.configuration.sectionData
+	const rule = module.context.configuration.sectionRule
+	const scalar = module.context.configuration.sectionScalar
+	const containers = [
+		scalar,
+		module.context.configuration.sectionSetScalar,
+		module.context.configuration.sectionArray,
+		module.context.configuration.sectionSet,
+		module.context.configuration.sectionTuple,
+		module.context.configuration.sectionDict
+	]
+	const facets = {
+		_subject: aql`item.${data}.${module.context.configuration.sectionDataSubject}`,
+		_class: aql`item.${data}.${module.context.configuration.sectionDataClass}`,
+		_domain: aql`item.${data}.${module.context.configuration.sectionDataDomain}`,
+		_tag: aql`item.${data}.${module.context.configuration.sectionDataTag}`,
+		_list: aql`item.${data}.${module.context.configuration.sectionDataList}`,
+		term_type: aql`HAS(item, ${data}) ? "descriptor" : (HAS(item, ${rule}) ? "structure" : "term")`,
+		data_type: aql`HAS(item, ${data}) ? NOT_NULL(
+			item.${data}.${scalar}.${module.context.configuration.scalarType},
+			FIRST(FOR section IN ${containers} FILTER HAS(item.${data}, section) RETURN section)
+		) : null`,
+		namespace: aql`item.${module.context.configuration.sectionCode}.${module.context.configuration.namespaceIdentifier}`
+	}
 
-		//
-		// Select language.
-		//
-		if(request.queryParams.lang !== '@') {
-			for(let i = 0; i < terms.documents.length; i++) {
-				Utils.termLanguage(terms.documents[i], request.queryParams.lang)
-			}
-		}
+	//
+	// Project facet values of matching terms.
+	//
+	const query = termsSelectionQuery(request, response)
+	query.push(aql`RETURN {`)
+	query.push(aql.join(
+		Object.entries(facets).map( ([name, value]) => aql`[${name}]: ${value}` ),
+		', '
+	))
+	query.push(aql`}`)
 
-		//
-		// Build dictionary.
-		//
-		let result = {}
-		request.body.forEach(key => { result[key] = null })
-		terms.documents.forEach(term => { result[term._key] = term})
+	//
+	// Collect buckets.
+	// Namespace buckets include the default namespace as null,
+	// missing values of other facets are not counted.
+	//
+	const buckets = Object.keys(facets).map( (name) =>
+		(name === 'namespace')
+			? aql`[${name}]: (
+				FOR match IN matches
+					COLLECT value = match.${name} WITH COUNT INTO count
+					SORT count DESC, value ASC
+				RETURN { value, count }
+			)`
+			: aql`[${name}]: (
+				FOR match IN matches
+					FOR value IN TO_ARRAY(match.${name})
+						COLLECT bucket = value WITH COUNT INTO count
+						SORT count DESC, bucket ASC
+				RETURN { value: bucket, count }
+			)`
+	)
 
-		response.send(result)                                                   // ==>
+	return K.db._query(aql.join([
+		aql`LET matches = (`,
+		aql.join(query),
+		aql`)`,
+		aql`RETURN {`,
+		aql.join(buckets, ', '),
+		aql`}`
+	])).toArray()[0]                                                            // ==>
+
+} // termsSelectionFacets()
+
+/**
+ * Highlight suggestion.
+ * The function will enclose in `<em>` tags the words of the provided text
+ * that start with any of the provided tokens, or that are within the
+ * corresponding number of edits. Words are compared in lowercase and
+ * ignoring accents, like the search analyzers do.
+ * @param text {String|null}: The text to highlight.
+ * @param tokens {Array<String>}: The query tokens.
+ * @param distances {Array<Number>}: The allowed edits for each token.
+ * @return {String|null}: The highlighted text.
+ */
+function highlightSuggestion(text, tokens, distances)
+{
+	//
+	// Skip missing text.
+	//
+	if(typeof text !== 'string') {
+		return null                                                     // ==>
 	}
-	catch (error)
-	{
-		if(error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
-			response.throw(
-				404,
-				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language]
-			)                                                                   // ==>
-		} else {
-			response.throw(500, error.message)                               // ==>
+
+	//
+	// Enclose matching words.
+	//
+	return text.replace(/[\p{L}\p{N}]+/gu, (word) => {
+		const normal = word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+		const match = tokens.some( (token, index) =>
+			normal.startsWith(token) ||
+			(distances[index] > 0 && Utils.levenshtein(normal, token) <= distances[index])
+		)
+
+		return (match) ? `<em>${word}</em>` : word                          // =>
+	})                                                                          // ==>
+
+} // highlightSuggestion()
+
+/**
+ * Encode selection cursor.
+ * @param cursor {Object}: Sort order, last sort value and last key.
+ * @return {String}: Opaque cursor.
+ */
+function encodeSelectionCursor(cursor)
+{
+	return Buffer.from(JSON.stringify(cursor)).toString('base64')              // ==>
+
+} // encodeSelectionCursor()
+
+/**
+ * Decode selection cursor.
+ * @param cursor {String}: Opaque cursor.
+ * @return {Object|null}: Sort order, last sort value and last key, or null if invalid.
+ */
+function decodeSelectionCursor(cursor)
+{
+	try {
+		const result = JSON.parse(Buffer.from(cursor, 'base64').toString())
+		if(Validator.IsObject(result) && typeof result.key === 'string') {
+			return result                                                   // ==>
 		}
+	} catch (error) {
 	}
 
-} // doDictionaryTerms()
+	return null                                                                 // ==>
+
+} // decodeSelectionCursor()
 
 /**
- * Get terms list.
+ * Prepare terms selection query.
+ * >>>>> OLD VERSION <<<<<<
  * @param request: API request.
  * @param response: API response.
+ * @return {Array<Aql>}: Query elements.
+ *
+ * >>>>> TODO: Here and in all services change all queries so use views.
  */
-function doSelectTerms(request, response)
+function termsSelectionQueryOld(request, response)
 {
 	//
 	// Init local storage.
 	//
-	const query = termsSelectionQuery(request, response)
+	const query = [aql`FOR item IN ${collection}`]
 
 	//
-	// Close query.
+	// Term type.
+	//
+	if(request.body.hasOwnProperty('term_type')) {
+		switch(request.body.term_type) {
+			case 'descriptor':
+				query.push(aql`FILTER HAS(item, '_data')`)
+				break;
+			case 'structure':
+				query.push(aql`FILTER HAS(item, '_rule')`)
+				break;
+		}
+	}
+
+	//
+	// Term scalar codes.
 	//
-	query.push(aql`RETURN item`)
+	for(const tok of ['_nid', '_lid', '_gid']) {
+		if(request.body.hasOwnProperty(tok)) {
+			query.push(aql`FILTER item._code.${tok} LIKE ${request.body[tok]}`)
+		}
+	}
 
 	//
-	// Perform query.
+	// List of official codes.
 	//
-	const result = K.db._query(aql.join(query)).toArray()
+	if(request.body.hasOwnProperty('_aid')) {
+		query.push(aql`FILTER item._code._aid ANY IN ${request.body._aid}`)
+	}
 
 	//
-	// Handle output language.
-	// Note that
+	// Term descriptions.
 	//
-	if(request.queryParams.lang !== '@') {
-		for(let i = 0; i < result.length; i++) {
-			Utils.termLanguage(result[i], request.queryParams.lang)
+	for(const tok of ['_title', '_definition']) {
+		if(request.body.hasOwnProperty(tok)) {
+			for(const [key, value] of Object.entries(request.body[tok])) {
+				query.push(aql`FILTER item._info.${tok}.${key} LIKE ${value}`)
+			}
 		}
 	}
 
-	response.send(result)                                                       // ==>
-
-} // doSelectTerms()
-
-/**
- * Get term keys list.
- * @param request: API request.
- * @param response: API response.
- */
-function doSelectTermKeys(request, response)
-{
 	//
-	// Init local storage.
+	// Descriptor data block.
 	//
-	const query = termsSelectionQuery(request, response)
+	if(request.body.hasOwnProperty('_data')) {
+		query.push(aql`FILTER ATTRIBUTES(item._data) ANY IN ${request.body._data}`)
+	}
 
 	//
-	// Close query.
+	// Data type and kind.
 	//
-	query.push(aql`RETURN item._key`)
+	if(request.body.hasOwnProperty('_data') && request.body._data.includes('_scalar')) {
+		if(request.body.hasOwnProperty('_type')) {
+			query.push(aql`FILTER item._data._scalar._type IN ${request.body._type}`)
+		}
 
-	// response.send(aql.join(query))
-	// return
+		if(request.body.hasOwnProperty('_kind')) {
+			query.push(aql`FILTER item._data._scalar._kind ANY IN ${request.body._kind}`)
+		}
+	}
 
 	//
-	// Perform query.
+	// Close query.
 	//
-	const result = K.db._query(aql.join(query)).toArray()
+	query.push(aql`SORT item._key ASC`)
+	query.push(aql`LIMIT ${request.body.start}, ${request.body.limit}`)
 
-	response.send(result)                                                       // ==>
+	return query                                                                // ==>
 
-} // doSelectTermKeys()
+} // termsSelectionQueryOld()
 
 /**
- * Update term.
+ * Check term info section.
+ * @param term: Term object.
  * @param request: API request.
  * @param response: API response.
+ * @return {Boolean}: `true` means correct, `false` means error: bail out.
  */
-function doUpdateTerm(request, response)
+function insertTermCheckInfo(term, request, response)
 {
 	//
-	// Init local storage.
+	// Check information section.
 	//
-	let original = {}
+	if(term.hasOwnProperty('_info')) {
 
-	//
-	// Load old record.
-	//
-	try {
-		original = JSON.parse(JSON.stringify(collection.document(request.queryParams.key)))
+		//
+		// Assert descriptions have the default language.
+		//
+		for(const field of ['_title', '_definition', '_description', '_examples', '_notes']) {
+			if(term._info.hasOwnProperty(field)) {
+				if(!term._info[field].hasOwnProperty(module.context.configuration.language)) {
+					let message = K.error.kMSG_ERROR_MISSING_DEF_LANG.message[module.context.configuration.language]
+					message += ` [term: ${term._key}]`
+					response.throw(400, message)
 
-	} catch (error) {
-		if (error.isArangoError && error.errorNum === ARANGO_NOT_FOUND) {
-			response.throw(
-				HTTP_NOT_FOUND,
-				K.error.kMSG_TERM_NOT_FOUND.message[module.context.configuration.language] +
-				` [${request.queryParams.key}]`
-			)                                                                   // ==>
-		}
-		else {
-			response.throw(500, error.message)                               // ==>
+					return false                                                // ==>
+				}
+			}
 		}
 	}
 
+	return true                                                                 // ==>
+
+} // insertTermCheckInfo()
+
+/**
+ * Collect term references.
+ * The function will return the records referencing the provided list of term
+ * keys: `edges` will contain the edges having one of the terms as source,
+ * destination, predicate or path root; `links` will contain the links having
+ * one of the terms as source, destination or predicate; `terms` will contain
+ * the keys of the terms, not included in the provided list, that reference the
+ * provided terms, along with the list of referencing fields.
+ * @param keys {Array<String>}: List of term keys.
+ * @return {Object}: The references report.
+ */
+function getTermReferences(keys)
+{
 	//
-	// Create updated object.
+	// Init local storage.
 	//
-	const updated =
-		Validator.MergeObjectUpdates(
-			original,
-			request.body.updates,
-			request.body.references
-		)
+	const pred = module.context.configuration.predicate
+	const path = module.context.configuration.sectionPath
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+	const data = module.context.configuration.sectionData
+	const rule = module.context.configuration.sectionRule
+	const replacedBy = module.context.configuration.termReplacedBy
+	const handles = keys.map( (key) => `${collection.name()}/${key}` )
 
 	///
-	// Init validator object with options.
+	// Collect edges.
 	///
-	const validator =
-		new Validator(
-			updated,
-			'',
-			false,
-			true,
-			true,
-			request.queryParams.terms,
-			request.queryParams.types,
-			request.queryParams.resolve,
-			request.queryParams.defns,
-			request.queryParams.resfld
-		)
+	const edges = K.db._query( aql`
+		FOR edge IN ${collection_edge}
+			FILTER edge._from IN ${handles} OR
+				   edge._to IN ${handles} OR
+				   edge.${pred} IN ${keys} OR
+				   LENGTH(INTERSECTION(edge.${path}, ${handles})) > 0
+		RETURN KEEP(edge, '_key', '_from', '_to', ${pred}, ${path})
+	`).toArray()
 
+	///
+	// Collect links.
+	///
+	const links = K.db._query( aql`
+		FOR link IN ${collection_link}
+			FILTER link._from IN ${handles} OR
+				   link._to IN ${handles} OR
+				   link.${pred} IN ${keys}
+		RETURN KEEP(link, '_key', '_from', '_to', ${pred})
+	`).toArray()
+
+	///
+	// Collect terms.
+	// Only descriptors and structures featuring the keys
+	// as serialised strings or property names are visited.
+	///
+	const terms = []
+	const needles = keys.map( (key) => JSON.stringify(key) )
+	K.db._query( aql`
+		FOR term IN ${collection}
+			FILTER term._key NOT IN ${keys}
+			FILTER term.${code}.${nid} IN ${keys} OR
+				   term.${replacedBy} IN ${keys} OR
+				   LENGTH(
+					   FOR needle IN ${needles}
+						   FILTER CONTAINS(JSON_STRINGIFY(term.${data}), needle) OR
+								  CONTAINS(JSON_STRINGIFY(term.${rule}), needle)
+						   LIMIT 1
+					   RETURN true
+				   ) > 0
+		RETURN KEEP(term, '_key', ${code}, ${data}, ${rule}, ${replacedBy})
+	`).toArray()
+		.forEach( (term) => {
+			const fields = getTermReferenceFields(term, keys)
+			if(fields.length > 0) {
+				terms.push({ _key: term._key, fields: fields })
+			}
+		})
+
+	return { edges: edges, links: links, terms: terms }                        // ==>
+
+} // getTermReferences()
+
+/**
+ * Rewrite reference records.
+ * The function will load the edges or links matching the provided keys and
+ * replace the term references found in the `_from`, `_to`, predicate and
+ * `_path` properties according to the provided mapping of old to new term
+ * keys. Records whose key changes are scheduled for removal and insertion with
+ * the new key, the others for replacement; records that collide with an
+ * existing or another rewritten record are merged into it, joining their
+ * paths and adding the missing `_path_data` properties, and records that
+ * become self references are dropped. The function is expected to be called in
+ * the terms transaction that writes the records.
+ * Path data properties of merged records that differ from the ones of the
+ * record they were merged into are kept from the latter, and reported in
+ * `conflicts` with the key of the merged record, `merged`, the key of the kept
+ * record, `_key`, the list of conflicting property paths, `fields`, and the
+ * discarded `_path_data`.
+ * @param theCollection {Object}: Edge or link collection.
+ * @param keys {Array<String>}: List of record keys.
+ * @param mapping {Object}: Old term key to new term key.
+ * @return {Object}: Lists of `removes`, `inserts`, `updates` and `conflicts`,
+ *                   `merged` and `dropped` counts.
+ */
+function rewriteReferenceRecords(theCollection, keys, mapping)
+{
 	//
-	// Validate changes.
+	// Init local storage.
 	//
-	const result = Validator.ValidateTermUpdates(original, updated)
-	if(Object.keys(result).length > 0) {
-		response.status(400)
-		response.send({
-			status: K.error.kMSG_BAD_TERM_UPDATE.message[module.context.configuration.language],
-			report: result
-		})
-		return                                                          // ==>
+	const pred = module.context.configuration.predicate
+	const path = module.context.configuration.sectionPath
+	const data = module.context.configuration.sectionPathData
+	const prefix = `${collection.name()}/`
+	const operations = {
+		removes: [], inserts: [], updates: [], conflicts: [], merged: 0, dropped: 0
+	}
+	const swap = (handle) => {
+		const key = handle.substring(prefix.length)
+		return (handle.startsWith(prefix) && mapping.hasOwnProperty(key))
+			? `${prefix}${mapping[key]}`
+			: handle
 	}
 
 	//
-	// Validate object.
+	// Rewrite records.
+	// Records keeping their key go first,
+	// so that others can be merged into them.
 	//
-	const status = validator.validate()
-	switch(status)
-	{
-		case 0:
-			if(!request.queryParams.save) {
-				response.status(200)
-				response.send({
-					status: status,
-					value: validator.value
-				})
-				return                                                  // ==>
+	const records = {}
+	const rewritten = K.db._query( aql`
+		FOR record IN ${theCollection}
+			FILTER record._key IN ${keys}
+		RETURN record
+	`).toArray()
+		.map( (record) => {
+			const loop = (record._from === record._to)
+			record._from = swap(record._from)
+			record._to = swap(record._to)
+			if(mapping.hasOwnProperty(record[pred])) {
+				record[pred] = mapping[record[pred]]
 			}
-			break
-		
-		case 1:
-			if(!request.queryParams.save) {
-				response.status(202)
-				response.send({
-					status: status,
-					report: validator.report,
-					value: validator.value
-				})
-				return                                                  // ==>
+			if(Validator.IsArray(record[path])) {
+				record[path] = [...new Set(record[path].map(swap))]
 			}
-			break
-		
-		case -1:
-			response.status(400)
-			response.send({
-				status: status,
-				report: validator.report,
-				value: validator.value
-			})
-			return                                                      // ==>
-	}
 
-	//
-	// Replace term.
-	//
-	try
-	{
+			const key = record._key
+			record._key = Utils.getEdgeKey(record._from, record[pred], record._to)
+
+			return {
+				key: key,
+				loop: (!loop && record._from === record._to),
+				record: record
+			}                                                               // =>
+		})
+		.sort( (a, b) => (a.key !== a.record._key) - (b.key !== b.record._key) )
+
+	rewritten.forEach( ({ key, loop, record }) => {
 		//
-		// Replace term.
+		// Drop self references.
 		//
-		const result =
-			K.db._query( aql`
-					REPLACE ${updated} IN ${collection}
-					OPTIONS { ignoreRevs: false }
-					RETURN NEW
-                `)
-		
-		///
-		// Handle no errors or resolved values.
-		///
-		if(status === 0) {
-			response.status(200)
-			response.send(result._documents[0])
-		} else {
-			response.status(202)
-			response.send({
-				status: status,
-				report: validator.report,
-				value: result._documents[0]
-			})
+		if(loop) {
+			operations.removes.push(key)
+			operations.dropped += 1
+			return                                                          // =>
+		}
+
+		//
+		// Handle unchanged key.
+		//
+		if(key === record._key) {
+			records[key] = record
+			operations.updates.push(record)
+			return                                                          // =>
+		}
+
+		//
+		// Handle collisions.
+		//
+		operations.removes.push(key)
+		if(!records.hasOwnProperty(record._key) &&
+		   !keys.includes(record._key) &&
+		   theCollection.exists(record._key))
+		{
+			records[record._key] = theCollection.document(record._key)
+			operations.updates.push(records[record._key])
+		}
+		if(records.hasOwnProperty(record._key)) {
+			const existing = records[record._key]
+			if(Validator.IsArray(record[path])) {
+				existing[path] = [...new Set(
+					(Validator.IsArray(existing[path]) ? existing[path] : []).concat(record[path])
+				)]
+			}
+			if(Validator.IsObject(record[data])) {
+				if(!Validator.IsObject(existing[data])) {
+					existing[data] = {}
+				}
+				const fields = mergeRecordData(existing[data], record[data], data)
+				if(fields.length > 0) {
+					operations.conflicts.push({
+						_key: record._key,
+						merged: key,
+						fields: fields,
+						[data]: record[data]
+					})
+				}
+			}
+			operations.merged += 1
+			return                                                          // =>
 		}
-	}
-	catch (error)
-	{
+
 		//
-		// Duplicate record
-		if(error.isArangoError && error.errorNum === ARANGO_DUPLICATE) {
-			response.throw(
-				409,
-				K.error.kMSG_ERROR_CONFLICT.message[module.context.configuration.language]
-			)                                                           // ==>
-		}
-		else {
-			response.throw(500, error.message)                      // ==>
+		// Handle new key.
+		//
+		delete record._id
+		delete record._rev
+		records[record._key] = record
+		operations.inserts.push(record)
+	})
+
+	return operations                                                           // ==>
+
+} // rewriteReferenceRecords()
+
+/**
+ * Merge record data.
+ * The function will add to the target the properties of the source it lacks,
+ * merging nested objects, and return the paths of the properties whose values
+ * differ: these are left unchanged in the target.
+ * @param target {Object}: The kept data.
+ * @param source {Object}: The merged data.
+ * @param path {String}: The current property path.
+ * @return {Array<String>}: List of conflicting property paths.
+ */
+function mergeRecordData(target, source, path)
+{
+	//
+	// Merge properties.
+	//
+	const conflicts = []
+	Object.entries(source).forEach( ([key, value]) => {
+		if(!target.hasOwnProperty(key)) {
+			target[key] = Validator.DeepClone(value)
+		} else if(Validator.IsObject(target[key]) && Validator.IsObject(value)) {
+			conflicts.push(...mergeRecordData(target[key], value, `${path}.${key}`))
+		} else if(!_.isEqual(target[key], value)) {
+			conflicts.push(`${path}.${key}`)
 		}
-	}
+	})
 
-} // doUpdateTerm()
+	return conflicts                                                            // ==>
 
+} // mergeRecordData()
 
-//
-// Utility functions.
-//
+/**
+ * Write reference records.
+ * The function will apply the operations returned by
+ * `rewriteReferenceRecords()` to the provided edge or link collection: it is
+ * expected to be called in the same terms transaction, replaced records are
+ * checked against the revision read in the transaction.
+ * @param theCollection {Object}: Edge or link collection.
+ * @param operations {Object}: Lists of `removes`, `inserts` and `updates`.
+ */
+function writeReferenceRecords(theCollection, operations)
+{
+	K.db._query( aql`
+		FOR key IN ${operations.removes}
+			REMOVE key IN ${theCollection}
+	`)
+	K.db._query( aql`
+		FOR item IN ${operations.inserts}
+			INSERT item INTO ${theCollection}
+			OPTIONS { keepNull: false, overwriteMode: "conflict" }
+	`)
+	K.db._query( aql`
+		FOR item IN ${operations.updates}
+			REPLACE item IN ${theCollection}
+			OPTIONS { keepNull: false, ignoreRevs: false }
+	`)
+
+} // writeReferenceRecords()
 
 /**
- * Prepare terms selection query.
- * @param request: API request.
- * @param response: API response.
- * @return {Array<Aql>}: Query elements.
- *
- * >>>>> TODO: Here and in all services change all queries so use views.
+ * Collect term reference fields.
+ * The function will return the list of property paths in the provided term
+ * that reference any of the provided term keys.
+ * @param term {Object}: The term.
+ * @param keys {Array<String>}: List of term keys.
+ * @return {Array<String>}: List of referencing property paths.
  */
-function termsSelectionQuery(request, response)
+function getTermReferenceFields(term, keys)
+{
+	//
+	// Collect paths.
+	//
+	const fields = []
+	visitTermReferences(term, keys, (path) => fields.push(path))
+
+	return fields                                                               // ==>
+
+} // getTermReferenceFields()
+
+/**
+ * Visit term references.
+ * The function will call the provided callback for each property in the
+ * provided term that references any of the provided term keys. The namespace
+ * in the code section, the replacement term, the `_kind` and `_tuple_types`
+ * properties at any level of the data section and the required, banned and
+ * recommended selections of the rule section are considered. The descriptor
+ * keys of the default values and computed properties are considered, as well
+ * as the computed expressions operands and lookup enumerations: literals,
+ * separators and code fields are not references.
+ * The callback receives the property path, the referencing value and a
+ * function that replaces it with the provided value: referencing property
+ * names are renamed, unless the new name exists.
+ * @param term {Object}: The term.
+ * @param keys {Array<String>}: List of term keys.
+ * @param callback {Function}: Called with path, value and replace function.
+ */
+function visitTermReferences(term, keys, callback)
 {
 	//
 	// Init local storage.
 	//
-	const query = []
-	const clauses = []
-	const language = module.context.configuration.language
+	const op = K.computed
+	const code = module.context.configuration.sectionCode
+	const nid = module.context.configuration.namespaceIdentifier
+	const data = module.context.configuration.sectionData
+	const rule = module.context.configuration.sectionRule
+	const replacedBy = module.context.configuration.termReplacedBy
+	const defaults = module.context.configuration.sectionRuleDefault
+	const computed = module.context.configuration.sectionRuleComputed
+	const data_fields = [
+		module.context.configuration.dataKind,
+		module.context.configuration.tupleTypes
+	]
+	const rule_fields = [
+		module.context.configuration.sectionRuleRequired,
+		module.context.configuration.sectionRuleBanned,
+		module.context.configuration.sectionRuleRecommended
+	]
+	const operators = [op.concat, op.add, op.sub, op.mul, op.div]
 
 	//
-	// Term type.
+	// Visit matching value.
 	//
-	if(request.body.hasOwnProperty('term_type')) {
-		switch(request.body.term_type) {
-			case 'descriptor':
-				clauses.push(aql`EXISTS(item._data)`)
-				break;
-			case 'structure':
-				clauses.push(aql`EXISTS(item._rule)`)
-				break;
+	const check = (container, key, path) => {
+		if(keys.includes(container[key])) {
+			callback(path, container[key], (value) => { container[key] = value })
 		}
 	}
 
 	//
-	// Term scalar codes.
+	// Visit matching property names.
 	//
-	for(const tok of ['_nid', '_lid', '_gid', '_name', '_pid']) {
-		if(request.body.hasOwnProperty(tok)) {
-			clauses.push(
-				aql`ANALYZER(
-					LIKE(item._code.${tok},
-					LOWER(${request.body[tok]})
-				), "text_en")`)
+	const rename = (container, path) => {
+		Object.keys(container).forEach( (key) => {
+			if(keys.includes(key)) {
+				callback(`${path}.${key}`, key, (value) => {
+					if(!container.hasOwnProperty(value)) {
+						container[value] = container[key]
+					}
+					delete container[key]
+				})
+			}
+		})
+	}
+
+	//
+	// Visit matching string values from any level.
+	//
+	const collect = (container, key, path) => {
+		const value = container[key]
+		if(typeof value === 'string') {
+			check(container, key, path)
+		} else if(Array.isArray(value)) {
+			value.forEach( (item, index) => collect(value, index, `${path}[${index}]`) )
+		} else if(value !== null && typeof value === 'object') {
+			Object.keys(value).forEach( (item) => collect(value, item, `${path}.${item}`) )
 		}
 	}
 
 	//
-	// List of official codes.
+	// Visit computed expression operands.
 	//
-	if(request.body.hasOwnProperty('_aid')) {
-		clauses.push(aql`item._code._aid IN ${request.body._aid}`)
+	const expression = (container, key, path) => {
+		const value = container[key]
+		if(typeof value === 'string') {
+			check(container, key, path)
+		} else if(Validator.IsObject(value)) {
+			operators.forEach( (operator) => {
+				if(Validator.IsArray(value[operator])) {
+					value[operator].forEach( (item, index) =>
+						expression(value[operator], index, `${path}.${operator}[${index}]`)
+					)
+				}
+			})
+			if(value.hasOwnProperty(op.lookup)) {
+				expression(value, op.lookup, `${path}.${op.lookup}`)
+				check(value, op.enum, `${path}.${op.enum}`)
+			}
+		}
 	}
 
 	//
-	// Term descriptions.
+	// Traverse data section levels.
 	//
-	for(const tok of ['_title', '_definition', '_description', '_examples', '_notes']) {
-		if(request.body.hasOwnProperty(tok)) {
-			const value = request.body[tok]
-			clauses.push(aql`ANALYZER(item._info.${tok}.${language} IN TOKENS(${value}, "text_en"), "text_en")`)
+	const traverse = (value, path) => {
+		if(value !== null && typeof value === 'object' && !Array.isArray(value)) {
+			Object.entries(value).forEach( ([key, item]) => {
+				if(data_fields.includes(key)) {
+					collect(value, key, `${path}.${key}`)
+				} else {
+					traverse(item, `${path}.${key}`)
+				}
+			})
 		}
 	}
 
 	///
-	// Term provider.
+	// Check namespace.
 	///
-	if(request.body.hasOwnProperty('_provider')) {
-		clauses.push(aql`ANALYZER(item._info._provider IN TOKENS(${request.body._provider}, "text_en"), "text_en")`)
+	if(term.hasOwnProperty(code)) {
+		check(term[code], nid, `${code}.${nid}`)
 	}
 
 	///
-	// Add query FOR.
+	// Check replacement.
 	///
-	query.push(aql`FOR item IN ${view_reference}`)
+	check(term, replacedBy, replacedBy)
 
 	///
-	// Put AND between query clauses.
+	// Check data section.
 	///
-	if(clauses.length > 0) {
-		query.push(aql`SEARCH`)
-		query.push(aql.join(clauses, ' AND '))
+	if(term.hasOwnProperty(data)) {
+		traverse(term[data], data)
+	}
+
+	///
+	// Check rule section.
+	///
+	if(Validator.IsObject(term[rule])) {
+		rule_fields.forEach( (field) => {
+			if(term[rule].hasOwnProperty(field)) {
+				collect(term[rule], field, `${rule}.${field}`)
+			}
+		})
+		if(Validator.IsObject(term[rule][defaults])) {
+			rename(term[rule][defaults], `${rule}.${defaults}`)
+		}
+		if(Validator.IsObject(term[rule][computed])) {
+			Object.keys(term[rule][computed]).forEach( (key) =>
+				expression(term[rule][computed], key, `${rule}.${computed}.${key}`)
+			)
+			rename(term[rule][computed], `${rule}.${computed}`)
+		}
 	}
 
+} // visitTermReferences()
+
+/**
+ * Check term references.
+ * The function will check if the provided references report allows deleting
+ * the terms in the provided mode: in `restrict` mode there should be no
+ * references, in `cascade` mode there should be no references from other
+ * terms, since these cannot be removed. If the check fails, the function will
+ * send a 409 response with the references report.
+ * @param references {Object}: The references report.
+ * @param mode {String}: The deletion mode.
+ * @param response: API response.
+ * @return {Boolean}: `true` means continue, `false` means bail out.
+ */
+function checkTermReferences(references, mode, response)
+{
 	//
-	// Close query.
+	// Check references.
 	//
-	query.push(aql`SORT item._key ASC`)
-	query.push(aql`LIMIT ${request.body.start}, ${request.body.limit}`)
+	const referenced = (mode === 'cascade')
+		? (references.terms.length > 0)
+		: (references.edges.length > 0 ||
+		   references.links.length > 0 ||
+		   references.terms.length > 0)
 
-	return query                                                                // ==>
+	if(referenced) {
+		response.status(409)
+		response.send({
+			message: K.error.kMSG_ERROR_TERM_REFERENCED.message[module.context.configuration.language],
+			references: references
+		})
 
-} // termsSelectionQuery()
+		return false                                                            // ==>
+	}
+
+	return true                                                                 // ==>
+
+} // checkTermReferences()
 
 /**
- * Prepare terms selection query.
- * >>>>> OLD VERSION <<<<<<
+ * Delete terms and dependent records.
+ * The function will remove the provided terms along with the edges and links
+ * listed in the provided references report, and save the removed term
+ * versions in the revisions collection: it is expected to be called in a
+ * terms transaction. Edges that reference the terms only in their path will
+ * be updated removing the terms from the path, if the path becomes empty, the
+ * edge will be removed.
+ * @param keys {Array<String>}: List of term keys.
+ * @param references {Object}: The references report.
  * @param request: API request.
- * @param response: API response.
- * @return {Array<Aql>}: Query elements.
- *
- * >>>>> TODO: Here and in all services change all queries so use views.
+ * @return {Object}: Removed terms, edges and links statistics.
  */
-function termsSelectionQueryOld(request, response)
+function deleteTermsCascade(keys, references, request)
 {
 	//
 	// Init local storage.
 	//
-	const query = [aql`FOR item IN ${collection}`]
+	const pred = module.context.configuration.predicate
+	const path = module.context.configuration.sectionPath
+	const handles = keys.map( (key) => `${collection.name()}/${key}` )
 
-	//
-	// Term type.
-	//
-	if(request.body.hasOwnProperty('term_type')) {
-		switch(request.body.term_type) {
-			case 'descriptor':
-				query.push(aql`FILTER HAS(item, '_data')`)
-				break;
-			case 'structure':
-				query.push(aql`FILTER HAS(item, '_rule')`)
-				break;
+	///
+	// Classify edges.
+	///
+	const deletes = []
+	const updates = []
+	references.edges.forEach( (edge) => {
+		if(handles.includes(edge._from) ||
+		   handles.includes(edge._to) ||
+		   keys.includes(edge[pred])) {
+			deletes.push(edge._key)
+		} else {
+			const roots = edge[path].filter( (root) => !handles.includes(root) )
+			if(roots.length === 0) {
+				deletes.push(edge._key)
+			} else {
+				updates.push({ _key: edge._key, [path]: roots })
+			}
 		}
-	}
+	})
 
-	//
-	// Term scalar codes.
-	//
-	for(const tok of ['_nid', '_lid', '_gid']) {
-		if(request.body.hasOwnProperty(tok)) {
-			query.push(aql`FILTER item._code.${tok} LIKE ${request.body[tok]}`)
-		}
-	}
+	///
+	// Update edges.
+	///
+	const updated = K.db._query( aql`
+		FOR item IN ${updates}
+			UPDATE item IN ${collection_edge}
+		RETURN 1
+	`).toArray().length
+
+	///
+	// Remove edges and links.
+	///
+	const removed = K.db._query( aql`
+		FOR key IN ${deletes}
+			REMOVE key IN ${collection_edge}
+			OPTIONS { ignoreErrors: true }
+		RETURN 1
+	`).toArray().length
 
+	const unlinked = K.db._query( aql`
+		FOR key IN ${references.links.map( (link) => link._key )}
+			REMOVE key IN ${collection_link}
+			OPTIONS { ignoreErrors: true }
+		RETURN 1
+	`).toArray().length
+
+	///
+	// Remove terms.
+	///
+	const deleted = K.db._query( aql`
+		FOR key IN ${keys}
+			REMOVE key IN ${collection}
+			OPTIONS { ignoreErrors: true }
+		RETURN OLD
+	`).toArray()
+	saveTermRevisions(deleted, 'delete', request)
+
+	return {
+		terms: deleted,
+		edges: { deleted: removed, updated: updated },
+		links: { deleted: unlinked }
+	}                                                                           // ==>
+
+} // deleteTermsCascade()
+
+/**
+ * Check expected term revision.
+ * This function will compare the revision provided in the `If-Match` header,
+ * or in the `_rev` body field, with the provided current revision: if they
+ * do not match, the function will send a 412 response and return `false`.
+ * If no revision was provided, the function will return `true`.
+ * @param request {Object}: API request.
+ * @param response {Object}: API response.
+ * @param current {String}: Current term revision.
+ * @return {Boolean}: `true` if the revisions match.
+ */
+function checkTermRevision(request, response, current)
+{
 	//
-	// List of official codes.
+	// Get expected revision.
 	//
-	if(request.body.hasOwnProperty('_aid')) {
-		query.push(aql`FILTER item._code._aid ANY IN ${request.body._aid}`)
+	let expected = request.headers['if-match']
+	if(expected === undefined && request.body !== null) {
+		expected = request.body._rev
+	}
+	if(expected === undefined || expected === '*') {
+		return true                                                 // ==>
 	}
 
 	//
-	// Term descriptions.
+	// Match revision.
 	//
-	for(const tok of ['_title', '_definition']) {
-		if(request.body.hasOwnProperty(tok)) {
-			for(const [key, value] of Object.entries(request.body[tok])) {
-				query.push(aql`FILTER item._info.${tok}.${key} LIKE ${value}`)
-			}
-		}
+	if(expected.replace(/^W\//, '').replace(/"/g, '') !== current) {
+		sendRevisionConflict(response, current)
+		return false                                                // ==>
 	}
 
+	return true                                                     // ==>
+
+} // checkTermRevision()
+
+/**
+ * Send revision conflict.
+ * This function will send a 412 response with the current revision.
+ * @param response {Object}: API response.
+ * @param current {String}: Current term revision.
+ */
+function sendRevisionConflict(response, current)
+{
+	response.set('ETag', current)
+	response.status(412)
+	response.send({
+		message: K.error.kMSG_ERROR_CONFLICT.message[module.context.configuration.language],
+		_rev: current
+	})
+
+} // sendRevisionConflict()
+
+/**
+ * Execute terms transaction.
+ * The function will execute the provided action in a transaction writing the
+ * terms, edges, links and revisions collections. The action should perform
+ * both the reads and the writes, so that the records it changes cannot be
+ * modified by others in the meantime: concurrent changes to the same records
+ * abort the transaction with a conflict error.
+ * @param action {Function}: The transaction action.
+ * @return {*}: The action result.
+ */
+function executeTermsTransaction(action)
+{
+	return K.db._executeTransaction({
+		collections: {
+			write: [
+				collection.name(),
+				collection_edge.name(),
+				collection_link.name(),
+				collection_revision.name()
+			]
+		},
+		action: action
+	})                                                                          // ==>
+
+} // executeTermsTransaction()
+
+/**
+ * Save term revisions.
+ * The function will store the provided term versions in the revisions
+ * collection, along with the operation that replaced them, the current user
+ * and the time. The provided versions should be the ones *before* the change,
+ * and the function should be called in the transaction that writes the
+ * changes, so that the history cannot miss or invent a version.
+ * @param terms {Array<Object>}: List of previous term versions.
+ * @param operation {String}: `update`, `rollback` or `delete`.
+ * @param request: API request.
+ */
+function saveTermRevisions(terms, operation, request)
+{
 	//
-	// Descriptor data block.
+	// Init local storage.
 	//
-	if(request.body.hasOwnProperty('_data')) {
-		query.push(aql`FILTER ATTRIBUTES(item._data) ANY IN ${request.body._data}`)
-	}
+	const user = (request.session && request.session.data)
+		? request.session.data.user.username
+		: null
+	const timestamp = new Date().toISOString()
 
 	//
-	// Data type and kind.
+	// Build revisions.
 	//
-	if(request.body.hasOwnProperty('_data') && request.body._data.includes('_scalar')) {
-		if(request.body.hasOwnProperty('_type')) {
-			query.push(aql`FILTER item._data._scalar._type IN ${request.body._type}`)
+	const revisions = terms.map( (term) => {
+		return {
+			term: term._key,
+			rev: term._rev,
+			operation: operation,
+			user: user,
+			timestamp: timestamp,
+			data: term
 		}
+	})
 
-		if(request.body.hasOwnProperty('_kind')) {
-			query.push(aql`FILTER item._data._scalar._kind ANY IN ${request.body._kind}`)
-		}
+	///
+	// Insert revisions.
+	///
+	K.db._query( aql`
+		FOR item IN ${revisions}
+			INSERT item INTO ${collection_revision}
+	`)
+
+} // saveTermRevisions()
+
+/**
+ * Get term revision.
+ * The function will return the term version matching the provided term key
+ * and revision, or `null` if not found. The revisions collection only holds
+ * previous versions, so the current term is also considered.
+ * @param key {String}: The term key.
+ * @param rev {String}: The term revision.
+ * @return {Object|null}: The term version.
+ */
+function getTermRevision(key, rev)
+{
+	//
+	// Query revisions.
+	//
+	const result = K.db._query( aql`
+		FOR item IN ${collection_revision}
+			FILTER item.term == ${key} AND item.rev == ${rev}
+			LIMIT 1
+		RETURN item.data
+	`).toArray()
+	if(result.length > 0) {
+		return result[0]                                                        // ==>
 	}
 
 	//
-	// Close query.
+	// Match current version.
 	//
-	query.push(aql`SORT item._key ASC`)
-	query.push(aql`LIMIT ${request.body.start}, ${request.body.limit}`)
+	const current = K.db._query( aql`
+		LET term = DOCUMENT(${collection}, ${key})
+		RETURN (term != null AND term._rev == ${rev}) ? term : null
+	`).toArray()[0]
 
-	return query                                                                // ==>
+	return current                                                              // ==>
 
-} // termsSelectionQueryOld()
+} // getTermRevision()
 
 /**
- * Check term info section.
- * @param term: Term object.
- * @param request: API request.
- * @param response: API response.
- * @return {Boolean}: `true` means correct, `false` means error: bail out.
+ * Get term update paths.
+ * The function will return the list of property paths used to merge the
+ * provided term into an existing one: each property of the term sections is
+ * a path, information section texts are referenced by language, and top
+ * level properties that are not objects are referenced directly.
+ * Document identifiers are ignored.
+ * @param term {Object}: The term with updated values.
+ * @return {Array<String>}: List of property paths.
  */
-function insertTermCheckInfo(term, request, response)
+function getTermUpdatePaths(term)
 {
 	//
-	// Check information section.
+	// Init local storage.
 	//
-	if(term.hasOwnProperty('_info')) {
+	const paths = []
+	const info = module.context.configuration.sectionInfo
 
-		//
-		// Assert descriptions have the default language.
-		//
-		for(const field of ['_title', '_definition', '_description', '_examples', '_notes']) {
-			if(term._info.hasOwnProperty(field)) {
-				if(!term._info[field].hasOwnProperty(module.context.configuration.language)) {
-					let message = K.error.kMSG_ERROR_MISSING_DEF_LANG.message[module.context.configuration.language]
-					message += ` [term: ${term._key}]`
-					response.throw(400, message)
+	//
+	// Iterate term sections.
+	//
+	Object.entries(term).forEach( ([section, value]) => {
+		if(['_id', '_key', '_rev'].includes(section)) {
+			return                                                      // =>
+		}
 
-					return false                                                // ==>
+		if(Validator.IsObject(value)) {
+			Object.entries(value).forEach( ([property, element]) => {
+				if(section === info && Validator.IsObject(element)) {
+					Object.keys(element).forEach( (language) => {
+						paths.push(`${section}.${property}.${language}`)
+					})
+				} else {
+					paths.push(`${section}.${property}`)
 				}
-			}
+			})
+		} else {
+			paths.push(section)
 		}
-	}
+	})
 
-	return true                                                                 // ==>
+	return paths                                                                // ==>
 
-} // insertTermCheckInfo()
+} // getTermUpdatePaths()
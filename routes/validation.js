@@ -52,7 +52,8 @@ const StatusResolvedMany = joi.object({
             status: joi.number().integer().min(-1).max(100).required(),
             report: joi.object({
                 status: Models.ReportStatus.required(),
-                changes: Models.ReportChanges.required()
+                changes: Models.ReportChanges,
+                warnings: joi.object()
             }).required()
         }).required()
     ).required(),
@@ -69,7 +70,8 @@ const StatusObjectResolvedMany = joi.object({
             status: joi.number().integer().min(-1).max(100).required(),
             report: joi.object({
                 status: Models.ReportStatus.required(),
-                changes: Models.ReportChanges.required()
+                changes: Models.ReportChanges,
+                warnings: joi.object()
             }).required()
         }).required()
     ).required(),
@@ -106,7 +108,8 @@ const StatusObjectErrorMany = joi.object({
             report: joi.object({
                 status: Models.ReportStatus.required(),
                 descriptor: joi.string().required(),
-                value: joi.any().required()
+                value: joi.any().required(),
+                issues: joi.array().items(joi.object())
             }).required()
         }).required()
     ).required(),
@@ -117,7 +120,8 @@ const StatusResolved = joi.object({
     status: joi.number().default(1).required(),
     report: joi.object({
         status: Models.ReportStatus.required(),
-        changes: Models.ReportChanges.required().required()
+        changes: Models.ReportChanges,
+        warnings: joi.object()
     }).required(),
     value: joi.any().required()
 })
@@ -127,7 +131,8 @@ const StatusError = joi.object({
     report: joi.object({
         status: Models.ReportStatus.required(),
         descriptor: joi.string().required(),
-        value: joi.any().required()
+        value: joi.any().required(),
+        issues: joi.array().items(joi.object())
     }).required(),
     value: joi.any().required()
 })
@@ -238,6 +243,9 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+          - \`warnings\`: The list of warnings, such as references to \
+                          deprecated terms, each one is a status report.
         - \`value\`: The provided value with modifications applied.
     `)
     .response(400, StatusError, dd`
@@ -357,7 +365,7 @@ router.post(
         - \`status\`: The status of the whole operation, will be *zero*.
         - \`descriptor\`: The descriptor that was passed to the service.
         - \`valid\`: The number of valid items.
-        - \`warnings\`: The number of items that had resolved values.
+        - \`warnings\`: The number of items that had resolved values or warnings.
         - \`errors\`: The number of incorrect items, none in this case.
         - \`reports\`: An array of status reports:
           - \`status\`: The status for the item.
@@ -371,6 +379,9 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+            - \`warnings\`: The list of warnings, such as references to \
+                            deprecated terms, each one is a status report.
         - \`values\`: The list of values corresponding to the reports.
         
         The service will only return the items that had resolved values.
@@ -385,7 +396,7 @@ router.post(
         - \`status\`: The status of the whole operation, will be *minus one*.
         - \`descriptor\`: The descriptor that was passed to the service.
         - \`valid\`: The number of valid items.
-        - \`warnings\`: The number of items that had resolved values.
+        - \`warnings\`: The number of items that had resolved values or warnings.
         - \`errors\`: The number of incorrect items.
         - \`reports\`: An array of status reports:
           - \`status\`: The status for the item.
@@ -399,6 +410,9 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+            - \`warnings\`: The list of warnings, such as references to \
+                            deprecated terms, each one is a status report.
             - \`descriptor\`: The descriptor that was passed to the service.
             - \`value\`: The value that triggered the error.
         - \`values\`: The list of values corresponding to the reports.
@@ -460,6 +474,7 @@ router.post(
     .queryParam('defns', ModelValidationParameters.ParamDefNamespace)
     .queryParam('resolve', ModelValidationParameters.ParamResolve)
     .queryParam('resfld', ModelValidationParameters.ParamResolveField)
+    .queryParam('all_errors', ModelValidationParameters.ParamAllErrors)
     .body(ObjectValue, dd
         `
             **Value to be validated**
@@ -497,6 +512,9 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+          - \`warnings\`: The list of warnings, such as references to \
+                          deprecated terms, each one is a status report.
         - \`value\`: The provided value with modifications applied.
     `)
     .response(400, StatusError, dd`
@@ -517,8 +535,14 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+          - \`warnings\`: The list of warnings, such as references to \
+                          deprecated terms, each one is a status report.
           - \`descriptor\`: The property name that has the error.
           - \`value\`: The value that caused the error.
+          - \`issues\`: If \`all_errors\` is set, the list of all errors, \
+                        each one is a status report featuring the \`location\` \
+                        of the offending value.
         - \`value\`: The originally provided value.
     `)
     .response(401, ErrorModel, dd
@@ -579,6 +603,7 @@ router.post(
     .queryParam('defns', ModelValidationParameters.ParamDefNamespace)
     .queryParam('resolve', ModelValidationParameters.ParamResolve)
     .queryParam('resfld', ModelValidationParameters.ParamResolveField)
+    .queryParam('all_errors', ModelValidationParameters.ParamAllErrors)
     .body(ObjectValues, dd
         `
             **Descriptor values**
@@ -625,6 +650,9 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+            - \`warnings\`: The list of warnings, such as references to \
+                            deprecated terms, each one is a status report.
         - \`values\`: The list of values corresponding to the reports.
         
         The service will only return the items that had resolved values.
@@ -638,7 +666,7 @@ router.post(
         
         - \`status\`: The status of the whole operation, will be *minus one*.
         - \`valid\`: The number of valid items.
-        - \`warnings\`: The number of items that had resolved values.
+        - \`warnings\`: The number of items that had resolved values or warnings.
         - \`errors\`: The number of incorrect items.
         - \`reports\`: An array of status reports:
           - \`status\`: The status for the item.
@@ -652,8 +680,14 @@ router.post(
               - \`field\`: The property name.
               - \`original\`: The original value.
               - \`resolved\`: The resolved value.
+              - \`location\`: The JSON Pointer to the value.
+            - \`warnings\`: The list of warnings, such as references to \
+                            deprecated terms, each one is a status report.
             - \`descriptor\`: The descriptor that was passed to the service.
             - \`value\`: The value that triggered the error.
+            - \`issues\`: If \`all_errors\` is set, the list of all errors \
+                          of the item, each one is a status report featuring \
+                          the \`location\` of the offending value.
         - \`values\`: The list of values corresponding to the reports.
         
         The service will only return incorrect items and items that had resolved values.
@@ -780,7 +814,9 @@ function doCheckDescriptorValues(theRequest, theResponse)
     const values = []
     const reports = []
     validator.report.forEach( (report, index) => {
-        if(report.status.code !== 0 || report.hasOwnProperty('changes')) {
+        if(report.status.code !== 0 ||
+           report.hasOwnProperty('changes') ||
+           report.hasOwnProperty('warnings')) {
             reports.push({
                 status: (report.status.code !== 0) ? -1 : 1,
                 report: report
@@ -860,7 +896,8 @@ function doCheckObject(theRequest, theResponse)
             theRequest.queryParams.types,
             theRequest.queryParams.resolve,
             theRequest.queryParams.defns,
-            theRequest.queryParams.resfld
+            theRequest.queryParams.resfld,
+            theRequest.queryParams.all_errors
         )
 
     //
@@ -924,7 +961,8 @@ function doCheckObjects(theRequest, theResponse)
             theRequest.queryParams.types,
             theRequest.queryParams.resolve,
             theRequest.queryParams.defns,
-            theRequest.queryParams.resfld
+            theRequest.queryParams.resfld,
+            theRequest.queryParams.all_errors
         )
     
     //
@@ -938,7 +976,9 @@ function doCheckObjects(theRequest, theResponse)
     const values = []
     const reports = []
     validator.report.forEach( (report, index) => {
-        if(report.status.code !== 0 || report.hasOwnProperty('changes')) {
+        if(report.status.code !== 0 ||
+           report.hasOwnProperty('changes') ||
+           report.hasOwnProperty('warnings')) {
             reports.push({
                 status: (report.status.code !== 0) ? -1 : 1,
                 report: report
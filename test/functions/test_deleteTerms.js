@@ -0,0 +1,155 @@
+/*global describe, it, before, after, beforeEach, afterEach */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+const aql = require('@arangodb').aql
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const subject = 'test_delete_subject'
+const object = 'test_delete_object'
+const member = 'test_delete_member'
+const missing = 'test_delete_missing'
+const keys = [subject, object, member, missing]
+
+//
+// Get term revisions.
+//
+const revisions = (theKey) => K.db._query( aql`
+    FOR item IN ${K.db._collection(K.collection.revision.name)}
+        FILTER item.term == ${theKey}
+    RETURN item
+`).toArray()
+
+
+//
+// Delete terms with referential integrity modes.
+//
+describe('Delete terms.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict])
+    })
+    after(function () {
+        Helpers.logout(user)
+    })
+    beforeEach(function () {
+        Helpers.makeTerm(subject)
+        Helpers.makeTerm(object)
+        Helpers.makeEdge(subject, object)
+    })
+    afterEach(function () {
+        Helpers.clearTerms(keys)
+    })
+
+    it('Restrict mode must refuse referenced terms.', function () {
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: object, mode: 'restrict' })
+        expect(response.status).to.equal(409)
+        expect(response.json.references.edges).to.have.lengthOf(1)
+        expect(Helpers.collection.exists(object)).to.be.ok
+        expect(revisions(object)).to.have.lengthOf(0)
+    })
+
+    it('Dry run mode must report references without deleting.', function () {
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: object, mode: 'dry-run' })
+        expect(response.status).to.equal(200)
+        expect(response.json.edges).to.have.lengthOf(1)
+        expect(response.json.links).to.have.lengthOf(0)
+        expect(response.json.terms).to.have.lengthOf(0)
+        expect(Helpers.collection.exists(object)).to.be.ok
+        expect(Helpers.getEdges(object)).to.have.lengthOf(1)
+    })
+
+    it('Cascade mode must remove the term, its edges and record the revision.', function () {
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: object, mode: 'cascade' })
+        expect(response.status).to.equal(200)
+        expect(response.json._key).to.equal(object)
+        expect(response.json.edges.deleted).to.equal(1)
+        expect(Helpers.collection.exists(object)).to.equal(false)
+        expect(Helpers.getEdges(object)).to.have.lengthOf(0)
+        expect(revisions(object).map( (item) => item.operation )).to.deep.equal(['delete'])
+    })
+
+    it('Cascade mode must remove deleted terms from edge paths.', function () {
+        Helpers.makeTerm(member)
+        const edge = Helpers.makeEdge(member, subject, [subject, object])
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: object, mode: 'cascade' })
+        expect(response.status).to.equal(200)
+        expect(response.json.edges.updated).to.equal(1)
+        const updated = Helpers.getEdges(member).find( (item) => item._key === edge._key )
+        expect(updated[module.context.configuration.sectionPath])
+            .to.deep.equal([Helpers.handle(subject)])
+    })
+
+    it('Cascade mode must refuse terms referenced by other terms.', function () {
+        Helpers.makeTerm(member, {
+            [module.context.configuration.sectionCode]: {
+                [module.context.configuration.namespaceIdentifier]: object,
+                [module.context.configuration.localIdentifier]: 'member',
+                [module.context.configuration.globalIdentifier]: member,
+                [module.context.configuration.officialIdentifiers]: ['member']
+            }
+        })
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: object, mode: 'cascade' })
+        expect(response.status).to.equal(409)
+        expect(response.json.references.terms.map( (item) => item._key )).to.deep.equal([member])
+        expect(Helpers.collection.exists(object)).to.be.ok
+        expect(Helpers.getEdges(object)).to.have.lengthOf(1)
+    })
+
+    it('Restrict mode must refuse terms used as default values or computed properties.', function () {
+        const rule = module.context.configuration.sectionRule
+        const defaults = module.context.configuration.sectionRuleDefault
+        const computed = module.context.configuration.sectionRuleComputed
+        Helpers.makeTerm(member, {
+            [rule]: {
+                [defaults]: { [object]: 1 },
+                [computed]: { total: { [K.computed.mul]: [object, { [K.computed.value]: object }] } }
+            }
+        })
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: object, mode: 'restrict' })
+        expect(response.status).to.equal(409)
+        expect(response.json.references.terms).to.deep.equal([{
+            _key: member,
+            fields: [
+                `${rule}.${defaults}.${object}`,
+                `${rule}.${computed}.total.${K.computed.mul}[0]`
+            ]
+        }])
+        expect(Helpers.collection.exists(object)).to.be.ok
+    })
+
+    it('Unknown terms must not be found.', function () {
+        const response = Helpers.call(user, 'DELETE', 'terms/delete', { key: missing, mode: 'cascade' })
+        expect(response.status).to.equal(404)
+    })
+
+    it('Restrict mode must refuse lists with referenced terms.', function () {
+        const response = Helpers.call(user, 'DELETE', 'terms/delete/many', { mode: 'restrict' }, [object])
+        expect(response.status).to.equal(409)
+        expect(Helpers.collection.exists(object)).to.be.ok
+    })
+
+    it('Cascade mode must delete lists and ignore unknown terms.', function () {
+        const response = Helpers.call(user, 'DELETE', 'terms/delete/many', { mode: 'cascade' }, [subject, object, missing])
+        expect(response.status).to.equal(200)
+        expect(response.json.removed).to.equal(2)
+        expect(response.json.ignored).to.equal(1)
+        expect(response.json.edges.deleted).to.equal(1)
+        expect(Helpers.collection.exists(subject)).to.equal(false)
+        expect(Helpers.collection.exists(object)).to.equal(false)
+        expect(revisions(subject)).to.have.lengthOf(1)
+        expect(revisions(object)).to.have.lengthOf(1)
+    })
+})
@@ -0,0 +1,95 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const valid = 'test_insert_valid'
+const invalid = 'test_insert_invalid'
+const existing = 'test_insert_existing'
+const keys = [valid, invalid, existing]
+
+const code = module.context.configuration.sectionCode
+const lid = module.context.configuration.localIdentifier
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+
+//
+// Make inserted term.
+//
+const term = (theKey, theFields = {}) => ({
+    [code]: { [lid]: theKey },
+    [info]: { [title]: { [language]: theKey } },
+    ...theFields
+})
+
+
+//
+// Batch term insertion.
+//
+describe('Insert terms.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict])
+        Helpers.makeTerm(existing)
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Atomic insertion must reject all terms if one is invalid.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/insert/many', {}, [
+            term(valid),
+            term(invalid, { test_insert_unknown: 1 })
+        ])
+        expect(response.status).to.equal(400)
+        expect(response.json.status).to.equal(-1)
+        expect(Helpers.collection.exists(valid)).to.equal(false)
+    })
+
+    it('Partial insertion must insert valid terms and report the others.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/insert/many', { atomic: false }, [
+            term(valid),
+            term(invalid, { test_insert_unknown: 1 }),
+            term(valid),
+            term(existing)
+        ])
+        expect(response.status).to.equal(202)
+        expect(response.json).to.deep.include({ status: -1, valid: 1, warnings: 0, errors: 3 })
+
+        const reports = response.json.reports
+        expect(reports).to.have.lengthOf(4)
+        expect(reports[0].status.code).to.equal(0)
+        expect(reports[1].status.code).to.equal(Helpers.statusCode('kUNKNOWN_PROPERTY'))
+        expect(reports[2].status.code).to.equal(Helpers.statusCode('kDUPLICATE_BATCH_TERM'))
+        expect(reports[3].status.code).to.equal(Helpers.statusCode('kDUPLICATE_TERM'))
+        expect(response.json.values[0]).to.have.property('_rev')
+
+        expect(Helpers.collection.exists(valid)).to.not.equal(false)
+        expect(Helpers.collection.exists(invalid)).to.equal(false)
+    })
+
+    it('Partial insertion must not write terms without saving.', function () {
+        Helpers.clearTerms([valid])
+        const response = Helpers.call(user, 'POST', 'terms/insert/many', { atomic: false, save: false }, [
+            term(valid)
+        ])
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.include({ status: 0, valid: 1, errors: 0 })
+        expect(Helpers.collection.exists(valid)).to.equal(false)
+    })
+})
@@ -0,0 +1,144 @@
+/*global describe, it, before, after, beforeEach, afterEach */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+const aql = require('@arangodb').aql
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const survivor = 'test_merge_survivor'
+const victim = 'test_merge_victim'
+const other = 'test_merge_other'
+const subject = 'test_merge_subject'
+const referrer = 'test_merge_referrer'
+const missing = 'test_merge_missing'
+const keys = [survivor, victim, other, subject, referrer, missing]
+const code = module.context.configuration.sectionCode
+const aid = module.context.configuration.officialIdentifiers
+const replacedBy = module.context.configuration.termReplacedBy
+const pathData = module.context.configuration.sectionPathData
+
+//
+// Get term revision operations.
+//
+const operations = (theKey) => K.db._query( aql`
+    FOR item IN ${K.db._collection(K.collection.revision.name)}
+        FILTER item.term == ${theKey}
+    RETURN item.operation
+`).toArray()
+
+
+//
+// Merge duplicate terms into a survivor.
+//
+describe('Merge terms.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict])
+    })
+    after(function () {
+        Helpers.logout(user)
+    })
+    beforeEach(function () {
+        Helpers.makeTerm(survivor)
+        Helpers.makeTerm(victim)
+        Helpers.makeTerm(other)
+        Helpers.makeTerm(subject)
+        Helpers.makeTerm(referrer, { [replacedBy]: other })
+        Helpers.makeEdge(subject, survivor)
+        Helpers.makeEdge(subject, victim)
+        Helpers.makeEdge(other, survivor)
+    })
+    afterEach(function () {
+        Helpers.clearTerms(keys)
+    })
+
+    it('Merge must move codes and references to the survivor and delete the victims.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/merge', { survivor: survivor, victims: `${victim},${other}` })
+        expect(response.status).to.equal(200)
+        expect(response.json.survivor.codes[aid]).to.have.members([victim, other])
+        expect(response.json.victims.deleted).to.have.members([victim, other])
+        expect(response.json.victims.deprecated).to.have.lengthOf(0)
+        expect(response.json.edges.merged).to.equal(1)
+        expect(response.json.edges.dropped).to.equal(1)
+        expect(response.json.terms).to.deep.equal([referrer])
+
+        expect(Helpers.collection.document(survivor)[code][aid]).to.have.members([survivor, victim, other])
+        expect(Helpers.collection.document(referrer)[replacedBy]).to.equal(survivor)
+        expect(Helpers.collection.exists(victim)).to.equal(false)
+        expect(Helpers.collection.exists(other)).to.equal(false)
+
+        const edges = Helpers.getEdges(survivor)
+        expect(edges).to.have.lengthOf(1)
+        expect(edges[0]._from).to.equal(Helpers.handle(subject))
+        expect(Helpers.getEdges(victim)).to.have.lengthOf(0)
+        expect(Helpers.getEdges(other)).to.have.lengthOf(0)
+
+        expect(operations(victim)).to.deep.equal(['delete'])
+        expect(operations(survivor)).to.deep.equal(['update'])
+    })
+
+    it('Merge must keep the path data of colliding edges and report conflicts.', function () {
+        Helpers.makeEdge(referrer, survivor, [survivor], { note: 'survivor', shared: { a: 1 } })
+        Helpers.makeEdge(referrer, victim, [victim], { note: 'victim', shared: { b: 2 }, extra: true })
+
+        const response = Helpers.call(user, 'POST', 'terms/merge', { survivor: survivor, victims: victim })
+        expect(response.status).to.equal(200)
+        expect(response.json.edges.merged).to.equal(2)
+
+        const edge = Helpers.getEdges(survivor)
+            .find( (item) => item._from === Helpers.handle(referrer) )
+        expect(edge[pathData]).to.deep.equal({ note: 'survivor', shared: { a: 1, b: 2 }, extra: true })
+
+        const conflicts = response.json.edges.conflicts
+        expect(conflicts).to.have.lengthOf(1)
+        expect(conflicts[0]._key).to.equal(edge._key)
+        expect(conflicts[0].fields).to.deep.equal([`${pathData}.note`])
+        expect(conflicts[0][pathData].note).to.equal('victim')
+    })
+
+    it('Merge must deprecate the victims if requested.', function () {
+        Helpers.collection.update(victim, {
+            [code]: { [aid]: [victim, 'victim_code'], [module.context.configuration.providerIdentifiers]: ['victim_provider'] }
+        })
+
+        const response = Helpers.call(user, 'POST', 'terms/merge', { survivor: survivor, victims: victim, deprecate: true })
+        expect(response.status).to.equal(200)
+        expect(response.json.victims.deleted).to.have.lengthOf(0)
+        expect(response.json.victims.deprecated).to.deep.equal([victim])
+        expect(response.json.survivor.codes[aid]).to.deep.equal(['victim_code'])
+        expect(Helpers.collection.document(survivor)[code][aid]).to.deep.equal([survivor, 'victim_code'])
+
+        const term = Helpers.collection.document(victim)
+        expect(term[module.context.configuration.termStatus]).to.equal(K.lifecycle.deprecated)
+        expect(term[replacedBy]).to.equal(survivor)
+        expect(term[code][aid]).to.deep.equal([victim])
+        expect(term[code]).to.not.have.property(module.context.configuration.providerIdentifiers)
+        expect(operations(victim)).to.deep.equal(['update'])
+    })
+
+    it('Merge must refuse the survivor among the victims.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/merge', { survivor: survivor, victims: `${victim},${survivor}` })
+        expect(response.status).to.equal(400)
+        expect(Helpers.collection.exists(victim)).to.be.ok
+    })
+
+    it('Merge must not find unknown terms and leave the records unchanged.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/merge', { survivor: survivor, victims: `${victim},${missing}` })
+        expect(response.status).to.equal(404)
+        expect(Helpers.collection.exists(victim)).to.be.ok
+        expect(Helpers.getEdges(victim)).to.have.lengthOf(1)
+        expect(Helpers.collection.document(survivor)[code][aid]).to.deep.equal([survivor])
+    })
+})
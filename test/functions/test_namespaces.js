@@ -0,0 +1,176 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+// The child namespace belongs to the parent namespace and holds a descriptor,
+// a structure type and an enumeration type; the first and second namespaces
+// belong to each other.
+//
+const parent = 'test_namespace_parent'
+const child = 'test_namespace_child'
+const first = 'test_namespace_first'
+const second = 'test_namespace_second'
+const descriptor = 'test_namespace_descriptor'
+const structure = 'test_namespace_structure'
+const enumeration = 'test_namespace_enumeration'
+const element = 'test_namespace_element'
+const keys = [parent, child, first, second, descriptor, structure, enumeration, element]
+const members = [descriptor, enumeration, structure]
+
+const code = module.context.configuration.sectionCode
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+
+//
+// Make term in namespace.
+//
+const makeMember = (theKey, theNamespace, theFields = {}) => Helpers.makeTerm(theKey, {
+    [code]: {
+        [module.context.configuration.namespaceIdentifier]: theNamespace,
+        [module.context.configuration.localIdentifier]: theKey,
+        [module.context.configuration.globalIdentifier]: theKey,
+        [module.context.configuration.officialIdentifiers]: [theKey]
+    },
+    ...theFields
+})
+
+//
+// Find tree node.
+//
+const findNode = (theNode, theKey) => {
+    if(theNode._key === theKey) {
+        return theNode                                                  // ==>
+    }
+    for(const node of theNode.children) {
+        const found = findNode(node, theKey)
+        if(found !== null) {
+            return found                                                // ==>
+        }
+    }
+
+    return null                                                         // ==>
+}
+
+
+//
+// Namespace browsing and statistics.
+//
+describe('Namespaces.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeTerm(parent)
+        makeMember(child, parent, { [info]: {
+            [title]: { [language]: 'Child', iso_639_3_fra: 'Enfant' }
+        }})
+        makeMember(first, second)
+        makeMember(second, first)
+        makeMember(descriptor, child, {
+            [module.context.configuration.sectionData]: {
+                [module.context.configuration.sectionScalar]: {
+                    [module.context.configuration.scalarType]: module.context.configuration.typeString
+                }
+            }
+        })
+        makeMember(structure, child, {
+            [module.context.configuration.sectionRule]: {
+                [module.context.configuration.sectionRuleRequired]: {
+                    [module.context.configuration.selectionDescriptorsOne]: [descriptor]
+                }
+            }
+        })
+        makeMember(enumeration, child)
+        Helpers.makeTerm(element)
+        Helpers.makeEdge(element, enumeration)
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Namespaces must be listed with their members count.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/list', { lang: 'fra' })
+        expect(response.status).to.equal(200)
+
+        const result = response.json.filter( (item) => keys.includes(item._key) )
+        expect(result).to.deep.equal([
+            { _key: child, title: 'Enfant', members: 3 },
+            { _key: first, title: first, members: 1 },
+            { _key: parent, title: parent, members: 1 },
+            { _key: second, title: second, members: 1 }
+        ])
+    })
+
+    it('Namespaces must be nested under their parent namespace.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/tree')
+        expect(response.status).to.equal(200)
+
+        expect(findNode(response.json, parent).children.map( (node) => node._key ))
+            .to.deep.equal([child])
+        expect(findNode(response.json, child).children).to.deep.equal([])
+    })
+
+    it('Namespaces that are their own ancestors must be attached to the root.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/tree')
+        expect(response.status).to.equal(200)
+
+        const root = response.json.children.map( (node) => node._key )
+        expect(root).to.include.members([first, second, parent])
+        expect(findNode(response.json, first).children).to.deep.equal([])
+        expect(findNode(response.json, second).children).to.deep.equal([])
+    })
+
+    it('Statistics must count members by type.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/stats')
+        expect(response.status).to.equal(200)
+        expect(response.json[child]).to.deep.equal({
+            terms: 3, descriptors: 1, structures: 1, enumerations: 1
+        })
+        expect(response.json[first]).to.deep.equal({
+            terms: 1, descriptors: 0, structures: 0, enumerations: 0
+        })
+    })
+
+    it('Statistics must be restricted to the provided namespace.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/stats', { key: child })
+        expect(response.status).to.equal(200)
+        expect(Object.keys(response.json)).to.deep.equal([child])
+    })
+
+    it('Members must be paged by global identifier.', function () {
+        let response = Helpers.call(user, 'GET', 'namespaces/members', { key: child, limit: 2 })
+        expect(response.status).to.equal(200)
+        expect(response.json.total).to.equal(3)
+        expect(response.json.data.map( (term) => term._key )).to.deep.equal(members.slice(0, 2))
+
+        response = Helpers.call(user, 'GET', 'namespaces/members', { key: child, start: 2, limit: 2 })
+        expect(response.status).to.equal(200)
+        expect(response.json.total).to.equal(3)
+        expect(response.json.data.map( (term) => term._key )).to.deep.equal(members.slice(2))
+    })
+
+    it('Terms that are not namespaces must return an empty page.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/members', { key: element })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.equal({ total: 0, data: [] })
+    })
+
+    it('Unknown namespaces must not be found.', function () {
+        const response = Helpers.call(user, 'GET', 'namespaces/members', { key: 'test_namespace_unknown' })
+        expect(response.status).to.equal(404)
+    })
+})
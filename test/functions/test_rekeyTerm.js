@@ -0,0 +1,162 @@
+/*global describe, it, before, after, beforeEach, afterEach */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+const aql = require('@arangodb').aql
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const subject = 'test_rekey_subject'
+const from = 'test_rekey_from'
+const to = 'test_rekey_to'
+const referrer = 'test_rekey_referrer'
+const member = `${from}${K.token.ns}member`
+const structure = 'test_rekey_structure'
+const keys = [subject, from, to, referrer, member, structure]
+const code = module.context.configuration.sectionCode
+const replacedBy = module.context.configuration.termReplacedBy
+const pathData = module.context.configuration.sectionPathData
+
+//
+// Get term revision operations.
+//
+const operations = (theKey) => K.db._query( aql`
+    FOR item IN ${K.db._collection(K.collection.revision.name)}
+        FILTER item.term == ${theKey}
+    RETURN item.operation
+`).toArray()
+
+
+//
+// Rekey terms rewriting references.
+//
+describe('Rekey term.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict])
+    })
+    after(function () {
+        Helpers.logout(user)
+    })
+    beforeEach(function () {
+        Helpers.makeTerm(subject)
+        Helpers.makeTerm(from)
+        Helpers.makeTerm(referrer, { [replacedBy]: from })
+        Helpers.makeEdge(subject, from)
+    })
+    afterEach(function () {
+        Helpers.clearTerms(keys)
+    })
+
+    it('Rekey must rename the term and rewrite its references.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/rekey', { from: from, to: to })
+        expect(response.status).to.equal(200)
+        expect(response.json._key).to.equal(to)
+        expect(response.json.edges.rekeyed).to.equal(1)
+        expect(response.json.terms).to.deep.equal([referrer])
+
+        expect(Helpers.collection.exists(from)).to.equal(false)
+        const term = Helpers.collection.document(to)
+        expect(term[code][module.context.configuration.globalIdentifier]).to.equal(to)
+        expect(term[code][module.context.configuration.localIdentifier]).to.equal(to)
+        expect(term[code][module.context.configuration.officialIdentifiers]).to.deep.equal([to])
+
+        const edges = Helpers.getEdges(to)
+        expect(edges).to.have.lengthOf(1)
+        expect(edges[0]._from).to.equal(Helpers.handle(subject))
+        expect(edges[0][module.context.configuration.sectionPath]).to.deep.equal([Helpers.handle(to)])
+        expect(Helpers.getEdges(from)).to.have.lengthOf(0)
+
+        expect(Helpers.collection.document(referrer)[replacedBy]).to.equal(to)
+        expect(operations(from)).to.deep.equal(['delete'])
+        expect(operations(referrer)).to.deep.equal(['update'])
+    })
+
+    it('Rekey must rewrite default values and computed properties descriptors and operands.', function () {
+        const op = K.computed
+        const rule = module.context.configuration.sectionRule
+        const defaults = module.context.configuration.sectionRuleDefault
+        const computed = module.context.configuration.sectionRuleComputed
+        Helpers.makeTerm(structure, {
+            [rule]: {
+                [defaults]: { [from]: from },
+                [computed]: {
+                    label: { [op.concat]: [from, { [op.value]: from }], [op.separator]: from },
+                    [from]: { [op.lookup]: 'label', [op.enum]: from, [op.field]: from }
+                }
+            }
+        })
+
+        const response = Helpers.call(user, 'POST', 'terms/rekey', { from: from, to: to })
+        expect(response.status).to.equal(200)
+        expect(response.json.terms).to.have.members([referrer, structure])
+        expect(Helpers.collection.document(structure)[rule]).to.deep.equal({
+            [defaults]: { [to]: from },
+            [computed]: {
+                label: { [op.concat]: [to, { [op.value]: from }], [op.separator]: from },
+                [to]: { [op.lookup]: 'label', [op.enum]: to, [op.field]: from }
+            }
+        })
+    })
+
+    it('Rekey must keep the path data of colliding edges and report conflicts.', function () {
+        Helpers.makeEdge(referrer, from, [from], { note: 'from', extra: true })
+        Helpers.makeEdge(referrer, to, [to], { note: 'to' })
+
+        const response = Helpers.call(user, 'POST', 'terms/rekey', { from: from, to: to })
+        expect(response.status).to.equal(200)
+
+        const edge = Helpers.getEdges(to)
+            .find( (item) => item._from === Helpers.handle(referrer) )
+        expect(edge[pathData]).to.deep.equal({ note: 'to', extra: true })
+
+        const conflicts = response.json.edges.conflicts
+        expect(conflicts).to.have.lengthOf(1)
+        expect(conflicts[0]._key).to.equal(edge._key)
+        expect(conflicts[0].fields).to.deep.equal([`${pathData}.note`])
+        expect(conflicts[0][pathData].note).to.equal('from')
+    })
+
+    it('Rekey must refuse existing keys.', function () {
+        Helpers.makeTerm(to)
+        const response = Helpers.call(user, 'POST', 'terms/rekey', { from: from, to: to })
+        expect(response.status).to.equal(409)
+        expect(Helpers.collection.exists(from)).to.be.ok
+        expect(Helpers.getEdges(from)).to.have.lengthOf(1)
+    })
+
+    it('Rekey must not find unknown terms.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/rekey', { from: to, to: from })
+        expect(response.status).to.equal(404)
+    })
+
+    it('Rekey must refuse namespaces and keys outside the namespace.', function () {
+        Helpers.makeTerm(member, {
+            [code]: {
+                [module.context.configuration.namespaceIdentifier]: from,
+                [module.context.configuration.localIdentifier]: 'member',
+                [module.context.configuration.globalIdentifier]: member,
+                [module.context.configuration.officialIdentifiers]: ['member']
+            }
+        })
+
+        let response = Helpers.call(user, 'POST', 'terms/rekey', { from: from, to: to })
+        expect(response.status).to.equal(409)
+        expect(Helpers.collection.exists(from)).to.be.ok
+
+        response = Helpers.call(user, 'POST', 'terms/rekey', { from: member, to: to })
+        expect(response.status).to.equal(400)
+        expect(Helpers.collection.exists(member)).to.be.ok
+    })
+})
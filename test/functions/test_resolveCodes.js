@@ -0,0 +1,113 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+// Two terms share the same local identifier in different namespaces.
+//
+const first = 'test_resolve_first'
+const second = 'test_resolve_second'
+const named = 'test_resolve_named'
+const root = 'test_resolve_root'
+const keys = [first, second, named, root]
+
+const shared = 'test_resolve_code'
+const provider = 'test_resolve_provider'
+const name = 'test_resolve_name'
+const unknown = 'test_resolve_unknown'
+const namespaceFirst = 'test_resolve_namespace_first'
+const namespaceSecond = 'test_resolve_namespace_second'
+
+const code = module.context.configuration.sectionCode
+
+//
+// Make term with codes.
+//
+const makeCoded = (theKey, theLocal, theCodes) => Helpers.makeTerm(theKey, {
+    [code]: {
+        [module.context.configuration.localIdentifier]: theLocal,
+        [module.context.configuration.globalIdentifier]: theKey,
+        [module.context.configuration.officialIdentifiers]: [theLocal],
+        ...theCodes
+    }
+})
+
+//
+// Resolve codes.
+//
+const resolve = (theUser, theBody) => {
+    const response = Helpers.call(theUser, 'POST', 'terms/resolve', {}, theBody)
+    expect(response.status).to.equal(200)
+
+    return response.json
+}
+
+
+//
+// Code resolution.
+//
+describe('Resolve codes.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        makeCoded(first, shared, {
+            [module.context.configuration.namespaceIdentifier]: namespaceFirst,
+            [module.context.configuration.providerIdentifiers]: [provider]
+        })
+        makeCoded(second, shared, {
+            [module.context.configuration.namespaceIdentifier]: namespaceSecond
+        })
+        makeCoded(named, named, {
+            [module.context.configuration.nameIdentifier]: name
+        })
+        Helpers.makeTerm(root)
+        Helpers.makeEdge(first, root)
+        Helpers.syncView()
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Codes must be matched against all identifiers.', function () {
+        const result = resolve(user, { codes: [shared, name, unknown] })
+        expect(result[shared].keys).to.have.members([first, second])
+        expect(result[shared].namespaces).to.have.members([namespaceFirst, namespaceSecond])
+        expect(result[shared].ambiguous).to.equal(true)
+        expect(result[name]).to.deep.equal({ keys: [named], namespaces: [null], ambiguous: false })
+        expect(result[unknown]).to.deep.equal({ keys: [], namespaces: [], ambiguous: false })
+    })
+
+    it('Codes must be matched against the provided field.', function () {
+        expect(resolve(user, { codes: [provider], field: '_pid' })[provider].keys)
+            .to.deep.equal([first])
+        expect(resolve(user, { codes: [shared], field: '_name' })[shared].keys)
+            .to.deep.equal([])
+    })
+
+    it('Matches must be restricted to the provided namespace.', function () {
+        expect(resolve(user, { codes: [shared], namespace: namespaceSecond })[shared])
+            .to.deep.equal({ keys: [second], namespaces: [namespaceSecond], ambiguous: false })
+        expect(resolve(user, { codes: [shared, name], namespace: '' }))
+            .to.deep.include({ [shared]: { keys: [], namespaces: [], ambiguous: false } })
+        expect(resolve(user, { codes: [name], namespace: '' })[name].keys)
+            .to.deep.equal([named])
+    })
+
+    it('Matches must be restricted to the provided enumeration.', function () {
+        expect(resolve(user, { codes: [shared], enum: root })[shared].keys)
+            .to.deep.equal([first])
+    })
+})
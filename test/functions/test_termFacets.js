@@ -0,0 +1,97 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const scalar = 'test_facet_scalar'
+const set = 'test_facet_set'
+const structure = 'test_facet_structure'
+const term = 'test_facet_term'
+const namespace = 'test_facet_namespace'
+const keys = [scalar, set, structure, term]
+
+const code = module.context.configuration.sectionCode
+const data = module.context.configuration.sectionData
+const rule = module.context.configuration.sectionRule
+const type = module.context.configuration.scalarType
+const typeString = module.context.configuration.typeString
+const cls = module.context.configuration.sectionDataClass
+const tag = module.context.configuration.sectionDataTag
+const sectionScalar = module.context.configuration.sectionScalar
+const sectionSet = module.context.configuration.sectionSet
+
+
+//
+// Faceted term search.
+//
+describe('Term facets.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeTerm(scalar, {
+            [data]: { [cls]: 'test_class', [tag]: ['test_tag_a', 'test_tag_b'], [sectionScalar]: { [type]: typeString } }
+        })
+        Helpers.makeTerm(set, {
+            [data]: { [cls]: 'test_class', [tag]: ['test_tag_a'], [sectionSet]: { [sectionScalar]: { [type]: typeString } } }
+        })
+        Helpers.makeTerm(structure, { [rule]: {} })
+        const member = Helpers.makeTerm(term)
+        Helpers.collection.update(member._key, {
+            [code]: { [module.context.configuration.namespaceIdentifier]: namespace }
+        })
+        Helpers.syncView()
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Facets must count all matching terms.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/query/facets', {}, { limit: 2, sort: '_key', _aid: keys })
+        expect(response.status).to.equal(200)
+        expect(response.json.total).to.equal(4)
+        expect(response.json.data.map( (item) => item._key )).to.deep.equal([scalar, set])
+        expect(response.json.cursor).to.be.a('string')
+
+        const facets = response.json.facets
+        expect(facets._class).to.deep.equal([{ value: 'test_class', count: 2 }])
+        expect(facets._tag).to.deep.equal([
+            { value: 'test_tag_a', count: 2 },
+            { value: 'test_tag_b', count: 1 }
+        ])
+        expect(facets._subject).to.deep.equal([])
+        expect(facets.term_type).to.deep.equal([
+            { value: 'descriptor', count: 2 },
+            { value: 'structure', count: 1 },
+            { value: 'term', count: 1 }
+        ])
+        expect(facets.data_type).to.deep.equal([
+            { value: sectionSet, count: 1 },
+            { value: typeString, count: 1 }
+        ])
+        expect(facets.namespace).to.deep.equal([
+            { value: null, count: 3 },
+            { value: namespace, count: 1 }
+        ])
+    })
+
+    it('Facets must follow the selectors.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/query/facets', {}, { term_type: 'descriptor', _aid: keys })
+        expect(response.status).to.equal(200)
+        expect(response.json.total).to.equal(2)
+        expect(response.json.facets.term_type).to.deep.equal([{ value: 'descriptor', count: 2 }])
+    })
+})
@@ -0,0 +1,92 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test term.
+//
+const key = 'test_history_term'
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+
+//
+// Update term title.
+//
+const update = (theUser, theTitle) => Helpers.call(theUser, 'PATCH', 'terms', { key: key }, {
+    updates: { [info]: { [title]: { [language]: theTitle } } },
+    references: [`${info}.${title}.${language}`]
+})
+
+
+//
+// Term revision history, difference and rollback.
+//
+describe('Term history.', function () {
+    let user = null
+    let original = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict, K.environment.role.read])
+        original = Helpers.makeTerm(key)
+    })
+    after(function () {
+        Helpers.clearTerms([key])
+        Helpers.logout(user)
+    })
+
+    it('Updates must record the previous version.', function () {
+        expect(update(user, 'First').status).to.equal(200)
+        expect(update(user, 'Second').status).to.equal(200)
+
+        const response = Helpers.call(user, 'GET', 'terms/history', { key: key })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.have.lengthOf(2)
+        const first = response.json.find( (item) => item.rev === original._rev )
+        expect(first.operation).to.equal('update')
+        expect(first.user).to.equal(user.user.username)
+        expect(first.data[info][title][language]).to.equal(key)
+        expect(response.json.map( (item) => item.data[info][title][language] ))
+            .to.have.members([key, 'First'])
+    })
+
+    it('Difference must list the changed fields.', function () {
+        const response = Helpers.call(user, 'GET', 'terms/diff', { key: key, from: original._rev })
+        expect(response.status).to.equal(200)
+        const change = response.json.find( (item) => item.field === `${info}.${title}.${language}` )
+        expect(change).to.deep.include({ old: key, new: 'Second' })
+    })
+
+    it('Difference must not find unknown revisions.', function () {
+        const response = Helpers.call(user, 'GET', 'terms/diff', { key: key, from: 'unknown' })
+        expect(response.status).to.equal(404)
+    })
+
+    it('Rollback must restore the revision and record the replaced version.', function () {
+        const current = Helpers.collection.document(key)
+        const response = Helpers.call(user, 'POST', 'terms/rollback', {}, { key: key, rev: original._rev })
+        expect(response.status).to.equal(200)
+        expect(response.json[info][title][language]).to.equal(key)
+
+        const history = Helpers.call(user, 'GET', 'terms/history', { key: key }).json
+        expect(history).to.have.lengthOf(3)
+        const rollback = history.find( (item) => item.operation === 'rollback' )
+        expect(rollback.rev).to.equal(current._rev)
+        expect(rollback.data[info][title][language]).to.equal('Second')
+    })
+
+    it('Rollback must not find unknown revisions.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/rollback', {}, { key: key, rev: 'unknown' })
+        expect(response.status).to.equal(404)
+    })
+})
@@ -0,0 +1,97 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test term.
+// Each info field features a different set of languages.
+//
+const key = 'test_language_term'
+
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const definition = module.context.configuration.definitionInfoField
+const description = module.context.configuration.descriptionInfoField
+const language = module.context.configuration.language
+const served = module.context.configuration.termServedLanguages
+const texts = {
+    [title]: { [language]: 'Potato', iso_639_3_fra: 'Pomme de terre' },
+    [definition]: { [language]: 'Tuber' },
+    [description]: { iso_639_3_ita: 'Tubero' }
+}
+
+//
+// Get term.
+//
+const getTerm = (theUser, theQuery, theHeaders = {}) => {
+    const response = Helpers.call(theUser, 'GET', 'terms', { key: key, ...theQuery }, undefined, theHeaders)
+    expect(response.status).to.equal(200)
+
+    return response.json
+}
+
+
+//
+// Language fallback chains.
+//
+describe('Term languages.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeTerm(key, { [info]: texts })
+    })
+    after(function () {
+        Helpers.clearTerms([key])
+        Helpers.logout(user)
+    })
+
+    it('Fields must be served in the first available language of the chain.', function () {
+        const term = getTerm(user, { lang: 'fra,eng' })
+        expect(term[info]).to.deep.equal({
+            [title]: 'Pomme de terre',
+            [definition]: 'Tuber',
+            [description]: 'Tubero'
+        })
+        expect(term[served]).to.deep.equal({
+            [title]: 'iso_639_3_fra',
+            [definition]: language,
+            [description]: 'iso_639_3_ita'
+        })
+    })
+
+    it('The default language must not report served languages.', function () {
+        const term = getTerm(user, { lang: language })
+        expect(term[info][title]).to.equal('Potato')
+        expect(term).to.not.have.property(served)
+    })
+
+    it('All languages must be returned when requested.', function () {
+        const term = getTerm(user, { lang: '@' })
+        expect(term[info]).to.deep.equal(texts)
+        expect(term).to.not.have.property(served)
+    })
+
+    it('The Accept-Language header must be used without languages.', function () {
+        const term = getTerm(user, {}, { 'accept-language': 'it-IT;q=0.5, fr-FR' })
+        expect(term[info][title]).to.equal('Pomme de terre')
+        expect(term[served][description]).to.equal('iso_639_3_ita')
+    })
+
+    it('Dictionaries must apply the chain to each term.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/dict', { lang: 'ita,fra' }, [key])
+        expect(response.status).to.equal(200)
+        expect(response.json[key][info][title]).to.equal('Pomme de terre')
+        expect(response.json[key][served]).to.deep.include({ [title]: 'iso_639_3_fra' })
+    })
+})
@@ -0,0 +1,137 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const kind = 'test_lifecycle_kind'
+const active = 'test_lifecycle_active'
+const deprecated = 'test_lifecycle_deprecated'
+const obsolete = 'test_lifecycle_obsolete'
+const descriptor = 'test_lifecycle_descriptor'
+const retired = 'test_lifecycle_retired'
+const keys = [kind, active, deprecated, obsolete, descriptor, retired]
+
+const data = module.context.configuration.sectionData
+const scalar = module.context.configuration.sectionScalar
+const type = module.context.configuration.scalarType
+const path = module.context.configuration.sectionPath
+const status = module.context.configuration.termStatus
+const replacedBy = module.context.configuration.termReplacedBy
+
+//
+// Validate object through the public service.
+//
+const check = (theUser, theObject, doResolve = false) => Helpers.call(
+    theUser, 'POST', 'check/object', { cache: false, resolve: doResolve }, theObject
+)
+
+
+//
+// Deprecated and obsolete terms.
+//
+describe('Term lifecycle.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+
+        Helpers.makeTerm(kind)
+        Helpers.makeTerm(active, { [path]: [kind] })
+        Helpers.makeTerm(deprecated, {
+            [path]: [kind],
+            [status]: K.lifecycle.deprecated,
+            [replacedBy]: active
+        })
+        Helpers.makeTerm(obsolete, {
+            [path]: [kind],
+            [status]: K.lifecycle.obsolete
+        })
+        Helpers.makeTerm(descriptor, {
+            [data]: { [scalar]: {
+                [type]: module.context.configuration.typeEnum,
+                [module.context.configuration.dataKind]: [kind]
+            }}
+        })
+        Helpers.makeTerm(retired, {
+            [data]: { [scalar]: {
+                [type]: module.context.configuration.typeEnum,
+                [module.context.configuration.dataKind]: [kind]
+            }},
+            [status]: K.lifecycle.deprecated,
+            [replacedBy]: descriptor
+        })
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Active terms must be valid.', function () {
+        const response = check(user, { [descriptor]: active })
+        expect(response.status).to.equal(200)
+        expect(response.json.status).to.equal(0)
+    })
+
+    it('Deprecated enumerations must raise a warning.', function () {
+        const response = check(user, { [descriptor]: deprecated })
+        expect(response.status).to.equal(202)
+        expect(response.json.value).to.deep.equal({ [descriptor]: deprecated })
+        expect(response.json.report).to.not.have.property('changes')
+
+        const warnings = Object.values(response.json.report.warnings)
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].status.code).to.equal(Helpers.statusCode('kDEPRECATED_TERM'))
+        expect(warnings[0]).to.deep.include({
+            descriptor: descriptor,
+            term: deprecated,
+            [replacedBy]: active
+        })
+    })
+
+    it('Deprecated enumerations must be replaced when resolving.', function () {
+        const response = check(user, { [descriptor]: deprecated }, true)
+        expect(response.status).to.equal(202)
+        expect(response.json.value).to.deep.equal({ [descriptor]: active })
+        expect(response.json.report).to.not.have.property('warnings')
+
+        const changes = Object.values(response.json.report.changes)
+        expect(changes).to.have.lengthOf(1)
+        expect(changes[0]).to.deep.include({
+            field: descriptor,
+            original: deprecated,
+            resolved: active
+        })
+    })
+
+    it('Deprecated descriptors must be replaced when resolving.', function () {
+        const warned = check(user, { [retired]: active })
+        expect(warned.status).to.equal(202)
+        expect(Object.values(warned.json.report.warnings)[0])
+            .to.deep.include({ descriptor: retired, term: retired })
+
+        const response = check(user, { [retired]: active }, true)
+        expect(response.status).to.equal(202)
+        expect(response.json.value).to.deep.equal({ [descriptor]: active })
+        expect(Object.values(response.json.report.changes)[0])
+            .to.deep.include({ field: retired, original: retired, resolved: descriptor })
+    })
+
+    it('Obsolete enumerations must be rejected.', function () {
+        const response = check(user, { [descriptor]: obsolete }, true)
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kOBSOLETE_TERM'))
+        expect(response.json.report.value).to.equal(obsolete)
+    })
+})
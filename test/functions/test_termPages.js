@@ -0,0 +1,108 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+// Titles are in the reverse order of keys.
+//
+const keys = ['test_page_a', 'test_page_b', 'test_page_c', 'test_page_d', 'test_page_e']
+
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+
+//
+// Query page of term keys.
+//
+const page = (theUser, theSelection) => Helpers.call(
+    theUser, 'POST', 'terms/query/keys', {}, { limit: 2, _aid: keys, ...theSelection }
+)
+
+//
+// Browse all pages.
+//
+const browse = (theUser, theSort) => {
+    const pages = []
+    let response = page(theUser, { sort: theSort })
+    pages.push(response.json)
+    while(response.json.cursor !== null) {
+        response = page(theUser, { sort: theSort, cursor: response.json.cursor })
+        expect(response.status).to.equal(200)
+        pages.push(response.json)
+    }
+
+    return pages
+}
+
+
+//
+// Term query cursors and sorting.
+//
+describe('Term query pages.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        keys.forEach( (key, index) => {
+            Helpers.makeTerm(key, { [info]: { [title]: { [language]: `Title ${keys.length - index}` } } })
+        })
+        Helpers.syncView()
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Queries without cursor or sort must return the list of keys.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/query/keys', {}, { start: 1, limit: 2, _aid: keys })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.equal(keys.slice(1, 3))
+    })
+
+    it('Cursors must browse all terms with a constant total.', function () {
+        const pages = browse(user, '_key')
+        expect(pages.map( (item) => item.data )).to.deep.equal([
+            keys.slice(0, 2), keys.slice(2, 4), keys.slice(4)
+        ])
+        expect(pages.map( (item) => item.total )).to.deep.equal([5, 5, 5])
+    })
+
+    it('Cursors must follow the title order.', function () {
+        const pages = browse(user, 'title')
+        expect([].concat(...pages.map( (item) => item.data ))).to.deep.equal(keys.slice().reverse())
+    })
+
+    it('Cursors must skip terms deleted after the previous page.', function () {
+        const first = page(user, { sort: '_key' })
+        Helpers.clearTerms([keys[2]])
+        Helpers.syncView()
+
+        const response = page(user, { sort: '_key', cursor: first.json.cursor })
+        expect(response.status).to.equal(200)
+        expect(response.json.data).to.deep.equal(keys.slice(3, 5))
+        expect(response.json.total).to.equal(4)
+        expect(response.json.cursor).to.equal(null)
+    })
+
+    it('Cursors of another sort order must be rejected.', function () {
+        const first = page(user, { sort: '_key' })
+        const response = page(user, { sort: 'title', cursor: first.json.cursor })
+        expect(response.status).to.equal(400)
+    })
+
+    it('Invalid cursors must be rejected.', function () {
+        const response = page(user, { sort: '_key', cursor: 'invalid' })
+        expect(response.status).to.equal(400)
+    })
+})
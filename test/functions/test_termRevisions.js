@@ -0,0 +1,140 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const key = 'test_revision_term'
+const root = 'test_revision_root'
+const parent = 'test_revision_parent'
+const child = 'test_revision_child'
+
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+const data = module.context.configuration.sectionPathData
+
+//
+// Update term title.
+//
+const update = (theUser, theTitle, theRevision = null, theHeaders = {}) => Helpers.call(
+    theUser, 'PATCH', 'terms', { key: key }, {
+        updates: { [info]: { [title]: { [language]: theTitle } } },
+        references: [`${info}.${title}.${language}`],
+        ...((theRevision === null) ? {} : { _rev: theRevision })
+    }, theHeaders
+)
+
+//
+// Set child edge data.
+//
+const setEdge = (theUser, theNote, theRevisions = {}) => Helpers.call(
+    theUser, 'POST', 'graph/set/edge', {
+        root: Helpers.handle(root),
+        parent: Helpers.handle(parent),
+        predicate: module.context.configuration.predicateEnumeration
+    }, {
+        children: { [Helpers.handle(child)]: { note: theNote } },
+        revisions: theRevisions
+    }
+)
+
+
+//
+// Term revision checks.
+//
+describe('Term revisions.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict, K.environment.role.read])
+        Helpers.makeTerm(key)
+    })
+    after(function () {
+        Helpers.clearTerms([key])
+        Helpers.logout(user)
+    })
+
+    it('Updates must return the current revision.', function () {
+        const response = update(user, 'First')
+        expect(response.status).to.equal(200)
+        expect(response.json._rev).to.equal(Helpers.collection.document(key)._rev)
+        expect(response.headers.etag).to.equal(response.json._rev)
+    })
+
+    it('Updates with a stale If-Match revision must fail.', function () {
+        const stale = Helpers.collection.document(key)._rev
+        expect(update(user, 'Second').status).to.equal(200)
+
+        const current = Helpers.collection.document(key)._rev
+        const response = update(user, 'Third', null, { 'if-match': stale })
+        expect(response.status).to.equal(412)
+        expect(response.json._rev).to.equal(current)
+        expect(Helpers.collection.document(key)[info][title][language]).to.equal('Second')
+    })
+
+    it('Updates with a stale body revision must fail.', function () {
+        const stale = Helpers.collection.document(key)._rev
+        expect(update(user, 'Third').status).to.equal(200)
+
+        const response = update(user, 'Fourth', stale)
+        expect(response.status).to.equal(412)
+        expect(response.json._rev).to.equal(Helpers.collection.document(key)._rev)
+    })
+
+    it('Updates with the current revision must succeed.', function () {
+        const current = Helpers.collection.document(key)._rev
+        const response = update(user, 'Fourth', null, { 'if-match': `"${current}"` })
+        expect(response.status).to.equal(200)
+        expect(response.json[info][title][language]).to.equal('Fourth')
+    })
+})
+
+//
+// Edge revision checks.
+//
+describe('Edge revisions.', function () {
+    let user = null
+    let edge = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict])
+        Helpers.makeTerm(root)
+        Helpers.makeTerm(parent)
+        Helpers.makeTerm(child)
+        Helpers.makeEdge(parent, root)
+        expect(setEdge(user, 'First').status).to.equal(200)
+        edge = Helpers.getEdges(child)[0]
+    })
+    after(function () {
+        Helpers.clearTerms([root, parent, child])
+        Helpers.logout(user)
+    })
+
+    it('Edges modified after they were read must not be updated.', function () {
+        Helpers.collection_edge.update(edge._key, { [data]: { note: 'Other' } })
+
+        const response = setEdge(user, 'Second', { [edge._key]: edge._rev })
+        expect(response.status).to.equal(412)
+        expect(Helpers.collection_edge.document(edge._key)[data].note).to.equal('Other')
+    })
+
+    it('Edges not modified after they were read must be updated.', function () {
+        const current = Helpers.collection_edge.document(edge._key)
+        const response = setEdge(user, 'Second', { [current._key]: current._rev })
+        expect(response.status).to.equal(200)
+        expect(response.json.stats.updated).to.equal(1)
+        expect(Helpers.collection_edge.document(edge._key)[data].note).to.equal('Second')
+    })
+})
@@ -0,0 +1,78 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const french = 'test_search_french'
+const german = 'test_search_german'
+const keys = [french, german]
+
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const definition = module.context.configuration.definitionInfoField
+const language = module.context.configuration.language
+
+//
+// Query matching term keys.
+//
+const search = (theUser, theSelection) => {
+    const response = Helpers.call(
+        theUser, 'POST', 'terms/query/terms', {}, { _aid: keys, ...theSelection }
+    )
+    expect(response.status).to.equal(200)
+
+    return response.json.map( (item) => item._key )
+}
+
+
+//
+// Multilingual term search.
+//
+describe('Term search languages.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeTerm(french, { [info]: {
+            [title]: { [language]: 'Potatoes', iso_639_3_fra: 'Pommes de terre' },
+            [definition]: { [language]: 'Tubers', iso_639_3_fra: 'Tubercules' }
+        }})
+        Helpers.makeTerm(german, { [info]: {
+            [title]: { [language]: 'Potatoes', iso_639_3_deu: 'Kartoffeln' }
+        }})
+        Helpers.syncView()
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Texts in search languages must be matched.', function () {
+        expect(search(user, { _title: 'pommes' })).to.deep.equal([french])
+        expect(search(user, { _definition: 'tubercules' })).to.deep.equal([french])
+        expect(search(user, { _title: 'potatoes' })).to.deep.equal([french, german])
+    })
+
+    it('Languages must restrict matching.', function () {
+        expect(search(user, { _title: 'pommes', lang: language })).to.deep.equal([])
+        expect(search(user, { _title: 'pommes', lang: ['iso_639_3_fra'] })).to.deep.equal([french])
+        expect(search(user, { _title: 'potatoes', lang: 'iso_639_3_fra' })).to.deep.equal([])
+    })
+
+    it('Texts in other languages must only be matched if selected.', function () {
+        expect(search(user, { _title: 'kartoffeln' })).to.deep.equal([])
+        expect(search(user, { _title: 'kartoffeln', lang: 'iso_639_3_deu' })).to.deep.equal([german])
+    })
+})
@@ -0,0 +1,88 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+// Titles use invented words, so that no other term is suggested.
+//
+const term = 'test_suggest_term'
+const descriptor = 'test_suggest_descriptor'
+const keys = [term, descriptor]
+
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+
+//
+// Get suggestions.
+//
+const suggest = (theUser, theQuery) => {
+    const response = Helpers.call(theUser, 'GET', 'terms/suggest', theQuery)
+    expect(response.status).to.equal(200)
+
+    return response.json
+}
+
+
+//
+// Term suggestions.
+//
+describe('Term suggestions.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeTerm(term, { [info]: { [title]: { [language]: 'Glimmerwort meadow' } } })
+        Helpers.makeTerm(descriptor, {
+            [info]: { [title]: { [language]: 'Glimmerwand' } },
+            [module.context.configuration.sectionData]: {
+                [module.context.configuration.sectionScalar]: {
+                    [module.context.configuration.scalarType]: module.context.configuration.typeString
+                }
+            }
+        })
+        Helpers.syncView()
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Words must match as prefixes.', function () {
+        const result = suggest(user, { q: 'glimmerw' })
+        expect(result.map( (item) => item._key )).to.have.members(keys)
+
+        const match = result.find( (item) => item._key === term )
+        expect(match.title).to.equal('Glimmerwort meadow')
+        expect(match.highlight).to.equal('<em>Glimmerwort</em> meadow')
+        expect(match.score).to.be.a('number')
+    })
+
+    it('Words must match within the allowed edits.', function () {
+        const result = suggest(user, { q: 'glimmerwurt' })
+        expect(result.map( (item) => item._key )).to.deep.equal([term])
+        expect(result[0].highlight).to.equal('<em>Glimmerwort</em> meadow')
+
+        expect(suggest(user, { q: 'glimmerwurt', fuzzy: 0 })).to.deep.equal([])
+    })
+
+    it('Suggestions must be restricted to the term type.', function () {
+        const result = suggest(user, { q: 'glimmerw', type: 'descriptor' })
+        expect(result.map( (item) => item._key )).to.deep.equal([descriptor])
+    })
+
+    it('Queries without words must not suggest terms.', function () {
+        expect(suggest(user, { q: ' ' })).to.deep.equal([])
+    })
+})
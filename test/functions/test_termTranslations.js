@@ -0,0 +1,140 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+// The enumeration elements are partially translated in French,
+// the untitled term has no definition in the default language.
+//
+const root = 'test_translation_root'
+const first = 'test_translation_first'
+const second = 'test_translation_second'
+const untitled = 'test_translation_untitled'
+const keys = [root, first, second, untitled]
+
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const definition = module.context.configuration.definitionInfoField
+const language = module.context.configuration.language
+const french = 'iso_639_3_fra'
+
+//
+// Get French coverage of enumeration elements.
+//
+const coverage = (theUser) => {
+    const response = Helpers.call(theUser, 'GET', 'terms/translations/coverage', { lang: 'fra', root: root })
+    expect(response.status).to.equal(200)
+
+    return response.json
+}
+
+
+//
+// Translation coverage and editing.
+//
+describe('Term translations.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict, K.environment.role.read])
+        Helpers.makeTerm(root)
+        Helpers.makeTerm(first, { [info]: {
+            [title]: { [language]: 'Potato', [french]: 'Pomme de terre' },
+            [definition]: { [language]: 'Tuber' }
+        }})
+        Helpers.makeTerm(second, { [info]: { [title]: { [language]: 'Carrot' } } })
+        Helpers.makeTerm(untitled)
+        Helpers.makeEdge(first, root)
+        Helpers.makeEdge(second, root)
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Coverage must list present and missing languages of enumeration elements.', function () {
+        const result = coverage(user)
+        expect(result.languages).to.deep.equal([french, language])
+        expect(result.complete).to.deep.equal({ [french]: 0, [language]: 2 })
+        expect(result.terms.map( (term) => term._key )).to.deep.equal([first, second])
+        expect(result.terms[0].fields[title].present).to.have.members([language, french])
+        expect(result.terms[0].fields[title].missing).to.deep.equal([])
+        expect(result.terms[0].fields[definition]).to.deep.equal({ present: [language], missing: [french] })
+        expect(result.terms[1].fields).to.deep.equal({ [title]: { present: [language], missing: [french] } })
+    })
+
+    it('Translations must only change the provided language.', function () {
+        const response = Helpers.call(user, 'PATCH', 'terms/translations', {}, {
+            lang: 'fra',
+            translations: {
+                [first]: { [definition]: 'Tubercule' },
+                [second]: { [title]: 'Carotte' },
+                [untitled]: { [definition]: 'Sans titre' },
+                test_translation_unknown: { [title]: 'Inconnu' }
+            }
+        })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.include({ updated: 2, rejected: 1, missing: 1 })
+        expect(response.json.reports[untitled].status.code)
+            .to.equal(Helpers.statusCode('kNO_REFERENCE_DEFAULT_LANGUAGE'))
+        expect(response.json.reports.test_translation_unknown.status.code)
+            .to.equal(Helpers.statusCode('kUNKNOWN_TERM'))
+
+        expect(Helpers.collection.document(first)[info]).to.deep.equal({
+            [title]: { [language]: 'Potato', [french]: 'Pomme de terre' },
+            [definition]: { [language]: 'Tuber', [french]: 'Tubercule' }
+        })
+        expect(Helpers.collection.document(untitled)[info]).to.not.have.property(definition)
+        expect(coverage(user).complete).to.deep.equal({ [french]: 2, [language]: 2 })
+    })
+
+    it('Translations must record the previous versions.', function () {
+        const response = Helpers.call(user, 'GET', 'terms/history', { key: second })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.have.lengthOf(1)
+        expect(response.json[0].data[info][title]).to.deep.equal({ [language]: 'Carrot' })
+    })
+
+    it('Default language texts must not be removed.', function () {
+        const response = Helpers.call(user, 'PATCH', 'terms/translations', {}, {
+            lang: language,
+            translations: { [second]: { [title]: null } }
+        })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.include({ updated: 0, rejected: 1 })
+        expect(Helpers.collection.document(second)[info][title]).to.have.property(language)
+    })
+
+    it('Translations with stale revisions must fail.', function () {
+        const stale = Helpers.collection.document(first)._rev
+        Helpers.collection.update(first, { [info]: { [title]: { [french]: 'Patate' } } })
+
+        const response = Helpers.call(user, 'PATCH', 'terms/translations', {}, {
+            lang: 'fra',
+            revisions: { [first]: stale },
+            translations: { [first]: { [title]: 'Pomme de terre' } }
+        })
+        expect(response.status).to.equal(412)
+        expect(response.json.revisions).to.deep.equal({ [first]: Helpers.collection.document(first)._rev })
+        expect(Helpers.collection.document(first)[info][title][french]).to.equal('Patate')
+    })
+
+    it('Languages outside the language enumeration must be rejected.', function () {
+        const response = Helpers.call(user, 'PATCH', 'terms/translations', {}, {
+            lang: 'xyz',
+            translations: { [first]: { [title]: 'Texte' } }
+        })
+        expect(response.status).to.equal(400)
+    })
+})
@@ -0,0 +1,110 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const key = 'test_usage_term'
+const other = 'test_usage_other'
+const descriptor = 'test_usage_descriptor'
+const structure = 'test_usage_structure'
+const member = 'test_usage_member'
+const replaced = 'test_usage_replaced'
+const keys = [key, other, descriptor, structure, member, replaced]
+
+const code = module.context.configuration.sectionCode
+const nid = module.context.configuration.namespaceIdentifier
+const lid = module.context.configuration.localIdentifier
+const gid = module.context.configuration.globalIdentifier
+const data = module.context.configuration.sectionData
+const scalar = module.context.configuration.sectionScalar
+const kind = module.context.configuration.dataKind
+const rule = module.context.configuration.sectionRule
+const required = module.context.configuration.sectionRuleRequired
+const one = module.context.configuration.selectionDescriptorsOne
+const pred = module.context.configuration.predicate
+const path = module.context.configuration.sectionPath
+const replacedBy = module.context.configuration.termReplacedBy
+
+
+//
+// Term reverse references.
+//
+describe('Term usage.', function () {
+    let user = null
+    const edges = {}
+    let link = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+
+        Helpers.makeTerm(key)
+        Helpers.makeTerm(other)
+        Helpers.makeTerm(descriptor, {
+            [data]: { [scalar]: {
+                [module.context.configuration.scalarType]: module.context.configuration.typeEnum,
+                [kind]: [key]
+            }}
+        })
+        Helpers.makeTerm(structure, { [rule]: { [required]: { [one]: [other, key] } } })
+        Helpers.makeTerm(member, { [code]: { [nid]: key, [lid]: 'member', [gid]: member } })
+        Helpers.makeTerm(replaced, { [replacedBy]: key })
+
+        edges.from = Helpers.makeEdge(key, other)
+        edges.to = Helpers.makeEdge(other, key, [other])
+        edges.path = Helpers.makeEdge(descriptor, other, [key])
+        edges.predicate = Helpers.collection_edge.save({
+            _from: Helpers.handle(structure),
+            _to: Helpers.handle(other),
+            [pred]: key,
+            [path]: [Helpers.handle(other)]
+        })
+        link = K.db._collection(K.collection.links.name).save({
+            _from: Helpers.handle(key),
+            _to: Helpers.handle(other),
+            [pred]: module.context.configuration.predicateRequiredIndicator
+        })
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Usage must group references by kind.', function () {
+        const response = Helpers.call(user, 'GET', 'terms/usage', { key: key })
+        expect(response.status).to.equal(200)
+
+        const usage = response.json
+        Object.keys(edges).forEach( (group) => {
+            expect(usage.edges[group].map( (item) => item._key ), group)
+                .to.deep.equal([edges[group]._key])
+        })
+        expect(usage.links.from.map( (item) => item._key )).to.deep.equal([link._key])
+        expect(usage.links.to).to.deep.equal([])
+
+        expect(usage.descriptors).to.deep.equal([
+            { _key: descriptor, fields: [`${data}.${scalar}.${kind}[0]`] }
+        ])
+        expect(usage.structures).to.deep.equal([
+            { _key: structure, fields: [`${rule}.${required}.${one}[1]`] }
+        ])
+        expect(usage.members).to.deep.equal([member])
+        expect(usage.replaced).to.deep.equal([replaced])
+    })
+
+    it('Usage of unknown terms must not be found.', function () {
+        const response = Helpers.call(user, 'GET', 'terms/usage', { key: 'test_usage_unknown' })
+        expect(response.status).to.equal(404)
+    })
+})
@@ -0,0 +1,104 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Test terms.
+//
+const inserted = 'test_upsert_inserted'
+const updated = 'test_upsert_updated'
+const unchanged = 'test_upsert_unchanged'
+const rejected = 'test_upsert_rejected'
+const keys = [inserted, updated, unchanged, rejected]
+
+const code = module.context.configuration.sectionCode
+const lid = module.context.configuration.localIdentifier
+const info = module.context.configuration.sectionInfo
+const title = module.context.configuration.titleInfoField
+const language = module.context.configuration.language
+const data = module.context.configuration.sectionData
+const scalar = module.context.configuration.sectionScalar
+const type = module.context.configuration.scalarType
+
+//
+// Make upserted term.
+//
+const term = (theKey, theFields = {}) => ({ [code]: { [lid]: theKey }, ...theFields })
+const titled = (theKey, theTitle) => term(theKey, { [info]: { [title]: { [language]: theTitle } } })
+const typed = (theType) => ({ [data]: { [scalar]: { [type]: theType } } })
+
+
+//
+// Bulk term insert or update.
+//
+describe('Upsert terms.', function () {
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.dict, K.environment.role.read])
+        Helpers.makeTerm(updated)
+        Helpers.makeTerm(unchanged)
+        Helpers.makeTerm(rejected, typed(module.context.configuration.typeString))
+    })
+    after(function () {
+        Helpers.clearTerms(keys)
+        Helpers.logout(user)
+    })
+
+    it('Terms must not be written without saving.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/upsert/many', { save: false }, [
+            titled(inserted, 'Inserted'),
+            titled(updated, 'Updated')
+        ])
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.include({ inserted: 1, updated: 1, unchanged: 0, rejected: 0 })
+        expect(Helpers.collection.exists(inserted)).to.equal(false)
+        expect(Helpers.collection.document(updated)[info][title][language]).to.equal(updated)
+    })
+
+    it('Each term must report its outcome.', function () {
+        const response = Helpers.call(user, 'POST', 'terms/upsert/many', {}, [
+            titled(inserted, 'Inserted'),
+            titled(updated, 'Updated'),
+            term(unchanged),
+            term(rejected, typed(module.context.configuration.typeNumber)),
+            titled(updated, 'Repeated')
+        ])
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.include({ inserted: 1, updated: 1, unchanged: 1, rejected: 2 })
+
+        const outcomes = response.json.outcomes
+        expect(outcomes.map( (item) => item._key ))
+            .to.deep.equal([inserted, updated, unchanged, rejected, updated])
+        expect(outcomes.map( (item) => item.outcome ))
+            .to.deep.equal(['inserted', 'updated', 'unchanged', 'rejected', 'rejected'])
+        expect(outcomes[0].report.status.code).to.equal(0)
+        expect(outcomes[0].value).to.have.property('_rev')
+        expect(outcomes[3].report).to.have.property('message')
+        expect(outcomes[4].report.status.code).to.equal(Helpers.statusCode('kDUPLICATE_BATCH_TERM'))
+    })
+
+    it('Inserted and updated terms must be written.', function () {
+        expect(Helpers.collection.document(inserted)[info][title][language]).to.equal('Inserted')
+        expect(Helpers.collection.document(updated)[info][title][language]).to.equal('Updated')
+        expect(Helpers.collection.document(rejected)[data][scalar][type])
+            .to.equal(module.context.configuration.typeString)
+    })
+
+    it('Updated terms must record the previous version.', function () {
+        const response = Helpers.call(user, 'GET', 'terms/history', { key: updated })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.have.lengthOf(1)
+        expect(response.json[0].data[info][title][language]).to.equal(updated)
+    })
+})
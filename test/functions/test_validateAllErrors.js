@@ -0,0 +1,150 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Validate list elements: strings are valid, the others fail.
+// Each element logs a change before being checked.
+//
+const check = (theValidator, theList) => (theIndex) => {
+    theValidator.logResolvedValues('item', null, theIndex, null)
+    return (typeof theList[theIndex] === 'string')
+        ? true
+        : theValidator.setStatusReport('kNOT_A_STRING', 'item', theList[theIndex])
+}
+
+
+//
+// Collect all errors mode.
+//
+describe('Validate collecting all errors.', function () {
+    const list = ['a', 1, 'b', 2]
+
+    it('Validation must stop at the first error by default.', function () {
+        const validator = Helpers.newValidator(false, false)
+        const issues = []
+        expect(validator.doValidateElements([0, 1, 2, 3], null, issues, check(validator, list)))
+            .to.equal(false)
+        expect(issues).to.have.lengthOf(0)
+        expect(validator.report.status.code).to.equal(Helpers.statusCode('kNOT_A_STRING'))
+        expect(validator.report.location).to.equal('/1')
+    })
+
+    it('All errors must be collected with their location.', function () {
+        const validator = Helpers.newValidator(false, true)
+        const issues = []
+        expect(validator.doValidateElements([0, 1, 2, 3], null, issues, check(validator, list)))
+            .to.equal(false)
+        expect(issues.map( (item) => item.location )).to.deep.equal(['/1', '/3'])
+        expect(issues.map( (item) => item.value )).to.deep.equal([1, 2])
+        expect(validator.report.status.code).to.equal(0)
+    })
+
+    it('Changes logged by failed elements must be discarded.', function () {
+        const validator = Helpers.newValidator(false, true)
+        const issues = []
+        validator.doValidateElements([0, 1, 2, 3], null, issues, check(validator, list))
+        expect(Object.values(validator.report.changes).map( (item) => item.location ))
+            .to.deep.equal(['/0', '/2'])
+    })
+
+    it('Changes must not be set if only failed elements logged them.', function () {
+        const validator = Helpers.newValidator(false, true)
+        const issues = []
+        validator.doValidateElements([1, 3], null, issues, check(validator, list))
+        expect(issues).to.have.lengthOf(2)
+        expect(validator.report).to.not.have.property('changes')
+    })
+
+    it('Collected errors must be summarised in the report.', function () {
+        const validator = Helpers.newValidator(false, true)
+        const issues = []
+        validator.doValidateElements([0, 1, 2, 3], null, issues, check(validator, list))
+        expect(validator.setIssuesReport(issues, 'list', list, null)).to.equal(false)
+        expect(validator.report.status.code).to.equal(Helpers.statusCode('kVALIDATION_ISSUES'))
+        expect(validator.report.issues).to.have.lengthOf(2)
+    })
+
+    it('Nested collected errors must be moved to the outer list.', function () {
+        const validator = Helpers.newValidator(false, true)
+        const issues = []
+        const nested = [list, ['c', 3]]
+        expect(validator.doValidateElements([0, 1], null, issues, (index) => {
+            const inner = []
+            validator.doValidateElements([...nested[index].keys()], null, inner, check(validator, nested[index]))
+            return (inner.length > 0)
+                ? validator.setIssuesReport(inner, 'list', nested[index], null)
+                : true
+        })).to.equal(false)
+        expect(issues.map( (item) => item.location )).to.deep.equal(['/0/1', '/0/3', '/1/1'])
+    })
+})
+
+//
+// Collect all errors mode through the validation service.
+//
+describe('Validate collecting all errors through the service.', function () {
+    const number = 'test_issues_number'
+    const list = 'test_issues_list'
+    const object = { [number]: 'a', [list]: [1, 'b', 2, 'c'] }
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeDescriptor(number, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeNumber
+        })
+        Helpers.makeTerm(list, {
+            [module.context.configuration.sectionData]: {
+                [module.context.configuration.sectionArray]: {
+                    [module.context.configuration.sectionScalar]: {
+                        [module.context.configuration.scalarType]: module.context.configuration.typeNumber
+                    }
+                }
+            }
+        })
+    })
+    after(function () {
+        Helpers.clearTerms([number, list])
+        Helpers.logout(user)
+    })
+
+    it('Validation must stop at the first error by default.', function () {
+        const response = Helpers.checkObject(user, object)
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kNOT_A_NUMBER'))
+        expect(response.json.report.location).to.equal(`/${number}`)
+        expect(response.json.report).to.not.have.property('issues')
+    })
+
+    it('All errors must be listed with their location.', function () {
+        const response = Helpers.checkObject(user, object, { all_errors: true })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kVALIDATION_ISSUES'))
+
+        const issues = response.json.report.issues
+        expect(issues.map( (item) => item.location ))
+            .to.deep.equal([`/${number}`, `/${list}/1`, `/${list}/3`])
+        expect(issues.map( (item) => item.value )).to.deep.equal(['a', 'b', 'c'])
+        issues.forEach( (item) =>
+            expect(item.status.code).to.equal(Helpers.statusCode('kNOT_A_NUMBER'))
+        )
+    })
+
+    it('Objects must be counted once in all errors mode.', function () {
+        const response = Helpers.checkObject(user, [object, { [number]: 1 }], { all_errors: true })
+        expect(response.status).to.equal(400)
+        expect(response.json).to.deep.include({ status: -1, valid: 1, warnings: 0, errors: 1 })
+        expect(response.json.reports[0].report.issues).to.have.lengthOf(3)
+    })
+})
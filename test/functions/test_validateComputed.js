@@ -0,0 +1,186 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Expression operators.
+//
+const op = K.computed
+
+//
+// New validator resolving computed property descriptors without the database.
+//
+const newValidator = () => {
+    const validator = Helpers.newValidator(true)
+    validator.cache = {
+        getTerm: (theKey) => ({
+            _key: theKey,
+            [module.context.configuration.sectionData]: {}
+        })
+    }
+    return validator
+}
+
+
+//
+// Computed property expressions.
+//
+describe('Compute expressions.', function () {
+    const object = { first: 'John', last: 'Doe', width: 4, height: 2.5, code: 7 }
+
+    it('References and literals must be resolved.', function () {
+        const validator = newValidator()
+        expect(validator.computeExpression(object, 'first')).to.equal('John')
+        expect(validator.computeExpression(object, 3)).to.equal(3)
+        expect(validator.computeExpression(object, { [op.value]: [1] })).to.deep.equal([1])
+    })
+
+    it('Operands must be concatenated with the separator.', function () {
+        const validator = newValidator()
+        expect(validator.computeExpression(object, {
+            [op.concat]: ['first', 'last', 'code'],
+            [op.separator]: ' '
+        })).to.equal('John Doe 7')
+        expect(validator.computeExpression(object, {
+            [op.concat]: ['first', { [op.value]: '!' }]
+        })).to.equal('John!')
+    })
+
+    it('Arithmetic must be applied from left to right.', function () {
+        const validator = newValidator()
+        expect(validator.computeExpression(object, { [op.mul]: ['width', 'height'] })).to.equal(10)
+        expect(validator.computeExpression(object, {
+            [op.sub]: [{ [op.add]: ['width', 'height', 1] }, 2]
+        })).to.equal(5.5)
+        expect(validator.computeExpression(object, { [op.div]: ['width', 2] })).to.equal(2)
+    })
+
+    it('Missing operands must return undefined.', function () {
+        const validator = newValidator()
+        expect(validator.computeExpression(object, { [op.add]: ['width', 'depth'] })).to.equal(undefined)
+        expect(validator.computeExpression(object, {
+            [op.concat]: ['first', { [op.mul]: ['depth', 2] }]
+        })).to.equal(undefined)
+    })
+
+    it('Values that cannot be computed must return null.', function () {
+        const validator = newValidator()
+        expect(validator.computeExpression(object, { [op.div]: ['width', 0] })).to.equal(null)
+        expect(validator.computeExpression(object, { [op.add]: ['width', 'first'] })).to.equal(null)
+        expect(validator.computeExpression(object, { [op.add]: 'width' })).to.equal(null)
+        expect(validator.computeExpression(object, { [op.add]: [] })).to.equal(null)
+        expect(validator.computeExpression(object, { _unknown: ['width'] })).to.equal(null)
+        expect(validator.computeExpression(object, ['width'])).to.equal(null)
+        expect(validator.computeExpression(object, true)).to.equal(null)
+        expect(validator.computeExpression(object, { [op.lookup]: 'first' })).to.equal(null)
+    })
+})
+
+//
+// Computed properties.
+//
+describe('Validate computed properties.', function () {
+    it('Uncomputed properties must drop the supplied value.', function () {
+        const validator = newValidator()
+        const object = { width: 4 }
+        const supplied = { area: 12 }
+        const computed = { area: { [op.mul]: ['width', 'height'] } }
+        expect(validator.doValidateObjectComputed(object, computed, supplied, null)).to.equal(true)
+        expect(object).to.not.have.property('area')
+
+        const changes = Object.values(validator.report.changes)
+        expect(changes).to.have.lengthOf(1)
+        expect(changes[0]).to.deep.include({
+            field: 'area',
+            original: 12,
+            resolved: null,
+            location: '/area'
+        })
+    })
+
+    it('Bad expressions must be reported.', function () {
+        const validator = newValidator()
+        const object = { width: 4 }
+        const computed = { area: { _unknown: ['width'] } }
+        expect(validator.doValidateObjectComputed(object, computed, {}, null)).to.equal(false)
+        expect(validator.report.status.code).to.equal(Helpers.statusCode('kCOMPUTED_VALUE_ERROR'))
+        expect(validator.report.expression).to.deep.equal(computed.area)
+        expect(validator.report.location).to.equal('/area')
+    })
+})
+
+//
+// Computed properties through the validation service.
+//
+describe('Validate computed properties through the service.', function () {
+    const structure = 'test_computed_kind'
+    const object = 'test_computed_object'
+    const width = 'test_computed_width'
+    const height = 'test_computed_height'
+    const area = 'test_computed_area'
+    const number = {
+        [module.context.configuration.scalarType]: module.context.configuration.typeNumber
+    }
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeKind(structure, {
+            [module.context.configuration.sectionRuleComputed]: {
+                [area]: { [op.mul]: [width, height] }
+            }
+        })
+        Helpers.makeDescriptor(object, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeObject,
+            [module.context.configuration.dataKind]: [structure]
+        })
+        Helpers.makeDescriptor(width, number)
+        Helpers.makeDescriptor(height, number)
+        Helpers.makeDescriptor(area, number)
+    })
+    after(function () {
+        Helpers.clearTerms([structure, object, width, height, area])
+        Helpers.logout(user)
+    })
+
+    it('Computed properties must be set and logged.', function () {
+        const response = Helpers.checkObject(user, { [object]: { [width]: 4, [height]: 2.5 } })
+        expect(response.status).to.equal(202)
+        expect(response.json.value[object]).to.deep.equal({ [width]: 4, [height]: 2.5, [area]: 10 })
+
+        const changes = Object.values(response.json.report.changes)
+        expect(changes).to.have.lengthOf(1)
+        expect(changes[0]).to.deep.include({
+            field: area,
+            original: null,
+            resolved: 10,
+            location: `/${object}/${area}`
+        })
+    })
+
+    it('Supplied computed properties must be rejected without resolving.', function () {
+        const response = Helpers.checkObject(user, { [object]: { [width]: 4, [height]: 2.5, [area]: 12 } })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kCOMPUTED_PROPERTY'))
+    })
+
+    it('Supplied computed properties must be replaced when resolving.', function () {
+        const response = Helpers.checkObject(
+            user, { [object]: { [width]: 4, [height]: 2.5, [area]: 12 } }, { resolve: true }
+        )
+        expect(response.status).to.equal(202)
+        expect(response.json.value[object][area]).to.equal(10)
+        expect(Object.values(response.json.report.changes)[0])
+            .to.deep.include({ field: area, original: 12, resolved: 10 })
+    })
+})
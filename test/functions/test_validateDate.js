@@ -0,0 +1,143 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Validator = require('../../library/Validator')
+const Helpers = require('../helpers')
+
+//
+// Validate date value and return the status, the validator and the value.
+//
+const validate = (theValue, doResolve = false) => {
+    const validator = Helpers.newValidator(doResolve)
+    const container = { date: theValue }
+    const status = validator.doValidateDate(container, 'date', {}, null)
+    return [status, validator, container.date]
+}
+
+
+//
+// Calendar dates.
+//
+describe('Validate dates.', function () {
+    it('Months must have the right number of days.', function () {
+        expect(Validator.DaysInMonth(2023, 1)).to.equal(31)
+        expect(Validator.DaysInMonth(2023, 4)).to.equal(30)
+        expect(Validator.DaysInMonth(2023, 2)).to.equal(28)
+        expect(Validator.DaysInMonth(2024, 2)).to.equal(29)
+        expect(Validator.DaysInMonth(1900, 2)).to.equal(28)
+        expect(Validator.DaysInMonth(2000, 2)).to.equal(29)
+    })
+
+    it('Valid dates must pass.', function () {
+        ['2024', '202402', '20240229', '20000229', '2000-2010', '2010-2010'].forEach( (value) => {
+            const [status, validator] = validate(value)
+            expect(status, value).to.equal(true)
+            expect(validator.report).to.not.have.property('changes')
+        })
+    })
+
+    it('Invalid dates must be reported.', function () {
+        [
+            [20240101, 'kNOT_A_STRING'],
+            ['2024-02-29', 'kINVALID_DATE_FORMAT'],
+            ['24022', 'kINVALID_DATE_FORMAT'],
+            ['2024021', 'kINVALID_DATE_FORMAT'],
+            ['202413', 'kINVALID_DATE_MONTH'],
+            ['20240001', 'kINVALID_DATE_MONTH'],
+            ['20230229', 'kINVALID_DATE_DAY'],
+            ['19000229', 'kINVALID_DATE_DAY'],
+            ['20240431', 'kINVALID_DATE_DAY'],
+            ['20240100', 'kINVALID_DATE_DAY'],
+            ['2010-2000', 'kINVALID_DATE_RANGE']
+        ].forEach( ([value, expected]) => {
+            const [status, validator] = validate(value)
+            expect(status, String(value)).to.equal(false)
+            expect(validator.report.status.code, String(value)).to.equal(Helpers.statusCode(expected))
+        })
+    })
+
+    it('ISO dates must be resolved to the compact form.', function () {
+        [
+            ['2024-02-29', '20240229'],
+            ['2024/02/29', '20240229'],
+            ['2024-02', '202402'],
+            ['2024/02', '202402']
+        ].forEach( ([value, resolved]) => {
+            const [status, validator, date] = validate(value, true)
+            expect(status, value).to.equal(true)
+            expect(date).to.equal(resolved)
+            expect(Object.values(validator.report.changes)[0]).to.deep.include({
+                field: 'date',
+                original: value,
+                resolved: resolved
+            })
+        })
+    })
+
+    it('Resolved dates must be checked.', function () {
+        [
+            ['2023-02-29', 'kINVALID_DATE_DAY'],
+            ['2024-13', 'kINVALID_DATE_MONTH'],
+            ['2024-02/29', 'kINVALID_DATE_FORMAT']
+        ].forEach( ([value, expected]) => {
+            const [status, validator] = validate(value, true)
+            expect(status, value).to.equal(false)
+            expect(validator.report.status.code, value).to.equal(Helpers.statusCode(expected))
+        })
+    })
+})
+
+//
+// Calendar dates through the validation services.
+//
+describe('Validate dates through the services.', function () {
+    const date = 'test_date_descriptor'
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeDescriptor(date, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeDate
+        })
+    })
+    after(function () {
+        Helpers.clearTerms([date])
+        Helpers.logout(user)
+    })
+
+    it('Invalid dates must be reported.', function () {
+        const response = Helpers.checkObject(user, { [date]: '20230229' })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kINVALID_DATE_DAY'))
+        expect(response.json.report.location).to.equal(`/${date}`)
+    })
+
+    it('ISO dates must be rejected without resolving.', function () {
+        const response = Helpers.checkObject(user, { [date]: '2024-02-29' })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kINVALID_DATE_FORMAT'))
+    })
+
+    it('ISO dates must be resolved to the compact form.', function () {
+        const response = Helpers.call(
+            user, 'POST', 'check/descriptor/value',
+            { descriptor: date, cache: false, resolve: true }, '2024-02-29'
+        )
+        expect(response.status).to.equal(202)
+        expect(response.json.value).to.equal('20240229')
+        expect(Object.values(response.json.report.changes)[0]).to.deep.include({
+            field: date,
+            original: '2024-02-29',
+            resolved: '20240229'
+        })
+    })
+})
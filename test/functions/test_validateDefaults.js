@@ -0,0 +1,134 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Data kind with default values.
+//
+const rule = module.context.configuration.sectionRule
+const kind = {
+    _key: 'test_kind',
+    [rule]: {
+        [module.context.configuration.sectionRuleBanned]: ['banned'],
+        [module.context.configuration.sectionRuleDefault]: {
+            number: 1,
+            object: { list: [1, 2] },
+            empty: null,
+            banned: 'value'
+        }
+    }
+}
+
+
+//
+// Structure default values.
+//
+describe('Validate default values.', function () {
+    it('Missing properties must be set when resolving.', function () {
+        const validator = Helpers.newValidator(true)
+        const container = { value: { number: 3 } }
+        expect(validator.doValidateObjectRule(container, 'value', {}, null, kind)).to.equal(true)
+        expect(container.value).to.deep.equal({ number: 3, object: { list: [1, 2] } })
+
+        const changes = Object.values(validator.report.changes)
+        expect(changes).to.have.lengthOf(1)
+        expect(changes[0]).to.deep.include({
+            field: 'object',
+            original: null,
+            resolved: { list: [1, 2] },
+            location: '/object'
+        })
+    })
+
+    it('Default values must be copies.', function () {
+        const validator = Helpers.newValidator(true)
+        const container = { value: {} }
+        validator.doValidateObjectRule(container, 'value', {}, null, kind)
+        container.value.object.list.push(3)
+        expect(kind[rule][module.context.configuration.sectionRuleDefault].object.list)
+            .to.deep.equal([1, 2])
+    })
+
+    it('Null and banned defaults must be skipped.', function () {
+        const validator = Helpers.newValidator(true)
+        const container = { value: {} }
+        validator.doValidateObjectRule(container, 'value', {}, null, kind)
+        expect(container.value).to.not.have.property('empty')
+        expect(container.value).to.not.have.property('banned')
+    })
+
+    it('Default values must not be set without resolving.', function () {
+        const validator = Helpers.newValidator(false)
+        const container = { value: {} }
+        expect(validator.doValidateObjectRule(container, 'value', {}, null, kind)).to.equal(true)
+        expect(container.value).to.deep.equal({})
+        expect(validator.report).to.not.have.property('changes')
+    })
+
+    it('Default values must not be set in objects failing the rules.', function () {
+        const validator = Helpers.newValidator(true)
+        const container = { value: { banned: 'value' } }
+        expect(validator.doValidateObjectRule(container, 'value', {}, null, kind)).to.equal(false)
+        expect(container.value).to.deep.equal({ banned: 'value' })
+        expect(validator.report).to.not.have.property('changes')
+    })
+})
+
+//
+// Default values through the validation service.
+//
+describe('Validate default values through the service.', function () {
+    const structure = 'test_defaults_kind'
+    const object = 'test_defaults_object'
+    const number = 'test_defaults_number'
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeKind(structure, {
+            [module.context.configuration.sectionRuleDefault]: { [number]: 1 }
+        })
+        Helpers.makeDescriptor(object, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeObject,
+            [module.context.configuration.dataKind]: [structure]
+        })
+        Helpers.makeDescriptor(number, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeNumber
+        })
+    })
+    after(function () {
+        Helpers.clearTerms([structure, object, number])
+        Helpers.logout(user)
+    })
+
+    it('Missing properties must be set and logged when resolving.', function () {
+        const response = Helpers.checkObject(user, { [object]: {} }, { resolve: true })
+        expect(response.status).to.equal(202)
+        expect(response.json.value).to.deep.equal({ [object]: { [number]: 1 } })
+
+        const changes = Object.values(response.json.report.changes)
+        expect(changes).to.have.lengthOf(1)
+        expect(changes[0]).to.deep.include({
+            field: number,
+            original: null,
+            resolved: 1,
+            location: `/${object}/${number}`
+        })
+    })
+
+    it('Missing properties must not be set without resolving.', function () {
+        const response = Helpers.checkObject(user, { [object]: {} })
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.equal({ status: 0 })
+    })
+})
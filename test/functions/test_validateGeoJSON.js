@@ -0,0 +1,166 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Validate GeoJSON value and return the status and the validator.
+//
+const validate = (theValue, doResolve = false) => {
+    const validator = Helpers.newValidator(doResolve)
+    const status = validator.doValidateGeoJSON({ geo: theValue }, 'geo', {}, null)
+    return [status, validator]
+}
+
+//
+// Counterclockwise exterior ring.
+//
+const ring = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]
+
+
+//
+// GeoJSON objects.
+//
+describe('Validate GeoJSON.', function () {
+    it('Valid geometries, features and collections must pass.', function () {
+        [
+            { type: 'Point', coordinates: [12.5, 41.9, 20] },
+            { type: 'MultiPoint', coordinates: [] },
+            { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+            { type: 'Polygon', coordinates: [ring] },
+            { type: 'MultiPolygon', coordinates: [[ring]] },
+            { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [0, 0] }] },
+            { type: 'Feature', geometry: null, properties: null },
+            { type: 'FeatureCollection', features: [
+                { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: {} }
+            ] },
+            { type: 'Point', coordinates: [5, 5], bbox: [0, 0, 10, 10] },
+            { type: 'Point', coordinates: [179, 0], bbox: [170, -10, -170, 10] }
+        ].forEach( (value) => {
+            const [status, validator] = validate(value)
+            expect(status, JSON.stringify(value)).to.equal(true)
+            expect(validator.report).to.not.have.property('warnings')
+        })
+    })
+
+    it('Invalid objects must be reported at the offending element.', function () {
+        [
+            [[0, 0], 'kNOT_AN_OBJECT', ''],
+            [{ coordinates: [0, 0] }, 'kGEOJSON_MISSING_TYPE', ''],
+            [{ type: 'Circle', coordinates: [0, 0] }, 'kGEOJSON_INVALID_TYPE', ''],
+            [{ type: 'Point' }, 'kGEOJSON_MISSING_COORDINATES', ''],
+            [{ type: 'Point', coordinates: [[0, 0]] }, 'kGEOJSON_INVALID_DEPTH', '/coordinates'],
+            [{ type: 'Point', coordinates: [0] }, 'kGEOJSON_INVALID_POSITION', '/coordinates'],
+            [{ type: 'MultiPoint', coordinates: [[0, 0], [181, 0]] }, 'kGEOJSON_LONGITUDE_RANGE', '/coordinates/1'],
+            [{ type: 'MultiPoint', coordinates: [[0, 0], [0, -91]] }, 'kGEOJSON_LATITUDE_RANGE', '/coordinates/1'],
+            [{ type: 'LineString', coordinates: [[0, 0]] }, 'kGEOJSON_LINE_POSITIONS', '/coordinates'],
+            [{ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }, 'kGEOJSON_RING_POSITIONS', '/coordinates/0'],
+            [{ type: 'Polygon', coordinates: [ring, [[1, 1], [1, 2], [2, 2], [2, 1]]] }, 'kGEOJSON_RING_NOT_CLOSED', '/coordinates/1'],
+            [{ type: 'Feature', geometry: null }, 'kGEOJSON_INVALID_PROPERTIES', '/properties'],
+            [{ type: 'Feature', properties: {} }, 'kGEOJSON_MISSING_GEOMETRY', ''],
+            [{ type: 'Feature', geometry: { type: 'Feature', geometry: null, properties: null }, properties: null }, 'kGEOJSON_INVALID_TYPE', '/geometry'],
+            [{ type: 'FeatureCollection', features: [{ type: 'Point', coordinates: [0, 0] }] }, 'kGEOJSON_INVALID_FEATURES', '/features/0'],
+            [{ type: 'GeometryCollection', geometries: [{ type: 'Feature', geometry: null, properties: null }] }, 'kGEOJSON_INVALID_GEOMETRIES', '/geometries/0'],
+            [{ type: 'Point', coordinates: [0, 0], bbox: [0, 0, 10] }, 'kGEOJSON_INVALID_BBOX', '/bbox'],
+            [{ type: 'Point', coordinates: [0, 0], bbox: [0, 10, 10, 0] }, 'kGEOJSON_INVALID_BBOX', '/bbox'],
+            [{ type: 'Point', coordinates: [20, 0], bbox: [0, 0, 10, 10] }, 'kGEOJSON_OUTSIDE_BBOX', '/bbox']
+        ].forEach( ([value, expected, location]) => {
+            const [status, validator] = validate(value)
+            expect(status, JSON.stringify(value)).to.equal(false)
+            expect(validator.report.status.code, JSON.stringify(value)).to.equal(Helpers.statusCode(expected))
+            expect(validator.report.location, JSON.stringify(value)).to.equal(location)
+            expect(validator.report.descriptor).to.equal('geo')
+        })
+    })
+
+    it('Wrong winding order must be logged as a warning.', function () {
+        const value = { type: 'Polygon', coordinates: [[...ring].reverse()] }
+        const [status, validator] = validate(value)
+        expect(status).to.equal(true)
+        expect(value.coordinates[0]).to.deep.equal([...ring].reverse())
+
+        const warnings = Object.values(validator.report.warnings)
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].status.code).to.equal(Helpers.statusCode('kGEOJSON_RING_WINDING'))
+        expect(warnings[0].location).to.equal('/coordinates/0')
+        expect(warnings[0].exterior).to.equal(true)
+    })
+
+    it('Wrong winding order must be fixed when resolving.', function () {
+        const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]]
+        const value = { type: 'Polygon', coordinates: [ring, [...hole]] }
+        const [status, validator] = validate(value, true)
+        expect(status).to.equal(true)
+        expect(value.coordinates[1]).to.deep.equal([...hole].reverse())
+
+        const changes = Object.values(validator.report.changes)
+        expect(changes).to.have.lengthOf(1)
+        expect(changes[0]).to.deep.include({
+            original: hole,
+            resolved: [...hole].reverse(),
+            location: '/coordinates/1'
+        })
+    })
+})
+
+//
+// GeoJSON objects through the validation service.
+//
+describe('Validate GeoJSON through the service.', function () {
+    const geometry = 'test_geojson_geometry'
+    const reversed = { type: 'Polygon', coordinates: [[...ring].reverse()] }
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeDescriptor(geometry, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeGeoJSON
+        })
+    })
+    after(function () {
+        Helpers.clearTerms([geometry])
+        Helpers.logout(user)
+    })
+
+    it('Valid geometries must pass.', function () {
+        const response = Helpers.checkObject(user, { [geometry]: { type: 'Polygon', coordinates: [ring] } })
+        expect(response.status).to.equal(200)
+    })
+
+    it('Invalid geometries must be reported at the offending element.', function () {
+        const response = Helpers.checkObject(user, {
+            [geometry]: { type: 'MultiPoint', coordinates: [[0, 0], [181, 0]] }
+        })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kGEOJSON_LONGITUDE_RANGE'))
+        expect(response.json.report.location).to.equal(`/${geometry}/coordinates/1`)
+    })
+
+    it('Wrong winding order must be logged as a warning.', function () {
+        const response = Helpers.checkObject(user, { [geometry]: reversed })
+        expect(response.status).to.equal(202)
+        expect(response.json.value[geometry]).to.deep.equal(reversed)
+
+        const warnings = Object.values(response.json.report.warnings)
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].status.code).to.equal(Helpers.statusCode('kGEOJSON_RING_WINDING'))
+        expect(warnings[0].location).to.equal(`/${geometry}/coordinates/0`)
+    })
+
+    it('Wrong winding order must be fixed when resolving.', function () {
+        const response = Helpers.checkObject(user, { [geometry]: reversed }, { resolve: true })
+        expect(response.status).to.equal(202)
+        expect(response.json.value[geometry].coordinates[0]).to.deep.equal(ring)
+        expect(Object.values(response.json.report.changes)[0])
+            .to.deep.include({ location: `/${geometry}/coordinates/0` })
+    })
+})
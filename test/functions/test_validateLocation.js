@@ -0,0 +1,144 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Validator = require('../../library/Validator')
+const Helpers = require('../helpers')
+
+
+//
+// JSON Pointers.
+//
+describe('JSON Pointers.', function () {
+    it('Pointers must escape property names.', function () {
+        expect(Validator.JsonPointer([])).to.equal('')
+        expect(Validator.JsonPointer(['level0', 0, 'a/b', 'c~d']))
+            .to.equal('/level0/0/a~1b/c~0d')
+    })
+
+    it('Pointers must reference values.', function () {
+        const object = { level0: [{ 'a/b': { 'c~d': 1 } }], 12: 'digits' }
+        expect(Validator.GetValueByPointer(object, '/level0/0/a~1b/c~0d'))
+            .to.deep.equal({ value: 1, keys: ['level0', 0, 'a/b', 'c~d'] })
+        expect(Validator.GetValueByPointer(object, '/12'))
+            .to.deep.equal({ value: 'digits', keys: ['12'] })
+        expect(Validator.GetValueByPath(object, '/level0/0'))
+            .to.deep.equal({ value: { 'a/b': { 'c~d': 1 } }, keys: ['level0', 0] })
+    })
+
+    it('Invalid pointers must return the path.', function () {
+        const object = { level0: [1] }
+        expect(Validator.GetValueByPointer(object, 'level0')).to.deep.equal({ path: 'level0' })
+        expect(Validator.GetValueByPointer(object, '/level0/first')).to.deep.equal({ path: '/level0/first' })
+        expect(Validator.GetValueByPointer(object, '/level0/01')).to.deep.equal({ path: '/level0/01' })
+        expect(Validator.GetValueByPointer(object, '/level0/0/deeper')).to.deep.equal({ path: '/level0/0/deeper' })
+    })
+
+    it('Updates must accept pointer references.', function () {
+        const original = { level0: [{ a: 1 }, { a: 2 }] }
+        const updated = Validator.MergeObjectUpdates(
+            original, { level0: [{ a: 1 }, { a: 3 }] }, ['/level0/1/a']
+        )
+        expect(updated).to.deep.equal({ level0: [{ a: 1 }, { a: 3 }] })
+        expect(original.level0[1].a).to.equal(2)
+    })
+})
+
+//
+// Report locations.
+//
+describe('Report locations.', function () {
+    it('Errors must be located at the current value.', function () {
+        const validator = Helpers.newValidator()
+        validator.atLocation('list', () => validator.atLocation(2, () =>
+            validator.setStatusReport('kNOT_A_STRING', 'item', 3)
+        ))
+        expect(validator.report.location).to.equal('/list/2')
+        expect(validator.path).to.have.lengthOf(0)
+    })
+
+    it('Idle reports must not have a location.', function () {
+        const validator = Helpers.newValidator()
+        validator.atLocation('list', () => validator.setStatusReport('kOK'))
+        expect(validator.report).to.not.have.property('location')
+    })
+
+    it('Warnings and changes must be located.', function () {
+        const validator = Helpers.newValidator()
+        validator.atLocation('a/b', () => {
+            validator.logWarning('kRECOMMENDED_PROPERTY', 'item', {}, null)
+            validator.logResolvedValues('item', 'old', 'new', null)
+        })
+        expect(Object.values(validator.report.warnings)[0].location).to.equal('/a~1b')
+        expect(Object.values(validator.report.changes)[0].location).to.equal('/a~1b')
+    })
+
+    it('Locations must be restored after errors.', function () {
+        const validator = Helpers.newValidator()
+        expect( () => validator.atLocation('list', () => { throw new Error('test') }) )
+            .to.throw('test')
+        expect(validator.getLocation()).to.equal('')
+    })
+})
+
+//
+// Report locations through the validation service.
+//
+describe('Report locations through the service.', function () {
+    const object = 'test_location_object'
+    const list = 'test_location_list'
+    const number = 'test_location_number'
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeDescriptor(object, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeObject
+        })
+        Helpers.makeTerm(list, {
+            [module.context.configuration.sectionData]: {
+                [module.context.configuration.sectionArray]: {
+                    [module.context.configuration.sectionScalar]: {
+                        [module.context.configuration.scalarType]: module.context.configuration.typeObject
+                    }
+                }
+            }
+        })
+        Helpers.makeDescriptor(number, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeNumber
+        })
+    })
+    after(function () {
+        Helpers.clearTerms([object, list, number])
+        Helpers.logout(user)
+    })
+
+    it('Errors in nested objects must be located.', function () {
+        const response = Helpers.checkObject(user, { [object]: { [number]: 'a' } })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kNOT_A_NUMBER'))
+        expect(response.json.report.location).to.equal(`/${object}/${number}`)
+    })
+
+    it('Errors in array elements must be located.', function () {
+        const response = Helpers.checkObject(user, { [list]: [{ [number]: 1 }, { [number]: 'a' }] })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.location).to.equal(`/${list}/1/${number}`)
+    })
+
+    it('Errors must be located in the report of the failing object.', function () {
+        const response = Helpers.checkObject(user, [{ [list]: [{ [number]: 1 }] }, { [number]: 'a' }])
+        expect(response.status).to.equal(400)
+        expect(response.json.reports).to.have.lengthOf(1)
+        expect(response.json.reports[0].report.location).to.equal(`/${number}`)
+        expect(response.json.values).to.deep.equal([{ [number]: 'a' }])
+    })
+})
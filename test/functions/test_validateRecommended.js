@@ -0,0 +1,124 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Helpers = require('../helpers')
+
+//
+// Data kind with recommended properties.
+//
+const any = module.context.configuration.selectionDescriptorsAny
+const kind = {
+    _key: 'test_kind',
+    [module.context.configuration.sectionRule]: {
+        [module.context.configuration.sectionRuleRecommended]: {
+            [any]: ['first', 'second']
+        }
+    }
+}
+
+
+//
+// Structure recommended properties.
+//
+describe('Validate recommended properties.', function () {
+    it('Unmet recommendations must be logged as warnings.', function () {
+        const validator = Helpers.newValidator()
+        const container = { value: { other: 1 } }
+        validator.doValidateObjectRuleRecommended(container, 'value', null, kind)
+        expect(validator.report.status.code).to.equal(0)
+
+        const warnings = Object.values(validator.report.warnings)
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].status.code).to.equal(Helpers.statusCode('kRECOMMENDED_PROPERTY'))
+        expect(warnings[0]).to.deep.include({
+            kind: 'test_kind',
+            selection: any,
+            recommended: ['first', 'second']
+        })
+    })
+
+    it('Met recommendations must not be logged.', function () {
+        const validator = Helpers.newValidator()
+        const container = { value: { second: 1 } }
+        validator.doValidateObjectRuleRecommended(container, 'value', null, kind)
+        expect(validator.report).to.not.have.property('warnings')
+    })
+
+    it('Data kinds without recommendations must not be logged.', function () {
+        const validator = Helpers.newValidator()
+        const container = { value: {} }
+        validator.doValidateObjectRuleRecommended(container, 'value', null, {
+            _key: 'test_kind',
+            [module.context.configuration.sectionRule]: {}
+        })
+        expect(validator.report).to.not.have.property('warnings')
+    })
+})
+
+//
+// Recommended properties through the validation service.
+//
+describe('Validate recommended properties through the service.', function () {
+    const structure = 'test_recommended_kind'
+    const object = 'test_recommended_object'
+    const first = 'test_recommended_first'
+    const second = 'test_recommended_second'
+    const number = {
+        [module.context.configuration.scalarType]: module.context.configuration.typeNumber
+    }
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeKind(structure, {
+            [module.context.configuration.sectionRuleRecommended]: { [any]: [first, second] }
+        })
+        Helpers.makeDescriptor(object, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeObject,
+            [module.context.configuration.dataKind]: [structure]
+        })
+        Helpers.makeDescriptor(first, number)
+        Helpers.makeDescriptor(second, number)
+    })
+    after(function () {
+        Helpers.clearTerms([structure, object, first, second])
+        Helpers.logout(user)
+    })
+
+    it('Objects with unmet recommendations must be counted as warnings.', function () {
+        const response = Helpers.checkObject(user, [
+            { [object]: { [first]: 1 } },
+            { [object]: {} }
+        ])
+        expect(response.status).to.equal(202)
+        expect(response.json).to.deep.include({ status: 1, valid: 1, warnings: 1, errors: 0 })
+        expect(response.json.values).to.deep.equal([{ [object]: {} }])
+        expect(response.json.reports).to.have.lengthOf(1)
+        expect(response.json.reports[0].status).to.equal(1)
+
+        const warnings = Object.values(response.json.reports[0].report.warnings)
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].status.code).to.equal(Helpers.statusCode('kRECOMMENDED_PROPERTY'))
+        expect(warnings[0]).to.deep.include({
+            kind: structure,
+            selection: any,
+            recommended: [first, second],
+            location: `/${object}`
+        })
+    })
+
+    it('Objects meeting recommendations must be valid.', function () {
+        const response = Helpers.checkObject(user, [{ [object]: { [second]: 1 } }])
+        expect(response.status).to.equal(200)
+        expect(response.json).to.deep.include({ status: 0, valid: 1, warnings: 0, errors: 0 })
+    })
+})
@@ -0,0 +1,201 @@
+/*global describe, it, before, after */
+'use strict'
+
+//
+// Libraries.
+//
+const expect = require('chai').expect
+
+//
+// Application.
+//
+const K = require('../../utils/constants')
+const Validator = require('../../library/Validator')
+const Helpers = require('../helpers')
+
+//
+// Scalar section format field.
+//
+const format = module.context.configuration.termScalarFormat
+
+//
+// Validate timestamp value and return the status, the validator and the value.
+//
+const validate = (theValue, theSection = {}) => {
+    const validator = Helpers.newValidator()
+    const container = { time: theValue }
+    const status = validator.doValidateTimeStamp(container, 'time', theSection, null)
+    return [status, validator, container.time]
+}
+
+
+//
+// ISO 8601 parsing.
+//
+describe('Parse timestamps.', function () {
+    it('Timezones must be converted to minutes.', function () {
+        expect(Validator.ParseTimeZone('Z')).to.equal(0)
+        expect(Validator.ParseTimeZone('+02:00')).to.equal(120)
+        expect(Validator.ParseTimeZone('-05:30')).to.equal(-330)
+        expect(Validator.ParseTimeZone('02:00')).to.equal(null)
+        expect(Validator.ParseTimeZone('+24:00')).to.equal(null)
+        expect(Validator.ParseTimeZone('+02:60')).to.equal(null)
+        expect(Validator.ParseTimeZone(null)).to.equal(null)
+    })
+
+    it('Dates must be parsed in UTC or in the default timezone.', function () {
+        expect(Validator.ParseTimeStamp('2023-05-01')).to.deep.equal({
+            format: K.timestamp.formats.date,
+            value: Date.UTC(2023, 4, 1)
+        })
+        expect(Validator.ParseTimeStamp('2023-05-01', '+02:00').value)
+            .to.equal(Date.UTC(2023, 4, 1) - 7200000)
+        expect(Validator.ParseTimeStamp('0050-01-01').value)
+            .to.equal(new Date('0050-01-01T00:00:00Z').valueOf())
+    })
+
+    it('Date and times must be parsed with their offset.', function () {
+        expect(Validator.ParseTimeStamp('2023-05-01T10:00:00Z')).to.deep.equal({
+            format: K.timestamp.formats.datetime,
+            value: Date.UTC(2023, 4, 1, 10)
+        })
+        expect(Validator.ParseTimeStamp('2023-05-01T10:00:00+02:00').value)
+            .to.equal(Date.UTC(2023, 4, 1, 8))
+        expect(Validator.ParseTimeStamp('2023-05-01T10:00:00-01:30', '+05:00').value)
+            .to.equal(Date.UTC(2023, 4, 1, 11, 30))
+        expect(Validator.ParseTimeStamp('2023-05-01T10:00', '+01:00').value)
+            .to.equal(Date.UTC(2023, 4, 1, 9))
+        expect(Validator.ParseTimeStamp('2023-05-01T10:00:05.5Z').value)
+            .to.equal(Date.UTC(2023, 4, 1, 10, 0, 5, 500))
+    })
+
+    it('Invalid timestamps must return the status.', function () {
+        [
+            ['2023-05-01+02:00', 'kTIMESTAMP_INVALID_FORMAT'],
+            ['2023-05-01Z', 'kTIMESTAMP_INVALID_FORMAT'],
+            ['2023-5-1', 'kTIMESTAMP_INVALID_FORMAT'],
+            ['2023-05-01 10:00Z', 'kTIMESTAMP_INVALID_FORMAT'],
+            ['2023-05-01T10Z', 'kTIMESTAMP_INVALID_FORMAT'],
+            ['2023-02-29', 'kTIMESTAMP_INVALID_VALUE'],
+            ['2023-13-01', 'kTIMESTAMP_INVALID_VALUE'],
+            ['2023-05-01T24:00Z', 'kTIMESTAMP_INVALID_VALUE'],
+            ['2023-05-01T10:00+24:00', 'kTIMESTAMP_INVALID_VALUE'],
+            ['2023-05-01T10:00', 'kTIMESTAMP_MISSING_TIMEZONE']
+        ].forEach( ([value, expected]) => {
+            expect(Validator.ParseTimeStamp(value), value).to.deep.equal({ status: expected })
+        })
+    })
+})
+
+//
+// Timestamp values.
+//
+describe('Validate timestamps.', function () {
+    it('Strings must be converted to the stored unit and logged.', function () {
+        const [status, validator, time] = validate('2023-05-01T10:00:00Z')
+        expect(status).to.equal(true)
+        expect(time).to.equal(Date.UTC(2023, 4, 1, 10))
+        expect(Object.values(validator.report.changes)[0]).to.deep.include({
+            field: 'time',
+            original: '2023-05-01T10:00:00Z',
+            resolved: Date.UTC(2023, 4, 1, 10)
+        })
+
+        const [seconds, , converted] = validate('2023-05-01T10:00', {
+            [format]: `${K.timestamp.units.seconds} +02:00`
+        })
+        expect(seconds).to.equal(true)
+        expect(converted).to.equal(Date.UTC(2023, 4, 1, 8) / 1000)
+    })
+
+    it('Timestamps in seconds must not have a fraction of second.', function () {
+        const section = { [format]: K.timestamp.units.seconds }
+        expect(validate('2023-05-01T10:00:05.000Z', section)[0]).to.equal(true)
+        expect(validate(1682935200, section)[0]).to.equal(true)
+
+        const values = ['2023-05-01T10:00:05.5Z', 1682935200.5]
+        values.forEach( (value) => {
+            const [status, validator, time] = validate(value, section)
+            expect(status, String(value)).to.equal(false)
+            expect(validator.report.status.code).to.equal(Helpers.statusCode('kTIMESTAMP_INVALID_PRECISION'))
+            expect(time).to.equal(value)
+        })
+    })
+
+    it('Input formats must be enforced.', function () {
+        const section = { [format]: `${K.timestamp.formats.date} ${K.timestamp.units.milliseconds}` }
+        expect(validate('2023-05-01', section)[0]).to.equal(true)
+        expect(validate(1682935200000, {})[0]).to.equal(true)
+
+        const values = ['2023-05-01T10:00:00Z', 1682935200000]
+        values.forEach( (value) => {
+            const [status, validator, time] = validate(value, section)
+            expect(status, String(value)).to.equal(false)
+            expect(validator.report.status.code).to.equal(Helpers.statusCode('kTIMESTAMP_FORMAT_NOT_ALLOWED'))
+            expect(time).to.equal(value)
+        })
+    })
+
+    it('Invalid values must be reported.', function () {
+        [
+            ['2023-05-01+02:00', 'kTIMESTAMP_INVALID_FORMAT'],
+            [true, 'kVALUE_NOT_A_TIMESTAMP']
+        ].forEach( ([value, expected]) => {
+            const [status, validator] = validate(value)
+            expect(status, String(value)).to.equal(false)
+            expect(validator.report.status.code).to.equal(Helpers.statusCode(expected))
+        })
+    })
+
+    it('Invalid timestamp formats must raise an exception.', function () {
+        expect( () => validate('2023-05-01', { [format]: ['_date'] }) ).to.throw()
+        expect( () => validate('2023-05-01', { [format]: '_year' }) ).to.throw()
+        expect( () => validate('2023-05-01', { [format]: '_ns' }) ).to.throw()
+        expect( () => validate('2023-05-01', { [format]: 'CET' }) ).to.throw()
+        expect( () => validate('2023-05-01', { [format]: '_s _ms' }) ).to.throw()
+    })
+})
+
+//
+// Timestamp values through the validation service.
+//
+describe('Validate timestamps through the service.', function () {
+    const seconds = 'test_timestamp_seconds'
+    const date = 'test_timestamp_date'
+    let user = null
+
+    before(function () {
+        user = Helpers.login([K.environment.role.read])
+        Helpers.makeDescriptor(seconds, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeTypestamp,
+            [format]: `${K.timestamp.units.seconds} +02:00`
+        })
+        Helpers.makeDescriptor(date, {
+            [module.context.configuration.scalarType]: module.context.configuration.typeTypestamp,
+            [format]: K.timestamp.formats.date
+        })
+    })
+    after(function () {
+        Helpers.clearTerms([seconds, date])
+        Helpers.logout(user)
+    })
+
+    it('Strings must be converted to the descriptor unit and timezone.', function () {
+        const response = Helpers.checkObject(user, { [seconds]: '2023-05-01T10:00' })
+        expect(response.status).to.equal(202)
+        expect(response.json.value[seconds]).to.equal(Date.UTC(2023, 4, 1, 8) / 1000)
+        expect(Object.values(response.json.report.changes)[0]).to.deep.include({
+            field: seconds,
+            original: '2023-05-01T10:00',
+            resolved: Date.UTC(2023, 4, 1, 8) / 1000,
+            location: `/${seconds}`
+        })
+    })
+
+    it('Input formats must be enforced.', function () {
+        const response = Helpers.checkObject(user, { [date]: '2023-05-01T10:00:00Z' })
+        expect(response.status).to.equal(400)
+        expect(response.json.report.status.code).to.equal(Helpers.statusCode('kTIMESTAMP_FORMAT_NOT_ALLOWED'))
+        expect(response.json.report.location).to.equal(`/${date}`)
+    })
+})
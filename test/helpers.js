@@ -0,0 +1,371 @@
+'use strict'
+
+/**
+ * helpers.js
+ *
+ * This file contains the functions shared by the tests: the service tests
+ * create a temporary user logged in a session, call the services as that user
+ * and create and remove test terms and edges; the validation tests call the
+ * validator methods on an object validator with an idle report.
+ */
+
+//
+// Libraries.
+//
+const aql = require('@arangodb').aql
+const crypto = require('@arangodb/crypto')
+const request = require('@arangodb/request')
+const collectionStorage = require('@arangodb/foxx/sessions/storages/collection')
+
+//
+// Application.
+//
+const K = require('../utils/constants')
+const Auth = require('../utils/auth')
+const Validator = require('../library/Validator')
+const ValidationReport = require('../library/ValidationReport')
+
+//
+// Collections.
+//
+const collection = K.db._collection(K.collection.term.name)
+const collection_edge = K.db._collection(K.collection.schema.name)
+const collection_link = K.db._collection(K.collection.links.name)
+const collection_revision = K.db._collection(K.collection.revision.name)
+const view_reference = {
+    isArangoCollection: true,
+    name: () => K.view.term.name
+}
+
+/**
+ * Login.
+ * The function will create a user with the provided roles and a session for
+ * it, and return the login record: the user, the session and the cookie
+ * header to use in service calls.
+ * @param theRoles {Array<String>}: The user roles.
+ * @return {Object}: The login record.
+ */
+function login(theRoles)
+{
+    //
+    // Create user.
+    //
+    const user = K.db._collection(K.collection.user.name).save({
+        username: `test_user_${crypto.genRandomAlphaNumbers(8)}`,
+        role: theRoles,
+        default: false
+    })
+
+    //
+    // Create session.
+    //
+    const storage = collectionStorage({
+        collection: K.db._collection(K.collection.session.name),
+        ttl: module.context.configuration.timeToLive
+    })
+    const session = storage.new()
+    session.uid = user._key
+    storage.save(session)
+
+    //
+    // Sign session cookie.
+    //
+    const name = module.context.configuration.cookie
+    const signature = crypto.hmac(
+        Auth.getSettings().cookie,
+        session._key,
+        module.context.configuration.method
+    )
+
+    return {
+        user: user,
+        session: session._key,
+        cookie: `${name}=${session._key}; ${name}.sig=${signature}`
+    }                                                                   // ==>
+
+} // login()
+
+/**
+ * Logout.
+ * The function will remove the session and the user of the provided login.
+ * @param theLogin {Object}: The login record.
+ */
+function logout(theLogin)
+{
+    K.db._collection(K.collection.session.name).remove(theLogin.session)
+    K.db._collection(K.collection.user.name).remove(theLogin.user._key)
+
+} // logout()
+
+/**
+ * Call service.
+ * The function will call the provided service as the provided logged user
+ * and return the response, the parsed body is in its `json` property.
+ * @param theLogin {Object}: The login record.
+ * @param theMethod {String}: The HTTP method.
+ * @param thePath {String}: The service path, relative to the mount point.
+ * @param theQuery {Object}: The query parameters.
+ * @param theBody {*}: The request body.
+ * @param theHeaders {Object}: Additional request headers.
+ * @return {Object}: The response.
+ */
+function call(theLogin, theMethod, thePath, theQuery = {}, theBody = undefined, theHeaders = {})
+{
+    return request({
+        method: theMethod,
+        url: `${module.context.baseUrl}/${thePath}`,
+        qs: theQuery,
+        body: theBody,
+        json: true,
+        headers: { ...theHeaders, cookie: theLogin.cookie }
+    })                                                                  // ==>
+
+} // call()
+
+/**
+ * Make term.
+ * The function will insert a term, without namespace, with the provided key
+ * and return it.
+ * @param theKey {String}: The term global identifier.
+ * @param theFields {Object}: Additional term properties.
+ * @return {Object}: The inserted term.
+ */
+function makeTerm(theKey, theFields = {})
+{
+    const code = module.context.configuration.sectionCode
+    const info = module.context.configuration.sectionInfo
+
+    return collection.save({
+        _key: theKey,
+        [code]: {
+            [module.context.configuration.localIdentifier]: theKey,
+            [module.context.configuration.globalIdentifier]: theKey,
+            [module.context.configuration.officialIdentifiers]: [theKey]
+        },
+        [info]: {
+            [module.context.configuration.titleInfoField]: {
+                [module.context.configuration.language]: theKey
+            }
+        },
+        ...theFields
+    }, { returnNew: true }).new                                         // ==>
+
+} // makeTerm()
+
+/**
+ * Make descriptor.
+ * The function will insert a descriptor with the provided scalar data section
+ * and return it.
+ * @param theKey {String}: The descriptor global identifier.
+ * @param theScalar {Object}: The scalar data section.
+ * @return {Object}: The inserted descriptor.
+ */
+function makeDescriptor(theKey, theScalar)
+{
+    return makeTerm(theKey, {
+        [module.context.configuration.sectionData]: {
+            [module.context.configuration.sectionScalar]: theScalar
+        }
+    })                                                                  // ==>
+
+} // makeDescriptor()
+
+/**
+ * Make data kind.
+ * The function will insert an object data kind with the provided rule section
+ * and return it.
+ * @param theKey {String}: The data kind global identifier.
+ * @param theRules {Object}: The rule section.
+ * @return {Object}: The inserted data kind.
+ */
+function makeKind(theKey, theRules)
+{
+    return makeTerm(theKey, {
+        [module.context.configuration.sectionRule]: theRules
+    })                                                                  // ==>
+
+} // makeKind()
+
+/**
+ * Make edge.
+ * The function will insert an enumeration edge from the provided subject to
+ * the provided object and return it.
+ * @param theSubject {String}: The subject term key.
+ * @param theObject {String}: The object term key.
+ * @param thePath {Array<String>}: The path term keys, defaults to the object.
+ * @param theData {Object}: The edge path data, defaults to none.
+ * @return {Object}: The inserted edge.
+ */
+function makeEdge(theSubject, theObject, thePath = [theObject], theData = null)
+{
+    const from = handle(theSubject)
+    const to = handle(theObject)
+    const predicate = module.context.configuration.predicateEnumeration
+
+    return collection_edge.save({
+        _key: Validator.GetEdgeKey(from, predicate, to),
+        _from: from,
+        _to: to,
+        [module.context.configuration.predicate]: predicate,
+        [module.context.configuration.sectionPath]: thePath.map(handle),
+        ...((theData === null) ? {} : { [module.context.configuration.sectionPathData]: theData })
+    }, { returnNew: true }).new                                         // ==>
+
+} // makeEdge()
+
+/**
+ * Get term handle.
+ * @param theKey {String}: The term key.
+ * @return {String}: The term document handle.
+ */
+function handle(theKey)
+{
+    return `${collection.name()}/${theKey}`                             // ==>
+
+} // handle()
+
+/**
+ * Get term edges.
+ * The function will return the edges whose subject, object or path reference
+ * the provided term.
+ * @param theKey {String}: The term key.
+ * @return {Array<Object>}: The edges.
+ */
+function getEdges(theKey)
+{
+    const path = module.context.configuration.sectionPath
+
+    return K.db._query( aql`
+        FOR edge IN ${collection_edge}
+            FILTER edge._from == ${handle(theKey)} OR
+                   edge._to == ${handle(theKey)} OR
+                   ${handle(theKey)} IN edge.${path}
+        RETURN edge
+    `).toArray()                                                        // ==>
+
+} // getEdges()
+
+/**
+ * Clear terms.
+ * The function will remove the provided terms along with their revisions and
+ * the edges and links referencing them.
+ * @param theKeys {Array<String>}: The term keys.
+ */
+function clearTerms(theKeys)
+{
+    const handles = theKeys.map(handle)
+    const path = module.context.configuration.sectionPath
+
+    K.db._query( aql`
+        FOR edge IN ${collection_edge}
+            FILTER edge._from IN ${handles} OR
+                   edge._to IN ${handles} OR
+                   LENGTH(INTERSECTION(edge.${path}, ${handles})) > 0
+            REMOVE edge IN ${collection_edge}
+    `)
+    K.db._query( aql`
+        FOR link IN ${collection_link}
+            FILTER link._from IN ${handles} OR link._to IN ${handles}
+            REMOVE link IN ${collection_link}
+    `)
+    K.db._query( aql`
+        FOR item IN ${collection_revision}
+            FILTER item.term IN ${theKeys}
+            REMOVE item IN ${collection_revision}
+    `)
+    K.db._query( aql`
+        FOR key IN ${theKeys}
+            REMOVE key IN ${collection}
+            OPTIONS { ignoreErrors: true }
+    `)
+
+} // clearTerms()
+
+/**
+ * Sync terms view.
+ * The function will wait for the terms view to index the latest changes, so
+ * that the search services can find the test terms.
+ */
+function syncView()
+{
+    K.db._query( aql`
+        FOR item IN ${view_reference}
+            SEARCH true
+            OPTIONS { waitForSync: true }
+            LIMIT 1
+        RETURN 1
+    `)
+
+} // syncView()
+
+/**
+ * Check objects.
+ * The function will validate the provided object, or list of objects, through
+ * the validation services without using the terms cache and return the
+ * response.
+ * @param theLogin {Object}: The login record.
+ * @param theValue {Object|Array<Object>}: The object or list of objects.
+ * @param theQuery {Object}: Additional validation parameters.
+ * @return {Object}: The response.
+ */
+function checkObject(theLogin, theValue, theQuery = {})
+{
+    return call(
+        theLogin, 'POST',
+        (Array.isArray(theValue)) ? 'check/objects' : 'check/object',
+        { cache: false, ...theQuery }, theValue
+    )                                                                   // ==>
+
+} // checkObject()
+
+/**
+ * New validator.
+ * The function will return an object validator with an idle report, to be
+ * used to call the validation methods directly.
+ * @param doResolve {Boolean}: Resolve values, defaults to false.
+ * @param doAllErrors {Boolean}: Collect all errors, defaults to false.
+ * @return {Validator}: The validator.
+ */
+function newValidator(doResolve = false, doAllErrors = false)
+{
+    const validator = new Validator(
+        {}, '', false, true, false, false, false, doResolve, false,
+        module.context.configuration.localIdentifier, doAllErrors
+    )
+    validator.language = module.context.configuration.language
+    validator.report = new ValidationReport()
+
+    return validator                                                    // ==>
+
+} // newValidator()
+
+/**
+ * Get status code.
+ * @param theStatus {String}: The status key.
+ * @return {Number}: The status code.
+ */
+function statusCode(theStatus)
+{
+    return new ValidationReport(theStatus).status.code                  // ==>
+
+} // statusCode()
+
+
+module.exports = {
+    collection,
+    collection_edge,
+    login,
+    logout,
+    call,
+    makeTerm,
+    makeDescriptor,
+    makeKind,
+    makeEdge,
+    handle,
+    getEdges,
+    clearTerms,
+    syncView,
+    checkObject,
+    newValidator,
+    statusCode
+}
@@ -10,6 +10,7 @@
 // Frameworks.
 //
 const db = require('@arangodb').db          // Database.
+const analyzers = require('@arangodb/analyzers')  // Analyzers.
 
 //
 // Application.
@@ -80,6 +81,12 @@ function createCollections()
         }
     }
 
+    ///
+    // Create analyzers.
+    // Views depend on them.
+    ///
+    messages = messages.concat(createAnalyzers())
+
     ///
     // Iterate views.
     ///
@@ -95,10 +102,17 @@ function createCollections()
         }
 
         //
-        // Handle existing collection.
+        // Handle existing view.
+        // Merge links, so that new indexed fields are added
+        // without dropping the ones set on the database.
         //
         else {
-            messages.push(`View ${value.name} already exists. Leaving it untouched.`)
+            const view = K.db._view(value.name)
+            view.properties({
+                links: mergeViewLinks(view.properties().links || {}, value.properties.links)
+            })
+
+            messages.push(`View ${value.name} already exists. Links merged.`)
         }
     }
 
@@ -106,6 +120,129 @@ function createCollections()
 
 }	// createCollections()
 
+/**
+ * Merge view links
+ *
+ * This method will add the expected view link definitions to the current
+ * ones: missing collections, fields and options are added, analyzer lists
+ * are joined and all other current values are preserved.
+ *
+ * @param theCurrent {Object}: Current view links.
+ * @param theExpected {Object}: Expected view links.
+ *
+ * @return {Object}: Merged view links.
+ */
+function mergeViewLinks(theCurrent, theExpected)
+{
+    const links = Object.assign({}, theCurrent)
+    for (const [key, value] of Object.entries(theExpected))
+    {
+        ///
+        // Add missing entries.
+        ///
+        if (!links.hasOwnProperty(key)) {
+            links[key] = value
+        }
+
+        ///
+        // Join lists, current analyzer names may have the database prefix.
+        ///
+        else if (Array.isArray(value) && Array.isArray(links[key])) {
+            const names = links[key].map(item => String(item).split('::').pop())
+            links[key] = links[key].concat(
+                value.filter(item => !names.includes(item))
+            )
+        }
+
+        ///
+        // Merge objects.
+        ///
+        else if (isObject(value) && isObject(links[key])) {
+            links[key] = mergeViewLinks(links[key], value)
+        }
+    }
+
+    return links                                                                // ==>
+
+}	// mergeViewLinks()
+
+/**
+ * Check object
+ *
+ * @param theValue {*}: Value to check.
+ *
+ * @return {Boolean}: `true` if the value is a plain object.
+ */
+function isObject(theValue)
+{
+    return (
+        theValue !== null &&
+        typeof theValue === 'object' &&
+        !Array.isArray(theValue)
+    )                                                                           // ==>
+
+}	// isObject()
+
+/**
+ * Initialise analyzers
+ *
+ * This method will create the search analyzers: the generic analyzer and one
+ * analyzer per language, used to index and search multilingual info fields,
+ * and the edge n-gram analyzer used for autocomplete.
+ *
+ * @return {Array<String>}: List of analyzers parsed.
+ */
+function createAnalyzers()
+{
+    //
+    // Init local storage.
+    //
+    let messages = []
+
+    //
+    // Iterate analyzers.
+    //
+    const list = [K.analyzer.generic, K.analyzer.suggest]
+        .concat(Object.values(K.analyzer.language))
+    for (const analyzer of list)
+    {
+        ///
+        // Create if not there.
+        ///
+        if (analyzers.analyzer(analyzer.name) === null) {
+            const properties = {
+                locale: analyzer.locale,
+                case: 'lower',
+                accent: false,
+                stemming: analyzer.stemming,
+                stopwords: []
+            }
+            if (analyzer.hasOwnProperty('edgeNgram')) {
+                properties.edgeNgram = analyzer.edgeNgram
+            }
+
+            analyzers.save(
+                analyzer.name,
+                'text',
+                properties,
+                ['frequency', 'norm', 'position']
+            )
+
+            messages.push(`Analyzer ${analyzer.name} created.`)
+        }
+
+        //
+        // Handle existing analyzer.
+        //
+        else {
+            messages.push(`Analyzer ${analyzer.name} already exists. Leaving it untouched.`)
+        }
+    }
+
+    return messages                                                             // ==>
+
+}	// createAnalyzers()
+
 
 module.exports = {
     createCollections
@@ -2,12 +2,94 @@
 
 const database = require('@arangodb').db
 
+//
+// Search analyzers.
+//
+//	- generic:	Analyzer used for languages without a specific analyzer.
+//	- suggest:	Edge n-gram analyzer used for autocomplete.
+//	- language:	Language code as key, language analyzer as value, from the
+//				`searchLanguages` setting.
+//
+//	- name:		Analyzer name.
+//	- locale:	Analyzer locale.
+//	- stemming:	Analyzer stemming.
+//	- edgeNgram:	Analyzer edge n-gram settings.
+//
+const analyzers = {
+    generic: { name: "dict_text", locale: "en", stemming: false },
+    suggest: {
+        name: "dict_suggest",
+        locale: "en",
+        stemming: false,
+        edgeNgram: { min: 2, max: 16, preserveOriginal: true }
+    },
+    language: languageAnalyzers()
+}
+
+/**
+ * Language analyzers
+ *
+ * Return the language analyzers from the `searchLanguages` setting, which
+ * holds the language codes and the corresponding analyzer locales.
+ *
+ * @return {Object}: Language code as key, language analyzer as value.
+ */
+function languageAnalyzers()
+{
+    const languages = {}
+    for (const [language, locale] of Object.entries(module.context.configuration.searchLanguages)) {
+        languages[language] = {
+            name: `dict_text_${language.split('_').pop()}`,
+            locale: locale,
+            stemming: true
+        }
+    }
+
+    return languages                                                            // ==>
+
+}	// languageAnalyzers()
+
+/**
+ * Info section language fields
+ *
+ * Return the view link definition of a multilingual info section property:
+ * each language is indexed with its own analyzer, any other language with
+ * the generic analyzer. Provided extra analyzers are added to all languages.
+ *
+ * @param theExtra {Array<String>}: Extra analyzer names.
+ *
+ * @return {Object}: View link definition.
+ */
+function infoLanguageFields(theExtra = [])
+{
+    const fields = {}
+    for (const [language, analyzer] of Object.entries(analyzers.language)) {
+        fields[language] = {
+            "analyzers": [...new Set([
+                analyzer.name,
+                "identity"
+            ].concat(theExtra))]
+        }
+    }
+
+    return {
+        "includeAllFields": true,
+        "analyzers": [...new Set([
+            analyzers.generic.name,
+            "identity"
+        ].concat(theExtra))],
+        "fields": fields
+    }                                                                           // ==>
+
+}	// infoLanguageFields()
+
 /**
  * Constants
  *
  * This module exports all required constants:
  *
  *    - environment:	Environment constants.
+ *    - analyzer:       Search analyzers.
  *    - error:          Error objects.
  */
 module.exports = Object.freeze({
@@ -106,6 +188,20 @@ module.exports = Object.freeze({
                 }
             ]
         },
+        revision: {
+            name: module.context.configuration.collectionRevision,
+            type: 'D',
+            index: [
+                {
+                    type: 'persistent',
+                    fields: ['term', 'timestamp'],
+                    deduplicate: true,
+                    estimates: true,
+                    name: "idx-revision-term-timestamp",
+                    unique: false
+                }
+            ]
+        },
         user: {
             name: module.context.configuration.collectionUser,
             type: 'D',
@@ -130,6 +226,11 @@ module.exports = Object.freeze({
         }
     },
 
+    //
+    // Search analyzers.
+    //
+    analyzer: analyzers,
+
     ///
     // Views.
     ///
@@ -156,7 +257,9 @@ module.exports = Object.freeze({
                                     [module.context.configuration.localIdentifier]: {
                                         "analyzers": [
                                             "identity",
-                                            "text_en"
+                                            "text_en",
+                                            analyzers.generic.name,
+                                            analyzers.suggest.name
                                         ]
                                     },
                                     [module.context.configuration.globalIdentifier]: {
@@ -168,7 +271,9 @@ module.exports = Object.freeze({
                                     [module.context.configuration.nameIdentifier]: {
                                         "analyzers": [
                                             "identity",
-                                            "text_en"
+                                            "text_en",
+                                            analyzers.generic.name,
+                                            analyzers.suggest.name
                                         ]
                                     },
                                     [module.context.configuration.providerIdentifiers]: {
@@ -182,56 +287,14 @@ module.exports = Object.freeze({
                             },
                             [module.context.configuration.sectionInfo]: {
                                 "fields": {
-                                    [module.context.configuration.titleInfoField]: {
-                                        "fields": {
-                                            [module.context.configuration.language]: {
-                                                "analyzers": [
-                                                    "text_en",
-                                                    "identity"
-                                                ]
-                                            }
-                                        }
-                                    },
-                                    [module.context.configuration.definitionInfoField]: {
-                                        "fields": {
-                                            [module.context.configuration.language]: {
-                                                "analyzers": [
-                                                    "text_en",
-                                                    "identity"
-                                                ]
-                                            }
-                                        }
-                                    },
-                                    [module.context.configuration.descriptionInfoField]: {
-                                        "fields": {
-                                            [module.context.configuration.language]: {
-                                                "analyzers": [
-                                                    "text_en",
-                                                    "identity"
-                                                ]
-                                            }
-                                        }
-                                    },
-                                    [module.context.configuration.examplesInfoField]: {
-                                        "fields": {
-                                            [module.context.configuration.language]: {
-                                                "analyzers": [
-                                                    "text_en",
-                                                    "identity"
-                                                ]
-                                            }
-                                        }
-                                    },
-                                    [module.context.configuration.notesInfoField]: {
-                                        "fields": {
-                                            [module.context.configuration.language]: {
-                                                "analyzers": [
-                                                    "text_en",
-                                                    "identity"
-                                                ]
-                                            }
-                                        }
-                                    },
+                                    [module.context.configuration.titleInfoField]: infoLanguageFields([
+                                        analyzers.generic.name,
+                                        analyzers.suggest.name
+                                    ]),
+                                    [module.context.configuration.definitionInfoField]: infoLanguageFields(),
+                                    [module.context.configuration.descriptionInfoField]: infoLanguageFields(),
+                                    [module.context.configuration.examplesInfoField]: infoLanguageFields(),
+                                    [module.context.configuration.notesInfoField]: infoLanguageFields(),
                                     [module.context.configuration.providersInfoField]: {
                                         "analyzers": [
                                             "text_en",
@@ -266,6 +329,7 @@ module.exports = Object.freeze({
                                         }
                                     },
                                     [module.context.configuration.sectionRuleBanned]: {},
+                                    [module.context.configuration.sectionRuleDefault]: {},
                                     [module.context.configuration.sectionRuleComputed]: {},
                                     [module.context.configuration.sectionRuleRecommended]: {
                                         "fields": {
@@ -308,6 +372,71 @@ module.exports = Object.freeze({
         mod: 'modified'     // Property values are different.
     },
 
+    //
+    // Term lifecycle status enumeration.
+    //
+    lifecycle : {
+        draft: 'draft',             // Term is being defined.
+        active: 'active',           // Term is in use, the default.
+        deprecated: 'deprecated',   // Term should be replaced, but is still valid.
+        obsolete: 'obsolete'        // Term is no longer valid.
+    },
+
+    //
+    // Computed property expression operators.
+    //
+    computed : {
+        value: '_value',            // Literal value.
+        concat: '_concat',          // Join operands as strings.
+        separator: '_separator',    // Concatenation separator.
+        add: '_add',                // Sum operands.
+        sub: '_sub',                // Subtract operands.
+        mul: '_mul',                // Multiply operands.
+        div: '_div',                // Divide operands.
+        lookup: '_lookup',          // Enumeration element matching operand code.
+        enum: '_enum',              // Lookup enumeration type.
+        field: '_field'             // Lookup code section field.
+    },
+
+    //
+    // GeoJSON object types.
+    //
+    //	- geometries:	Geometry type and its coordinates nesting depth.
+    //
+    geojson : {
+        geometries: {
+            Point: 0,               // Position.
+            MultiPoint: 1,          // Array of positions.
+            LineString: 1,          // Array of positions.
+            MultiLineString: 2,     // Array of line strings.
+            Polygon: 2,             // Array of linear rings.
+            MultiPolygon: 3         // Array of polygons.
+        },
+        collection: 'GeometryCollection',
+        feature: 'Feature',
+        features: 'FeatureCollection'
+    },
+
+    //
+    // Timestamp format.
+    //
+    // Tokens of the scalar section `_format` of timestamp descriptors:
+    //
+    //	- formats:	Accepted input formats.
+    //	- units:	Stored units.
+    //
+    timestamp : {
+        formats: {
+            unix: '_unix',          // Number in the stored unit.
+            date: '_date',          // ISO 8601 date: YYYY-MM-DD.
+            datetime: '_datetime'   // ISO 8601 date and time: YYYY-MM-DDThh:mm:ss.sss±hh:mm.
+        },
+        units: {
+            seconds: '_s',
+            milliseconds: '_ms'
+        }
+    },
+
     //
     // Errors.
     //
@@ -808,6 +937,69 @@ module.exports = Object.freeze({
                 iso_639_3_fra: "Références invalides. Les termes suivants ne sont pas des descripteurs: @@@.",
                 iso_639_3_esp: "Las siguientes terminos no son descriptores: @@@."
             }
+        },
+        kMSG_ERROR_TERM_REFERENCED: {
+            code: 48,
+            message: {
+                iso_639_3_eng: "The term is referenced by other records.",
+                iso_639_3_ita: "Il termine è referenziato da altri record.",
+                iso_639_3_fra: "Le terme est référencé par d'autres enregistrements.",
+                iso_639_3_esp: "El término está referenciado por otros registros."
+            }
+        },
+        kMSG_REVISION_NOT_FOUND: {
+            code: 49,
+            message: {
+                iso_639_3_eng: "Term revision not found.",
+                iso_639_3_ita: "Revisione del termine non trovata.",
+                iso_639_3_fra: "Révision du terme introuvable.",
+                iso_639_3_esp: "Revisión del término no encontrada."
+            }
+        },
+        kMSG_ERROR_BAD_REKEY: {
+            code: 50,
+            message: {
+                iso_639_3_eng: "The new global identifier must start with the term namespace: [@@@].",
+                iso_639_3_ita: "Il nuovo identificatore globale deve iniziare con il namespace del termine: [@@@].",
+                iso_639_3_fra: "Le nouvel identifiant global doit commencer par l'espace de noms du terme: [@@@].",
+                iso_639_3_esp: "El nuevo identificador global debe comenzar con el espacio de nombres del término: [@@@]."
+            }
+        },
+        kMSG_ERROR_NAMESPACE_MEMBERS: {
+            code: 51,
+            message: {
+                iso_639_3_eng: "The term is the namespace of the following terms: @@@.",
+                iso_639_3_ita: "Il termine è il namespace dei seguenti termini: @@@.",
+                iso_639_3_fra: "Le terme est l'espace de noms des termes suivants: @@@.",
+                iso_639_3_esp: "El término es el espacio de nombres de los siguientes términos: @@@."
+            }
+        },
+        kMSG_ERROR_BAD_CURSOR: {
+            code: 52,
+            message: {
+                iso_639_3_eng: "Invalid cursor, or cursor does not match the sort order.",
+                iso_639_3_ita: "Cursore non valido, o non corrispondente all'ordinamento.",
+                iso_639_3_fra: "Curseur invalide, ou ne correspondant pas à l'ordre de tri.",
+                iso_639_3_esp: "Cursor no válido, o no corresponde al orden de clasificación."
+            }
+        },
+        kMSG_ERROR_BAD_MERGE: {
+            code: 53,
+            message: {
+                iso_639_3_eng: "The surviving term cannot be merged into itself: [@@@].",
+                iso_639_3_ita: "Il termine superstite non può essere unito a se stesso: [@@@].",
+                iso_639_3_fra: "Le terme survivant ne peut pas être fusionné avec lui-même: [@@@].",
+                iso_639_3_esp: "El término superviviente no puede fusionarse consigo mismo: [@@@]."
+            }
+        },
+        kMSG_ERROR_BAD_LANGUAGE: {
+            code: 54,
+            message: {
+                iso_639_3_eng: "The language code is not an element of the language enumeration: [@@@].",
+                iso_639_3_ita: "Il codice lingua non è un elemento dell'enumerazione delle lingue: [@@@].",
+                iso_639_3_fra: "Le code de langue n'est pas un élément de l'énumération des langues: [@@@].",
+                iso_639_3_esp: "El código de idioma no es un elemento de la enumeración de idiomas: [@@@]."
+            }
         }
     }
 
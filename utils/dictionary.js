@@ -203,7 +203,8 @@ function getPropertyNames(theRoot)
  * This function expects a string representing an enumeration root,
  * and will return the list of all term documents that comprise the controlled vocabulary.
  * @param theRoot {String}: The global identifier of the enumeration root.
- * @param theLanguage {String}: The language of the _info elements.
+ * @param theLanguage {String|Array<String>}: The language, comma delimited
+ * list or ordered list of languages of the _info elements, `@` for all languages.
  * @return {Array}: The list of terms that comprise the controlled vocabulary.
  */
 function getAllEnumerations(theRoot, theLanguage)
@@ -226,10 +227,14 @@ function getAllEnumerations(theRoot, theLanguage)
 
     //
     // Filter language.
+    // Resolve the fallback chain.
     //
-    if(theLanguage !== "@") {
+    const chain = (Array.isArray(theLanguage))
+        ? theLanguage
+        : utils.languageChain(theLanguage)
+    if(chain !== null) {
         for(let i = 0; i < result.length; i++) {
-            utils.termLanguage(result[i], theLanguage)
+            utils.termLanguage(result[i], chain)
 
         } // Iterating result terms.
 
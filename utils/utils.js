@@ -43,26 +43,39 @@ function getEdgeKey(theSubject, thePredicate, theObject)
 
 /**
  * Return term in provided language
- * The function expects a term and a valid language code,
- * it will return the _info properties in the provided language.
- * If an _info element does not have the provided language,
- * the function will return the element as-is.
+ * The function expects a term and a valid language code, or an ordered list
+ * of language codes, it will return the _info properties in the first
+ * provided language featured by each property.
+ * If an _info element has none of the provided languages, the function will
+ * fall back to the default language, and then to the first available language.
+ * When a fallback chain of more than one language is provided, the language
+ * served for each _info element will be set in the term served languages
+ * property, with the _info property name as key.
  * Note that the modifications are performed on the original object.
  * @param theTerm {Object}: The term.
- * @param theLanguage {String}: A valid language code.
+ * @param theLanguage {String|Array<String>}: A valid language code or list of codes.
  * @return {Object}: The term with info in the provided language.
  */
 function termLanguage(theTerm, theLanguage)
 {
+    //
+    // Init local storage.
+    //
+    const info = module.context.configuration.sectionInfo
+    const chain = _.uniq([].concat(theLanguage, module.context.configuration.language))
+
     //
     // Check if the term has info.
     //
-    if(theTerm.hasOwnProperty(module.context.configuration.sectionInfo)) {
-        for(const property of Object.keys(theTerm[module.context.configuration.sectionInfo])) {
-            if(Validator.IsObject(theTerm[module.context.configuration.sectionInfo][property])) {
-                if(theTerm[module.context.configuration.sectionInfo][property].hasOwnProperty(theLanguage)) {
-                    const element = theTerm[module.context.configuration.sectionInfo][property][theLanguage]
-                    theTerm[module.context.configuration.sectionInfo][property] = element
+    if(theTerm.hasOwnProperty(info)) {
+        const served = {}
+        for(const property of Object.keys(theTerm[info])) {
+            if(Validator.IsObject(theTerm[info][property])) {
+                const languages = Object.keys(theTerm[info][property])
+                const language = chain.find(item => languages.includes(item)) || languages[0]
+                if(language !== undefined) {
+                    served[property] = language
+                    theTerm[info][property] = theTerm[info][property][language]
 
                 } // Has language element.
 
@@ -70,10 +83,85 @@ function termLanguage(theTerm, theLanguage)
 
         } // Iterating info properties.
 
+        if(chain.length > 1) {
+            theTerm[module.context.configuration.termServedLanguages] = served
+        }
+
     } // Term has info block.
 
+    return theTerm                                                              // ==>
+
 } // termLanguage()
 
+/**
+ * Return language fallback chain
+ * The function will return the ordered list of language codes to be used
+ * when selecting term _info elements, or `null` if all languages should be
+ * returned.
+ * The language can be provided as a comma delimited list of codes, `@` for
+ * all languages; if not provided, the `Accept-Language` header will be used
+ * and, if that is also missing, the default language.
+ * Codes can be full language codes, such as `iso_639_3_fra`, three letter
+ * codes, such as `fra`, or two letter codes, such as `fr`, which are matched
+ * against the locales of the language analyzers.
+ * @param theLanguage {String|undefined}: The `lang` parameter.
+ * @param theHeader {String|undefined}: The `Accept-Language` header.
+ * @return {Array<String>|null}: The ordered list of language codes.
+ */
+function languageChain(theLanguage, theHeader = undefined)
+{
+    ///
+    // Handle all languages.
+    ///
+    if(theLanguage === '@') {
+        return null                                                     // ==>
+    }
+
+    ///
+    // Collect requested codes.
+    ///
+    let codes = []
+    if(typeof theLanguage === 'string' && theLanguage.length > 0) {
+        codes = theLanguage.split(',')
+    } else if(typeof theHeader === 'string' && theHeader.length > 0) {
+        codes = theHeader.split(',')
+            .map(item => {
+                const [tag, ...params] = item.trim().split(';')
+                const weight = params.find(param => param.trim().startsWith('q='))
+                return {
+                    code: tag.trim().split('-')[0],
+                    weight: (weight !== undefined) ? parseFloat(weight.trim().substring(2)) : 1
+                }
+            })
+            .filter(item => item.code !== '*' && item.weight > 0)
+            .sort((a, b) => b.weight - a.weight)
+            .map(item => item.code)
+    }
+
+    ///
+    // Convert to language codes.
+    ///
+    const chain = []
+    codes.forEach(item => {
+        const code = item.trim().toLowerCase()
+        if(code.startsWith('iso_')) {
+            chain.push(code)
+        } else if(code.length === 3) {
+            chain.push(`iso_639_3_${code}`)
+        } else if(code.length === 2) {
+            for(const [language, analyzer] of Object.entries(K.analyzer.language)) {
+                if(analyzer.locale === code) {
+                    chain.push(language)
+                }
+            }
+        }
+    })
+    chain.push(module.context.configuration.language)
+
+    return _.uniq(chain)                                                // ==>
+
+} // languageChain()
+
 /**
  * The method will return `true` if the provided value is an empty object.
  *
@@ -144,10 +232,104 @@ function recursiveMergeObjects(theSource, theTarget)
 
 } // recursiveMergeObjects()
 
+/**
+ * The method will return the differences between two objects.
+ *
+ * Both objects will be traversed and the function will return the list of
+ * changed leaf properties as objects with the following properties:
+ * - `field`: The dot delimited property path, array elements are *[index]*.
+ * - `old`: The value in `theOld`, `null` if missing.
+ * - `new`: The value in `theNew`, `null` if missing.
+ *
+ * @param theOld {Object}: The old object.
+ * @param theNew {Object}: The new object.
+ * @param thePath {String}: The current property path.
+ *
+ * @return {Array<Object>}: The list of differences.
+ */
+function diffObjects(theOld, theNew, thePath = '')
+{
+    ///
+    // Handle equal values.
+    ///
+    if(_.isEqual(theOld, theNew)) {
+        return []                                                       // ==>
+    }
+
+    ///
+    // Handle structures.
+    ///
+    const differences = []
+    if(Validator.IsObject(theOld) && Validator.IsObject(theNew)) {
+        const keys = _.union(Object.keys(theOld), Object.keys(theNew))
+        keys.forEach(key => {
+            differences.push(...diffObjects(
+                (theOld.hasOwnProperty(key)) ? theOld[key] : null,
+                (theNew.hasOwnProperty(key)) ? theNew[key] : null,
+                (thePath.length > 0) ? `${thePath}.${key}` : key
+            ))
+        })
+    } else if(Validator.IsArray(theOld) && Validator.IsArray(theNew)) {
+        const length = Math.max(theOld.length, theNew.length)
+        for(let index = 0; index < length; index++) {
+            differences.push(...diffObjects(
+                (index < theOld.length) ? theOld[index] : null,
+                (index < theNew.length) ? theNew[index] : null,
+                `${thePath}[${index}]`
+            ))
+        }
+    } else {
+        differences.push({ field: thePath, old: theOld, new: theNew })
+    }
+
+    return differences                                                  // ==>
+
+} // diffObjects()
+
+/**
+ * Return Levenshtein distance
+ *
+ * This function will return the number of single character insertions,
+ * deletions or substitutions needed to change one string into the other.
+ *
+ * @param theFirst {String}: The first string.
+ * @param theSecond {String}: The second string.
+ *
+ * @return {Number}: The edit distance.
+ */
+function levenshtein(theFirst, theSecond)
+{
+    ///
+    // Init previous row.
+    ///
+    let previous = Array.from({ length: theSecond.length + 1 }, (item, index) => index)
+
+    ///
+    // Compute rows.
+    ///
+    for(let i = 1; i <= theFirst.length; i++) {
+        const current = [i]
+        for(let j = 1; j <= theSecond.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + ((theFirst[i - 1] === theSecond[j - 1]) ? 0 : 1)
+            )
+        }
+        previous = current
+    }
+
+    return previous[theSecond.length]                                   // ==>
+
+} // levenshtein()
+
 
 module.exports = {
     getEdgeKey,
     termLanguage,
+    languageChain,
     isEmptyObject,
-    recursiveMergeObjects
+    recursiveMergeObjects,
+    diffObjects,
+    levenshtein
 }